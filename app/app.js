@@ -9,21 +9,29 @@
 require('dotenv').config();
 const fs = require('fs');
 const envName = process.env.NODE_ENV || 'development';
+let envOverrides = null;
 try {
     const envPath = require('path').resolve(__dirname, '..', `.env.${envName}`);
     if (fs.existsSync(envPath)) {
         require('dotenv').config({ path: envPath, override: true });
-        console.info(`Loaded environment overrides from .env.${envName}`);
+        envOverrides = `.env.${envName}`;
     }
 } catch (_) { /* ignore */ }
-// Initialize global logger (respects LOG_LEVEL or VERBOSE_LOGGING)
-require('./logger');
+// Initialize global logger (respects LOG_LEVEL or VERBOSE_LOGGING) once the environment is loaded
+const logger = require('./logger');
 const express = require('express');
 const path = require('path');
 const cron = require('node-cron');
 const createRoutes = require('../routes/routes');
+const createApiRoutes = require('../routes/api');
 const ServiceFactory = require('../services/ServiceFactory');
 const HealthMonitor = require('../services/HealthMonitor');
+const DepegMonitor = require('../services/DepegMonitor');
+const FxRateService = require('../services/FxRateService');
+const WebhookDispatcher = require('../services/WebhookDispatcher');
+const LiveUpdateService = require('../services/LiveUpdateService');
+const SupplyFlowService = require('../services/SupplyFlowService');
+const MetricsService = require('../services/MetricsService');
 const AppConfig = require('../config/AppConfig');
 const ApiConfig = require('../config/ApiConfig');
 const templateHelpers = require('./util/templateHelpers');
@@ -32,6 +40,14 @@ const templateHelpers = require('./util/templateHelpers');
     CONSTANTS
 ---------------------------------------------------------*/
 const PORT = AppConfig.server.port;
+const log = logger.forModule('app');
+const httpLog = logger.forModule('http');
+// Accepted X-Request-Id values from proxies; anything else gets a fresh id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Remaining console output goes through the logger too, unless the legacy format is requested
+if (!AppConfig.logging.legacyConsole) logger.captureConsole();
+if (envOverrides) log.info(`Loaded environment overrides from ${envOverrides}`);
 
 /*---------------------------------------------------------
     SERVICE CONTAINER & DEPENDENCY INJECTION
@@ -95,17 +111,44 @@ class ServiceContainer {
         // Initialize an app-level source for request monitoring
         try { healthMonitor.initializeSource('app'); } catch (_) {}
 
-        // Initial data refresh
+        // Evaluate pegs after every refresh that produced data
+        const depegMonitor = this.get('depegMonitor');
+        if (depegMonitor) {
+            dataService.onRefresh(({ result, stablecoins }) => {
+                if (result.stablecoinsUpdated > 0) depegMonitor.evaluate(stablecoins);
+            });
+        }
+
+        // Forward alerts and refresh events to configured webhook endpoints
+        const webhookDispatcher = this.get('webhookDispatcher');
+        if (webhookDispatcher && webhookDispatcher.isEnabled()) {
+            webhookDispatcher.attach({ healthMonitor, dataService });
+        }
+
+        // Push refresh results, alerts and degraded-mode changes to open browser pages
+        const liveUpdates = this.get('liveUpdates');
+        if (liveUpdates && liveUpdates.isEnabled()) {
+            liveUpdates.attach({ healthMonitor, dataService });
+        }
+
+        // Count fetches and refreshes for the /metrics endpoint
+        const metrics = this.get('metrics');
+        if (metrics && metrics.isEnabled()) {
+            metrics.attach({ healthMonitor, dataService });
+        }
+
+        // Rehydrate from the last persisted snapshot, then run the initial data refresh
+        await dataService.restoreFromSnapshot();
         dataService.refreshData().catch(err => {
-            console.error('Initial data fetch failed:', err);
+            log.error('Initial data fetch failed', { error: err.message });
         });
 
         // Scheduled updates
         const intervalMins = AppConfig.dataUpdate.intervalMinutes;
         const job = cron.schedule(`*/${intervalMins} * * * *`, () => {
-            console.log('Running scheduled data update...');
+            log.info('Running scheduled data update');
             dataService.refreshData().catch(error => {
-                console.error('Scheduled data fetch failed:', error);
+                log.error('Scheduled data fetch failed', { error: error.message });
             });
         });
         this._jobs.push(job);
@@ -114,7 +157,12 @@ class ServiceContainer {
         const healthLogTimer = setInterval(async () => {
             try {
                 const h = await healthMonitor.getSystemHealth();
-                console.log(`Health: status=${h.status} score=${h.overallScore} healthy=${h.metrics.healthySourceCount}/${h.metrics.sourceCount}`);
+                log.info('Health summary', {
+                    status: h.status,
+                    score: h.overallScore,
+                    healthySources: h.metrics.healthySourceCount,
+                    sources: h.metrics.sourceCount
+                });
                 if (h.activeAlerts && h.activeAlerts.length) {
                     // De-duplicate alerts by (source,type) and show highest severity per pair
                     const levelPriority = { info: 0, warning: 1, error: 2, critical: 3 };
@@ -134,10 +182,10 @@ class ServiceContainer {
                     const alerts = Array.from(dedup.values())
                         .map(a => `${(a.level || 'info').toUpperCase()}: ${a.title} (${a.source || 'unknown'})`)
                         .join('; ');
-                    if (alerts) console.warn('Health alerts:', alerts);
+                    if (alerts) log.warn('Health alerts', { alerts });
                 }
             } catch (e) {
-                console.warn('Failed to get system health for logging:', e.message);
+                log.warn('Failed to get system health for logging', { error: e.message });
             }
         }, 5 * 60 * 1000);
         this._timers.push(healthLogTimer);
@@ -160,30 +208,48 @@ class ServiceContainer {
             try { clearInterval(t); } catch (_) {}
         }
         this._timers = [];
+        // Close live update streams
+        const liveUpdates = this.get('liveUpdates');
+        if (liveUpdates) liveUpdates.close();
     }
 }
 
 // Instantiate container and register services
 const container = new ServiceContainer();
 const healthMonitor = new HealthMonitor();
-const dataService = ServiceFactory.createDataService(healthMonitor);
+const snapshotStore = ServiceFactory.createSnapshotStore();
+const dataService = ServiceFactory.createDataService(healthMonitor, snapshotStore);
 container.register('healthMonitor', healthMonitor)
-         .register('dataService', dataService);
+         .register('snapshotStore', snapshotStore)
+         .register('dataService', dataService)
+         .register('fxRateService', FxRateService.shared())
+         .register('depegMonitor', new DepegMonitor(healthMonitor))
+         .register('webhookDispatcher', new WebhookDispatcher())
+         .register('liveUpdates', new LiveUpdateService())
+         .register('supplyFlows', new SupplyFlowService(dataService, snapshotStore))
+         .register('metrics', new MetricsService());
 
 /**
  * Health monitoring middleware for Express routes
- * Records basic request duration and success/failure classification
+ * Records basic request duration and success/failure classification.
+ * Assigns each request an id (the caller's X-Request-Id when valid), returned in the X-Request-Id
+ * header, available as `req.id` and `req.log`, and added to everything logged while handling it.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 function healthMiddleware(req, res, next) {
     const start = Date.now();
+    const incomingId = req.get('x-request-id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : logger.createId();
+    req.log = httpLog.child({ reqId: req.id });
+    res.set('X-Request-Id', req.id);
     res.on('finish', async () => {
         try {
             const hm = req.services?.healthMonitor || container.get('healthMonitor');
             const duration = Date.now() - start;
             const isError = res.statusCode >= 500;
+            req.log.log(isError ? 'warn' : 'http', `${req.method} ${req.originalUrl}`, { status: res.statusCode, durationMs: duration });
             if (isError) {
                 await hm.recordFailure('app', {
                     operation: 'http_request',
@@ -205,7 +271,7 @@ function healthMiddleware(req, res, next) {
             // Non-fatal: avoid impacting request lifecycle
         }
     });
-    next();
+    logger.withContext({ reqId: req.id }, next);
 }
 
 /*---------------------------------------------------------
@@ -221,26 +287,31 @@ app.use(healthMiddleware);
 container.attachToApp(app);
 // Register template helpers globally for all EJS templates (after services are attached)
 app.locals.h = templateHelpers;
+// Pages open the live update stream when it is enabled (the static build leaves this unset)
+app.locals.liveUpdatesUrl = AppConfig.liveUpdates.enabled ? '/api/v1/events' : null;
+// The footer links the API docs page, which only exists when the server runs
+app.locals.apiDocsUrl = '/api/docs';
 // Wire routes with DI
+app.use('/api/v1', createApiRoutes(container.services));
 app.use('/', createRoutes(container.services));
 app.use(express.json());
-app.listen(PORT, () => console.info(`Listening on port ${PORT}`));
+app.listen(PORT, () => log.info(`Listening on port ${PORT}`));
 
 // Start services and handle graceful shutdown
 // Validate configuration before full start
 try {
     const validation = ApiConfig.validate();
     if (!validation.valid) {
-        console.error('API configuration errors:', validation.errors);
+        log.error('API configuration errors', { errors: validation.errors });
     }
     if (validation.warnings?.length) {
-        console.warn('API configuration warnings:', validation.warnings);
+        log.warn('API configuration warnings', { warnings: validation.warnings });
     }
     if (AppConfig.warnings?.length) {
-        console.warn('App configuration warnings:', AppConfig.warnings);
+        log.warn('App configuration warnings', { warnings: AppConfig.warnings });
     }
 } catch (e) {
-    console.error('Configuration validation failed:', e.message);
+    log.error('Configuration validation failed', { error: e.message });
 }
 
 container.start();
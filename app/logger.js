@@ -1,30 +1,101 @@
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const winston = require('winston');
+const AppConfig = require('../config/AppConfig');
 
 /**
  * Application-wide logging setup using Winston.
  *
- * Configures a structured JSON logger with log levels controlled by
- * the LOG_LEVEL environment variable.
+ * Modules log through a child logger that tags every entry with the module name:
  *
- * Supported LOG_LEVELS: error, warn, info, http, verbose, debug, silly
+ *   const log = require('../app/logger').forModule('fetchers.cmc');
+ *   log.info('Fetched listings', { recordCount: 412, durationMs: 850 });
+ *
+ * Entries carry timestamp, level, module, message and fields. Fields of the current context are
+ * added too: `reqId` while handling an HTTP request and `refreshId` during a data refresh (see
+ * withContext()), so a single request or refresh can be followed across modules.
+ *
+ * Levels come from LOG_LEVEL (error, warn, info, http, verbose, debug, silly), with per-module
+ * overrides such as LOG_LEVEL_FETCHERS=debug or LOG_LEVEL_FETCHERS_CMC=warn; the most specific
+ * name wins. LOG_FORMAT selects 'json' or 'pretty' output.
+ */
+
+const LEVELS = winston.config.npm.levels;
+const SECRET_FIELD = /(api[-_]?key|secret|token|password|authorization)/i;
+
+const context = new AsyncLocalStorage();
+const moduleLoggers = new Map();
+
+/**
+ * Resolve the level of a module from the most specific override
+ * @param {Object} config - Logging config (AppConfig.logging)
+ * @param {string} [name] - Module name (e.g. 'fetchers.cmc')
+ * @returns {string} Level
  */
-function setupLogger() {
-    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+function levelFor(config, name) {
+    const segments = String(name || '').toLowerCase().split('.').filter(Boolean);
+    for (let i = segments.length; i > 0; i--) {
+        const level = config.moduleLevels[segments.slice(0, i).join('.')];
+        if (level in LEVELS) return level;
+    }
+    return config.level in LEVELS ? config.level : 'info';
+}
+
+/**
+ * Build the Winston logger
+ * @param {Object} config - Logging config (AppConfig.logging)
+ * @returns {Object} Winston logger
+ */
+function setupLogger(config) {
+    // Drop entries below their module's level
+    const moduleFilter = winston.format(info => (LEVELS[info.level] <= LEVELS[levelFor(config, info.module)] ? info : false));
+
+    // Add request/refresh ids of the current context; explicit fields win
+    const contextFields = winston.format(info => {
+        const store = context.getStore();
+        if (store) {
+            for (const [key, value] of Object.entries(store)) {
+                if (info[key] === undefined) info[key] = value;
+            }
+        }
+        return info;
+    });
+
+    // Never write credentials, even when a caller passes a config object
+    const redact = winston.format(info => {
+        for (const key of Object.keys(info)) {
+            if (SECRET_FIELD.test(key) && info[key]) info[key] = '[redacted]';
+        }
+        return info;
+    });
+
+    const pretty = winston.format.printf(({ timestamp, level, message, module, stack, ...fields }) => {
+        const extra = Object.entries(fields)
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(' ');
+        return `${timestamp} ${level} [${module || 'app'}] ${message}${extra ? ` ${extra}` : ''}${stack ? `\n${stack}` : ''}`;
+    });
+
+    // The logger passes everything its most verbose module needs; moduleFilter does the rest
+    const levels = [config.level, ...Object.values(config.moduleLevels)].filter(level => level in LEVELS);
+    const rootLevel = levels.reduce((most, level) => (LEVELS[level] > LEVELS[most] ? level : most), 'error');
 
     const logger = winston.createLogger({
-        level: level,
+        level: rootLevel,
         format: winston.format.combine(
+            moduleFilter(),
+            contextFields(),
+            redact(),
             winston.format.timestamp(),
-            winston.format.errors({ stack: true }), // Log stack traces
-            winston.format.json()
+            winston.format.errors({ stack: true }) // Log stack traces
         ),
         transports: [
             new winston.transports.Console({
-                // In development, use a simpler format for readability
-                format: process.env.NODE_ENV === 'development' ? winston.format.combine(
-                    winston.format.colorize(),
-                    winston.format.simple()
-                ) : undefined,
+                silent: config.silent,
+                format: config.format === 'pretty'
+                    ? winston.format.combine(winston.format.colorize(), pretty)
+                    : winston.format.json()
             }),
         ],
         exitOnError: false, // Do not exit on handled exceptions
@@ -37,16 +108,65 @@ function setupLogger() {
         },
     };
 
-    // Expose a global DEBUG flag for legacy modules
-    global.DEBUG = ['debug', 'verbose', 'silly'].includes(level);
+    return logger;
+}
 
-    if (global.DEBUG) {
-        logger.info(`Verbose logging enabled with level: ${level}`);
-    }
+const config = AppConfig.logging;
+const logger = setupLogger(config);
 
-    return logger;
+// Expose a global DEBUG flag for legacy modules
+global.DEBUG = ['debug', 'verbose', 'silly'].includes(config.level);
+
+if (global.DEBUG) {
+    logger.info(`Verbose logging enabled with level: ${config.level}`);
 }
 
-const logger = setupLogger();
+/**
+ * Get the logger of a module; entries carry `module` and respect its level override
+ * @param {string} name - Module name, dot-separated from general to specific (e.g. 'fetchers.cmc')
+ * @returns {Object} Winston child logger (error, warn, info, http, verbose, debug methods)
+ */
+logger.forModule = (name) => {
+    if (!moduleLoggers.has(name)) moduleLoggers.set(name, logger.child({ module: name }));
+    return moduleLoggers.get(name);
+};
+
+/**
+ * Run a function with context fields added to every entry logged while it runs, including
+ * asynchronous work it starts. Nested contexts add to the outer one.
+ * @param {Object} fields - Context fields (e.g. { reqId } or { refreshId })
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+logger.withContext = (fields, fn) => context.run({ ...(context.getStore() || {}), ...fields }, fn);
+
+/**
+ * Get the fields of the current context
+ * @returns {Object} Context fields (empty outside any context)
+ */
+logger.getContext = () => ({ ...(context.getStore() || {}) });
+
+/**
+ * Create a short random id for requests and refresh cycles
+ * @returns {string} 12 hex characters
+ */
+logger.createId = () => crypto.randomBytes(6).toString('hex');
+
+/**
+ * Send console.log/info/warn/error/debug through the logger (module 'console'), so modules that
+ * still write to the console produce structured entries with context fields
+ * @returns {void}
+ */
+logger.captureConsole = () => {
+    // Winston's console transport writes to console._stdout; without it, capturing would recurse
+    if (!console._stdout) return;
+    const log = logger.forModule('console');
+    const route = level => (...args) => log.log(level, util.format(...args));
+    console.log = route('info');
+    console.info = route('info');
+    console.warn = route('warn');
+    console.error = route('error');
+    console.debug = route('debug');
+};
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
@@ -1,3 +1,8 @@
+/*---------------------------------------------------------
+    IMPORTS
+---------------------------------------------------------*/
+const AppConfig = require('../config/AppConfig');
+
 /*---------------------------------------------------------
     MODULE-SCOPED VARIABLES
 ---------------------------------------------------------*/
@@ -210,30 +215,36 @@ const print_custom = function (clr, prefix, msgs) {
 };
 
 /**
- * Override console.warn to print warnings with custom formatting
+ * Legacy console formatting (USE_LEGACY_CONSOLE_FORMAT=true): colored 'WARNING:'/'INFO:'/'ERROR:'/'DEBUG:'
+ * prefixes. By default console output is left alone; the server sends it through app/logger.js instead.
  */
-console.warn = function () {
-    print_custom(CLR.magenta, 'WARNING', arguments);
-};
+if (AppConfig.logging.legacyConsole) {
+    /**
+     * Override console.warn to print warnings with custom formatting
+     */
+    console.warn = function () {
+        print_custom(CLR.magenta, 'WARNING', arguments);
+    };
 
-/**
- * Override console.info to print info messages with custom formatting
- */
-console.info = function () {
-    print_custom(CLR.green, 'INFO', arguments);
-};
+    /**
+     * Override console.info to print info messages with custom formatting
+     */
+    console.info = function () {
+        print_custom(CLR.green, 'INFO', arguments);
+    };
 
-/**
- * Override console.error to print errors with custom formatting
- */
-console.error = function () {
-    print_custom(CLR.red, 'ERROR', arguments);
-};
+    /**
+     * Override console.error to print errors with custom formatting
+     */
+    console.error = function () {
+        print_custom(CLR.red, 'ERROR', arguments);
+    };
 
-/**
- * Override console.debug to print debug messages with custom formatting
- * Only prints when global.DEBUG is true
- */
-console.debug = function () {
-    if (global.DEBUG) print_custom(CLR.cyan, 'DEBUG', arguments);
-};
+    /**
+     * Override console.debug to print debug messages with custom formatting
+     * Only prints when global.DEBUG is true
+     */
+    console.debug = function () {
+        if (global.DEBUG) print_custom(CLR.cyan, 'DEBUG', arguments);
+    };
+}
@@ -0,0 +1,295 @@
+/**
+ * Query helpers for the JSON API
+ * Parses and applies pagination, sorting, field selection and filtering
+ * query parameters to in-memory collections
+ */
+
+/*---------------------------------------------------------
+    CONSTANTS
+---------------------------------------------------------*/
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 250;
+const PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_RANGES = {
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS,
+    '30d': 30 * 24 * HOUR_MS,
+    'all': Infinity
+};
+
+/*---------------------------------------------------------
+    PATH HELPERS
+---------------------------------------------------------*/
+
+/**
+ * Read a dot-separated property path from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot-separated path (e.g., 'marketData.price')
+ * @returns {*} Value at the path or undefined
+ */
+function getPath(obj, path) {
+    let result = obj;
+    for (const key of path.split('.')) {
+        if (result === null || result === undefined || typeof result !== 'object') return undefined;
+        result = result[key];
+    }
+    return result;
+}
+
+/**
+ * Write a value at a dot-separated property path, creating intermediate objects
+ * @param {Object} obj - Target object
+ * @param {string} path - Dot-separated path
+ * @param {*} value - Value to write
+ */
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    let target = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (!target[keys[i]] || typeof target[keys[i]] !== 'object') target[keys[i]] = {};
+        target = target[keys[i]];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Normalize a filter token for loose comparison ("Tokenized Asset" === "tokenized-asset")
+ * @param {*} value - Raw value
+ * @returns {string} Lowercase alphanumeric string
+ */
+function normalizeToken(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Split a comma-separated query value into trimmed, non-empty items
+ * @param {string|Array} value - Query value (repeated params arrive as arrays)
+ * @returns {Array<string>} List of items
+ */
+function splitList(value) {
+    if (value === undefined || value === null) return [];
+    const raw = Array.isArray(value) ? value.join(',') : String(value);
+    return raw.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a path exists on any of a set of records
+ * @param {Array<Object>} records - Records to look in
+ * @param {string} path - Dot-separated path
+ * @returns {boolean} True when at least one record has a value (including null) at the path
+ */
+function isKnownPath(records, path) {
+    return records.some(record => getPath(record, path) !== undefined);
+}
+
+/*---------------------------------------------------------
+    QUERY PARSING
+---------------------------------------------------------*/
+
+/**
+ * Parse list query parameters into a normalized query description
+ * @param {Object} query - Express req.query
+ * @param {Object} [options={}] - Resource options
+ * @param {Object} [options.sortAliases={}] - Map of sort keys to property paths
+ * @param {string} [options.defaultSort=null] - Sort applied when none is requested
+ * @param {Array<string>} [options.filters=[]] - Filter parameter names accepted by the resource
+ * @param {Array<Object>} [options.records] - Collection the query applies to; sort (other than aliases) and
+ *   field paths none of its records has are rejected (not checked when the collection is empty)
+ * @returns {Object} Result with { params, errors } where errors lists invalid parameters
+ */
+function parseListQuery(query = {}, options = {}) {
+    const { sortAliases = {}, defaultSort = null, filters = [], records = [] } = options;
+    const errors = [];
+
+    // Pagination
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    // Sorting: "field" ascending, "-field" descending, comma-separated for tie-breakers
+    const sort = [];
+    for (const token of splitList(query.sort ?? defaultSort)) {
+        const descending = token.startsWith('-');
+        const key = descending ? token.slice(1) : token;
+        const path = sortAliases[key] || key;
+        if (!PATH_PATTERN.test(path)) {
+            errors.push(`Invalid sort field: ${key}`);
+            continue;
+        }
+        // Aliases are documented sort keys, valid even when no record has a value yet
+        if (!sortAliases[key] && records.length && !isKnownPath(records, path)) {
+            errors.push(`Unknown sort field: ${key}`);
+            continue;
+        }
+        sort.push({ path, descending });
+    }
+
+    // Field selection
+    const selection = parseFields(query.fields, records);
+    const fields = selection.fields;
+    errors.push(...selection.errors);
+
+    // Filters
+    const filterValues = {};
+    for (const name of filters) {
+        const values = splitList(query[name]);
+        if (values.length) filterValues[name] = values;
+    }
+
+    return {
+        params: { page, limit, sort, fields, filters: filterValues },
+        errors
+    };
+}
+
+/**
+ * Parse a field selection into dot-paths
+ * @param {string|Array} value - `fields` query value
+ * @param {Array<Object>} [records=[]] - Records the fields are selected from; paths none of them has are rejected
+ * @returns {Object} Result with { fields, errors }
+ */
+function parseFields(value, records = []) {
+    const fields = splitList(value);
+    const errors = [];
+    for (const field of fields) {
+        if (!PATH_PATTERN.test(field)) errors.push(`Invalid field: ${field}`);
+        else if (records.length && !isKnownPath(records, field)) errors.push(`Unknown field: ${field}`);
+    }
+    return { fields, errors };
+}
+
+/**
+ * Parse a history range name (24h, 7d, 30d or all) into a time window
+ * @param {string} [value='30d'] - Range name from the query string
+ * @param {number} [now=Date.now()] - Upper bound of the window in milliseconds
+ * @returns {Object} Result with { range: { name, from, to }, errors }
+ */
+function parseHistoryRange(value, now = Date.now()) {
+    const name = String(value ?? '30d').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(HISTORY_RANGES, name)) {
+        return {
+            range: null,
+            errors: [`range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}`]
+        };
+    }
+    const span = HISTORY_RANGES[name];
+    return {
+        range: { name, from: span === Infinity ? 0 : now - span, to: now },
+        errors: []
+    };
+}
+
+/*---------------------------------------------------------
+    QUERY APPLICATION
+---------------------------------------------------------*/
+
+/**
+ * Compare two present values for sorting (numbers numerically, everything else as text)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Comparison result
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Sort a list by the parsed sort description (stable)
+ * @param {Array} items - Items to sort
+ * @param {Array<Object>} sort - Sort description from parseListQuery
+ * @returns {Array} New sorted array
+ */
+function sortItems(items, sort) {
+    if (!sort || sort.length === 0) return [...items];
+    return [...items].sort((x, y) => {
+        for (const { path, descending } of sort) {
+            const a = getPath(x, path);
+            const b = getPath(y, path);
+            const aMissing = a === null || a === undefined || Number.isNaN(a);
+            const bMissing = b === null || b === undefined || Number.isNaN(b);
+            // Missing values stay last regardless of direction
+            if (aMissing || bMissing) {
+                if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                continue;
+            }
+            const result = compareValues(a, b);
+            if (result !== 0) return descending ? -result : result;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Project an item down to the selected fields (dot-paths keep their nesting)
+ * @param {Object} item - Source item
+ * @param {Array<string>} fields - Selected field paths; empty returns the item unchanged
+ * @returns {Object} Projected item
+ */
+function selectFields(item, fields) {
+    if (!fields || fields.length === 0) return item;
+    const out = {};
+    for (const field of fields) {
+        const value = getPath(item, field);
+        if (value !== undefined) setPath(out, field, value);
+    }
+    return out;
+}
+
+/**
+ * Apply filters, sorting, pagination and field selection to a collection
+ * @param {Array} items - Source collection
+ * @param {Object} params - Parsed params from parseListQuery
+ * @param {Object} [matchers={}] - Map of filter name to (item, values) => boolean
+ * @returns {Object} Result with { data, meta }
+ */
+function applyListQuery(items, params, matchers = {}) {
+    let result = Array.isArray(items) ? items : [];
+
+    for (const [name, values] of Object.entries(params.filters || {})) {
+        const matcher = matchers[name];
+        if (typeof matcher === 'function') {
+            result = result.filter(item => matcher(item, values));
+        }
+    }
+
+    result = sortItems(result, params.sort);
+
+    const total = result.length;
+    const offset = (params.page - 1) * params.limit;
+    const data = result
+        .slice(offset, offset + params.limit)
+        .map(item => selectFields(item, params.fields));
+
+    return {
+        data,
+        meta: {
+            total,
+            page: params.page,
+            limit: params.limit,
+            pages: Math.ceil(total / params.limit)
+        }
+    };
+}
+
+/*---------------------------------------------------------
+    EXPORTS
+---------------------------------------------------------*/
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    HISTORY_RANGES,
+    getPath,
+    normalizeToken,
+    splitList,
+    parseListQuery,
+    parseFields,
+    parseHistoryRange,
+    sortItems,
+    selectFields,
+    applyListQuery
+};
@@ -0,0 +1,65 @@
+/**
+ * Response helpers for the JSON API
+ * Builds the resource representations and meta blocks shared by the live API
+ * (routes/api.js) and the static JSON mirror (services/StaticPublisher.js),
+ * so both serve the same contract
+ */
+
+/*---------------------------------------------------------
+    RESOURCES
+---------------------------------------------------------*/
+
+/**
+ * Build the public representation of an aggregated stablecoin record.
+ * Drops the raw DeFiLlama payload, which is internal merge input rather than API data,
+ * and the field lineage, which is served by /stablecoins/:id/lineage.
+ * @param {Object} record - Aggregated record from StablecoinDataService
+ * @returns {Object} Public stablecoin object
+ */
+function toPublicStablecoin(record) {
+    if (!record) return record;
+    const { defillamaData, ...metadata } = record.metadata || {};
+    const { lineage, ...rest } = record;
+    return { ...rest, metadata };
+}
+
+/**
+ * Build the overall market metrics with stablecoin and tokenized asset segments
+ * @param {Object} dataService - Data service instance
+ * @returns {Promise<Object>} { market, stablecoins, tokenizedAssets }
+ */
+async function buildMetrics(dataService) {
+    const { stablecoinMetrics, tokenizedAssetMetrics, ...market } = await dataService.getMarketMetrics() || {};
+    return {
+        market,
+        stablecoins: await dataService.getStablecoinMetrics(),
+        tokenizedAssets: await dataService.getTokenizedAssetMetrics()
+    };
+}
+
+/*---------------------------------------------------------
+    META
+---------------------------------------------------------*/
+
+/**
+ * Build the response meta block shared by all endpoints
+ * @param {Object} dataService - Data service instance
+ * @param {Object} [extra={}] - Additional meta fields
+ * @returns {Promise<Object>} Meta object with lastUpdated
+ */
+async function buildMeta(dataService, extra = {}) {
+    const metrics = await dataService.getMarketMetrics();
+    return {
+        ...extra,
+        lastUpdated: metrics?.lastUpdated ? new Date(metrics.lastUpdated).toISOString() : null
+    };
+}
+
+/*---------------------------------------------------------
+    EXPORTS
+---------------------------------------------------------*/
+module.exports = {
+    toPublicStablecoin,
+    buildMetrics,
+    buildMeta
+};
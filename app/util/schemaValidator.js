@@ -0,0 +1,113 @@
+/**
+ * Schema validation for the OpenAPI document
+ * Checks values against the subset of OpenAPI 3.0 schema keywords the spec in
+ * routes/openapi.js uses: $ref, type, nullable, enum, properties, required,
+ * additionalProperties, items and oneOf
+ */
+
+/*---------------------------------------------------------
+    HELPERS
+---------------------------------------------------------*/
+
+/**
+ * Resolve a local reference (e.g. '#/components/schemas/Error') within a document
+ * @param {Object} document - OpenAPI document
+ * @param {string} ref - JSON pointer starting with '#/'
+ * @returns {Object} Referenced schema
+ * @throws {Error} When the reference does not resolve
+ */
+function resolveRef(document, ref) {
+    const target = String(ref).replace(/^#\//, '').split('/')
+        .reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), document);
+    if (!target) throw new Error(`Unresolved schema reference: ${ref}`);
+    return target;
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Any value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value against a single schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True when the value has the type
+ */
+function hasType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/*---------------------------------------------------------
+    VALIDATION
+---------------------------------------------------------*/
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - OpenAPI schema object
+ * @param {Object} [document={}] - Document that $ref pointers resolve against
+ * @param {string} [path='$'] - Location of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, document = {}, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    if (schema.$ref) return validateSchema(value, resolveRef(document, schema.$ref), document, path);
+
+    if (value === null) {
+        return schema.nullable || !schema.type ? [] : [`${path}: expected ${schema.type}, got null`];
+    }
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(option => validateSchema(value, option, document, path).length === 0);
+        if (matches.length !== 1) return [`${path}: expected exactly one schema in oneOf to match, ${matches.length} did`];
+        return [];
+    }
+
+    if (schema.type && !hasType(value, schema.type)) {
+        return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+    }
+
+    const errors = [];
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, document, `${path}[${i}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}: missing required property ${key}`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            if (properties[key]) {
+                errors.push(...validateSchema(item, properties[key], document, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property ${key}`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(item, schema.additionalProperties, document, `${path}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+/*---------------------------------------------------------
+    EXPORTS
+---------------------------------------------------------*/
+module.exports = {
+    resolveRef,
+    validateSchema
+};
@@ -511,6 +511,159 @@ function getPlatformMetric(platform, metric, formatter) {
     }
 }
 
+/**
+ * Format a supply change percentage with its sign
+ * @param {Object} change - Supply change by period ({ '1d', '7d', '30d' })
+ * @param {string} period - Period key (e.g. '7d')
+ * @returns {string} Signed percentage (e.g. '+1.25%') or 'No data'
+ */
+function getSupplyChangeDisplay(change, period) {
+    const value = safeGet(change, period);
+    if (typeof value !== 'number' || !isFinite(value)) return 'No data';
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+/**
+ * Get the CSS class for a supply change value
+ * @param {Object} change - Supply change by period ({ '1d', '7d', '30d' })
+ * @param {string} period - Period key (e.g. '7d')
+ * @returns {string} 'supply-change up', 'supply-change down' or 'supply-change'
+ */
+function getSupplyChangeClass(change, period) {
+    const value = safeGet(change, period);
+    if (typeof value !== 'number' || value === 0) return 'supply-change';
+    return value > 0 ? 'supply-change up' : 'supply-change down';
+}
+
+/**
+ * Format a coin's price in its peg currency with the deviation from 1.0
+ * @param {Object} coin - The coin object
+ * @param {boolean} [includeUsd=false] - Also show USD-pegged coins (their price is already USD)
+ * @returns {string|null} Display such as '€1.0003 (+0.03%)', or null when there is nothing to add to the USD price
+ */
+function getPegPriceDisplay(coin, includeUsd = false) {
+    const peg = safeGet(coin, 'peg_price');
+    if (!peg || typeof peg.price !== 'number' || !isFinite(peg.price)) return null;
+    if (peg.currency === 'USD' && !includeUsd) return null;
+
+    let price;
+    try {
+        price = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: peg.currency,
+            minimumFractionDigits: 4,
+            maximumFractionDigits: 4
+        }).format(peg.price);
+    } catch (_) {
+        price = `${peg.price.toFixed(4)} ${peg.currency}`;
+    }
+    const pct = peg.deviation * 100;
+    return `${price} (${pct > 0 ? '+' : ''}${pct.toFixed(2)}%)`;
+}
+
+/**
+ * Format a chain mint or burn from a refresh diff
+ * @param {Object} move - Supply move ({ change, changePercent })
+ * @param {Object} formatter - Formatter functions
+ * @returns {string} Signed supply change with percentage (e.g. '+120,000,000 (+8.20%)'), 'new chain' when there was no supply before
+ */
+function getSupplyMoveDisplay(move, formatter) {
+    const change = safeNumber(safeGet(move, 'change'), 0);
+    const amount = formatter && formatter.formatSupply ? formatter.formatSupply(Math.abs(change)) : String(Math.abs(change));
+    const pct = safeGet(move, 'changePercent');
+    const detail = typeof pct === 'number' && isFinite(pct)
+        ? `${pct > 0 ? '+' : ''}${(pct * 100).toFixed(2)}%`
+        : 'new chain';
+    return `${change < 0 ? '-' : '+'}${amount} (${detail})`;
+}
+
+/**
+ * Format a supply flow amount with its sign
+ * @param {number} value - Flow amount (token units or USD)
+ * @param {Object} formatter - Formatter functions
+ * @param {string} [prefix=''] - Currency prefix placed after the sign (e.g. '$')
+ * @returns {string} Signed amount (e.g. '+$1,250,000', '-3,000'), '0' for no change, or 'No data'
+ */
+function getFlowDisplay(value, formatter, prefix = '') {
+    if (typeof value !== 'number' || !isFinite(value)) return 'No data';
+    const amount = Math.round(Math.abs(value));
+    if (amount === 0) return '0';
+    const text = formatter && formatter.formatSupply ? formatter.formatSupply(amount) : String(amount);
+    return `${value < 0 ? '-' : '+'}${prefix}${text}`;
+}
+
+/**
+ * Get the CSS class for a supply flow amount
+ * @param {number} value - Flow amount
+ * @returns {string} 'supply-change up', 'supply-change down' or 'supply-change'
+ */
+function getFlowClass(value) {
+    if (typeof value !== 'number' || Math.round(value) === 0) return 'supply-change';
+    return value > 0 ? 'supply-change up' : 'supply-change down';
+}
+
+/**
+ * Format a Herfindahl-Hirschman index
+ * @param {number|null} hhi - Index from 0 to 10000
+ * @returns {string} Index with thousands separators (e.g. '4,812') or 'No data'
+ */
+function getHhiDisplay(hhi) {
+    if (typeof hhi !== 'number' || !isFinite(hhi)) return 'No data';
+    return Math.round(hhi).toLocaleString('en-US');
+}
+
+/**
+ * Format the change of a chain's HHI since the start of a period
+ * @param {Object} concentration - Platform concentration ({ hhi, history })
+ * @param {string} period - Period key (e.g. '7d')
+ * @returns {string} Signed change in index points (e.g. '+120'), '0', or 'No data'
+ */
+function getHhiChangeDisplay(concentration, period) {
+    const current = safeGet(concentration, 'hhi');
+    const previous = safeGet(concentration, `history.${period}.hhi`);
+    if (typeof current !== 'number' || typeof previous !== 'number') return 'No data';
+    const change = current - previous;
+    if (change === 0) return '0';
+    return `${change > 0 ? '+' : '-'}${Math.abs(change).toLocaleString('en-US')}`;
+}
+
+/**
+ * Get the CSS class for a concentration band
+ * @param {string|null} level - 'unconcentrated', 'moderate' or 'high'
+ * @returns {string} 'concentration-level <level>' or 'concentration-level'
+ */
+function getConcentrationClass(level) {
+    return level ? `concentration-level ${level}` : 'concentration-level';
+}
+
+/**
+ * Format the largest entries of an issuer or peg breakdown
+ * @param {Array<Object>} items - Breakdown entries with a percentage, largest first
+ * @param {string} key - Field holding the entry name ('issuer' or 'peg')
+ * @param {number} [limit=3] - Number of entries to show before summarizing the rest
+ * @returns {string} Display such as 'USD 92.1%, EUR 7.9%' or 'No data'
+ */
+function getMixDisplay(items, key, limit = 3) {
+    if (!Array.isArray(items) || items.length === 0) return 'No data';
+    const shown = items.slice(0, limit).map(item => `${item[key]} ${safeNumber(item.percentage).toFixed(1)}%`);
+    if (items.length > limit) shown.push(`+${items.length - limit} more`);
+    return shown.join(', ');
+}
+
+/*---------------------------------------------------------
+    ASSET HELPERS
+---------------------------------------------------------*/
+
+/**
+ * Resolve the URL of a static asset, using its fingerprinted name when the page has one
+ * @param {Object} assets - Map of asset paths to fingerprinted paths (set by the static build, absent on the server)
+ * @param {string} file - Asset path (e.g. '/common.css')
+ * @returns {string} Fingerprinted path (e.g. '/common.3f2a9c1e.css') or the path itself
+ */
+function getAssetUrl(assets, file) {
+    return (assets && assets[file]) || file;
+}
+
 /*---------------------------------------------------------
     EXPORTS
 ---------------------------------------------------------*/
@@ -547,5 +700,18 @@ module.exports = {
     hasCrossChainData,
     getPlatformCoinCount,
     getPlatformRank,
-    getPlatformMetric
+    getPlatformMetric,
+    getSupplyChangeDisplay,
+    getSupplyChangeClass,
+    getPegPriceDisplay,
+    getSupplyMoveDisplay,
+    getFlowDisplay,
+    getFlowClass,
+    getHhiDisplay,
+    getHhiChangeDisplay,
+    getConcentrationClass,
+    getMixDisplay,
+
+    // Assets
+    getAssetUrl
 };
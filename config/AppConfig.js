@@ -39,6 +39,20 @@ class AppConfig {
             // Data Processing Configuration
             dataProcessing: {
                 matchThreshold: SafeUtils.safeParseFloat(process.env.MATCH_THRESHOLD, 0.8),
+                identityOverridesPath: process.env.IDENTITY_OVERRIDES_PATH || 'config/identity-overrides.json',
+                pricing: {
+                    strategy: process.env.PRICING_STRATEGY || 'priority',
+                    fieldStrategies: {
+                        price: process.env.PRICE_STRATEGY || null,
+                        marketCap: process.env.MARKET_CAP_STRATEGY || null,
+                        volume24h: process.env.VOLUME_STRATEGY || null
+                    },
+                    outlierMethod: process.env.PRICING_OUTLIER_METHOD || 'mad',
+                    madThreshold: SafeUtils.safeParseFloat(process.env.PRICING_MAD_THRESHOLD, 3.5),
+                    minDeviationPercent: SafeUtils.safeParseFloat(process.env.PRICING_MIN_DEVIATION_PERCENT, 1),
+                    maxDeviationPercent: SafeUtils.safeParseFloat(process.env.PRICING_MAX_DEVIATION_PERCENT, 5),
+                    trimPercent: SafeUtils.safeParseFloat(process.env.PRICING_TRIM_PERCENT, 0.2)
+                },
                 batchSize: SafeUtils.safeParseInt(process.env.BATCH_SIZE, 50),
                 priceRange: {
                     min: SafeUtils.safeParseFloat(process.env.MIN_STABLECOIN_PRICE, 0.50),
@@ -81,8 +95,100 @@ class AppConfig {
             cache: {
                 enabled: process.env.CACHING !== 'false',
                 defaultTtlMs: SafeUtils.safeParseInt(process.env.CACHE_DEFAULT_TTL_MS, 300000),
+                staleTtlMs: SafeUtils.safeParseInt(process.env.CACHE_STALE_TTL_MS, 300000),
                 maxSize: SafeUtils.safeParseInt(process.env.CACHE_MAX_SIZE, 1000),
-                type: process.env.CACHE_TYPE || 'memory' // memory, redis
+                type: process.env.CACHE_TYPE || 'memory', // memory, redis
+                redis: {
+                    url: process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379',
+                    keyPrefix: process.env.CACHE_KEY_PREFIX || 'stablecoinwatch:',
+                    timeoutMs: SafeUtils.safeParseInt(process.env.CACHE_REDIS_TIMEOUT_MS, 2000)
+                }
+            },
+
+            // Historical Snapshot Configuration
+            history: {
+                enabled: process.env.HISTORY_ENABLED !== 'false',
+                directory: process.env.HISTORY_DIR || 'data/history',
+                restoreOnStart: process.env.HISTORY_RESTORE_ON_START !== 'false',
+                retentionDays: SafeUtils.safeParseInt(process.env.HISTORY_RETENTION_DAYS, 365),
+                rawRetentionHours: SafeUtils.safeParseInt(process.env.HISTORY_RAW_RETENTION_HOURS, 48),
+                hourlyRetentionDays: SafeUtils.safeParseInt(process.env.HISTORY_HOURLY_RETENTION_DAYS, 30),
+                compactionIntervalMs: SafeUtils.safeParseInt(process.env.HISTORY_COMPACTION_INTERVAL_MS, 3600000)
+            },
+
+            // Depeg Monitoring Configuration
+            depeg: {
+                enabled: process.env.DEPEG_MONITORING !== 'false',
+                minMarketCap: SafeUtils.safeParseFloat(process.env.DEPEG_MIN_MARKET_CAP, 1000000),
+                thresholds: this._parseDepegThresholds(),
+                referencePrices: this._parseDepegReferencePrices()
+            },
+
+            // FX Reference Rate Configuration (peg-currency prices for non-USD stablecoins)
+            fx: {
+                enabled: process.env.FX_RATES !== 'false',
+                providers: this._parseFxProviders(),
+                filePath: process.env.FX_RATES_FILE || 'config/fx-rates.json',
+                apiUrl: process.env.FX_API_URL || 'https://api.frankfurter.app/latest',
+                cacheTtlMs: SafeUtils.safeParseInt(process.env.FX_CACHE_TTL_MS, 3600000),
+                maxAgeHours: SafeUtils.safeParseInt(process.env.FX_MAX_AGE_HOURS, 96)
+            },
+
+            // Webhook Notification Configuration
+            webhooks: {
+                enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+                endpoints: this._parseWebhookEndpoints(),
+                timeoutMs: SafeUtils.safeParseInt(process.env.WEBHOOK_TIMEOUT_MS, 5000),
+                maxRetries: SafeUtils.safeParseInt(process.env.WEBHOOK_MAX_RETRIES, 3),
+                retryDelayMs: SafeUtils.safeParseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 1000),
+                deadLetterPath: process.env.WEBHOOK_DEAD_LETTER_PATH || 'data/webhooks/dead-letter.jsonl',
+                marketCapMoveThreshold: SafeUtils.safeParseFloat(process.env.WEBHOOK_MCAP_MOVE_THRESHOLD, 0.1),
+                marketCapMoveMinimum: SafeUtils.safeParseFloat(process.env.WEBHOOK_MCAP_MOVE_MIN_USD, 10000000)
+            },
+
+            // Refresh Diff Configuration (what changed between consecutive datasets)
+            diff: {
+                enabled: process.env.REFRESH_DIFF !== 'false',
+                historySize: SafeUtils.safeParseInt(process.env.DIFF_HISTORY_SIZE, 24),
+                supplyMoveThreshold: SafeUtils.safeParseFloat(process.env.DIFF_SUPPLY_MOVE_THRESHOLD, 0.05),
+                supplyMoveMinimum: SafeUtils.safeParseFloat(process.env.DIFF_SUPPLY_MOVE_MIN_USD, 10000000),
+                rankTopN: SafeUtils.safeParseInt(process.env.DIFF_RANK_TOP_N, 100)
+            },
+
+            // Supply Flow Analytics Configuration (mints, burns and cross-chain migration)
+            supplyFlows: {
+                enabled: process.env.SUPPLY_FLOWS !== 'false',
+                coverageTolerance: SafeUtils.safeParseFloat(process.env.SUPPLY_FLOWS_COVERAGE_TOLERANCE, 0.1)
+            },
+
+            // Chain Concentration Analytics Configuration (HHI, issuer and peg mix per chain)
+            chainAnalytics: {
+                dominanceThreshold: SafeUtils.safeParseFloat(process.env.CHAIN_DOMINANCE_THRESHOLD, 0.5),
+                issuersPath: process.env.ISSUERS_PATH || 'config/issuers.json'
+            },
+
+            // Static Build Configuration (JSON API mirror, feeds, incremental rendering)
+            staticSite: {
+                siteUrl: (process.env.SITE_URL || 'https://stablecoinwatch.com').replace(/\/+$/, ''),
+                feedSize: SafeUtils.safeParseInt(process.env.FEED_SIZE, 50),
+                incremental: process.env.STATIC_INCREMENTAL === 'true',
+                renderWorkers: SafeUtils.safeParseInt(process.env.STATIC_RENDER_WORKERS, 0)
+            },
+
+            // Live Update (Server-Sent Events) Configuration
+            liveUpdates: {
+                enabled: process.env.LIVE_UPDATES !== 'false',
+                heartbeatMs: SafeUtils.safeParseInt(process.env.LIVE_UPDATES_HEARTBEAT_MS, 25000),
+                maxClients: SafeUtils.safeParseInt(process.env.LIVE_UPDATES_MAX_CLIENTS, 500),
+                replayBufferSize: SafeUtils.safeParseInt(process.env.LIVE_UPDATES_REPLAY_SIZE, 50),
+                retryMs: SafeUtils.safeParseInt(process.env.LIVE_UPDATES_RETRY_MS, 10000)
+            },
+
+            // Metrics Endpoint (OpenMetrics) Configuration; histogram buckets are in seconds
+            metrics: {
+                enabled: process.env.METRICS_ENABLED !== 'false',
+                latencyBuckets: this._parseMetricBuckets(process.env.METRICS_LATENCY_BUCKETS, [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]),
+                refreshBuckets: this._parseMetricBuckets(process.env.METRICS_REFRESH_BUCKETS, [1, 5, 10, 30, 60, 120, 300])
             },
 
             // Data Sources Configuration (API-specific configs loaded separately)
@@ -90,7 +196,9 @@ class AppConfig {
                 enabled: this._parseEnabledSources(),
                 priority: this._parseSourcePriority(),
                 fallbackEnabled: process.env.FALLBACK_ENABLED !== 'false',
-                parallelFetching: process.env.PARALLEL_FETCHING !== 'false'
+                parallelFetching: process.env.PARALLEL_FETCHING !== 'false',
+                pluginDirectory: process.env.DATA_SOURCE_PLUGIN_DIR || 'plugins',
+                plugins: this._parseDataSourcePlugins()
             },
 
             // API Common Configuration
@@ -99,7 +207,20 @@ class AppConfig {
                 defaultTimeout: SafeUtils.safeParseInt(process.env.API_DEFAULT_TIMEOUT_MS, 15000),
                 maxRetries: SafeUtils.safeParseInt(process.env.API_MAX_RETRIES, 3),
                 retryDelay: SafeUtils.safeParseInt(process.env.API_RETRY_DELAY_MS, 2000),
-                rateLimitBuffer: SafeUtils.safeParseFloat(process.env.RATE_LIMIT_BUFFER, 0.8)
+                maxRetryDelayMs: SafeUtils.safeParseInt(process.env.API_MAX_RETRY_DELAY_MS, 30000),
+                rateLimitBuffer: SafeUtils.safeParseFloat(process.env.RATE_LIMIT_BUFFER, 0.8),
+                rateLimitMaxWaitMs: SafeUtils.safeParseInt(process.env.RATE_LIMIT_MAX_WAIT_MS, 30000)
+            },
+
+            // Logging Configuration
+            logging: {
+                level: (process.env.LOG_LEVEL || (process.env.VERBOSE_LOGGING === 'true' ? 'debug' : 'info')).toLowerCase(),
+                // 'json' for log ingestion, 'pretty' for one line per entry; default depends on NODE_ENV
+                format: (process.env.LOG_FORMAT || (this.environment === 'development' ? 'pretty' : 'json')).toLowerCase(),
+                moduleLevels: this._parseModuleLogLevels(),
+                legacyConsole: process.env.USE_LEGACY_CONSOLE_FORMAT === 'true',
+                // Tests stay quiet unless a level is asked for explicitly
+                silent: this.environment === 'test' && !process.env.LOG_LEVEL
             },
 
             // Development Configuration
@@ -127,6 +248,45 @@ class AppConfig {
         return envSources.split(',').map(s => s.trim()).filter(s => s);
     }
 
+    /**
+     * Parse per-module log levels from LOG_LEVEL_<MODULE> variables
+     * @private
+     * @returns {Object} Level by lowercase module name ('fetchers', 'fetchers.cmc', ...); '_' separates name segments
+     */
+    _parseModuleLogLevels() {
+        const levels = {};
+        for (const [key, value] of Object.entries(process.env)) {
+            const match = /^LOG_LEVEL_(.+)$/.exec(key);
+            if (match && value) levels[match[1].toLowerCase().replace(/_/g, '.')] = value.trim().toLowerCase();
+        }
+        return levels;
+    }
+
+    /**
+     * Parse histogram bucket bounds from environment
+     * @private
+     * @param {string} [value] - Comma-separated upper bounds in seconds
+     * @param {Array<number>} defaults - Bounds used when unset or invalid
+     * @returns {Array<number>} Positive bounds in ascending order
+     */
+    _parseMetricBuckets(value, defaults) {
+        if (!value) return defaults;
+        const bounds = value.split(',').map(s => parseFloat(s.trim())).filter(n => Number.isFinite(n) && n > 0);
+        return bounds.length ? Array.from(new Set(bounds)).sort((a, b) => a - b) : defaults;
+    }
+
+    /**
+     * Parse data source plugin packages from environment
+     * @private
+     * @returns {Array<string>} npm package names or module paths
+     */
+    _parseDataSourcePlugins() {
+        const envPlugins = process.env.DATA_SOURCE_PLUGINS;
+        if (!envPlugins) return [];
+
+        return envPlugins.split(',').map(s => s.trim()).filter(s => s);
+    }
+
     /**
      * Parse source priority configuration
      * @private
@@ -157,6 +317,103 @@ class AppConfig {
         return parsed;
     }
 
+    /**
+     * Parse per-peg depeg thresholds. `default` applies to any peg without its own entry;
+     * per-peg entries only need the keys they override.
+     * @private
+     * @returns {Object} Map of peg currency -> { warning, critical, durationMinutes }
+     */
+    _parseDepegThresholds() {
+        const defaultThresholds = {
+            default: { warning: 0.01, critical: 0.03, durationMinutes: 30 },
+            USD: { warning: 0.005, critical: 0.02, durationMinutes: 15 }
+        };
+
+        const envThresholds = process.env.DEPEG_THRESHOLDS;
+        if (!envThresholds) return defaultThresholds;
+
+        const parsed = SafeUtils.safeParseJSON(
+            envThresholds,
+            {},
+            (msg) => {
+                if (this.logger && this.logger.warn) {
+                    this.logger.warn('Invalid DEPEG_THRESHOLDS JSON: ' + msg);
+                }
+            }
+        );
+
+        return { ...defaultThresholds, ...parsed };
+    }
+
+    /**
+     * Parse reference prices (in USD) for peg currencies.
+     * Pegs without a reference price here are measured against FX reference rates.
+     * @private
+     * @returns {Object} Map of peg currency -> USD price of one unit
+     */
+    _parseDepegReferencePrices() {
+        const defaultPrices = { USD: 1 };
+
+        const envPrices = process.env.DEPEG_REFERENCE_PRICES;
+        if (!envPrices) return defaultPrices;
+
+        const parsed = SafeUtils.safeParseJSON(
+            envPrices,
+            {},
+            (msg) => {
+                if (this.logger && this.logger.warn) {
+                    this.logger.warn('Invalid DEPEG_REFERENCE_PRICES JSON: ' + msg);
+                }
+            }
+        );
+
+        return { ...defaultPrices, ...parsed };
+    }
+
+    /**
+     * Parse FX rate providers from FX_PROVIDERS, in the order they are consulted.
+     * @private
+     * @returns {Array<string>} Provider names ('file', 'frankfurter')
+     */
+    _parseFxProviders() {
+        const defaultProviders = ['file', 'frankfurter'];
+        const envProviders = process.env.FX_PROVIDERS;
+        if (!envProviders) return defaultProviders;
+
+        return envProviders.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
+    }
+
+    /**
+     * Parse webhook endpoints from WEBHOOK_ENDPOINTS, a JSON array of
+     * { url, secret, events, name } objects. `events` defaults to all events.
+     * @private
+     * @returns {Array<Object>} Webhook endpoint definitions
+     */
+    _parseWebhookEndpoints() {
+        const envEndpoints = process.env.WEBHOOK_ENDPOINTS;
+        if (!envEndpoints) return [];
+
+        const parsed = SafeUtils.safeParseJSON(
+            envEndpoints,
+            [],
+            (msg) => {
+                if (this.logger && this.logger.warn) {
+                    this.logger.warn('Invalid WEBHOOK_ENDPOINTS JSON: ' + msg);
+                }
+            }
+        );
+        if (!Array.isArray(parsed)) return [];
+
+        return parsed
+            .filter(e => e && typeof e.url === 'string' && e.url)
+            .map((e, index) => ({
+                name: e.name || `endpoint-${index + 1}`,
+                url: e.url,
+                secret: e.secret || null,
+                events: Array.isArray(e.events) && e.events.length ? e.events : ['*']
+            }));
+    }
+
     /**
      * Validate configuration and set warnings
      * @private
@@ -188,12 +445,79 @@ class AppConfig {
             this._config.dataProcessing.matchThreshold = 0.8;
         }
 
+        // Validate pricing engine settings
+        const pricing = this._config.dataProcessing.pricing;
+        const strategies = ['priority', 'median', 'trimmed-mean', 'weighted'];
+        if (!strategies.includes(pricing.strategy)) {
+            warnings.push(`Invalid pricing strategy ${pricing.strategy}, using priority`);
+            pricing.strategy = 'priority';
+        }
+        for (const [field, strategy] of Object.entries(pricing.fieldStrategies)) {
+            if (strategy && !strategies.includes(strategy)) {
+                warnings.push(`Invalid ${field} pricing strategy ${strategy}, using ${pricing.strategy}`);
+                pricing.fieldStrategies[field] = null;
+            }
+        }
+        if (!['mad', 'percent', 'none'].includes(pricing.outlierMethod)) {
+            warnings.push(`Invalid pricing outlier method ${pricing.outlierMethod}, using mad`);
+            pricing.outlierMethod = 'mad';
+        }
+        if (pricing.trimPercent < 0 || pricing.trimPercent >= 0.5) {
+            warnings.push('Invalid pricing trim percent, using default 0.2');
+            pricing.trimPercent = 0.2;
+        }
+
+        // Validate API retry settings
+        if (this._config.api.maxRetries < 0) {
+            warnings.push('Invalid API max retries, using 0');
+            this._config.api.maxRetries = 0;
+        }
+        if (this._config.api.maxRetryDelayMs < this._config.api.retryDelay) {
+            warnings.push('API max retry delay shorter than retry delay, aligning to retry delay');
+            this._config.api.maxRetryDelayMs = this._config.api.retryDelay;
+        }
+
+        // Validate cache settings
+        if (!['memory', 'redis'].includes(this._config.cache.type)) {
+            warnings.push(`Invalid cache type ${this._config.cache.type}, using memory`);
+            this._config.cache.type = 'memory';
+        }
+        if (this._config.cache.maxSize < 1) {
+            warnings.push('Invalid cache max size, using default 1000');
+            this._config.cache.maxSize = 1000;
+        }
+        // Responses must expire before the next scheduled refresh, or every refresh publishes the previous cycle's data
+        const refreshMs = this._config.dataUpdate.intervalMinutes * 60 * 1000;
+        if (this._config.cache.defaultTtlMs + this._config.cache.staleTtlMs >= refreshMs) {
+            warnings.push('Cache fresh and stale TTLs reach the update interval, limiting each to a third of it');
+            this._config.cache.defaultTtlMs = Math.min(this._config.cache.defaultTtlMs, Math.floor(refreshMs / 3));
+            this._config.cache.staleTtlMs = Math.min(this._config.cache.staleTtlMs, Math.floor(refreshMs / 3));
+        }
+
         // Validate health thresholds
         if (this._config.health.errorRateThreshold < 0 || this._config.health.errorRateThreshold > 1) {
             warnings.push('Invalid error rate threshold, using default 0.2');
             this._config.health.errorRateThreshold = 0.2;
         }
 
+        // Validate history retention tiers (raw <= hourly <= total)
+        const history = this._config.history;
+        if (history.hourlyRetentionDays * 24 < history.rawRetentionHours) {
+            warnings.push('History hourly retention shorter than raw retention, aligning to raw retention');
+            history.hourlyRetentionDays = Math.ceil(history.rawRetentionHours / 24);
+        }
+        if (history.retentionDays < history.hourlyRetentionDays) {
+            warnings.push('History retention shorter than hourly retention, aligning to hourly retention');
+            history.retentionDays = history.hourlyRetentionDays;
+        }
+
+        // Warn about unsigned webhook endpoints
+        for (const endpoint of this._config.webhooks.endpoints) {
+            if (!endpoint.secret) {
+                warnings.push(`Webhook endpoint ${endpoint.name} has no secret; payloads will be unsigned`);
+            }
+        }
+
         // Check for missing essential configuration
         if (this._config.dataSources.enabled.length === 0) {
             warnings.push('No data sources enabled, application will not function properly');
@@ -261,7 +585,87 @@ class AppConfig {
      * @returns {Object} Cache config
      */
     get cache() {
-        return { ...this._config.cache };
+        return { ...this._config.cache, redis: { ...this._config.cache.redis } };
+    }
+
+    /**
+     * Get historical snapshot configuration
+     * @returns {Object} History config
+     */
+    get history() {
+        return { ...this._config.history };
+    }
+
+    /**
+     * Get depeg monitoring configuration
+     * @returns {Object} Depeg config
+     */
+    get depeg() {
+        return { ...this._config.depeg };
+    }
+
+    /**
+     * Get refresh diff configuration
+     * @returns {Object} Diff config
+     */
+    get diff() {
+        return { ...this._config.diff };
+    }
+
+    /**
+     * Get supply flow analytics configuration
+     * @returns {Object} Supply flow config
+     */
+    get supplyFlows() {
+        return { ...this._config.supplyFlows };
+    }
+
+    /**
+     * Get chain concentration analytics configuration
+     * @returns {Object} Chain analytics config
+     */
+    get chainAnalytics() {
+        return { ...this._config.chainAnalytics };
+    }
+
+    /**
+     * Get static build configuration
+     * @returns {Object} Static site config
+     */
+    get staticSite() {
+        return { ...this._config.staticSite };
+    }
+
+    /**
+     * Get live update (SSE) configuration
+     * @returns {Object} Live update config
+     */
+    get liveUpdates() {
+        return { ...this._config.liveUpdates };
+    }
+
+    /**
+     * Get metrics endpoint configuration
+     * @returns {Object} Metrics config
+     */
+    get metrics() {
+        return { ...this._config.metrics };
+    }
+
+    /**
+     * Get FX reference rate configuration
+     * @returns {Object} FX config
+     */
+    get fx() {
+        return { ...this._config.fx };
+    }
+
+    /**
+     * Get webhook notification configuration
+     * @returns {Object} Webhooks config
+     */
+    get webhooks() {
+        return { ...this._config.webhooks, endpoints: this._config.webhooks.endpoints.map(e => ({ ...e })) };
     }
 
     /**
@@ -280,6 +684,14 @@ class AppConfig {
         return { ...this._config.api };
     }
 
+    /**
+     * Get logging configuration
+     * @returns {Object} Logging config
+     */
+    get logging() {
+        return { ...this._config.logging, moduleLevels: { ...this._config.logging.moduleLevels } };
+    }
+
     /**
      * Get development configuration
      * @returns {Object} Development config
@@ -49,10 +49,10 @@ class CoinGeckoApiConfig extends ApiConfigBase {
                 hasMarketData: true,
                 hasSupplyData: true,
                 hasPlatformData: true,
-                hasNetworkBreakdown: false,
+                hasNetworkBreakdown: true, // Contract addresses per chain from /coins/{id}
                 hasMetadata: true,
                 priority: 6, // Medium priority
-                dataTypes: ['price', 'market_cap', 'volume', 'supply', 'metadata']
+                dataTypes: ['price', 'market_cap', 'volume', 'supply', 'metadata', 'tags', 'platforms', 'network_breakdown']
             },
             
             processing: {
@@ -62,7 +62,10 @@ class CoinGeckoApiConfig extends ApiConfigBase {
                 priceChangePercentage: '24h',
                 includeTokenizedAssets: false, // Will be overridden by environment
                 perPage: 250, // CoinGecko pagination
-                maxPages: 4 // Limit total results
+                maxPages: 4, // Limit total results
+                // /coins/{id} enrichment (categories, description, homepage, contract addresses) for the largest coins
+                detailTopN: 10, // 0 disables detail requests
+                detailCacheTtlMs: 86400000 // Detail rarely changes; a long cache lets free-tier limits fill it over several refreshes
             },
 
             mockData: {
@@ -104,7 +107,9 @@ class CoinGeckoApiConfig extends ApiConfigBase {
                 includeSparkline: process.env.COINGECKO_INCLUDE_SPARKLINE === 'true',
                 priceChangePercentage: process.env.COINGECKO_PRICE_CHANGE_PERIOD || '24h',
                 perPage: SafeUtils.safeParseInt(process.env.COINGECKO_PER_PAGE, 250),
-                maxPages: SafeUtils.safeParseInt(process.env.COINGECKO_MAX_PAGES, 4)
+                maxPages: SafeUtils.safeParseInt(process.env.COINGECKO_MAX_PAGES, 4),
+                detailTopN: Math.max(0, SafeUtils.safeParseInt(process.env.COINGECKO_DETAIL_TOP_N, 10)),
+                detailCacheTtlMs: Math.max(0, SafeUtils.safeParseInt(process.env.COINGECKO_DETAIL_CACHE_TTL_MS, 86400000))
             }
         };
         
@@ -77,6 +77,12 @@ class DeFiLlamaApiConfig extends ApiConfigBase {
                     excludeSymbols: [],
                     requireStablecoinKeywords: true, // Require 'usd', 'dollar', or common stable patterns
                     maxExpectedCount: 200 // Circuit breaker
+                },
+                // Per-coin detail (/stablecoin/{id}) for the largest coins: daily chainBalances history
+                chainHistory: {
+                    detailTopN: 20, // 0 disables detail requests; list prev day/week/month values still apply
+                    historyDays: 30,
+                    detailCacheTtlMs: 3600000 // History changes once a day, so detail responses are cached longer
                 }
             },
 
@@ -122,6 +128,11 @@ class DeFiLlamaApiConfig extends ApiConfigBase {
                     excludeSymbols,
                     requireStablecoinKeywords: process.env.DEFILLAMA_REQUIRE_STABLE_KEYWORDS !== 'false',
                     maxExpectedCount: SafeUtils.safeParseInt(process.env.DEFILLAMA_MAX_COINS, 200)
+                },
+                chainHistory: {
+                    detailTopN: Math.max(0, SafeUtils.safeParseInt(process.env.DEFILLAMA_DETAIL_TOP_N, 20)),
+                    historyDays: Math.max(1, SafeUtils.safeParseInt(process.env.DEFILLAMA_HISTORY_DAYS, 30)),
+                    detailCacheTtlMs: Math.max(0, SafeUtils.safeParseInt(process.env.DEFILLAMA_DETAIL_CACHE_TTL_MS, 3600000))
                 }
             }
         };
@@ -135,6 +135,7 @@ class IDataFetcher {
  * @typedef {Object} StandardizedStablecoin
  * @property {string} sourceId - Which API provided this data
  * @property {string} id - Unique identifier from source
+ * @property {Object<string, string|number>} [externalIds] - Provider ids known for this asset keyed by provider (e.g. { coingecko: 'tether' }), used for cross-source identity matching
  * @property {string} name - Stablecoin name
  * @property {string} symbol - Stablecoin symbol
  * @property {string} slug - URL-safe identifier
@@ -174,6 +175,17 @@ class IDataFetcher {
  * @property {string} contractAddress - Token contract address on the network (if available)
  * @property {number} supply - Supply on this network (if available)
  * @property {number} percentage - Percentage share of total (if available)
+ * @property {ChainSupplyHistory} [historical] - Supply history on this network (if available)
+ */
+
+/**
+ * Supply history of a stablecoin on one network
+ * @typedef {Object} ChainSupplyHistory
+ * @property {number|null} prevDay - Supply one day ago
+ * @property {number|null} prevWeek - Supply seven days ago
+ * @property {number|null} prevMonth - Supply thirty days ago
+ * @property {Object} change - Percentage change of current supply: { '1d', '7d', '30d' } (null when unknown)
+ * @property {Array<{timestamp: number, supply: number}>} series - Daily supply, oldest first (empty when not fetched)
  */
 
 /**
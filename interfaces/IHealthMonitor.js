@@ -46,6 +46,16 @@ class IHealthMonitor {
         throw new Error('Method recordFailure() must be implemented');
     }
 
+    /**
+     * Record the size of a fetched dataset without counting a request
+     * @param {string} sourceId - Data source identifier
+     * @param {Object} quality - Dataset details ({ recordCount })
+     * @returns {Promise<void>}
+     */
+    async recordDataQuality(sourceId, quality) {
+        throw new Error('Method recordDataQuality() must be implemented');
+    }
+
     /**
      * Get performance metrics for a time period
      * @param {string} sourceId - Data source identifier (optional, null for all)
@@ -131,6 +141,7 @@ class IHealthMonitor {
  * @property {string} operation - Operation type (fetch, transform, etc.)
  * @property {number} duration - Operation duration in ms
  * @property {number} recordCount - Number of records processed
+ * @property {number} attempt - Attempt number when the operation was retried
  * @property {number} timestamp - When operation completed
  * @property {Object} metadata - Additional operation-specific data
  */
@@ -143,6 +154,8 @@ class IHealthMonitor {
  * @property {string} message - Error message
  * @property {number} statusCode - HTTP status code if applicable
  * @property {boolean} retryable - Whether error is retryable
+ * @property {number} attempt - Attempt number when the operation was retried
+ * @property {number} duration - Time spent on the failed attempt in ms
  * @property {number} timestamp - When error occurred
  * @property {Object} context - Additional error context
  */
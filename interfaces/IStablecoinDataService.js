@@ -112,6 +112,7 @@ class IStablecoinDataService {
  * @property {AggregatedMetadata} metadata - Merged metadata with classification info
  * @property {DataConfidence} confidence - Confidence scores for different data types
  * @property {Array<string>} dataSources - Which sources provided data for this coin
+ * @property {Object<string, MarketDataPricing>} pricing - How price, marketCap and volume24h were computed
  * @property {number} lastUpdated - When this data was last refreshed
  * @property {DataQuality} quality - Data quality indicators
  */
@@ -128,6 +129,26 @@ class IStablecoinDataService {
  * @property {number} percentChange24h - 24h price change
  * @property {number} rank - Market cap ranking
  * @property {Object} sourcePrices - Price from each source for comparison
+ * @property {PegPrice|null} peg - Price in the peg currency, or null when the peg has no reference rate
+ */
+
+/**
+ * Price expressed in a coin's peg currency
+ * @typedef {Object} PegPrice
+ * @property {string} currency - Peg currency code (e.g. 'EUR', 'XAU')
+ * @property {number} price - Price in units of the peg currency
+ * @property {number} deviation - Distance from 1.0 as a fraction (0.0003 = +0.03%)
+ * @property {number} fxRate - USD value of one unit of the peg currency
+ * @property {string} fxSource - Rate provider ('file', 'frankfurter', or 'fixed' for USD)
+ * @property {number|null} fxAsOf - When the rate was quoted (milliseconds)
+ */
+
+/**
+ * Pricing engine outcome for one market data field
+ * @typedef {Object} MarketDataPricing
+ * @property {string} strategy - 'priority', 'median', 'trimmed-mean' or 'weighted'
+ * @property {Array<string>} sources - Sources whose values produced the field
+ * @property {Array<{source: string, value: number, reason: string}>} excluded - Sources rejected as outliers and why
  */
 
 /**
@@ -150,6 +171,7 @@ class IStablecoinDataService {
  * @property {number} percentage - Percentage of total supply
  * @property {string} contractAddress - Contract address if applicable
  * @property {string} source - Which API provided this data
+ * @property {ChainSupplyHistory|null} [historical] - Supply history on this network (see IDataFetcher)
  */
 
 /**
@@ -209,6 +231,7 @@ class IStablecoinDataService {
  * @property {boolean} hasMultipleSources - Multiple sources confirm data
  * @property {boolean} hasMarketData - Has complete market data
  * @property {boolean} hasSupplyData - Has supply information
+ * @property {boolean} hasPegPrice - Price could be expressed in the peg currency
  * @property {Array<string>} warnings - Data quality warnings
  * @property {Array<string>} missingFields - List of missing data fields
  */
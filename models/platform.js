@@ -10,7 +10,7 @@ class Platform {
      * @param {number|null} [total_supply=null] - Total supply on this platform
      * @param {number|null} [circulating_supply=null] - Circulating supply on this platform
      * @param {number|null} [supply_percentage=null] - Percentage of total supply on this platform
-     * @param {Object} [historical_data={}] - Historical supply data (prev day/week/month)
+     * @param {Object} [historical_data={}] - Historical supply data (prev day/week/month, % change and daily series)
      */
     constructor(
         name = '',
@@ -33,7 +33,7 @@ class Platform {
         this.circulating_supply = circulating_supply;
         /** @type {number|null} Percentage of total supply on this platform */
         this.supply_percentage = supply_percentage;
-        /** @type {Object} Historical supply data with prev day/week/month values */
+        /** @type {Object} Historical supply data: prevDay, prevWeek, prevMonth, change { '1d', '7d', '30d' } and series */
         this.historical_data = historical_data;
     }
 }
@@ -25,6 +25,8 @@ class Stablecoin {
         this.platforms = [];
         /** @type {string|null} The asset this stablecoin is pegged to (e.g., USD, EUR, Gold) */
         this.pegged_asset = null;
+        /** @type {Object|null} Price in the peg currency ({ currency, price, deviation, fxRate, fxSource, fxAsOf }) */
+        this.peg_price = null;
         /** @type {Object} Main market data (price, market cap, volume, etc.) */
         this.main = {};
         /** @type {Object} Messari-specific data */
@@ -0,0 +1,64 @@
+/**
+ * StablecoinWatch API Docs
+ *
+ * Sends requests from the forms on the API docs page (/api/docs). Each form carries its
+ * operation in markup:
+ *
+ *   <form class="try-form" data-path="/api/v1/stablecoins/{id}" data-json="true">
+ *       <input name="id" data-in="path">      substituted into the path
+ *       <input name="fields" data-in="query">  appended to the query string when set
+ *
+ * JSON operations show the status and pretty-printed body below the form; streams and
+ * file downloads open in a new tab instead.
+ */
+(function () {
+    function buildUrl(form) {
+        let path = form.getAttribute('data-path');
+        const query = new URLSearchParams();
+        form.querySelectorAll('input[name]').forEach(input => {
+            const value = input.value.trim();
+            if (input.getAttribute('data-in') === 'path') {
+                path = path.replace('{' + input.name + '}', encodeURIComponent(value));
+            } else if (value) {
+                query.append(input.name, value);
+            }
+        });
+        const search = query.toString();
+        return search ? path + '?' + search : path;
+    }
+
+    async function send(form) {
+        const url = buildUrl(form);
+        if (form.getAttribute('data-json') !== 'true') {
+            window.open(url, '_blank', 'noopener');
+            return;
+        }
+
+        const result = form.nextElementSibling;
+        const status = result.querySelector('[data-result-status]');
+        const body = result.querySelector('[data-result-body]');
+        result.style.display = 'block';
+        status.textContent = 'GET ' + url + ' ...';
+        body.textContent = '';
+        try {
+            const response = await fetch(url, { headers: { Accept: 'application/json' } });
+            const text = await response.text();
+            status.textContent = 'GET ' + url + ' - ' + response.status + ' ' + response.statusText;
+            try {
+                body.textContent = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (_) {
+                body.textContent = text;
+            }
+        } catch (error) {
+            status.textContent = 'GET ' + url + ' - request failed';
+            body.textContent = error.message;
+        }
+    }
+
+    document.querySelectorAll('form.try-form').forEach(form => {
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            send(form);
+        });
+    });
+})();
@@ -0,0 +1,41 @@
+/**
+ * StablecoinWatch Export Buttons
+ *
+ * Downloads a table from the /api/v1/export endpoints with the home page filters applied.
+ * Each button group is declared in markup:
+ *
+ *   <div class="export-buttons" data-export-url="/api/v1/export/stablecoins">
+ *       <button data-export-format="csv">CSV</button>
+ *   </div>
+ *
+ * The filter state comes from the live filter system when present (home page), otherwise
+ * from the preferences it saved to localStorage.
+ */
+
+function currentExportFilters() {
+    if (window.StablecoinFilterManager) {
+        return JSON.stringify(window.StablecoinFilterManager.getFilterState());
+    }
+    try {
+        return localStorage.getItem('stablecoinFilters');
+    } catch (e) {
+        return null;
+    }
+}
+
+function exportDownloadUrl(baseUrl, format) {
+    const filters = currentExportFilters();
+    const query = filters ? '?filters=' + encodeURIComponent(filters) : '';
+    return baseUrl + '.' + format + query;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('.export-buttons[data-export-url]').forEach(group => {
+        const baseUrl = group.getAttribute('data-export-url');
+        group.querySelectorAll('[data-export-format]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                window.location.href = exportDownloadUrl(baseUrl, btn.getAttribute('data-export-format'));
+            });
+        });
+    });
+});
@@ -0,0 +1,229 @@
+/**
+ * StablecoinWatch Filter Core
+ *
+ * Pure filtering rules shared by the browser filter system (filter-system.js) and the
+ * server-side exports, so a downloaded table contains exactly the rows shown on the page.
+ * Operates on the flattened coin records embedded in the home page
+ * ({ name, symbol, pegged_asset, price, circulating_mcap, volume_24h, platforms, conflicts }).
+ */
+
+const StablecoinFilterCore = (function () {
+    const ASSET_CLASSIFICATION = {
+        fiat: ['usd', 'eur', 'gbp', 'jpy', 'cny', 'cad', 'aud', 'chf', 'sek', 'nok', 'dkk'],
+        commodities: ['gold', 'xau', 'silver', 'xag', 'oil', 'platinum'],
+        crypto: ['btc', 'eth', 'bitcoin', 'ethereum'],
+        tokenized: ['etf', 'stocks', 'realestate', 'treasurybills', 'commodities', 'tokenizedasset', 'rwa']
+    };
+
+    /**
+     * Default filter state (everything visible)
+     */
+    function defaultState() {
+        return {
+            assetTypes: {
+                fiat: true,
+                commodities: true,
+                crypto: true,
+                tokenized: true,
+                other: true
+            },
+            priceRange: {
+                min: 0.50,
+                max: 2.00,
+                enabled: false
+            },
+            mcapRange: {
+                min: 1,
+                max: 100000,
+                enabled: false,
+                logScale: true
+            },
+            volumeRange: {
+                min: 100,
+                max: 10000000,
+                enabled: false,
+                logScale: true
+            },
+            platforms: {
+                selected: [],
+                crossChainOnly: false,
+                minBlockchainCount: 1
+            },
+            dataQuality: {
+                hideConflicts: false,
+                completeDataOnly: false
+            },
+            search: {
+                query: ''
+            }
+        };
+    }
+
+    /**
+     * Get asset type for a pegged asset
+     */
+    function getAssetType(peggedAsset) {
+        for (const [type, assets] of Object.entries(ASSET_CLASSIFICATION)) {
+            if (assets.includes(peggedAsset)) return type;
+        }
+        return null;
+    }
+
+    /**
+     * Filter by asset type (fiat, commodities, crypto, tokenized, other)
+     */
+    function filterByAssetType(data, state) {
+        return data.filter(coin => {
+            const peggedAsset = (coin.pegged_asset || '').toLowerCase();
+
+            if (state.assetTypes.fiat && ASSET_CLASSIFICATION.fiat.includes(peggedAsset)) return true;
+            if (state.assetTypes.commodities && ASSET_CLASSIFICATION.commodities.includes(peggedAsset)) return true;
+            if (state.assetTypes.crypto && ASSET_CLASSIFICATION.crypto.includes(peggedAsset)) return true;
+            if (state.assetTypes.tokenized && ASSET_CLASSIFICATION.tokenized.includes(peggedAsset)) return true;
+            if (state.assetTypes.other && !getAssetType(peggedAsset)) return true;
+
+            return false;
+        });
+    }
+
+    /**
+     * Filter by price range (in the peg currency when known, so non-USD coins are not filtered out)
+     */
+    function filterByPriceRange(data, state) {
+        return data.filter(coin => {
+            const price = coin.peg_price ?? coin.price ?? 0;
+            return price >= state.priceRange.min && price <= state.priceRange.max;
+        });
+    }
+
+    /**
+     * Filter by market cap range
+     */
+    function filterByMarketCapRange(data, state) {
+        return data.filter(coin => {
+            const mcap = (coin.circulating_mcap || 0) / 1000000; // Convert to millions
+            if (state.mcapRange.logScale) {
+                const logMcap = mcap > 0 ? Math.log10(mcap) : 0;
+                const logMin = Math.log10(Math.max(state.mcapRange.min, 0.001));
+                const logMax = Math.log10(state.mcapRange.max);
+                return logMcap >= logMin && logMcap <= logMax;
+            } else {
+                return mcap >= state.mcapRange.min && mcap <= state.mcapRange.max;
+            }
+        });
+    }
+
+    /**
+     * Filter by volume range
+     */
+    function filterByVolumeRange(data, state) {
+        return data.filter(coin => {
+            const volume = (coin.volume_24h || 0) / 1000; // Convert to thousands
+            if (state.volumeRange.logScale) {
+                const logVolume = volume > 0 ? Math.log10(volume) : 0;
+                const logMin = Math.log10(Math.max(state.volumeRange.min, 0.001));
+                const logMax = Math.log10(state.volumeRange.max);
+                return logVolume >= logMin && logVolume <= logMax;
+            } else {
+                return volume >= state.volumeRange.min && volume <= state.volumeRange.max;
+            }
+        });
+    }
+
+    /**
+     * Filter by platform/blockchain criteria
+     */
+    function filterByPlatforms(data, state) {
+        return data.filter(coin => {
+            const platforms = coin.platforms || [];
+            const platformCount = platforms.length;
+
+            // Check minimum blockchain count
+            if (platformCount < state.platforms.minBlockchainCount) return false;
+
+            // Check cross-chain only filter
+            if (state.platforms.crossChainOnly && platformCount < 2) return false;
+
+            // Check specific platform selection
+            if (state.platforms.selected.length > 0) {
+                const coinPlatformNames = platforms.map(p => p.name);
+                const hasSelectedPlatform = state.platforms.selected.some(selected =>
+                    coinPlatformNames.includes(selected)
+                );
+                if (!hasSelectedPlatform) return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Filter by data quality criteria
+     */
+    function filterByDataQuality(data, state) {
+        return data.filter(coin => {
+            // Hide coins with conflicts
+            if (state.dataQuality.hideConflicts && coin.conflicts) return false;
+
+            // Show only coins with complete data
+            if (state.dataQuality.completeDataOnly) {
+                const hasPrice = coin.price && coin.price > 0;
+                const hasMcap = coin.circulating_mcap && coin.circulating_mcap > 0;
+                const hasVolume = coin.volume_24h && coin.volume_24h > 0;
+                const hasPlatforms = coin.platforms && coin.platforms.length > 0;
+
+                if (!hasPrice || !hasMcap || !hasVolume || !hasPlatforms) return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Filter by search query (name or symbol)
+     */
+    function filterBySearch(data, state) {
+        const query = state.search.query.toLowerCase();
+        return data.filter(coin => {
+            const name = (coin.name || '').toLowerCase();
+            const symbol = (coin.symbol || '').toLowerCase();
+            return name.includes(query) || symbol.includes(query);
+        });
+    }
+
+    /**
+     * Apply all active filters in the same order as the home page
+     */
+    function applyFilters(data, state) {
+        let filtered = [...data];
+
+        filtered = filterByAssetType(filtered, state);
+        if (state.priceRange.enabled) filtered = filterByPriceRange(filtered, state);
+        if (state.mcapRange.enabled) filtered = filterByMarketCapRange(filtered, state);
+        if (state.volumeRange.enabled) filtered = filterByVolumeRange(filtered, state);
+        filtered = filterByPlatforms(filtered, state);
+        filtered = filterByDataQuality(filtered, state);
+        if (state.search.query) filtered = filterBySearch(filtered, state);
+
+        return filtered;
+    }
+
+    return {
+        ASSET_CLASSIFICATION,
+        defaultState,
+        getAssetType,
+        filterByAssetType,
+        filterByPriceRange,
+        filterByMarketCapRange,
+        filterByVolumeRange,
+        filterByPlatforms,
+        filterByDataQuality,
+        filterBySearch,
+        applyFilters
+    };
+})();
+
+// Export for module usage (server-side exports)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StablecoinFilterCore;
+}
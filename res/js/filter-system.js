@@ -8,45 +8,8 @@
 
 class FilterManager {
     constructor() {
-        // Initialize filter state
-        this.state = {
-            assetTypes: {
-                fiat: true,
-                commodities: true,
-                crypto: true,
-                tokenized: true,
-                other: true
-            },
-            priceRange: {
-                min: 0.50,
-                max: 2.00,
-                enabled: false
-            },
-            mcapRange: {
-                min: 1,
-                max: 100000,
-                enabled: false,
-                logScale: true
-            },
-            volumeRange: {
-                min: 100,
-                max: 10000000,
-                enabled: false,
-                logScale: true
-            },
-            platforms: {
-                selected: [],
-                crossChainOnly: false,
-                minBlockchainCount: 1
-            },
-            dataQuality: {
-                hideConflicts: false,
-                completeDataOnly: false
-            },
-            search: {
-                query: ''
-            }
-        };
+        // Initialize filter state (defaults and rules live in filter-core.js)
+        this.state = StablecoinFilterCore.defaultState();
         
         // Internal state
         this.filteredData = [];
@@ -55,12 +18,7 @@ class FilterManager {
         this.isInitialized = false;
         
         // Asset type classification
-        this.assetClassification = {
-            fiat: ['usd', 'eur', 'gbp', 'jpy', 'cny', 'cad', 'aud', 'chf', 'sek', 'nok', 'dkk'],
-            commodities: ['gold', 'xau', 'silver', 'xag', 'oil', 'platinum'],
-            crypto: ['btc', 'eth', 'bitcoin', 'ethereum'],
-            tokenized: ['etf', 'stocks', 'realestate', 'treasurybills', 'commodities', 'tokenizedasset', 'rwa']
-        };
+        this.assetClassification = StablecoinFilterCore.ASSET_CLASSIFICATION;
         
         this.init();
     }
@@ -319,38 +277,7 @@ class FilterManager {
      * Apply all active filters to the data
      */
     applyFilters() {
-        let filtered = [...this.originalData];
-        
-        // Apply asset type filter
-        filtered = this.filterByAssetType(filtered);
-        
-        // Apply price range filter
-        if (this.state.priceRange.enabled) {
-            filtered = this.filterByPriceRange(filtered);
-        }
-        
-        // Apply market cap range filter
-        if (this.state.mcapRange.enabled) {
-            filtered = this.filterByMarketCapRange(filtered);
-        }
-        
-        // Apply volume range filter
-        if (this.state.volumeRange.enabled) {
-            filtered = this.filterByVolumeRange(filtered);
-        }
-        
-        // Apply platform filters
-        filtered = this.filterByPlatforms(filtered);
-        
-        // Apply data quality filters
-        filtered = this.filterByDataQuality(filtered);
-        
-        // Apply search filter
-        if (this.state.search.query) {
-            filtered = this.filterBySearch(filtered);
-        }
-        
-        this.filteredData = filtered;
+        this.filteredData = StablecoinFilterCore.applyFilters(this.originalData, this.state);
         this.updateDisplay();
         this.updateActiveFiltersDisplay();
     }
@@ -359,132 +286,56 @@ class FilterManager {
      * Filter by asset type (fiat, commodities, crypto, tokenized, other)
      */
     filterByAssetType(data) {
-        return data.filter(coin => {
-            const peggedAsset = (coin.pegged_asset || '').toLowerCase();
-            
-            if (this.state.assetTypes.fiat && this.assetClassification.fiat.includes(peggedAsset)) return true;
-            if (this.state.assetTypes.commodities && this.assetClassification.commodities.includes(peggedAsset)) return true;
-            if (this.state.assetTypes.crypto && this.assetClassification.crypto.includes(peggedAsset)) return true;
-            if (this.state.assetTypes.tokenized && this.assetClassification.tokenized.includes(peggedAsset)) return true;
-            if (this.state.assetTypes.other && !this.getAssetType(peggedAsset)) return true;
-            
-            return false;
-        });
+        return StablecoinFilterCore.filterByAssetType(data, this.state);
     }
     
     /**
      * Filter by price range
      */
     filterByPriceRange(data) {
-        return data.filter(coin => {
-            const price = coin.price || 0;
-            return price >= this.state.priceRange.min && price <= this.state.priceRange.max;
-        });
+        return StablecoinFilterCore.filterByPriceRange(data, this.state);
     }
     
     /**
      * Filter by market cap range
      */
     filterByMarketCapRange(data) {
-        return data.filter(coin => {
-            const mcap = (coin.circulating_mcap || 0) / 1000000; // Convert to millions
-            if (this.state.mcapRange.logScale) {
-                const logMcap = mcap > 0 ? Math.log10(mcap) : 0;
-                const logMin = Math.log10(Math.max(this.state.mcapRange.min, 0.001));
-                const logMax = Math.log10(this.state.mcapRange.max);
-                return logMcap >= logMin && logMcap <= logMax;
-            } else {
-                return mcap >= this.state.mcapRange.min && mcap <= this.state.mcapRange.max;
-            }
-        });
+        return StablecoinFilterCore.filterByMarketCapRange(data, this.state);
     }
     
     /**
      * Filter by volume range
      */
     filterByVolumeRange(data) {
-        return data.filter(coin => {
-            const volume = (coin.volume_24h || 0) / 1000; // Convert to thousands
-            if (this.state.volumeRange.logScale) {
-                const logVolume = volume > 0 ? Math.log10(volume) : 0;
-                const logMin = Math.log10(Math.max(this.state.volumeRange.min, 0.001));
-                const logMax = Math.log10(this.state.volumeRange.max);
-                return logVolume >= logMin && logVolume <= logMax;
-            } else {
-                return volume >= this.state.volumeRange.min && volume <= this.state.volumeRange.max;
-            }
-        });
+        return StablecoinFilterCore.filterByVolumeRange(data, this.state);
     }
     
     /**
      * Filter by platform/blockchain criteria
      */
     filterByPlatforms(data) {
-        return data.filter(coin => {
-            const platforms = coin.platforms || [];
-            const platformCount = platforms.length;
-            
-            // Check minimum blockchain count
-            if (platformCount < this.state.platforms.minBlockchainCount) return false;
-            
-            // Check cross-chain only filter
-            if (this.state.platforms.crossChainOnly && platformCount < 2) return false;
-            
-            // Check specific platform selection
-            if (this.state.platforms.selected.length > 0) {
-                const coinPlatformNames = platforms.map(p => p.name);
-                const hasSelectedPlatform = this.state.platforms.selected.some(selected => 
-                    coinPlatformNames.includes(selected)
-                );
-                if (!hasSelectedPlatform) return false;
-            }
-            
-            return true;
-        });
+        return StablecoinFilterCore.filterByPlatforms(data, this.state);
     }
     
     /**
      * Filter by data quality criteria
      */
     filterByDataQuality(data) {
-        return data.filter(coin => {
-            // Hide coins with conflicts
-            if (this.state.dataQuality.hideConflicts && coin.conflicts) return false;
-            
-            // Show only coins with complete data
-            if (this.state.dataQuality.completeDataOnly) {
-                const hasPrice = coin.price && coin.price > 0;
-                const hasMcap = coin.circulating_mcap && coin.circulating_mcap > 0;
-                const hasVolume = coin.volume_24h && coin.volume_24h > 0;
-                const hasPlatforms = coin.platforms && coin.platforms.length > 0;
-                
-                if (!hasPrice || !hasMcap || !hasVolume || !hasPlatforms) return false;
-            }
-            
-            return true;
-        });
+        return StablecoinFilterCore.filterByDataQuality(data, this.state);
     }
     
     /**
      * Filter by search query (name or symbol)
      */
     filterBySearch(data) {
-        const query = this.state.search.query.toLowerCase();
-        return data.filter(coin => {
-            const name = (coin.name || '').toLowerCase();
-            const symbol = (coin.symbol || '').toLowerCase();
-            return name.includes(query) || symbol.includes(query);
-        });
+        return StablecoinFilterCore.filterBySearch(data, this.state);
     }
     
     /**
      * Get asset type for a pegged asset
      */
     getAssetType(peggedAsset) {
-        for (const [type, assets] of Object.entries(this.assetClassification)) {
-            if (assets.includes(peggedAsset)) return type;
-        }
-        return null;
+        return StablecoinFilterCore.getAssetType(peggedAsset);
     }
     
     /**
@@ -518,6 +369,7 @@ class FilterManager {
      */
     createTableRow(coin, rank) {
         const row = document.createElement('tr');
+        if (coin.uri) row.dataset.liveCoin = coin.uri;
         
         // Get pegged asset CSS class for styling
         const pegKey = String(coin.pegged_asset || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
@@ -536,15 +388,15 @@ class FilterManager {
                 ${coin.conflicts ? '<span title="Conflicts detected" style="color:#d9534f;font-weight:bold;margin-right:6px;">⚠</span>' : ''}
                 ${coin.symbol}
             </td>
-            <td data-sort="${coin.price || 0}">${coin.formatted.price}</td>
+            <td data-live-field="price" data-sort="${coin.price || 0}">${coin.formatted.price}</td>
             <td class="hide-md">
                 ${coin.pegged_asset ? `<span class="metric-highlight peg-${pegClass}">${coin.pegged_asset}</span>` : '-'}
             </td>
-            <td data-sort="${coin.circulating_mcap || 0}">${coin.formatted.mcap}</td>
+            <td data-live-field="marketCap" data-sort="${coin.circulating_mcap || 0}">${coin.formatted.mcap}</td>
             <td class="hide-sm" data-sort="${coin.dominance || 0}">
                 <span class="metric-highlight">${coin.formatted.dominance}</span>
             </td>
-            <td class="hide-sm" data-sort="${coin.volume_24h || 0}">${coin.formatted.volume}</td>
+            <td class="hide-sm" data-live-field="volume24h" data-sort="${coin.volume_24h || 0}">${coin.formatted.volume}</td>
             <td class="hide-sm platforms" data-sort="${coin.platforms ? coin.platforms.length : 0}">
                 ${coin.formatted.platforms}
             </td>
@@ -681,44 +533,7 @@ class FilterManager {
      */
     clearAllFilters() {
         // Reset state
-        this.state = {
-            assetTypes: {
-                fiat: true,
-                commodities: true,
-                crypto: true,
-                tokenized: true,
-                other: true
-            },
-            priceRange: {
-                min: 0.50,
-                max: 2.00,
-                enabled: false
-            },
-            mcapRange: {
-                min: 1,
-                max: 100000,
-                enabled: false,
-                logScale: true
-            },
-            volumeRange: {
-                min: 100,
-                max: 10000000,
-                enabled: false,
-                logScale: true
-            },
-            platforms: {
-                selected: [],
-                crossChainOnly: false,
-                minBlockchainCount: 1
-            },
-            dataQuality: {
-                hideConflicts: false,
-                completeDataOnly: false
-            },
-            search: {
-                query: ''
-            }
-        };
+        this.state = StablecoinFilterCore.defaultState();
         
         // Update UI
         this.updateFilterUI();
@@ -0,0 +1,178 @@
+/**
+ * StablecoinWatch History Charts
+ *
+ * Renders interactive time-series line charts from the /api/v1/history endpoints.
+ * Each chart section is declared in markup:
+ *
+ *   <div class="history-chart" data-history-url="/api/v1/history/stablecoins/usdt"
+ *        data-series='[{"key":"marketCap","label":"Market Cap","format":"usd"}]'>
+ *       <button data-series-key="marketCap">...</button>
+ *       <button data-range="7d">...</button>
+ *       <canvas></canvas>
+ *       <p class="history-empty"></p>
+ *   </div>
+ *
+ * Series formats: `usd` (abbreviated dollars), `price` (dollars, 4 decimals), `percent`,
+ * anything else (e.g. `supply`) is an abbreviated token amount without a currency sign.
+ *
+ * Requires Chart.js (v2) to be loaded first.
+ */
+
+class HistoryChart {
+    constructor(container) {
+        this.container = container;
+        this.url = container.getAttribute('data-history-url');
+        this.series = JSON.parse(container.getAttribute('data-series') || '[]');
+        this.seriesKey = this.series.length ? this.series[0].key : null;
+        this.range = container.getAttribute('data-default-range') || '30d';
+        this.canvas = container.querySelector('canvas');
+        this.emptyMessage = container.querySelector('.history-empty');
+        this.cache = {};
+        this.chart = null;
+
+        this.bindControls();
+        this.load();
+    }
+
+    bindControls() {
+        this.container.querySelectorAll('[data-range]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.range = btn.getAttribute('data-range');
+                this.load();
+            });
+        });
+        this.container.querySelectorAll('[data-series-key]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.seriesKey = btn.getAttribute('data-series-key');
+                this.load();
+            });
+        });
+    }
+
+    updateActiveButtons() {
+        this.container.querySelectorAll('[data-range]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-range') === this.range);
+        });
+        this.container.querySelectorAll('[data-series-key]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-series-key') === this.seriesKey);
+        });
+    }
+
+    async fetchPoints(range) {
+        if (this.cache[range]) return this.cache[range];
+        const separator = this.url.indexOf('?') === -1 ? '?' : '&';
+        const response = await fetch(`${this.url}${separator}range=${encodeURIComponent(range)}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const body = await response.json();
+        this.cache[range] = Array.isArray(body.data) ? body.data : [];
+        return this.cache[range];
+    }
+
+    async load() {
+        this.updateActiveButtons();
+        const range = this.range;
+        let points = [];
+        try {
+            points = await this.fetchPoints(range);
+        } catch (error) {
+            console.warn('History unavailable:', error.message);
+        }
+        // A newer selection may have finished first
+        if (range !== this.range) return;
+        this.render(points);
+    }
+
+    render(points) {
+        const series = this.series.find(s => s.key === this.seriesKey);
+        const values = points.filter(p => typeof p[this.seriesKey] === 'number');
+
+        if (!series || values.length === 0) {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+            this.canvas.style.display = 'none';
+            if (this.emptyMessage) this.emptyMessage.style.display = 'block';
+            return;
+        }
+        this.canvas.style.display = 'block';
+        if (this.emptyMessage) this.emptyMessage.style.display = 'none';
+
+        const labels = values.map(p => HistoryChart.formatTimestamp(p.timestamp, this.range));
+        const data = values.map(p => p[this.seriesKey]);
+        const format = value => HistoryChart.formatValue(value, series.format);
+
+        if (this.chart) {
+            this.chart.data.labels = labels;
+            this.chart.data.datasets[0].label = series.label;
+            this.chart.data.datasets[0].data = data;
+            this.chart.options.scales.yAxes[0].ticks.callback = format;
+            this.chart.options.tooltips.callbacks.label = item => `${series.label}: ${format(item.yLabel)}`;
+            this.chart.update();
+            return;
+        }
+
+        this.chart = new Chart(this.canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: series.label,
+                    data,
+                    borderColor: '#667eea',
+                    backgroundColor: 'rgba(102, 126, 234, 0.12)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHitRadius: 8,
+                    lineTension: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                legend: { display: false },
+                tooltips: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: item => `${series.label}: ${format(item.yLabel)}`
+                    }
+                },
+                scales: {
+                    xAxes: [{ ticks: { autoSkip: true, maxTicksLimit: 8, maxRotation: 0 } }],
+                    yAxes: [{ ticks: { callback: format } }]
+                }
+            }
+        });
+    }
+
+    static formatTimestamp(timestamp, range) {
+        const date = new Date(timestamp);
+        if (range === '24h') {
+            return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        }
+        if (range === '7d') {
+            return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' });
+        }
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit' });
+    }
+
+    static formatValue(value, format) {
+        if (typeof value !== 'number' || !isFinite(value)) return '';
+        if (format === 'price') return '$' + value.toFixed(4);
+        if (format === 'percent') return value.toFixed(2) + '%';
+
+        const abs = Math.abs(value);
+        let text;
+        if (abs >= 1e9) text = (value / 1e9).toFixed(2) + 'B';
+        else if (abs >= 1e6) text = (value / 1e6).toFixed(2) + 'M';
+        else if (abs >= 1e3) text = (value / 1e3).toFixed(2) + 'K';
+        else text = value.toFixed(2);
+        return format === 'usd' ? '$' + text : text;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof Chart === 'undefined') return;
+    document.querySelectorAll('.history-chart[data-history-url]').forEach(el => new HistoryChart(el));
+});
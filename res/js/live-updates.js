@@ -0,0 +1,163 @@
+/**
+ * StablecoinWatch Live Updates
+ *
+ * Listens to the server's Server-Sent Events stream and updates the page in place.
+ * The stream URL comes from the script tag:
+ *
+ *   <script src="/live-updates.js" data-endpoint="/api/v1/events"></script>
+ *
+ * Elements opt in through markup:
+ *
+ *   <tr data-live-coin="usdt">                 record container (any element)
+ *       <td data-live-field="price">...</td>   'price', 'marketCap', 'volume24h' or 'circulating'
+ *   <span data-live-metric="totalMarketCap">   'totalMarketCap' or 'totalVolume'
+ *   <span data-live-updated>                   time of the last refresh
+ *   <section data-live-alerts-section><ul data-live-alerts>   active alert list
+ *   <div data-live-degraded><span data-live-degraded-reasons>  degraded-mode banner
+ *
+ * The home page data (window.StablecoinData) is updated too, so filtered re-renders keep the
+ * new values. Every event is also re-dispatched on window as 'stablecoinLiveUpdate'.
+ */
+(function () {
+    const script = document.currentScript;
+    const endpoint = script && script.getAttribute('data-endpoint');
+    if (!endpoint || typeof window.EventSource === 'undefined') return;
+
+    const FLASH_MS = 2000;
+    const ALERT_BADGES = { critical: 'critical', error: 'critical', warning: 'degraded' };
+
+    function flash(el, direction) {
+        if (!direction) return;
+        el.classList.remove('live-up', 'live-down');
+        // Restart the animation when the same element changes twice in a row
+        void el.offsetWidth;
+        el.classList.add(direction > 0 ? 'live-up' : 'live-down');
+        setTimeout(() => el.classList.remove('live-up', 'live-down'), FLASH_MS);
+    }
+
+    function updateRecordElements(change) {
+        const selector = `[data-live-coin="${window.CSS && CSS.escape ? CSS.escape(change.slug) : change.slug}"]`;
+        document.querySelectorAll(selector).forEach(container => {
+            container.querySelectorAll('[data-live-field]').forEach(el => {
+                const field = el.getAttribute('data-live-field');
+                if (!change.changed.includes(field) || !change.formatted[field]) return;
+                el.textContent = change.formatted[field];
+                if (el.hasAttribute('data-sort') && typeof change[field].current === 'number') {
+                    el.setAttribute('data-sort', change[field].current);
+                }
+                flash(el, change[field].change);
+            });
+        });
+    }
+
+    function updateHomeData(change) {
+        const data = window.StablecoinData;
+        if (!data || !Array.isArray(data.stablecoins)) return;
+        const coin = data.stablecoins.find(c => c.uri === change.slug);
+        if (!coin) return;
+        coin.price = change.price.current ?? coin.price;
+        coin.peg_price = change.pegPrice ?? null;
+        coin.circulating_mcap = change.marketCap.current ?? coin.circulating_mcap;
+        coin.volume_24h = change.volume24h.current ?? coin.volume_24h;
+        if (coin.formatted) {
+            coin.formatted.price = change.formatted.price;
+            coin.formatted.mcap = change.formatted.marketCap;
+            coin.formatted.volume = change.formatted.volume24h;
+        }
+    }
+
+    function showReloadNotice(count) {
+        let notice = document.querySelector('.live-notice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'live-notice';
+            notice.setAttribute('role', 'status');
+            const link = document.createElement('a');
+            link.href = window.location.href;
+            link.textContent = 'Reload';
+            notice.appendChild(document.createElement('span'));
+            notice.appendChild(link);
+            document.body.appendChild(notice);
+        }
+        notice.firstChild.textContent = `${count} stablecoin${count === 1 ? '' : 's'} added or removed. `;
+    }
+
+    function onRefresh(data) {
+        if (!data.stablecoinsUpdated) return;
+        (data.changes || []).forEach(change => {
+            updateRecordElements(change);
+            updateHomeData(change);
+        });
+
+        if (data.metrics) {
+            const metricText = {
+                totalMarketCap: data.metrics.totalMarketCapFormatted,
+                totalVolume: data.metrics.totalVolumeFormatted
+            };
+            document.querySelectorAll('[data-live-metric]').forEach(el => {
+                const text = metricText[el.getAttribute('data-live-metric')];
+                if (text) el.textContent = text;
+            });
+            if (data.metrics.lastUpdated) {
+                document.querySelectorAll('[data-live-updated]').forEach(el => {
+                    el.textContent = new Date(data.metrics.lastUpdated).toLocaleString();
+                });
+            }
+        }
+
+        const membership = (data.added || []).length + (data.removed || []).length;
+        if (membership > 0 && document.querySelector('[data-live-coin]')) showReloadNotice(membership);
+    }
+
+    function onAlert(data) {
+        const list = document.querySelector('[data-live-alerts]');
+        const alert = data.alert || {};
+        if (!list || !alert.id) return;
+
+        const existing = list.querySelector(`[data-alert-id="${window.CSS && CSS.escape ? CSS.escape(alert.id) : alert.id}"]`);
+        if (data.action === 'resolved') {
+            if (existing) existing.remove();
+        } else {
+            const item = document.createElement('li');
+            item.setAttribute('data-alert-id', alert.id);
+            item.style.marginBottom = '0.4rem';
+            const badge = document.createElement('span');
+            badge.className = `badge ${ALERT_BADGES[alert.level] || 'healthy'}`;
+            badge.textContent = String(alert.level || 'info').toUpperCase();
+            const title = document.createElement('strong');
+            title.textContent = alert.title || '';
+            const time = document.createElement('span');
+            time.className = 'note';
+            time.textContent = `(${new Date(alert.timestamp || Date.now()).toLocaleString()})`;
+            item.append(badge, ' ', title, ` — ${alert.description || ''} `, time);
+            if (existing) existing.replaceWith(item); else list.prepend(item);
+            flash(item, 1);
+        }
+
+        const section = list.closest('[data-live-alerts-section]');
+        if (section) section.hidden = list.children.length === 0;
+    }
+
+    function onDegraded(data) {
+        document.querySelectorAll('[data-live-degraded]').forEach(el => {
+            el.hidden = !data.active;
+            const reasons = el.querySelector('[data-live-degraded-reasons]');
+            if (reasons) reasons.textContent = (data.reasons || []).join('; ');
+        });
+    }
+
+    const handlers = { refresh: onRefresh, alert: onAlert, degraded: onDegraded };
+    const source = new EventSource(endpoint);
+    Object.keys(handlers).forEach(type => {
+        source.addEventListener(type, event => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (_) {
+                return;
+            }
+            handlers[type](data);
+            window.dispatchEvent(new CustomEvent('stablecoinLiveUpdate', { detail: { type, data } }));
+        });
+    });
+})();
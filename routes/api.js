@@ -0,0 +1,562 @@
+/*---------------------------------------------------------
+    IMPORTS
+---------------------------------------------------------*/
+const express = require('express');
+const { parseListQuery, parseFields, parseHistoryRange, applyListQuery, selectFields, splitList, normalizeToken } = require('../app/util/apiQuery');
+const { toPublicStablecoin, buildMetrics, buildMeta } = require('../app/util/apiResponses');
+const ExportService = require('../services/ExportService');
+const { buildOpenApiDocument } = require('./openapi');
+
+/*---------------------------------------------------------
+    RESOURCE OPTIONS
+---------------------------------------------------------*/
+const STABLECOIN_QUERY = {
+    sortAliases: {
+        marketCap: 'marketData.marketCap',
+        price: 'marketData.price',
+        volume: 'marketData.volume24h',
+        change24h: 'marketData.percentChange24h',
+        rank: 'marketData.rank',
+        circulating: 'supplyData.circulating',
+        confidence: 'confidence.overall',
+        peg: 'metadata.peggedAsset',
+        category: 'assetCategory'
+    },
+    filters: ['category', 'peg', 'chain']
+};
+
+const PLATFORM_QUERY = {
+    sortAliases: {
+        marketCap: 'mcap_sum',
+        supply: 'total_supply',
+        share: 'supply_percentage',
+        coins: 'coin_count',
+        hhi: 'concentration.hhi',
+        dominance: 'concentration.dominant_share',
+        issuerHhi: 'concentration.issuer_hhi'
+    },
+    filters: []
+};
+
+/*---------------------------------------------------------
+    FILTER MATCHERS
+---------------------------------------------------------*/
+const stablecoinMatchers = {
+    category: (coin, values) => values.map(normalizeToken).includes(normalizeToken(coin.assetCategory)),
+    peg: (coin, values) => values.map(normalizeToken).includes(normalizeToken(coin.metadata?.peggedAsset)),
+    chain: (coin, values) => {
+        const wanted = values.map(normalizeToken);
+        const breakdown = coin.supplyData?.networkBreakdown || [];
+        return breakdown.some(n => wanted.includes(normalizeToken(n.platform)) || wanted.includes(normalizeToken(n.network)));
+    }
+};
+
+/*---------------------------------------------------------
+    HELPERS
+---------------------------------------------------------*/
+
+/**
+ * Find a platform entry by uri or name (case-insensitive)
+ * @param {Array} platforms - Platform data from the data service
+ * @param {string} identifier - Platform uri or name
+ * @returns {Object|null} Matching platform or null
+ */
+function findPlatform(platforms, identifier) {
+    const id = String(identifier || '').toLowerCase();
+    return (platforms || []).find(p => String(p.uri || '').toLowerCase() === id || String(p.name || '').toLowerCase() === id) || null;
+}
+
+/**
+ * Resolve the data service or respond with 503
+ * @param {Object} svc - Services container
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Data service or null when unavailable (response already sent)
+ */
+function requireDataService(svc, res) {
+    if (!svc.dataService) {
+        res.status(503).json({ error: 'Data service not initialized' });
+        return null;
+    }
+    return svc.dataService;
+}
+
+/**
+ * Resolve the snapshot store or respond with 503
+ * @param {Object} svc - Services container
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Snapshot store or null when history is disabled (response already sent)
+ */
+function requireSnapshotStore(svc, res) {
+    if (!svc.snapshotStore || !svc.snapshotStore.isEnabled()) {
+        res.status(503).json({ error: 'History is not enabled' });
+        return null;
+    }
+    return svc.snapshotStore;
+}
+
+/**
+ * Build an export table and send it as a file download
+ * @param {Object} svc - Services container
+ * @param {Object} req - Express request object (format param, filters query)
+ * @param {Object} res - Express response object
+ * @param {Function} build - (exportService, filters) => Promise<Object|null> table, null when not found
+ * @param {string} [notFound] - Error message when build finds nothing
+ * @returns {Promise<void>}
+ */
+async function sendExport(svc, req, res, build, notFound = 'Not found') {
+    const format = String(req.params.format || '').toLowerCase();
+    if (!ExportService.FORMATS[format]) {
+        return res.status(400).json({
+            error: 'Invalid export format',
+            details: [`format must be one of: ${Object.keys(ExportService.FORMATS).join(', ')}`]
+        });
+    }
+
+    const filters = ExportService.parseFilterState(req.query.filters);
+    if (filters.errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: filters.errors });
+
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    const exportService = new ExportService(dataService);
+    const table = await build(exportService, filters);
+    if (!table) return res.status(404).json({ error: notFound });
+
+    const file = await exportService.render(table, format);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+}
+
+/**
+ * Wrap an async handler so unexpected errors become JSON 500 responses
+ * @param {Function} handler - Async Express handler
+ * @returns {Function} Express handler
+ */
+function jsonHandler(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (err) {
+            res.status(500).json({ error: err?.message || 'Internal server error' });
+        }
+    };
+}
+
+/**
+ * Factory to create the versioned JSON API router with injected services
+ * @param {Object} services - The services container with dataService and healthMonitor
+ * @returns {express.Router} Configured Express router (mounted at /api/v1)
+ */
+module.exports = (services) => {
+const router = express.Router();
+
+// Read-only public API: allow dashboards on other origins
+router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    next();
+});
+
+/*---------------------------------------------------------
+    API DESCRIPTION
+---------------------------------------------------------*/
+const openApiDocument = buildOpenApiDocument();
+
+/**
+ * OpenAPI 3 document describing every JSON route (rendered at /api/docs)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/openapi.json', jsonHandler(async (req, res) => {
+    res.json(openApiDocument);
+}));
+
+/*---------------------------------------------------------
+    STABLECOINS
+---------------------------------------------------------*/
+
+/**
+ * Stablecoin list - supports page, limit, sort, fields, category, peg and chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/stablecoins', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    const coins = (await dataService.getStablecoins()).map(toPublicStablecoin);
+    const { params, errors } = parseListQuery(req.query, { ...STABLECOIN_QUERY, records: coins });
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+
+    const { data, meta } = applyListQuery(coins, params, stablecoinMatchers);
+    res.json({ data, meta: await buildMeta(dataService, meta) });
+}));
+
+/**
+ * Single stablecoin by slug or symbol - supports fields
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/stablecoins/:id', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    const coin = await dataService.getStablecoin(req.params.id);
+    if (!coin) return res.status(404).json({ error: `Stablecoin not found: ${req.params.id}` });
+
+    const record = toPublicStablecoin(coin);
+    const { fields, errors } = parseFields(req.query.fields, [record]);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+
+    res.json({
+        data: selectFields(record, fields),
+        meta: await buildMeta(dataService)
+    });
+}));
+
+/**
+ * Field lineage for a stablecoin: candidates per source, winning source and merge rule
+ * Supports fields (comma-separated field paths, e.g. marketData.price,metadata.description)
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/stablecoins/:id/lineage', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    const coin = await dataService.getStablecoin(req.params.id);
+    if (!coin) return res.status(404).json({ error: `Stablecoin not found: ${req.params.id}` });
+
+    const lineage = coin.lineage || {};
+    const wanted = splitList(req.query.fields);
+    const unknown = wanted.filter(f => !Object.prototype.hasOwnProperty.call(lineage, f));
+    if (unknown.length) {
+        return res.status(400).json({ error: 'Invalid query parameters', details: unknown.map(f => `Unknown lineage field: ${f}`) });
+    }
+    const fields = wanted.length ? Object.fromEntries(wanted.map(f => [f, lineage[f]])) : lineage;
+
+    res.json({
+        data: { id: coin.slug, symbol: coin.symbol, dataSources: coin.dataSources || [], fields },
+        meta: await buildMeta(dataService)
+    });
+}));
+
+/**
+ * Mint/burn and cross-chain migration flows for a stablecoin over 24h, 7d and 30d (token units)
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/stablecoins/:id/supply-flows', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.supplyFlows || !svc.supplyFlows.isEnabled()) {
+        return res.status(503).json({ error: 'Supply flow analytics are disabled' });
+    }
+    const flows = await svc.supplyFlows.getCoinFlows(req.params.id);
+    if (!flows) return res.status(404).json({ error: `Stablecoin not found: ${req.params.id}` });
+    res.json({ data: flows, meta: { timestamp: new Date().toISOString() } });
+}));
+
+/*---------------------------------------------------------
+    PLATFORMS
+---------------------------------------------------------*/
+
+/**
+ * Platform list - supports page, limit, sort and fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/platforms', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    const platforms = await dataService.getPlatformData();
+    const { params, errors } = parseListQuery(req.query, { ...PLATFORM_QUERY, records: platforms });
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+
+    const { data, meta } = applyListQuery(platforms, params);
+    res.json({ data, meta: await buildMeta(dataService, meta) });
+}));
+
+/**
+ * Single platform by uri or name - supports fields
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/platforms/:id', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    const platform = findPlatform(await dataService.getPlatformData(), req.params.id);
+    if (!platform) return res.status(404).json({ error: `Platform not found: ${req.params.id}` });
+
+    const { fields, errors } = parseFields(req.query.fields, [platform]);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+
+    res.json({
+        data: selectFields(platform, fields),
+        meta: await buildMeta(dataService)
+    });
+}));
+
+/**
+ * Mint/burn and cross-chain migration flows on a platform over 24h, 7d and 30d (USD), with each coin's share
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/platforms/:id/supply-flows', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+    if (!svc.supplyFlows || !svc.supplyFlows.isEnabled()) {
+        return res.status(503).json({ error: 'Supply flow analytics are disabled' });
+    }
+
+    const platform = findPlatform(await dataService.getPlatformData(), req.params.id);
+    if (!platform) return res.status(404).json({ error: `Platform not found: ${req.params.id}` });
+
+    res.json({ data: await svc.supplyFlows.getChainFlows(platform.name), meta: { timestamp: new Date().toISOString() } });
+}));
+
+/**
+ * Supply flow totals and per-chain flows across all stablecoins over 24h, 7d and 30d (USD)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/supply-flows', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.supplyFlows || !svc.supplyFlows.isEnabled()) {
+        return res.status(503).json({ error: 'Supply flow analytics are disabled' });
+    }
+    res.json({ data: await svc.supplyFlows.getOverview(), meta: { timestamp: new Date().toISOString() } });
+}));
+
+/*---------------------------------------------------------
+    METRICS
+---------------------------------------------------------*/
+
+/**
+ * Overall market metrics with stablecoin and tokenized asset segments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/metrics', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    res.json({ data: await buildMetrics(dataService), meta: await buildMeta(dataService) });
+}));
+
+/**
+ * Stablecoin-only market metrics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/metrics/stablecoins', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    res.json({ data: await dataService.getStablecoinMetrics(), meta: await buildMeta(dataService) });
+}));
+
+/**
+ * Tokenized asset market metrics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/metrics/tokenized-assets', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const dataService = requireDataService(svc, res);
+    if (!dataService) return;
+
+    res.json({ data: await dataService.getTokenizedAssetMetrics(), meta: await buildMeta(dataService) });
+}));
+
+/*---------------------------------------------------------
+    HISTORY
+---------------------------------------------------------*/
+
+/**
+ * Stablecoin time series (price, market cap, volume, circulating supply, chain supply)
+ * Supports range=24h|7d|30d|all (default 30d)
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/history/stablecoins/:id', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const store = requireSnapshotStore(svc, res);
+    if (!store) return;
+
+    const { range, errors } = parseHistoryRange(req.query.range);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+
+    const data = await store.getCoinHistory(req.params.id, range);
+    res.json({ data, meta: { range: range.name, points: data.length } });
+}));
+
+/**
+ * Platform time series (total stablecoin value, market cap, dominance, coin count)
+ * Supports range=24h|7d|30d|all (default 30d)
+ * @param {Object} req - Express request object with id parameter
+ * @param {Object} res - Express response object
+ */
+router.get('/history/platforms/:id', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    const store = requireSnapshotStore(svc, res);
+    if (!store) return;
+
+    const { range, errors } = parseHistoryRange(req.query.range);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+
+    const data = await store.getPlatformHistory(req.params.id, range);
+    res.json({ data, meta: { range: range.name, points: data.length } });
+}));
+
+/*---------------------------------------------------------
+    DEPEG MONITORING
+---------------------------------------------------------*/
+
+/**
+ * Current depeg breaches - pass active=true to exclude breaches still within their duration
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/depegs', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.depegMonitor) {
+        return res.status(503).json({ error: 'Depeg monitor not initialized' });
+    }
+    const activeOnly = String(req.query.active || '').toLowerCase() === 'true';
+    res.json({ data: svc.depegMonitor.getBreaches({ activeOnly }), meta: { timestamp: new Date().toISOString() } });
+}));
+
+/**
+ * FX reference rates used for peg-currency prices (USD value of one unit per currency)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/fx-rates', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.fxRateService) {
+        return res.status(503).json({ error: 'FX rate service not initialized' });
+    }
+    res.json({ data: svc.fxRateService.getStatus(), meta: { timestamp: new Date().toISOString() } });
+}));
+
+/*---------------------------------------------------------
+    REFRESH CHANGES
+---------------------------------------------------------*/
+
+/**
+ * What changed in the last refresh: added/removed coins, reclassifications, source coverage,
+ * chain mints and burns, and rank changes. data is null until a refresh replaces a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/changes', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.dataService) {
+        return res.status(503).json({ error: 'Data service not initialized' });
+    }
+    res.json({ data: svc.dataService.getLatestDiff(), meta: { timestamp: new Date().toISOString() } });
+}));
+
+/**
+ * Recent refresh diffs, newest first - limit caps the number returned
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/changes/history', jsonHandler(async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.dataService) {
+        return res.status(503).json({ error: 'Data service not initialized' });
+    }
+    let limit;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: 'limit must be a positive integer' });
+        }
+    }
+    const data = svc.dataService.getDiffHistory(limit);
+    res.json({ data, meta: { count: data.length, timestamp: new Date().toISOString() } });
+}));
+
+/*---------------------------------------------------------
+    LIVE UPDATES
+---------------------------------------------------------*/
+
+/**
+ * Server-Sent Events stream of refresh results, alert changes and degraded-mode transitions.
+ * Reconnecting clients send Last-Event-ID (or lastEventId) to receive the events they missed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/events', (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.liveUpdates) {
+        return res.status(503).json({ error: 'Live updates not initialized' });
+    }
+    svc.liveUpdates.addClient(req, res);
+});
+
+/*---------------------------------------------------------
+    FILE EXPORTS
+---------------------------------------------------------*/
+
+/**
+ * Stablecoin list download (csv, xlsx or parquet) - filters takes the home page filter state as JSON
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/export/stablecoins.:format', jsonHandler(async (req, res) => {
+    await sendExport(services || req.services || {}, req, res, (exporter, filters) => exporter.stablecoins(filters));
+}));
+
+/**
+ * Blockchain rankings download, recomputed over the coins passing the filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/export/platforms.:format', jsonHandler(async (req, res) => {
+    await sendExport(services || req.services || {}, req, res, (exporter, filters) => exporter.platforms(filters));
+}));
+
+/**
+ * One stablecoin's supply by blockchain download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/export/stablecoins/:id/chains.:format', jsonHandler(async (req, res) => {
+    await sendExport(services || req.services || {}, req, res, (exporter, filters) => exporter.coinChains(req.params.id, filters),
+        `Stablecoin not found: ${req.params.id}`);
+}));
+
+/**
+ * Stablecoins on one blockchain download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/export/platforms/:id/stablecoins.:format', jsonHandler(async (req, res) => {
+    await sendExport(services || req.services || {}, req, res, (exporter, filters) => exporter.platformStablecoins(req.params.id, filters),
+        `Platform not found: ${req.params.id}`);
+}));
+
+/*---------------------------------------------------------
+    FALLBACK
+---------------------------------------------------------*/
+router.use((req, res) => {
+    res.status(404).json({ error: `Unknown API endpoint: ${req.method} ${req.originalUrl}` });
+});
+
+/*---------------------------------------------------------
+    EXPORTS
+---------------------------------------------------------*/
+return router;
+};
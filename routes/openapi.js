@@ -0,0 +1,1061 @@
+/**
+ * OpenAPI 3 description of the JSON API
+ * Route metadata for every JSON route (the /api/v1 router and /api/health) and the
+ * builder that turns it into the document served at /api/v1/openapi.json.
+ * Every route registered on the API router needs an entry in ROUTES; the contract
+ * tests fail on routes without one and on responses that do not match the document.
+ */
+
+/*---------------------------------------------------------
+    IMPORTS
+---------------------------------------------------------*/
+const { MAX_LIMIT, DEFAULT_LIMIT, HISTORY_RANGES } = require('../app/util/apiQuery');
+const { resolveRef, validateSchema } = require('../app/util/schemaValidator');
+const ExportService = require('../services/ExportService');
+const SupplyFlowAnalyzer = require('../services/domain/SupplyFlowAnalyzer');
+
+/*---------------------------------------------------------
+    CONSTANTS
+---------------------------------------------------------*/
+
+// Contract version: bump the minor version for additions, the major version (and the /api/vN prefix) for breaking changes
+const API_VERSION = '1.0.0';
+const API_PREFIX = '/api/v1';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+const mapOf = values => ({ type: 'object', additionalProperties: values });
+
+const NUMBER = { type: 'number' };
+const INTEGER = { type: 'integer' };
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const ANY = {};
+
+/*---------------------------------------------------------
+    SCHEMAS
+---------------------------------------------------------*/
+const FLOW_WINDOWS = Object.keys(SupplyFlowAnalyzer.WINDOWS);
+const flowWindows = schema => ({
+    type: 'object',
+    required: FLOW_WINDOWS,
+    properties: Object.fromEntries(FLOW_WINDOWS.map(w => [w, schema]))
+});
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: STRING,
+            details: arrayOf(STRING)
+        }
+    },
+    Meta: {
+        type: 'object',
+        required: ['lastUpdated'],
+        properties: {
+            lastUpdated: nullable({ type: 'string', format: 'date-time', description: 'Time of the dataset the response was built from' })
+        }
+    },
+    ListMeta: {
+        type: 'object',
+        required: ['total', 'page', 'limit', 'pages', 'lastUpdated'],
+        properties: {
+            total: INTEGER,
+            page: INTEGER,
+            limit: INTEGER,
+            pages: INTEGER,
+            lastUpdated: nullable({ type: 'string', format: 'date-time' })
+        }
+    },
+    TimestampMeta: {
+        type: 'object',
+        required: ['timestamp'],
+        properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            count: INTEGER
+        }
+    },
+    HistoryMeta: {
+        type: 'object',
+        required: ['range', 'points'],
+        properties: {
+            range: { type: 'string', enum: Object.keys(HISTORY_RANGES) },
+            points: INTEGER
+        }
+    },
+    PegPrice: {
+        type: 'object',
+        description: 'Price in the peg currency, converted with an FX reference rate',
+        properties: {
+            currency: STRING,
+            price: nullable(NUMBER),
+            deviation: nullable(NUMBER),
+            fxRate: nullable(NUMBER),
+            fxSource: nullable(STRING),
+            fxAsOf: nullable(INTEGER)
+        }
+    },
+    MarketData: {
+        type: 'object',
+        properties: {
+            price: nullable(NUMBER),
+            priceSource: nullable(STRING),
+            marketCap: nullable(NUMBER),
+            marketCapSource: nullable(STRING),
+            volume24h: nullable(NUMBER),
+            volumeSource: nullable(STRING),
+            percentChange24h: nullable(NUMBER),
+            rank: nullable(INTEGER),
+            sourcePrices: mapOf(nullable(NUMBER)),
+            peg: nullable(ref('PegPrice'))
+        }
+    },
+    ChainSupply: {
+        type: 'object',
+        properties: {
+            platform: nullable(STRING),
+            network: nullable(STRING),
+            supply: nullable(NUMBER),
+            percentage: nullable(NUMBER),
+            contractAddress: nullable(STRING),
+            historical: nullable({
+                type: 'object',
+                description: 'DeFiLlama chain history',
+                properties: {
+                    prevDay: nullable(NUMBER),
+                    prevWeek: nullable(NUMBER),
+                    prevMonth: nullable(NUMBER),
+                    series: arrayOf({ type: 'object', properties: { timestamp: INTEGER, supply: NUMBER } })
+                }
+            })
+        }
+    },
+    SupplyData: {
+        type: 'object',
+        properties: {
+            circulating: nullable(NUMBER),
+            circulatingSource: nullable(STRING),
+            total: nullable(NUMBER),
+            totalSource: nullable(STRING),
+            max: nullable(NUMBER),
+            networkBreakdown: arrayOf(ref('ChainSupply'))
+        }
+    },
+    Stablecoin: {
+        type: 'object',
+        description: 'Aggregated stablecoin or tokenized asset. With `fields`, only the selected paths are present.',
+        properties: {
+            id: STRING,
+            name: nullable(STRING),
+            symbol: nullable(STRING),
+            slug: nullable(STRING),
+            imageUrl: nullable(STRING),
+            assetCategory: nullable(STRING),
+            marketData: ref('MarketData'),
+            supplyData: ref('SupplyData'),
+            platforms: arrayOf(ANY),
+            metadata: {
+                type: 'object',
+                properties: {
+                    tags: nullable(arrayOf(STRING)),
+                    description: nullable(STRING),
+                    website: nullable(STRING),
+                    logoUrl: nullable(STRING),
+                    dateAdded: nullable(STRING),
+                    peggedAsset: nullable(STRING)
+                }
+            },
+            confidence: nullable({ type: 'object', additionalProperties: nullable(NUMBER) }),
+            dataSources: arrayOf(STRING),
+            identity: nullable({
+                type: 'object',
+                properties: { key: STRING, matchedBy: arrayOf(STRING), override: nullable(STRING) }
+            }),
+            pricing: nullable(mapOf({
+                type: 'object',
+                properties: { strategy: STRING, sources: arrayOf(STRING), excluded: arrayOf(ref('ExcludedValue')) }
+            })),
+            lastUpdated: nullable(INTEGER),
+            quality: nullable({ type: 'object' })
+        }
+    },
+    ExcludedValue: {
+        type: 'object',
+        required: ['source', 'reason'],
+        properties: { source: STRING, value: ANY, reason: STRING }
+    },
+    LineageEntry: {
+        type: 'object',
+        required: ['source', 'rule', 'candidates'],
+        properties: {
+            value: ANY,
+            source: nullable(STRING),
+            rule: { type: 'string', enum: ['priority', 'override', 'consensus', 'union', 'default'] },
+            candidates: arrayOf({
+                type: 'object',
+                required: ['source'],
+                properties: { source: STRING, value: ANY, priority: nullable(NUMBER) }
+            }),
+            note: STRING,
+            excluded: arrayOf(ref('ExcludedValue'))
+        }
+    },
+    StablecoinLineage: {
+        type: 'object',
+        required: ['id', 'symbol', 'dataSources', 'fields'],
+        properties: {
+            id: STRING,
+            symbol: nullable(STRING),
+            dataSources: arrayOf(STRING),
+            fields: mapOf(ref('LineageEntry'))
+        }
+    },
+    Platform: {
+        type: 'object',
+        description: 'Blockchain with its stablecoin supply. With `fields`, only the selected paths are present.',
+        properties: {
+            name: STRING,
+            uri: STRING,
+            mcap_sum: NUMBER,
+            mcap_sum_s: STRING,
+            coin_count: INTEGER,
+            total_supply: NUMBER,
+            total_supply_s: STRING,
+            supply_percentage: NUMBER,
+            supply_percentage_s: STRING,
+            stablecoins: arrayOf({
+                type: 'object',
+                properties: {
+                    name: nullable(STRING),
+                    symbol: nullable(STRING),
+                    uri: nullable(STRING),
+                    price: nullable(NUMBER),
+                    market_cap: nullable(NUMBER),
+                    platform_supply: nullable(NUMBER),
+                    platform_percentage: nullable(NUMBER),
+                    supply_change: nullable(ANY)
+                }
+            }),
+            supply_breakdown: arrayOf({
+                type: 'object',
+                properties: { name: nullable(STRING), symbol: nullable(STRING), supply: NUMBER, percentage: NUMBER, uri: nullable(STRING) }
+            }),
+            supply_change: nullable({
+                type: 'object',
+                description: 'Fractional supply change over 1, 7 and 30 days',
+                properties: { '1d': nullable(NUMBER), '7d': nullable(NUMBER), '30d': nullable(NUMBER) }
+            }),
+            dominant_stablecoin: nullable({
+                type: 'object',
+                properties: { name: nullable(STRING), symbol: nullable(STRING), supply: NUMBER, uri: nullable(STRING) }
+            }),
+            concentration: ref('ChainConcentration')
+        }
+    },
+    ChainConcentration: {
+        type: 'object',
+        description: 'Herfindahl-Hirschman indices (0-10000) of coin and issuer shares in the USD value on the chain, its peg mix and earlier values',
+        properties: {
+            hhi: nullable(INTEGER),
+            level: nullable({ type: 'string', enum: ['unconcentrated', 'moderate', 'high'] }),
+            dominant_share: NUMBER,
+            single_coin_dominated: BOOLEAN,
+            issuer_hhi: nullable(INTEGER),
+            issuer_level: nullable({ type: 'string', enum: ['unconcentrated', 'moderate', 'high'] }),
+            issuers: arrayOf({
+                type: 'object',
+                properties: { issuer: STRING, value: NUMBER, percentage: NUMBER }
+            }),
+            peg_mix: arrayOf({
+                type: 'object',
+                properties: { peg: STRING, value: NUMBER, percentage: NUMBER }
+            }),
+            history: {
+                type: 'object',
+                description: 'Index, leading share and USD value at the start of each period (at current prices); null without history',
+                additionalProperties: nullable({
+                    type: 'object',
+                    properties: { hhi: nullable(INTEGER), dominant_share: NUMBER, total_value: NUMBER }
+                })
+            }
+        }
+    },
+    SegmentMetrics: {
+        type: 'object',
+        properties: {
+            totalMarketCap: NUMBER,
+            totalMarketCapFormatted: STRING,
+            totalVolume: NUMBER,
+            totalVolumeFormatted: STRING,
+            count: INTEGER,
+            lastUpdated: nullable(INTEGER)
+        }
+    },
+    MarketMetrics: {
+        type: 'object',
+        required: ['market', 'stablecoins', 'tokenizedAssets'],
+        properties: {
+            market: {
+                type: 'object',
+                properties: {
+                    totalMarketCap: NUMBER,
+                    totalMarketCapFormatted: STRING,
+                    totalVolume: NUMBER,
+                    totalVolumeFormatted: STRING,
+                    stablecoinCount: INTEGER,
+                    platformCount: INTEGER,
+                    lastUpdated: nullable(INTEGER)
+                }
+            },
+            stablecoins: nullable(ref('SegmentMetrics')),
+            tokenizedAssets: nullable(ref('SegmentMetrics'))
+        }
+    },
+    CoinHistoryPoint: {
+        type: 'object',
+        required: ['timestamp'],
+        properties: {
+            timestamp: INTEGER,
+            price: nullable(NUMBER),
+            marketCap: nullable(NUMBER),
+            volume24h: nullable(NUMBER),
+            circulating: nullable(NUMBER),
+            chains: mapOf(NUMBER)
+        }
+    },
+    PlatformHistoryPoint: {
+        type: 'object',
+        required: ['timestamp'],
+        properties: {
+            timestamp: INTEGER,
+            marketCap: nullable(NUMBER),
+            totalSupply: nullable(NUMBER),
+            supplyShare: nullable(NUMBER),
+            coinCount: nullable(INTEGER)
+        }
+    },
+    DepegBreach: {
+        type: 'object',
+        required: ['slug', 'peggedAsset', 'price', 'deviation', 'severity', 'active'],
+        properties: {
+            slug: STRING,
+            symbol: nullable(STRING),
+            name: nullable(STRING),
+            peggedAsset: STRING,
+            price: NUMBER,
+            referencePrice: NUMBER,
+            deviation: NUMBER,
+            peakDeviation: NUMBER,
+            severity: { type: 'string', enum: ['warning', 'critical'] },
+            threshold: {
+                type: 'object',
+                properties: { warning: NUMBER, critical: NUMBER, durationMinutes: NUMBER }
+            },
+            sourcePrices: mapOf(nullable(NUMBER)),
+            since: INTEGER,
+            durationMs: INTEGER,
+            updatedAt: INTEGER,
+            alerted: BOOLEAN,
+            active: BOOLEAN
+        }
+    },
+    FxStatus: {
+        type: 'object',
+        required: ['enabled', 'providers', 'errors', 'rates'],
+        properties: {
+            enabled: BOOLEAN,
+            providers: arrayOf(STRING),
+            lastRefresh: nullable(INTEGER),
+            errors: arrayOf(STRING),
+            rates: mapOf({
+                type: 'object',
+                required: ['rate', 'source'],
+                properties: { rate: NUMBER, source: STRING, asOf: nullable(INTEGER), stale: BOOLEAN }
+            })
+        }
+    },
+    DiffRecord: {
+        type: 'object',
+        required: ['slug'],
+        properties: {
+            slug: STRING,
+            symbol: nullable(STRING),
+            name: nullable(STRING),
+            assetCategory: nullable(STRING),
+            peggedAsset: nullable(STRING),
+            marketCap: nullable(NUMBER),
+            sources: arrayOf(STRING)
+        }
+    },
+    RefreshDiff: {
+        type: 'object',
+        required: ['summary', 'added', 'removed', 'reclassified', 'coverage', 'supplyMoves', 'rankChanges'],
+        properties: {
+            from: nullable(INTEGER),
+            to: nullable(INTEGER),
+            summary: {
+                type: 'object',
+                required: ['hasChanges'],
+                properties: {
+                    previousCount: INTEGER,
+                    currentCount: INTEGER,
+                    added: INTEGER,
+                    removed: INTEGER,
+                    reclassified: INTEGER,
+                    sourceCoverage: INTEGER,
+                    recordCoverage: INTEGER,
+                    supplyMoves: INTEGER,
+                    rankChanges: INTEGER,
+                    hasChanges: BOOLEAN
+                }
+            },
+            added: arrayOf(ref('DiffRecord')),
+            removed: arrayOf(ref('DiffRecord')),
+            reclassified: arrayOf({
+                type: 'object',
+                properties: {
+                    slug: STRING,
+                    symbol: nullable(STRING),
+                    field: { type: 'string', enum: ['assetCategory', 'peggedAsset'] },
+                    previous: nullable(STRING),
+                    current: nullable(STRING)
+                }
+            }),
+            coverage: {
+                type: 'object',
+                properties: {
+                    sources: arrayOf({
+                        type: 'object',
+                        properties: { sourceId: STRING, previous: INTEGER, current: INTEGER, change: INTEGER }
+                    }),
+                    records: arrayOf({
+                        type: 'object',
+                        properties: { slug: STRING, symbol: nullable(STRING), added: arrayOf(STRING), removed: arrayOf(STRING), sources: arrayOf(STRING) }
+                    })
+                }
+            },
+            supplyMoves: arrayOf({
+                type: 'object',
+                properties: {
+                    slug: STRING,
+                    symbol: nullable(STRING),
+                    chain: STRING,
+                    type: { type: 'string', enum: ['mint', 'burn'] },
+                    previous: NUMBER,
+                    current: NUMBER,
+                    change: NUMBER,
+                    changePercent: nullable(NUMBER),
+                    valueUsd: NUMBER
+                }
+            }),
+            rankChanges: arrayOf({
+                type: 'object',
+                properties: {
+                    slug: STRING,
+                    symbol: nullable(STRING),
+                    assetCategory: nullable(STRING),
+                    previous: INTEGER,
+                    current: INTEGER,
+                    change: INTEGER
+                }
+            })
+        }
+    },
+    ChainFlows: {
+        type: 'object',
+        description: 'Flows on one chain in token units',
+        properties: {
+            chain: STRING,
+            issued: NUMBER,
+            redeemed: NUMBER,
+            migratedIn: NUMBER,
+            migratedOut: NUMBER,
+            net: NUMBER
+        }
+    },
+    WindowFlows: {
+        type: 'object',
+        required: ['source', 'from', 'to', 'complete', 'issued', 'redeemed', 'net', 'migrated', 'chains'],
+        properties: {
+            source: { type: 'string', enum: ['history', 'defillama'] },
+            from: INTEGER,
+            to: INTEGER,
+            complete: { type: 'boolean', description: 'False when the points start late in the window' },
+            steps: INTEGER,
+            issued: NUMBER,
+            redeemed: NUMBER,
+            net: NUMBER,
+            migrated: NUMBER,
+            chains: arrayOf(ref('ChainFlows'))
+        }
+    },
+    CoinSupplyFlows: {
+        type: 'object',
+        required: ['slug', 'windows'],
+        properties: {
+            slug: STRING,
+            symbol: nullable(STRING),
+            name: nullable(STRING),
+            price: nullable(NUMBER),
+            windows: flowWindows(nullable(ref('WindowFlows')))
+        }
+    },
+    PlatformSupplyFlows: {
+        type: 'object',
+        required: ['chain', 'windows'],
+        properties: {
+            chain: STRING,
+            windows: flowWindows({
+                type: 'object',
+                properties: {
+                    issuedUsd: NUMBER,
+                    redeemedUsd: NUMBER,
+                    migratedInUsd: NUMBER,
+                    migratedOutUsd: NUMBER,
+                    netUsd: NUMBER,
+                    coins: arrayOf({
+                        type: 'object',
+                        description: 'Each coin\'s flows on the chain in token units, largest net change (USD) first',
+                        properties: {
+                            slug: STRING,
+                            symbol: nullable(STRING),
+                            name: nullable(STRING),
+                            source: { type: 'string', enum: ['history', 'defillama'] },
+                            chain: STRING,
+                            issued: NUMBER,
+                            redeemed: NUMBER,
+                            migratedIn: NUMBER,
+                            migratedOut: NUMBER,
+                            net: NUMBER,
+                            netUsd: NUMBER
+                        }
+                    })
+                }
+            })
+        }
+    },
+    SupplyFlowOverview: {
+        type: 'object',
+        required: ['timestamp', 'windows'],
+        properties: {
+            timestamp: INTEGER,
+            windows: flowWindows({
+                type: 'object',
+                properties: {
+                    totals: {
+                        type: 'object',
+                        properties: { issuedUsd: NUMBER, redeemedUsd: NUMBER, migratedUsd: NUMBER, netUsd: NUMBER, coins: INTEGER }
+                    },
+                    chains: arrayOf({
+                        type: 'object',
+                        properties: {
+                            chain: STRING,
+                            issuedUsd: NUMBER,
+                            redeemedUsd: NUMBER,
+                            migratedInUsd: NUMBER,
+                            migratedOutUsd: NUMBER,
+                            netUsd: NUMBER
+                        }
+                    })
+                }
+            })
+        }
+    },
+    SystemHealth: {
+        type: 'object',
+        required: ['status', 'operational', 'overallScore', 'sources', 'metrics', 'activeAlerts', 'degradedMode', 'timestamp'],
+        properties: {
+            status: STRING,
+            operational: BOOLEAN,
+            overallScore: INTEGER,
+            sources: arrayOf({
+                type: 'object',
+                required: ['sourceId', 'status', 'operational', 'healthScore'],
+                properties: {
+                    sourceId: STRING,
+                    sourceName: STRING,
+                    status: STRING,
+                    operational: BOOLEAN,
+                    healthScore: NUMBER,
+                    responseTime: { type: 'object' },
+                    errorMetrics: { type: 'object' },
+                    rateLimit: { type: 'object' },
+                    dataQuality: { type: 'object' },
+                    lastSuccessfulOperation: nullable(INTEGER),
+                    consecutiveFailures: INTEGER,
+                    lastError: nullable(ANY),
+                    circuitBreaker: { type: 'object' }
+                }
+            }),
+            metrics: {
+                type: 'object',
+                properties: {
+                    totalRequests: INTEGER,
+                    successRate: NUMBER,
+                    averageResponseTime: NUMBER,
+                    dataFreshness: nullable(NUMBER),
+                    sourceCount: INTEGER,
+                    healthySourceCount: INTEGER
+                }
+            },
+            conflicts: { type: 'object' },
+            activeAlerts: arrayOf({
+                type: 'object',
+                required: ['id', 'level', 'type', 'active'],
+                properties: {
+                    id: STRING,
+                    level: { type: 'string', enum: ['info', 'warning', 'error', 'critical'] },
+                    type: STRING,
+                    source: nullable(STRING),
+                    title: STRING,
+                    description: STRING,
+                    timestamp: INTEGER,
+                    active: BOOLEAN,
+                    metadata: { type: 'object' },
+                    actions: arrayOf(STRING)
+                }
+            }),
+            degradedMode: {
+                type: 'object',
+                properties: {
+                    recommended: BOOLEAN,
+                    active: BOOLEAN,
+                    reasons: arrayOf(STRING),
+                    disabledSources: arrayOf(STRING),
+                    config: { type: 'object' }
+                }
+            },
+            rateLimits: mapOf({ type: 'object' }),
+            timestamp: INTEGER,
+            uptime: STRING
+        }
+    },
+    OpenApiDocument: {
+        type: 'object',
+        required: ['openapi', 'info', 'paths'],
+        properties: {
+            openapi: STRING,
+            info: { type: 'object', required: ['title', 'version'] },
+            paths: { type: 'object' },
+            components: { type: 'object' }
+        }
+    }
+};
+
+/*---------------------------------------------------------
+    PARAMETERS
+---------------------------------------------------------*/
+const PARAMETERS = {
+    page: {
+        name: 'page', in: 'query',
+        description: 'Page number, starting at 1',
+        schema: { type: 'integer', minimum: 1, default: 1 }
+    },
+    limit: {
+        name: 'limit', in: 'query',
+        description: `Items per page (max ${MAX_LIMIT})`,
+        schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }
+    },
+    sort: {
+        name: 'sort', in: 'query',
+        description: 'Comma-separated sort keys, `-` prefix for descending (e.g. `-marketCap,symbol`)',
+        schema: STRING
+    },
+    fields: {
+        name: 'fields', in: 'query',
+        description: 'Comma-separated dot-paths to return (e.g. `symbol,marketData.price`)',
+        schema: STRING
+    },
+    category: {
+        name: 'category', in: 'query',
+        description: 'Asset categories, comma-separated (e.g. `Stablecoin,Tokenized Asset`)',
+        schema: STRING
+    },
+    peg: {
+        name: 'peg', in: 'query',
+        description: 'Pegged assets, comma-separated (e.g. `USD,EUR`)',
+        schema: STRING
+    },
+    chain: {
+        name: 'chain', in: 'query',
+        description: 'Chains the asset is issued on, comma-separated',
+        schema: STRING
+    },
+    lineageFields: {
+        name: 'fields', in: 'query',
+        description: 'Comma-separated lineage field paths (e.g. `marketData.price,metadata.description`)',
+        schema: STRING
+    },
+    range: {
+        name: 'range', in: 'query',
+        description: 'Time range of the series',
+        schema: { type: 'string', enum: Object.keys(HISTORY_RANGES), default: '30d' }
+    },
+    active: {
+        name: 'active', in: 'query',
+        description: 'Pass `true` to exclude breaches still within their duration',
+        schema: { type: 'string', enum: ['true', 'false'] }
+    },
+    diffLimit: {
+        name: 'limit', in: 'query',
+        description: 'Number of diffs to return',
+        schema: { type: 'integer', minimum: 1 }
+    },
+    lastEventId: {
+        name: 'lastEventId', in: 'query',
+        description: 'Id of the last event received, for clients that cannot send the `Last-Event-ID` header',
+        schema: STRING
+    },
+    filters: {
+        name: 'filters', in: 'query',
+        description: 'Home page filter state as JSON; rows are filtered by the same rules as the page',
+        schema: STRING
+    }
+};
+
+// Path parameters are described per route; these are their schemas
+const PATH_PARAMETER_SCHEMAS = {
+    format: { type: 'string', enum: Object.keys(ExportService.FORMATS) }
+};
+
+/*---------------------------------------------------------
+    RESPONSES
+---------------------------------------------------------*/
+const ERROR_RESPONSES = {
+    400: { name: 'BadRequest', description: 'Invalid query parameters or path values' },
+    404: { name: 'NotFound', description: 'The requested resource does not exist' },
+    500: { name: 'InternalError', description: 'Unexpected server error' },
+    503: { name: 'ServiceUnavailable', description: 'The service behind the endpoint is disabled or not initialized' }
+};
+
+/**
+ * Build a JSON success response with the { data, meta } envelope
+ * @param {string} description - Response description
+ * @param {Object} data - Schema of the data member
+ * @param {string} [meta='Meta'] - Name of the meta schema
+ * @returns {Object} Route success metadata
+ */
+function envelope(description, data, meta = 'Meta') {
+    return {
+        description,
+        schema: {
+            type: 'object',
+            required: ['data', 'meta'],
+            properties: { data, meta: ref(meta) }
+        }
+    };
+}
+
+/*---------------------------------------------------------
+    ROUTES
+---------------------------------------------------------*/
+
+/**
+ * Route metadata, in the order shown in the docs. Paths use Express syntax.
+ * - query: names of entries in PARAMETERS
+ * - pathParams: description of each path parameter
+ * - success: { description, schema } for JSON, or { description, content } for other media types
+ * - errors: error statuses the route can return besides 500
+ */
+const ROUTES = [
+    {
+        method: 'get', path: '/api/health', tag: 'Health', operationId: 'getHealth',
+        summary: 'System health',
+        description: 'Health of each data source, overall score, active alerts, degraded mode and rate limit budgets. Not wrapped in the `{ data, meta }` envelope.',
+        success: { description: 'System health', schema: ref('SystemHealth') },
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/openapi.json`, tag: 'Meta', operationId: 'getOpenApiDocument',
+        summary: 'This OpenAPI document',
+        success: { description: 'OpenAPI 3 document', schema: ref('OpenApiDocument') },
+        errors: []
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/stablecoins`, tag: 'Stablecoins', operationId: 'listStablecoins',
+        summary: 'List stablecoins and tokenized assets',
+        query: ['page', 'limit', 'sort', 'fields', 'category', 'peg', 'chain'],
+        success: envelope('Page of aggregated records', arrayOf(ref('Stablecoin')), 'ListMeta'),
+        errors: [400, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/stablecoins/:id`, tag: 'Stablecoins', operationId: 'getStablecoin',
+        summary: 'Get one stablecoin',
+        pathParams: { id: 'Slug or symbol' },
+        query: ['fields'],
+        success: envelope('Aggregated record', ref('Stablecoin')),
+        errors: [400, 404, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/stablecoins/:id/lineage`, tag: 'Stablecoins', operationId: 'getStablecoinLineage',
+        summary: 'Field lineage of a stablecoin',
+        description: 'The value each source reported for each merged field, the winning source and the merge rule.',
+        pathParams: { id: 'Slug or symbol' },
+        query: ['lineageFields'],
+        success: envelope('Lineage per field path', ref('StablecoinLineage')),
+        errors: [400, 404, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/stablecoins/:id/supply-flows`, tag: 'Supply Flows', operationId: 'getStablecoinSupplyFlows',
+        summary: 'Supply flows of a stablecoin',
+        description: 'Issuance, redemptions and cross-chain migration over 24h, 7d and 30d in token units.',
+        pathParams: { id: 'Slug or symbol' },
+        success: envelope('Flows per window', ref('CoinSupplyFlows'), 'TimestampMeta'),
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/platforms`, tag: 'Platforms', operationId: 'listPlatforms',
+        summary: 'List blockchains',
+        query: ['page', 'limit', 'sort', 'fields'],
+        success: envelope('Page of platforms', arrayOf(ref('Platform')), 'ListMeta'),
+        errors: [400, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/platforms/:id`, tag: 'Platforms', operationId: 'getPlatform',
+        summary: 'Get one blockchain',
+        pathParams: { id: 'Platform uri or name' },
+        query: ['fields'],
+        success: envelope('Platform', ref('Platform')),
+        errors: [400, 404, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/platforms/:id/supply-flows`, tag: 'Supply Flows', operationId: 'getPlatformSupplyFlows',
+        summary: 'Supply flows on a blockchain',
+        description: 'Issuance, redemptions and migration in and out over 24h, 7d and 30d in USD, with each coin\'s share.',
+        pathParams: { id: 'Platform uri or name' },
+        success: envelope('Flows per window', ref('PlatformSupplyFlows'), 'TimestampMeta'),
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/supply-flows`, tag: 'Supply Flows', operationId: 'getSupplyFlowOverview',
+        summary: 'Supply flows across all stablecoins',
+        success: envelope('Totals and per-chain flows per window (USD)', ref('SupplyFlowOverview'), 'TimestampMeta'),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/metrics`, tag: 'Metrics', operationId: 'getMetrics',
+        summary: 'Market metrics',
+        success: envelope('Market, stablecoin and tokenized asset metrics', ref('MarketMetrics')),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/metrics/stablecoins`, tag: 'Metrics', operationId: 'getStablecoinMetrics',
+        summary: 'Stablecoin metrics',
+        success: envelope('Stablecoin segment metrics', nullable(ref('SegmentMetrics'))),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/metrics/tokenized-assets`, tag: 'Metrics', operationId: 'getTokenizedAssetMetrics',
+        summary: 'Tokenized asset metrics',
+        success: envelope('Tokenized asset segment metrics', nullable(ref('SegmentMetrics'))),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/history/stablecoins/:id`, tag: 'History', operationId: 'getStablecoinHistory',
+        summary: 'Stablecoin time series',
+        pathParams: { id: 'Slug or symbol' },
+        query: ['range'],
+        success: envelope('Points, oldest first', arrayOf(ref('CoinHistoryPoint')), 'HistoryMeta'),
+        errors: [400, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/history/platforms/:id`, tag: 'History', operationId: 'getPlatformHistory',
+        summary: 'Blockchain time series',
+        pathParams: { id: 'Platform uri or name' },
+        query: ['range'],
+        success: envelope('Points, oldest first', arrayOf(ref('PlatformHistoryPoint')), 'HistoryMeta'),
+        errors: [400, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/depegs`, tag: 'Monitoring', operationId: 'listDepegs',
+        summary: 'Current depeg breaches',
+        query: ['active'],
+        success: envelope('Breaches, most severe first', arrayOf(ref('DepegBreach')), 'TimestampMeta'),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/fx-rates`, tag: 'Monitoring', operationId: 'getFxRates',
+        summary: 'FX reference rates',
+        description: 'USD value of one unit of each peg currency, used for peg-currency prices and depeg checks.',
+        success: envelope('FX rate status', ref('FxStatus'), 'TimestampMeta'),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/changes`, tag: 'Changes', operationId: 'getLatestChanges',
+        summary: 'What changed in the last refresh',
+        description: '`data` is null until a refresh replaces a dataset.',
+        success: envelope('Latest refresh diff', nullable(ref('RefreshDiff')), 'TimestampMeta'),
+        errors: [503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/changes/history`, tag: 'Changes', operationId: 'listChanges',
+        summary: 'Recent refresh diffs',
+        query: ['diffLimit'],
+        success: envelope('Diffs, newest first', arrayOf(ref('RefreshDiff')), 'TimestampMeta'),
+        errors: [400, 503]
+    },
+    {
+        method: 'get', path: `${API_PREFIX}/events`, tag: 'Live Updates', operationId: 'streamEvents',
+        summary: 'Server-Sent Events stream',
+        description: 'Events: `refresh`, `alert` and `degraded`. Reconnecting clients send `Last-Event-ID` to receive missed events.',
+        query: ['lastEventId'],
+        success: { description: 'Event stream', content: { 'text/event-stream': { schema: STRING } } },
+        errors: [503]
+    },
+    ...[
+        ['stablecoins', 'exportStablecoins', 'Stablecoin list download', {}],
+        ['platforms', 'exportPlatforms', 'Blockchain rankings download, recomputed over the coins passing the filters', {}],
+        ['stablecoins/:id/chains', 'exportStablecoinChains', 'One stablecoin\'s supply by blockchain download', { id: 'Slug or symbol' }],
+        ['platforms/:id/stablecoins', 'exportPlatformStablecoins', 'Stablecoins on one blockchain download', { id: 'Platform uri or name' }]
+    ].map(([resource, operationId, summary, pathParams]) => ({
+        method: 'get', path: `${API_PREFIX}/export/${resource}.:format`, tag: 'Exports', operationId,
+        summary,
+        pathParams: { ...pathParams, format: 'File format' },
+        query: ['filters'],
+        success: {
+            description: 'File download',
+            content: Object.fromEntries(Object.values(ExportService.FORMATS)
+                .map(f => [f.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }]))
+        },
+        errors: Object.keys(pathParams).length ? [400, 404, 503] : [400, 503]
+    }))
+];
+
+/*---------------------------------------------------------
+    DOCUMENT
+---------------------------------------------------------*/
+
+/**
+ * Convert an Express path to an OpenAPI path template
+ * @param {string} path - Express path (e.g. '/api/v1/stablecoins/:id')
+ * @returns {string} OpenAPI path (e.g. '/api/v1/stablecoins/{id}')
+ */
+function toOpenApiPath(path) {
+    return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Build the OpenAPI operation object for a route
+ * @param {Object} route - Entry of ROUTES
+ * @returns {Object} Operation object
+ */
+function buildOperation(route) {
+    const pathParameters = Object.entries(route.pathParams || {}).map(([name, description]) => ({
+        name, in: 'path', required: true, description, schema: PATH_PARAMETER_SCHEMAS[name] || STRING
+    }));
+    const queryParameters = (route.query || []).map(name => ({ $ref: `#/components/parameters/${name}` }));
+
+    const success = route.success.content
+        ? { description: route.success.description, content: route.success.content }
+        : { description: route.success.description, content: { 'application/json': { schema: route.success.schema } } };
+    const responses = { 200: success };
+    // Unexpected errors become JSON 500 responses, except on the event stream
+    const errors = route.success.content?.['text/event-stream'] ? route.errors : [...route.errors, 500];
+    for (const status of [...new Set(errors)].sort()) {
+        responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+    }
+
+    return {
+        operationId: route.operationId,
+        tags: [route.tag],
+        summary: route.summary,
+        ...(route.description ? { description: route.description } : {}),
+        ...(pathParameters.length || queryParameters.length ? { parameters: [...pathParameters, ...queryParameters] } : {}),
+        responses
+    };
+}
+
+/**
+ * Build the OpenAPI 3 document from the route metadata
+ * @param {Object} [options={}] - Document options
+ * @param {string} [options.serverUrl] - Base URL listed under servers (defaults to the serving host)
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument({ serverUrl } = {}) {
+    const paths = {};
+    for (const route of ROUTES) {
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...(paths[path] || {}), [route.method]: buildOperation(route) };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Stablecoin Watch API',
+            version: API_VERSION,
+            description: 'Read-only JSON API of aggregated stablecoin and tokenized asset data. '
+                + 'Responses use a `{ data, meta }` envelope and errors use `{ error, details }`.'
+        },
+        servers: [{ url: serverUrl || '/' }],
+        tags: [...new Set(ROUTES.map(r => r.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            parameters: PARAMETERS,
+            responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(({ name, description }) => [name, {
+                description,
+                content: { 'application/json': { schema: ref('Error') } }
+            }]))
+        }
+    };
+}
+
+/*---------------------------------------------------------
+    CONTRACT CHECKS
+---------------------------------------------------------*/
+
+/**
+ * Find the operation that serves a request path
+ * @param {Object} document - OpenAPI document
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path, query string ignored
+ * @returns {Object|null} { path, operation } or null when no documented path matches
+ */
+function findOperation(document, method, url) {
+    const requestPath = String(url).split('?')[0];
+    for (const [path, item] of Object.entries(document.paths)) {
+        const operation = item[method.toLowerCase()];
+        if (!operation) continue;
+        const pattern = new RegExp(`^${path.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+?')}$`);
+        if (pattern.test(requestPath)) return { path, operation };
+    }
+    return null;
+}
+
+/**
+ * Check a JSON response against the document
+ * @param {Object} document - OpenAPI document
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path
+ * @param {number} status - Response status code
+ * @param {*} body - Parsed JSON response body
+ * @returns {Array<string>} Contract violations (empty when the response matches)
+ */
+function validateResponse(document, method, url, status, body) {
+    const match = findOperation(document, method, url);
+    if (!match) return [`No documented operation for ${method.toUpperCase()} ${url}`];
+
+    let response = match.operation.responses[status];
+    if (!response) return [`Status ${status} is not documented for ${method.toUpperCase()} ${match.path}`];
+    if (response.$ref) response = resolveRef(document, response.$ref);
+
+    const json = response.content?.['application/json'];
+    if (!json) return [`${method.toUpperCase()} ${match.path} does not document a JSON ${status} response`];
+    return validateSchema(body, json.schema, document);
+}
+
+/*---------------------------------------------------------
+    EXPORTS
+---------------------------------------------------------*/
+module.exports = {
+    API_VERSION,
+    API_PREFIX,
+    ROUTES,
+    toOpenApiPath,
+    buildOpenApiDocument,
+    findOperation,
+    validateResponse
+};
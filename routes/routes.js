@@ -6,6 +6,11 @@ const util = require('../app/util');
 const ApiConfig = require('../config/ApiConfig');
 const AssetClassificationConfig = require('../config/AssetClassificationConfig');
 const AssetClassifier = require('../services/domain/AssetClassifier');
+const MetricsService = require('../services/MetricsService');
+const { buildOpenApiDocument } = require('./openapi');
+const logger = require('../app/logger');
+
+const log = logger.forModule('routes');
 
 // Helper function to calculate data completeness for chain metrics
 function calculateChainDataCompleteness(data) {
@@ -57,6 +62,7 @@ router.get('/', async (req, res) => {
         data: displayData,
         dataCompleteness,
         showChainMetrics,
+        exportUrl: '/api/v1/export/stablecoins',
         active: 'home',
         formatter: {
             formatNumber: util.formatNumber,
@@ -93,12 +99,28 @@ router.get('/status', async (req, res) => {
         mockMode = Object.values(cfgs).some(c => c?.mockData && c.mockData.enabled);
     } catch (_) { mockMode = false; }
 
+    // Loaded, disabled and rejected data source plugins
+    const plugins = svc.dataService?.fetcherRegistry?.getPlugins?.() || [];
+
+    // Cross-source identity matches that need a manual override
+    const identity = svc.dataService?.getIdentityReport?.() || null;
+
+    // Degraded mode from the last refresh (updated live on the page)
+    const degraded = svc.dataService?.getDegradedStatus?.() || { active: false, reasons: [] };
+
+    // What changed between the last two datasets
+    const changes = svc.dataService?.getLatestDiff?.() || null;
+
     res.render('status', {
         data,
         dataCompleteness,
         showChainMetrics,
         health,
         mockMode,
+        plugins,
+        identity,
+        degraded,
+        changes,
         active: 'status',
         formatter: {
             formatNumber: require('../app/util').formatNumber,
@@ -127,6 +149,39 @@ router.get('/api/health', async (req, res) => {
     }
 });
 
+/**
+ * Metrics endpoint - source, refresh, classifier and market metrics in the OpenMetrics text format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/metrics', async (req, res) => {
+    const svc = services || req.services || {};
+    if (!svc.metrics || !svc.metrics.isEnabled()) {
+        return res.status(404).type('text/plain').send('Metrics are disabled');
+    }
+    try {
+        const body = await svc.metrics.render();
+        res.set('Content-Type', MetricsService.CONTENT_TYPE).send(body);
+    } catch (err) {
+        res.status(500).type('text/plain').send(err?.message || 'Failed to render metrics');
+    }
+});
+
+/**
+ * API docs page - renders the OpenAPI document with a request form per operation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/api/docs', (req, res) => {
+    const svc = services || req.services || {};
+    res.render('api-docs', {
+        data: svc.dataService ? svc.dataService.getData() : null,
+        spec: buildOpenApiDocument(),
+        specUrl: '/api/v1/openapi.json',
+        active: ''
+    });
+});
+
 /**
  * Platforms list route - displays all blockchain platforms
  * @param {Object} req - Express request object
@@ -144,6 +199,7 @@ router.get('/platforms', async (req, res) => {
         data: data,
         dataCompleteness,
         showChainMetrics,
+        exportUrl: '/api/v1/export/platforms',
         active: 'chains',
         formatter: {
             formatNumber: util.formatNumber,
@@ -160,7 +216,7 @@ router.get('/platforms', async (req, res) => {
  * @param {Object} res - Express response object
  */
 router.get('/coins/:symbol', async (req, res) => {
-    console.debug(`Request for coin page: ${req.params.symbol}`);
+    log.debug('Coin page requested', { symbol: req.params.symbol });
     const svc = services || req.services || {};
     const data = svc.dataService.getData();
     const symbol = req.params.symbol;
@@ -170,11 +226,24 @@ router.get('/coins/:symbol', async (req, res) => {
     const { dataCompleteness, showChainMetrics } = calculateChainDataCompleteness(data);
     
 
+    // Active or pending depeg breach for the banner
+    const depeg = (coin && svc.depegMonitor) ? svc.depegMonitor.getStatus(coin.uri) : null;
+
+    // Field lineage from the aggregated record for the "why this value" panel
+    const record = coin ? await svc.dataService.getStablecoin(coin.uri) : null;
+
+    // Mints, burns and cross-chain migration for the "Supply Flows" section
+    const supplyFlows = (coin && svc.supplyFlows) ? await svc.supplyFlows.getCoinFlows(coin.uri) : null;
+
     res.render('coins', {
         data: data,
         dataCompleteness,
         showChainMetrics,
         coin: coin,
+        depeg,
+        lineage: record?.lineage || null,
+        supplyFlows,
+        exportUrl: coin ? `/api/v1/export/stablecoins/${encodeURIComponent(coin.uri)}/chains` : null,
         active: '',
         formatter: {
             formatNumber: util.formatNumber,
@@ -191,7 +260,7 @@ router.get('/coins/:symbol', async (req, res) => {
  * @param {Object} res - Express response object
  */
 router.get('/platforms/:name', async (req, res) => {
-    console.debug(`Request for platform page: ${req.params.name}`);
+    log.debug('Platform page requested', { platform: req.params.name });
     const svc = services || req.services || {};
     const data = svc.dataService.getData();
 
@@ -243,6 +312,9 @@ router.get('/platforms/:name', async (req, res) => {
 
     // Enhanced platform page with rich data
     const platformIndex = data.platform_data.findIndex(p => p === platformEntry);
+
+    // Mints, burns and cross-chain migration for the "Supply Flows" section
+    const supplyFlows = svc.supplyFlows ? await svc.supplyFlows.getChainFlows(platformEntry.name) : null;
     
     res.render('platforms', {
         data: data,
@@ -250,6 +322,8 @@ router.get('/platforms/:name', async (req, res) => {
         showChainMetrics,
         platform: platformEntry,
         platformIndex: platformIndex,
+        supplyFlows,
+        exportUrl: `/api/v1/export/platforms/${encodeURIComponent(platformEntry.uri || platformEntry.name)}/stablecoins`,
         active: '',
         formatter: {
             formatNumber: util.formatNumber,
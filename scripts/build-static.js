@@ -2,6 +2,9 @@
 /**
  * Build static site output by rendering EJS views using the same data pipeline
  * used by the Express app. Outputs HTML + assets into `dist/`.
+ *
+ * Pass `--incremental` (or set STATIC_INCREMENTAL=true) to keep the previous `dist/` and only
+ * re-render pages whose inputs changed; `--full` forces a clean build.
  */
 
 // Load env and optional env.{NODE_ENV}
@@ -18,43 +21,47 @@ try {
 } catch (_) {}
 
 // Reuse app internals
-const ejs = require('ejs');
-const templateHelpers = require('../app/util/templateHelpers');
-const utilFmt = require('../app/util');
 const HealthMonitor = require('../services/HealthMonitor');
 const ServiceFactory = require('../services/ServiceFactory');
+const SupplyFlowService = require('../services/SupplyFlowService');
+const DepegMonitor = require('../services/DepegMonitor');
+const StaticPublisher = require('../services/StaticPublisher');
+const StaticSiteBuilder = require('../services/StaticSiteBuilder');
 const AppConfig = require('../config/AppConfig');
 
-async function ensureDir(dir) {
-  await fs.promises.mkdir(dir, { recursive: true });
-}
-
-async function copyFile(src, dest) {
-  await ensureDir(path.dirname(dest));
-  await fs.promises.copyFile(src, dest);
-}
-
-async function writeFile(dest, contents) {
-  await ensureDir(path.dirname(dest));
-  await fs.promises.writeFile(dest, contents);
-}
-
-async function renderView(viewName, data) {
-  const viewsDir = path.resolve(__dirname, '..', 'views');
-  const file = path.join(viewsDir, `${viewName}.ejs`);
-  const html = await ejs.renderFile(file, data, { root: viewsDir });
-  return html;
+// Assets templates reference by root path; written under fingerprinted names
+const ASSETS = [
+  ['css', 'common.css'],
+  ['js', 'chart.min.js'],
+  ['js', 'filter-core.js'],
+  ['js', 'filter-system.js'],
+  ['js', 'history-charts.js'],
+];
+
+// Window bounds move with the clock on every build; pages only show the start of incomplete windows
+function coinFlowsSlice(flows) {
+  if (!flows) return flows;
+  const windows = {};
+  for (const [name, window] of Object.entries(flows.windows)) {
+    if (window && window.complete) {
+      const { from, to, ...rest } = window;
+      windows[name] = rest;
+    } else {
+      windows[name] = window;
+    }
+  }
+  return { ...flows, windows };
 }
 
 async function main() {
   const outDir = path.resolve(__dirname, '..', 'dist');
+  const args = process.argv.slice(2);
+  const incremental = args.includes('--incremental') || (AppConfig.staticSite.incremental && !args.includes('--full'));
+  const builder = new StaticSiteBuilder(outDir, { incremental });
 
-  // Clean old build (best-effort)
-  try {
-    if (fs.existsSync(outDir)) {
-      fs.rmSync(outDir, { recursive: true, force: true });
-    }
-  } catch (_) {}
+  // Reads the previous manifest; full builds start from an empty dist/
+  await builder.start();
+  console.log(`Build mode: ${incremental ? 'incremental' : 'full'} (${builder.workers} render worker${builder.workers === 1 ? '' : 's'})`);
 
   const healthMonitor = new HealthMonitor();
   const dataService = ServiceFactory.createDataService(healthMonitor);
@@ -82,6 +89,9 @@ async function main() {
   }
   
   const vm = dataService.getData();
+  // Static builds keep no snapshot history, so flows come from DeFiLlama's chain history
+  const supplyFlows = new SupplyFlowService(dataService);
+  const publisher = new StaticPublisher(dataService, { depegMonitor: new DepegMonitor(null), supplyFlows });
 
   // Derive ETH totals similar to routes
   const eth = Array.isArray(vm.platform_data)
@@ -94,122 +104,112 @@ async function main() {
   let health = null;
   try { health = await healthMonitor.getSystemHealth(); } catch (e) { health = { error: e.message }; }
 
-  // Common template locals
+  // Common template locals (helpers and formatters are added by the renderer)
   const commonLocals = {
-    h: templateHelpers,
-    formatter: {
-      formatNumber: utilFmt.formatNumber,
-      formatPrice: utilFmt.formatPrice,
-      formatPercentage: utilFmt.formatPercentage,
-      formatSupply: utilFmt.formatSupply,
-    },
     featureFlags: AppConfig.featureFlags,
   };
+  // Detail pages only show the header totals from the full view model
+  const headerData = {
+    metrics: vm.metrics && { totalMCap_s: vm.metrics.totalMCap_s, totalVolume_s: vm.metrics.totalVolume_s },
+  };
 
-  console.log('Rendering pages...');
+  console.log('Copying static assets...');
+  // Fingerprinted first, so pages render with the final asset names
+  for (const [dir, file] of ASSETS) {
+    await builder.addAsset(path.resolve(__dirname, '..', 'res', dir, file), `/${file}`);
+  }
 
-  // Home (index.html)
-  {
-    const html = await renderView('home', {
-      data: vm,
-      totalETHMCap,
-      totalETHMCap_s,
-      active: 'home',
-      ...commonLocals,
-    });
-    await writeFile(path.join(outDir, 'index.html'), html);
+  // Images at root (default-logo.png and others referenced by templates/logic)
+  const imgDir = path.resolve(__dirname, '..', 'res', 'img');
+  const imgFiles = await fs.promises.readdir(imgDir);
+  for (const f of imgFiles) {
+    await builder.copyFile(path.join(imgDir, f), f);
   }
 
+  console.log('Collecting pages...');
+
+  // Home (index.html)
+  builder.page('/', 'home', {
+    data: vm,
+    totalETHMCap,
+    totalETHMCap_s,
+    active: 'home',
+    ...commonLocals,
+  });
+
   // Status
-  {
-    const html = await renderView('status', {
-      data: vm,
-      totalETHMCap,
-      totalETHMCap_s,
-      health,
-      mockMode: false,
-      active: 'status',
-      ...commonLocals,
-    });
-    await ensureDir(path.join(outDir, 'status'));
-    await writeFile(path.join(outDir, 'status', 'index.html'), html);
-  }
+  builder.page('/status/', 'status', {
+    data: vm,
+    totalETHMCap,
+    totalETHMCap_s,
+    health,
+    mockMode: false,
+    identity: dataService.getIdentityReport(),
+    active: 'status',
+    ...commonLocals,
+  });
 
   // Platforms list (/platforms)
-  {
-    const html = await renderView('chains', {
-      data: vm,
-      totalETHMCap,
-      totalETHMCap_s,
-      active: 'chains',
-      ...commonLocals,
-    });
-    await ensureDir(path.join(outDir, 'platforms'));
-    await writeFile(path.join(outDir, 'platforms', 'index.html'), html);
-  }
+  builder.page('/platforms/', 'chains', {
+    data: vm,
+    totalETHMCap,
+    totalETHMCap_s,
+    active: 'chains',
+    ...commonLocals,
+  });
 
   // Individual platform pages (/platforms/:uri)
   if (Array.isArray(vm.platform_data)) {
     for (let i = 0; i < vm.platform_data.length; i++) {
       const platform = vm.platform_data[i];
-      const html = await renderView('platforms', {
-        data: vm,
-        totalETHMCap,
-        totalETHMCap_s,
+      const slug = StaticPublisher.slug(platform.uri || platform.name || `platform-${i}`);
+      builder.page(`/platforms/${slug}/`, 'platforms', {
+        data: headerData,
         platform,
         platformIndex: i,
+        supplyFlows: await supplyFlows.getChainFlows(platform.name),
         active: '',
         ...commonLocals,
       });
-      const slug = String(platform.uri || platform.name || `platform-${i}`)
-        .toLowerCase()
-        .replace(/[^a-z0-9-]+/g, '-')
-        .replace(/^-+|-+$/g, '');
-      const dir = path.join(outDir, 'platforms', slug);
-      await ensureDir(dir);
-      await writeFile(path.join(dir, 'index.html'), html);
     }
   }
 
   // Coin detail pages (/coins/:symbol-or-uri)
   if (Array.isArray(vm.stablecoins)) {
     for (const coin of vm.stablecoins) {
-      const html = await renderView('coins', {
-        data: vm,
-        totalETHMCap,
-        totalETHMCap_s,
+      const record = await dataService.getStablecoin(coin.uri);
+      const slug = StaticPublisher.slug(coin.uri || coin.symbol || coin.slug || coin.name);
+      builder.page(`/coins/${slug}/`, 'coins', {
+        data: headerData,
         coin,
+        lineage: record?.lineage || null,
+        supplyFlows: coinFlowsSlice(await supplyFlows.getCoinFlows(coin.uri)),
         active: '',
         ...commonLocals,
       });
-      const slug = String(coin.uri || coin.symbol || coin.slug || coin.name)
-        .toLowerCase()
-        .replace(/[^a-z0-9-]+/g, '-')
-        .replace(/^-+|-+$/g, '');
-      const dir = path.join(outDir, 'coins', slug);
-      await ensureDir(dir);
-      await writeFile(path.join(dir, 'index.html'), html);
     }
   }
 
-  console.log('Copying static assets...');
-  // Assets used by templates expect root paths like /common.css and /chart.min.js
-  await copyFile(path.resolve(__dirname, '..', 'res', 'css', 'common.css'), path.join(outDir, 'common.css'));
-  await copyFile(path.resolve(__dirname, '..', 'res', 'js', 'chart.min.js'), path.join(outDir, 'chart.min.js'));
-  await copyFile(path.resolve(__dirname, '..', 'res', 'js', 'filter-system.js'), path.join(outDir, 'filter-system.js'));
-
-  // Images at root (default-logo.png and others referenced by templates/logic)
-  const imgDir = path.resolve(__dirname, '..', 'res', 'img');
-  const imgFiles = await fs.promises.readdir(imgDir);
-  for (const f of imgFiles) {
-    await copyFile(path.join(imgDir, f), path.join(outDir, f));
+  console.log('Writing JSON API mirror, sitemap and feeds...');
+  // Same bodies as the live API, at the live path plus .json
+  for (const { file, body } of await publisher.apiFiles()) {
+    await builder.writeFile(file, JSON.stringify(body));
   }
+  await builder.writeFile('sitemap.xml', await publisher.sitemap(builder.pages.map(page => page.url)));
+  await builder.writeFile('feeds/depegs.xml', await publisher.depegFeed(await publisher.depegEvents()));
+  await builder.writeFile('feeds/supply-changes.xml', await publisher.supplyChangeFeed(await publisher.supplyChangeEvents()));
 
   // Expose a static JSON for health if needed
   try {
-    await writeFile(path.join(outDir, 'api-health.json'), JSON.stringify(health, null, 2));
+    await builder.writeFile('api-health.json', JSON.stringify(health, null, 2));
   } catch (_) {}
 
+  console.log('Rendering pages...');
+  const { rendered, skipped } = await builder.renderPages();
+  console.log(`Rendered ${rendered} page(s), ${skipped} unchanged`);
+
+  const manifest = await builder.finish();
+  console.log(`Manifest: ${manifest.changed.length} changed, ${manifest.removed.length} removed file(s)`);
   console.log('Static site built at:', outDir);
 }
 
@@ -0,0 +1,291 @@
+const AppConfig = require('../config/AppConfig');
+const MemoryCacheBackend = require('./cache/MemoryCacheBackend');
+const RedisCacheBackend = require('./cache/RedisCacheBackend');
+const logger = require('../app/logger');
+
+const log = logger.forModule('cache');
+
+let sharedInstance = null;
+
+/**
+ * Cache service driven by `AppConfig.cache`, with stale-while-revalidate reads.
+ *
+ * Values are stored as JSON in a pluggable backend: an in-process LRU (`type: memory`) or a
+ * Redis-protocol server (`type: redis`), which also survives restarts and can be shared by
+ * several instances. An entry is fresh for `ttlMs`; for a further `staleTtlMs` it is still
+ * returned while one background load refreshes it. Concurrent loads of the same key are
+ * shared. Backend errors are logged and treated as misses, so an unreachable cache server
+ * never blocks a request.
+ *
+ * @class CacheService
+ * @example
+ * const cache = CacheService.shared();
+ * const data = await cache.wrap(CacheService.key('http', 'cmc', url, params), () => loadFromApi());
+ */
+class CacheService {
+    /**
+     * Creates an instance of CacheService.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.cache settings
+     * @param {boolean} [options.enabled] - When false, wrap() always calls the loader
+     * @param {number} [options.defaultTtlMs] - How long entries stay fresh
+     * @param {number} [options.staleTtlMs] - How long after that they may be served stale
+     * @param {Object} [options.backend] - Backend instance (default: built from config type)
+     * @param {Function} [options.now] - Clock, for tests
+     * @memberof CacheService
+     */
+    constructor(options = {}) {
+        const config = { ...AppConfig.cache, ...options };
+        this.enabled = config.enabled;
+        this.defaultTtlMs = config.defaultTtlMs;
+        this.staleTtlMs = config.staleTtlMs;
+        this.type = options.backend ? 'custom' : config.type;
+        this.backend = options.backend || CacheService.createBackend(config);
+        this.now = options.now || Date.now;
+        this.inFlight = new Map(); // key -> loader promise
+        this.backendAvailable = true;
+        this.stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0 };
+    }
+
+    /**
+     * Gets the cache shared by the fetchers and routes.
+     *
+     * @static
+     * @returns {CacheService} Shared instance
+     * @memberof CacheService
+     */
+    static shared() {
+        if (!sharedInstance) sharedInstance = new CacheService();
+        return sharedInstance;
+    }
+
+    /**
+     * Builds the backend named by a cache config.
+     *
+     * @static
+     * @param {Object} config - Cache config ({ type, maxSize, redis })
+     * @returns {MemoryCacheBackend|RedisCacheBackend} Backend
+     * @memberof CacheService
+     */
+    static createBackend(config) {
+        if (config.type === 'redis') return new RedisCacheBackend(config.redis);
+        return new MemoryCacheBackend({ maxSize: config.maxSize });
+    }
+
+    /**
+     * Builds a cache key from parts; objects (such as request params) are written as sorted query strings.
+     *
+     * @static
+     * @param {...*} parts - Key parts
+     * @returns {string} Cache key
+     * @memberof CacheService
+     */
+    static key(...parts) {
+        return parts.map(part => {
+            if (part && typeof part === 'object') {
+                return Object.keys(part).sort()
+                    .filter(name => part[name] !== undefined)
+                    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(String(part[name]))}`)
+                    .join('&');
+            }
+            return part === undefined || part === null ? '' : String(part);
+        }).join(':');
+    }
+
+    /**
+     * Returns the cached value for a key, loading and storing it when missing or expired.
+     * Stale values are returned at once while a background load replaces them; a failed
+     * background load leaves the stale value in place.
+     *
+     * @param {string} key - Cache key
+     * @param {Function} loader - Produces the value; must be JSON-serializable
+     * @param {Object} [options={}] - Per-call settings
+     * @param {number} [options.ttlMs] - Freshness period (default: defaultTtlMs)
+     * @param {number} [options.staleTtlMs] - Stale period (default: staleTtlMs)
+     * @returns {Promise<*>} Cached or loaded value
+     * @throws {Error} Loader errors on a miss
+     * @memberof CacheService
+     */
+    async wrap(key, loader, options = {}) {
+        if (!this.enabled) return loader();
+        const ttlMs = options.ttlMs ?? this.defaultTtlMs;
+        const staleTtlMs = options.staleTtlMs ?? this.staleTtlMs;
+
+        const entry = await this._read(key);
+        const now = this.now();
+        if (entry && entry.expiresAt > now) {
+            this.stats.hits++;
+            return entry.value;
+        }
+        if (entry && entry.expiresAt + staleTtlMs > now) {
+            this.stats.staleHits++;
+            if (!this.inFlight.has(key)) this.stats.revalidations++;
+            this._load(key, loader, ttlMs, staleTtlMs).catch(() => { /* keep serving the stale value */ });
+            return entry.value;
+        }
+
+        this.stats.misses++;
+        return this._load(key, loader, ttlMs, staleTtlMs);
+    }
+
+    /**
+     * Reads a fresh value.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Value, or undefined when missing or expired
+     * @memberof CacheService
+     */
+    async get(key) {
+        if (!this.enabled) return undefined;
+        const entry = await this._read(key);
+        return entry && entry.expiresAt > this.now() ? entry.value : undefined;
+    }
+
+    /**
+     * Stores a value.
+     *
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} [ttlMs] - Freshness period (default: defaultTtlMs)
+     * @returns {Promise<void>}
+     * @memberof CacheService
+     */
+    async set(key, value, ttlMs) {
+        if (!this.enabled) return;
+        await this._write(key, value, ttlMs ?? this.defaultTtlMs, this.staleTtlMs);
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     * @memberof CacheService
+     */
+    async delete(key) {
+        try {
+            await this.backend.delete(key);
+        } catch (error) {
+            this._backendFailed(error);
+        }
+    }
+
+    /**
+     * Reports hit and miss counters.
+     *
+     * @returns {Object} { enabled, type, hits, staleHits, misses, revalidations, errors, hitRate }
+     * @memberof CacheService
+     */
+    getStats() {
+        const reads = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            type: this.type,
+            ...this.stats,
+            hitRate: reads > 0 ? (this.stats.hits + this.stats.staleHits) / reads : null
+        };
+    }
+
+    /**
+     * Releases backend resources.
+     *
+     * @returns {Promise<void>}
+     * @memberof CacheService
+     */
+    async close() {
+        await this.backend.close();
+    }
+
+    /**
+     * Runs the loader once per key at a time and stores its result.
+     *
+     * @param {string} key - Cache key
+     * @param {Function} loader - Produces the value
+     * @param {number} ttlMs - Freshness period
+     * @param {number} staleTtlMs - Stale period
+     * @returns {Promise<*>} Loaded value
+     * @private
+     * @memberof CacheService
+     */
+    _load(key, loader, ttlMs, staleTtlMs) {
+        if (this.inFlight.has(key)) return this.inFlight.get(key);
+        const promise = (async () => {
+            const value = await loader();
+            await this._write(key, value, ttlMs, staleTtlMs);
+            return value;
+        })().finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Reads and parses an entry, treating backend errors as misses.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { value, storedAt, expiresAt } or null
+     * @private
+     * @memberof CacheService
+     */
+    async _read(key) {
+        try {
+            const raw = await this.backend.get(key);
+            this._backendRecovered();
+            return raw === null || raw === undefined ? null : JSON.parse(raw);
+        } catch (error) {
+            this._backendFailed(error);
+            return null;
+        }
+    }
+
+    /**
+     * Serializes and stores an entry; the backend keeps it until the stale period ends.
+     *
+     * @param {string} key - Cache key
+     * @param {*} value - Value
+     * @param {number} ttlMs - Freshness period
+     * @param {number} staleTtlMs - Stale period
+     * @returns {Promise<void>}
+     * @private
+     * @memberof CacheService
+     */
+    async _write(key, value, ttlMs, staleTtlMs) {
+        const storedAt = this.now();
+        const entry = { value, storedAt, expiresAt: storedAt + ttlMs };
+        try {
+            await this.backend.set(key, JSON.stringify(entry), ttlMs + Math.max(0, staleTtlMs || 0));
+            this._backendRecovered();
+        } catch (error) {
+            this._backendFailed(error);
+        }
+    }
+
+    /**
+     * Counts a backend error, warning once per outage.
+     *
+     * @param {Error} error - Backend error
+     * @private
+     * @memberof CacheService
+     */
+    _backendFailed(error) {
+        this.stats.errors++;
+        if (this.backendAvailable) {
+            log.warn('Cache backend unavailable, continuing without cache', { backend: this.type, error: error?.message || String(error) });
+            this.backendAvailable = false;
+        }
+    }
+
+    /**
+     * Notes that the backend answered again after an outage.
+     *
+     * @private
+     * @memberof CacheService
+     */
+    _backendRecovered() {
+        if (!this.backendAvailable) {
+            log.info('Cache backend available again', { backend: this.type });
+            this.backendAvailable = true;
+        }
+    }
+}
+
+module.exports = CacheService;
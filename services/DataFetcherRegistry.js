@@ -1,8 +1,8 @@
 const ApiConfig = require('../config/ApiConfig');
-const CmcDataFetcher = require('./fetchers/CmcDataFetcher');
-const MessariDataFetcher = require('./fetchers/MessariDataFetcher');
-const CoinGeckoDataFetcher = require('./fetchers/CoinGeckoDataFetcher');
-const DeFiLlamaDataFetcher = require('./fetchers/DeFiLlamaDataFetcher');
+const PluginLoader = require('./PluginLoader');
+const logger = require('../app/logger');
+
+const log = logger.forModule('plugins');
 
 /**
  * Registry for managing multiple data fetcher instances
@@ -16,6 +16,7 @@ class DataFetcherRegistry {
     constructor(healthMonitor = null) {
         this.healthMonitor = healthMonitor;
         this.fetchers = new Map();
+        this.plugins = [];
     }
 
     /**
@@ -62,19 +63,51 @@ class DataFetcherRegistry {
     }
 
     /**
-     * Create a registry with default data fetchers based on enabled sources
+     * Get the plugins considered when the registry was created, including rejected ones
+     * @returns {Array<Object>} Plugin summaries with sourceId, name, origin, builtin, enabled, registered and errors
+     */
+    getPlugins() {
+        return this.plugins.map(p => ({ ...p, errors: [...p.errors] }));
+    }
+
+    /**
+     * Create a registry with data fetchers from all valid, enabled plugins
      * @param {HealthMonitor} [healthMonitor=null] - Optional health monitor instance
+     * @param {PluginLoader} [loader=new PluginLoader()] - Plugin loader (built-ins, plugin directory, configured packages)
      * @returns {DataFetcherRegistry} Registry with enabled data fetchers
      */
-    static createDefault(healthMonitor = null) {
+    static createDefault(healthMonitor = null, loader = new PluginLoader()) {
         const registry = new DataFetcherRegistry(healthMonitor);
+        const plugins = loader.load();
+
+        // Plugin configs are registered during load, so enablement is read afterwards
         const enabled = ApiConfig.getEnabledSources();
 
-        // Instantiate only if source is present in config scope
-        if (enabled.includes('cmc')) registry.register(new CmcDataFetcher(healthMonitor));
-        if (enabled.includes('messari')) registry.register(new MessariDataFetcher(healthMonitor));
-        if (enabled.includes('coingecko')) registry.register(new CoinGeckoDataFetcher(healthMonitor));
-        if (enabled.includes('defillama')) registry.register(new DeFiLlamaDataFetcher(healthMonitor));
+        for (const plugin of plugins) {
+            const summary = {
+                sourceId: plugin.sourceId,
+                name: plugin.name,
+                origin: plugin.origin,
+                builtin: plugin.builtin,
+                enabled: plugin.valid && enabled.includes(plugin.sourceId),
+                registered: false,
+                errors: [...plugin.errors]
+            };
+            registry.plugins.push(summary);
+            if (!summary.enabled) continue;
+
+            try {
+                const fetcher = new plugin.Fetcher(healthMonitor);
+                if (fetcher.getSourceId() !== plugin.sourceId) {
+                    throw new Error(`getSourceId() returned "${fetcher.getSourceId()}"`);
+                }
+                registry.register(fetcher);
+                summary.registered = true;
+            } catch (error) {
+                summary.errors.push(`Failed to create fetcher: ${error.message}`);
+                log.warn('Failed to create fetcher', { sourceId: plugin.sourceId, error: error.message });
+            }
+        }
 
         return registry;
     }
@@ -0,0 +1,254 @@
+const AppConfig = require('../config/AppConfig');
+const FxRateService = require('./FxRateService');
+
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+/**
+ * Watches aggregated stablecoin prices for sustained deviations from their peg.
+ * Runs after each refresh: compares each coin's consensus price (median of per-source
+ * prices) to the reference price of its `peggedAsset`, and raises a `depeg` alert through
+ * the HealthMonitor once a breach has lasted longer than the peg's configured duration.
+ * Reference prices pinned in `AppConfig.depeg.referencePrices` win; other pegs use the
+ * FxRateService rate, so EUR, GBP or JPY coins are measured against their own currency.
+ * Alerts resolve when the price returns inside the warning band.
+ *
+ * @class DepegMonitor
+ */
+class DepegMonitor {
+    /**
+     * Creates an instance of DepegMonitor.
+     *
+     * @param {HealthMonitor} [healthMonitor=null] - Health monitor used to raise and resolve alerts
+     * @param {Object} [options={}] - Overrides for AppConfig.depeg settings
+     * @param {Object} [options.thresholds] - Map of peg -> { warning, critical, durationMinutes } (with `default`)
+     * @param {Object} [options.referencePrices] - Map of peg -> USD price of one unit
+     * @param {number} [options.minMarketCap] - Coins below this market cap are ignored
+     * @param {FxRateService} [options.fxRates] - Rate source for pegs without a pinned price (default: shared instance)
+     * @memberof DepegMonitor
+     */
+    constructor(healthMonitor = null, options = {}) {
+        const { fxRates, ...overrides } = options;
+        this.healthMonitor = healthMonitor;
+        this.fxRates = fxRates || FxRateService.shared();
+        this.config = { ...AppConfig.depeg, ...overrides };
+        this._states = new Map(); // slug -> breach state
+    }
+
+    /**
+     * Evaluates a set of aggregated records and updates breach states and alerts.
+     *
+     * @param {Array<Object>} records - Aggregated stablecoin records
+     * @param {number} [now=Date.now()] - Evaluation time
+     * @returns {Array<Object>} Current breach states (pending and active)
+     * @memberof DepegMonitor
+     */
+    evaluate(records, now = Date.now()) {
+        if (this.config.enabled === false) return [];
+        const seen = new Set();
+
+        for (const record of (records || [])) {
+            if (record?.assetCategory && record.assetCategory !== 'Stablecoin') continue;
+            const check = this.checkRecord(record);
+            if (!check) continue;
+
+            const slug = check.slug;
+            seen.add(slug);
+            const previous = this._states.get(slug);
+
+            if (!check.severity) {
+                if (previous) this._clear(slug, previous);
+                continue;
+            }
+
+            const state = previous || { since: now, alerted: false, peakDeviation: 0 };
+            Object.assign(state, check, {
+                since: state.since,
+                peakDeviation: Math.abs(check.deviation) > Math.abs(state.peakDeviation) ? check.deviation : state.peakDeviation,
+                durationMs: now - state.since,
+                updatedAt: now
+            });
+            state.active = state.durationMs >= check.threshold.durationMinutes * 60 * 1000;
+            this._states.set(slug, state);
+
+            if (state.active) this._raise(state);
+        }
+
+        // Coins that dropped out of the dataset can no longer be confirmed as depegged
+        for (const [slug, state] of this._states) {
+            if (!seen.has(slug)) this._clear(slug, state);
+        }
+
+        return this.getBreaches();
+    }
+
+    /**
+     * Computes the peg deviation for a single record without changing any state.
+     *
+     * @param {Object} record - Aggregated stablecoin record
+     * @returns {Object|null} Deviation details, or null when the coin cannot be evaluated
+     * @memberof DepegMonitor
+     */
+    checkRecord(record) {
+        const peg = record?.metadata?.peggedAsset;
+        if (!peg) return null;
+        const referencePrice = this._getReferencePrice(peg);
+        if (!referencePrice) return null;
+        if ((record.marketData?.marketCap || 0) < this.config.minMarketCap) return null;
+
+        const price = this._consensusPrice(record);
+        if (price === null) return null;
+
+        const threshold = this.getThreshold(peg);
+        const deviation = price / referencePrice - 1;
+        const magnitude = Math.abs(deviation);
+        let severity = null;
+        if (magnitude >= threshold.critical) severity = 'critical';
+        else if (magnitude >= threshold.warning) severity = 'warning';
+
+        return {
+            slug: (record.slug || record.symbol || '').toLowerCase(),
+            symbol: record.symbol,
+            name: record.name,
+            peggedAsset: peg,
+            price,
+            referencePrice,
+            deviation,
+            severity,
+            threshold,
+            sourcePrices: { ...(record.marketData?.sourcePrices || {}) }
+        };
+    }
+
+    /**
+     * Gets the effective thresholds for a peg currency (per-peg entry merged over `default`).
+     *
+     * @param {string} peg - Peg currency (e.g. 'USD', 'EUR')
+     * @returns {Object} Thresholds with warning, critical and durationMinutes
+     * @memberof DepegMonitor
+     */
+    getThreshold(peg) {
+        const thresholds = this.config.thresholds || {};
+        const key = Object.keys(thresholds).find(k => k.toUpperCase() === String(peg).toUpperCase());
+        return { ...(thresholds.default || {}), ...(key ? thresholds[key] : {}) };
+    }
+
+    /**
+     * Gets the breach state for a coin, used by the coin page banner.
+     *
+     * @param {string} identifier - Coin slug or symbol
+     * @returns {Object|null} Breach state or null when the coin is on peg
+     * @memberof DepegMonitor
+     */
+    getStatus(identifier) {
+        const id = String(identifier || '').toLowerCase();
+        if (this._states.has(id)) return { ...this._states.get(id) };
+        for (const state of this._states.values()) {
+            if ((state.symbol || '').toLowerCase() === id) return { ...state };
+        }
+        return null;
+    }
+
+    /**
+     * Gets all current breaches, most severe and largest deviation first.
+     *
+     * @param {Object} [options={}] - Filter options
+     * @param {boolean} [options.activeOnly=false] - Only include breaches that exceeded their duration
+     * @returns {Array<Object>} Breach states
+     * @memberof DepegMonitor
+     */
+    getBreaches({ activeOnly = false } = {}) {
+        return Array.from(this._states.values())
+            .filter(s => !activeOnly || s.active)
+            .map(s => ({ ...s }))
+            .sort((a, b) => (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]) || (Math.abs(b.deviation) - Math.abs(a.deviation)));
+    }
+
+    /**
+     * Resolves the USD reference price for a peg currency: a pinned price, else the FX rate.
+     *
+     * @param {string} peg - Peg currency
+     * @returns {number|null} Reference price or null when unknown
+     * @private
+     * @memberof DepegMonitor
+     */
+    _getReferencePrice(peg) {
+        const prices = this.config.referencePrices || {};
+        const key = Object.keys(prices).find(k => k.toUpperCase() === String(peg).toUpperCase());
+        const value = key ? Number(prices[key]) : NaN;
+        if (isFinite(value) && value > 0) return value;
+        return this.fxRates ? this.fxRates.getRate(peg) : null;
+    }
+
+    /**
+     * Consensus price: median of per-source prices, falling back to the merged price.
+     *
+     * @param {Object} record - Aggregated stablecoin record
+     * @returns {number|null} Consensus price
+     * @private
+     * @memberof DepegMonitor
+     */
+    _consensusPrice(record) {
+        const values = Object.values(record.marketData?.sourcePrices || {})
+            .filter(v => typeof v === 'number' && isFinite(v) && v > 0)
+            .sort((a, b) => a - b);
+        if (values.length === 0) {
+            const price = record.marketData?.price;
+            return typeof price === 'number' && isFinite(price) && price > 0 ? price : null;
+        }
+        const m = Math.floor(values.length / 2);
+        return values.length % 2 ? values[m] : (values[m - 1] + values[m]) / 2;
+    }
+
+    /**
+     * Raises (or escalates) the depeg alert for an active breach.
+     *
+     * @param {Object} state - Breach state
+     * @returns {void}
+     * @private
+     * @memberof DepegMonitor
+     */
+    _raise(state) {
+        state.alerted = true;
+        if (!this.healthMonitor || typeof this.healthMonitor.raiseAlert !== 'function') return;
+        const direction = state.deviation < 0 ? 'below' : 'above';
+        const pct = (Math.abs(state.deviation) * 100).toFixed(2);
+        this.healthMonitor.raiseAlert({
+            type: 'depeg',
+            level: state.severity,
+            source: `depeg:${state.slug}`,
+            title: `${state.symbol} Depeg`,
+            description: `${state.symbol} is trading ${pct}% ${direction} its ${state.peggedAsset} peg (${state.price} vs ${state.referencePrice})`,
+            metadata: {
+                slug: state.slug,
+                symbol: state.symbol,
+                peggedAsset: state.peggedAsset,
+                price: state.price,
+                referencePrice: state.referencePrice,
+                deviation: state.deviation,
+                peakDeviation: state.peakDeviation,
+                since: state.since,
+                durationMs: state.durationMs,
+                threshold: state.threshold,
+                sourcePrices: state.sourcePrices
+            }
+        });
+    }
+
+    /**
+     * Clears a breach and resolves its alert if one was raised.
+     *
+     * @param {string} slug - Coin slug
+     * @param {Object} state - Breach state
+     * @returns {void}
+     * @private
+     * @memberof DepegMonitor
+     */
+    _clear(slug, state) {
+        this._states.delete(slug);
+        if (state.alerted && this.healthMonitor && typeof this.healthMonitor.resolveAlert === 'function') {
+            this.healthMonitor.resolveAlert(`depeg:${slug}`, 'depeg');
+        }
+    }
+}
+
+module.exports = DepegMonitor;
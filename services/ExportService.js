@@ -0,0 +1,477 @@
+const ExcelJS = require('exceljs');
+const parquet = require('parquetjs-lite');
+const { PassThrough } = require('stream');
+const HybridTransformer = require('./HybridTransformer');
+const FilterCore = require('../res/js/filter-core');
+
+/**
+ * Supported download formats.
+ */
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+/**
+ * Spreadsheet number formats per column format.
+ */
+const XLSX_NUMBER_FORMATS = {
+    usd: '"$"#,##0',
+    price: '"$"0.0000',
+    supply: '#,##0',
+    percent: '0.00"%"'
+};
+
+/**
+ * Parquet column types per column type.
+ */
+const PARQUET_TYPES = {
+    string: 'UTF8',
+    number: 'DOUBLE',
+    integer: 'INT64'
+};
+
+/**
+ * Builds downloadable tables (stablecoin list, blockchain rankings, a coin's chain breakdown
+ * and a blockchain's coin list) and serializes them to CSV, XLSX or Parquet.
+ *
+ * Tables honour the home page filter state from res/js/filter-core.js, so a download contains
+ * the rows the user sees. Every file carries metadata: the table title, snapshot timestamp,
+ * data sources behind the rows and the filters applied. CSV writes it as leading `#` lines,
+ * XLSX as rows above the table and Parquet as key-value file metadata.
+ *
+ * @class ExportService
+ */
+class ExportService {
+    /**
+     * Creates an instance of ExportService.
+     *
+     * @param {StablecoinDataService} dataService - Source of view model and aggregated records
+     * @memberof ExportService
+     */
+    constructor(dataService) {
+        this.dataService = dataService;
+        // Used to recompute blockchain rankings over a filtered set of coins
+        this.transformer = new HybridTransformer();
+    }
+
+    /**
+     * Parses the `filters` query parameter: the JSON filter state saved by the home page.
+     * Sections missing from the JSON keep their defaults.
+     *
+     * @param {string} [raw] - JSON filter state
+     * @returns {Object} { state, active, errors }
+     * @memberof ExportService
+     */
+    static parseFilterState(raw) {
+        const state = FilterCore.defaultState();
+        if (raw === undefined || raw === null || raw === '') return { state, active: false, errors: [] };
+
+        let parsed;
+        try {
+            parsed = JSON.parse(String(raw));
+        } catch (error) {
+            return { state, active: false, errors: [`Invalid filters JSON: ${error.message}`] };
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return { state, active: false, errors: ['filters must be a JSON object'] };
+        }
+
+        const errors = [];
+        for (const [section, value] of Object.entries(parsed)) {
+            if (!Object.prototype.hasOwnProperty.call(state, section)) {
+                errors.push(`Unknown filter: ${section}`);
+            } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`Filter ${section} must be an object`);
+            } else {
+                state[section] = { ...state[section], ...value };
+            }
+        }
+        if (!Array.isArray(state.platforms.selected)) errors.push('platforms.selected must be an array');
+        if (typeof state.search.query !== 'string') errors.push('search.query must be a string');
+
+        const active = JSON.stringify(state) !== JSON.stringify(FilterCore.defaultState());
+        return { state, active, errors };
+    }
+
+    /**
+     * Stablecoin list as shown on the home page.
+     *
+     * @param {Object} filters - Result of parseFilterState
+     * @returns {Promise<Object>} Table { name, title, columns, rows, metadata }
+     * @memberof ExportService
+     */
+    async stablecoins(filters) {
+        const data = this.dataService.getData();
+        const coins = this._filterCoins(data.stablecoins, filters.state);
+        const totalMCap = data.metrics?.totalMCap || 0;
+
+        return this._table({
+            name: 'stablecoins',
+            title: 'Stablecoins',
+            filters,
+            coins,
+            columns: [
+                { key: 'rank', label: 'Rank', type: 'integer' },
+                { key: 'name', label: 'Name', type: 'string' },
+                { key: 'symbol', label: 'Symbol', type: 'string' },
+                { key: 'slug', label: 'Slug', type: 'string' },
+                { key: 'price', label: 'Price', type: 'number', format: 'price' },
+                { key: 'pegged_asset', label: 'Pegged Asset', type: 'string' },
+                { key: 'asset_category', label: 'Category', type: 'string' },
+                { key: 'market_cap', label: 'Market Cap', type: 'number', format: 'usd' },
+                { key: 'dominance', label: 'Dominance (%)', type: 'number', format: 'percent' },
+                { key: 'volume_24h', label: 'Volume (24h)', type: 'number', format: 'usd' },
+                { key: 'blockchain_count', label: 'Blockchains', type: 'integer' },
+                { key: 'blockchains', label: 'Blockchain Names', type: 'string' }
+            ],
+            rows: coins.map((coin, index) => ({
+                rank: index + 1,
+                name: coin.name,
+                symbol: coin.symbol,
+                slug: coin.uri,
+                price: coin.main?.price,
+                pegged_asset: coin.pegged_asset,
+                asset_category: coin.assetCategory,
+                market_cap: coin.main?.circulating_mcap,
+                dominance: totalMCap > 0 && coin.main?.circulating_mcap ? (coin.main.circulating_mcap / totalMCap) * 100 : null,
+                volume_24h: coin.main?.volume_24h,
+                blockchain_count: (coin.platforms || []).length,
+                blockchains: (coin.platforms || []).map(p => p.name).join('; ')
+            }))
+        });
+    }
+
+    /**
+     * Blockchain rankings as shown on /platforms, recomputed over the filtered coins.
+     *
+     * @param {Object} filters - Result of parseFilterState
+     * @returns {Promise<Object>} Table { name, title, columns, rows, metadata }
+     * @memberof ExportService
+     */
+    async platforms(filters) {
+        const data = this.dataService.getData();
+        const coins = this._filterCoins(data.stablecoins, filters.state);
+        const platforms = filters.active ? this.transformer.calculatePlatformData(coins) : (data.platform_data || []);
+
+        return this._table({
+            name: 'blockchains',
+            title: 'Blockchain Rankings',
+            filters,
+            coins,
+            columns: [
+                { key: 'rank', label: 'Rank', type: 'integer' },
+                { key: 'blockchain', label: 'Blockchain', type: 'string' },
+                { key: 'slug', label: 'Slug', type: 'string' },
+                { key: 'total_stablecoin_value', label: 'Total Stablecoin Value', type: 'number', format: 'supply' },
+                { key: 'market_share', label: '% of Market', type: 'number', format: 'percent' },
+                { key: 'market_cap', label: 'Allocated Market Cap', type: 'number', format: 'usd' },
+                { key: 'stablecoin_count', label: 'Stablecoins', type: 'integer' },
+                { key: 'dominant_stablecoin', label: 'Dominant Stablecoin', type: 'string' }
+            ],
+            rows: platforms.map((platform, index) => ({
+                rank: index + 1,
+                blockchain: platform.name,
+                slug: platform.uri,
+                total_stablecoin_value: platform.total_supply,
+                market_share: platform.supply_percentage,
+                market_cap: platform.mcap_sum,
+                stablecoin_count: platform.coin_count,
+                dominant_stablecoin: platform.dominant_stablecoin?.symbol
+            }))
+        });
+    }
+
+    /**
+     * One coin's supply by blockchain. A blockchain selection in the filters limits the rows.
+     *
+     * @param {string} identifier - Coin uri or symbol
+     * @param {Object} filters - Result of parseFilterState
+     * @returns {Promise<Object|null>} Table, or null when the coin does not exist
+     * @memberof ExportService
+     */
+    async coinChains(identifier, filters) {
+        const id = String(identifier || '').toLowerCase();
+        const coin = (this.dataService.getData().stablecoins || [])
+            .find(c => c.uri === id || String(c.symbol || '').toLowerCase() === id);
+        if (!coin) return null;
+
+        const selected = filters.state.platforms.selected;
+        const platforms = (coin.platforms || []).filter(p => !selected.length || selected.includes(p.name));
+
+        return this._table({
+            name: `${coin.uri}-chains`,
+            title: `${coin.symbol} Supply by Chain`,
+            filters,
+            coins: [coin],
+            columns: [
+                { key: 'blockchain', label: 'Blockchain', type: 'string' },
+                { key: 'supply', label: 'Supply', type: 'number', format: 'supply' },
+                { key: 'share', label: '% of Supply', type: 'number', format: 'percent' },
+                { key: 'contract_address', label: 'Contract Address', type: 'string' }
+            ],
+            rows: platforms.map(p => ({
+                blockchain: p.name,
+                supply: p.total_supply || p.circulating_supply,
+                share: p.supply_percentage,
+                contract_address: p.contract_address
+            }))
+        });
+    }
+
+    /**
+     * Coins on one blockchain as shown on /platforms/:name, limited to coins passing the filters.
+     *
+     * @param {string} identifier - Platform uri or name
+     * @param {Object} filters - Result of parseFilterState
+     * @returns {Promise<Object|null>} Table, or null when the platform does not exist
+     * @memberof ExportService
+     */
+    async platformStablecoins(identifier, filters) {
+        const data = this.dataService.getData();
+        const id = String(identifier || '').toLowerCase();
+        const platform = (data.platform_data || [])
+            .find(p => String(p.uri || '').toLowerCase() === id || String(p.name || '').toLowerCase() === id);
+        if (!platform) return null;
+
+        const coins = this._filterCoins(data.stablecoins, filters.state);
+        const included = new Set(coins.map(c => c.uri));
+        const rows = (platform.stablecoins || []).filter(c => included.has(c.uri));
+
+        return this._table({
+            name: `${platform.uri}-stablecoins`,
+            title: `Stablecoins on ${platform.name}`,
+            filters,
+            coins: coins.filter(c => rows.some(r => r.uri === c.uri)),
+            columns: [
+                { key: 'rank', label: 'Rank', type: 'integer' },
+                { key: 'name', label: 'Name', type: 'string' },
+                { key: 'symbol', label: 'Symbol', type: 'string' },
+                { key: 'slug', label: 'Slug', type: 'string' },
+                { key: 'price', label: 'Price', type: 'number', format: 'price' },
+                { key: 'supply', label: `Supply on ${platform.name}`, type: 'number', format: 'supply' },
+                { key: 'share', label: '% of Blockchain', type: 'number', format: 'percent' },
+                { key: 'market_cap', label: 'Market Cap', type: 'number', format: 'usd' }
+            ],
+            rows: rows.map((coin, index) => ({
+                rank: index + 1,
+                name: coin.name,
+                symbol: coin.symbol,
+                slug: coin.uri,
+                price: coin.price,
+                supply: coin.platform_supply,
+                share: coin.platform_percentage,
+                market_cap: coin.market_cap
+            }))
+        });
+    }
+
+    /**
+     * Serializes a table.
+     *
+     * @param {Object} table - Table from one of the builders
+     * @param {string} format - 'csv', 'xlsx' or 'parquet'
+     * @returns {Promise<Object>} { body, contentType, filename }
+     * @memberof ExportService
+     */
+    async render(table, format) {
+        const spec = FORMATS[format];
+        if (!spec) throw new Error(`Unsupported export format: ${format}`);
+
+        let body;
+        if (format === 'csv') body = this._toCsv(table);
+        else if (format === 'xlsx') body = await this._toXlsx(table);
+        else body = await this._toParquet(table);
+
+        const stamp = (table.metadata.snapshot || table.metadata.generatedAt).replace(/[:.]/g, '-');
+        return { body, contentType: spec.contentType, filename: `${table.name}-${stamp}.${spec.extension}` };
+    }
+
+    /**
+     * Applies the home page filters to view model coins.
+     *
+     * @param {Array<Object>} stablecoins - View model stablecoins
+     * @param {Object} state - Filter state
+     * @returns {Array<Object>} Coins passing the filters, in page order
+     * @private
+     * @memberof ExportService
+     */
+    _filterCoins(stablecoins, state) {
+        const byRecord = new Map();
+        const records = (stablecoins || [])
+            .filter(coin => coin.name && coin.symbol)
+            .map(coin => {
+                // Same flattened shape as window.StablecoinData on the home page
+                const record = {
+                    name: coin.name,
+                    symbol: coin.symbol,
+                    pegged_asset: coin.pegged_asset || '',
+                    price: coin.main?.price || 0,
+                    circulating_mcap: coin.main?.circulating_mcap || 0,
+                    volume_24h: coin.main?.volume_24h || 0,
+                    platforms: (coin.platforms || []).map(p => ({ name: p.name || '' })),
+                    conflicts: !!coin.conflicts
+                };
+                byRecord.set(record, coin);
+                return record;
+            });
+        return FilterCore.applyFilters(records, state).map(record => byRecord.get(record));
+    }
+
+    /**
+     * Assembles a table and its metadata.
+     *
+     * @param {Object} spec - { name, title, filters, coins, columns, rows }
+     * @returns {Promise<Object>} Table { name, title, columns, rows, metadata }
+     * @private
+     * @memberof ExportService
+     */
+    async _table({ name, title, filters, coins, columns, rows }) {
+        const metrics = await this.dataService.getMarketMetrics();
+        const records = await this.dataService.getStablecoins();
+        const wanted = new Set(coins.map(c => c.uri));
+        const sources = new Set();
+        for (const record of records || []) {
+            if (wanted.has(String(record.slug || '').toLowerCase())) {
+                (record.dataSources || []).forEach(s => sources.add(s));
+            }
+        }
+
+        return {
+            name,
+            title,
+            columns,
+            rows: rows.map(row => Object.fromEntries(columns.map(c => [c.key, this._cell(row[c.key], c.type)]))),
+            metadata: {
+                title,
+                snapshot: metrics?.lastUpdated ? new Date(metrics.lastUpdated).toISOString() : null,
+                generatedAt: new Date().toISOString(),
+                dataSources: Array.from(sources).sort().join(', ') || 'none',
+                filters: filters.active ? JSON.stringify(filters.state) : 'none',
+                rows: String(rows.length)
+            }
+        };
+    }
+
+    /**
+     * Normalizes a cell value for its column type (missing and non-finite numbers become null).
+     *
+     * @param {*} value - Raw value
+     * @param {string} type - Column type
+     * @returns {string|number|null} Cell value
+     * @private
+     * @memberof ExportService
+     */
+    _cell(value, type) {
+        if (value === undefined || value === null || value === '') return null;
+        if (type === 'string') return String(value);
+        const number = Number(value);
+        if (!isFinite(number)) return null;
+        return type === 'integer' ? Math.round(number) : number;
+    }
+
+    /**
+     * RFC 4180 CSV with `# key: value` metadata lines before the header row.
+     *
+     * @param {Object} table - Table
+     * @returns {string} CSV text
+     * @private
+     * @memberof ExportService
+     */
+    _toCsv(table) {
+        const escape = (value) => {
+            if (value === null) return '';
+            let text = String(value);
+            // Keep spreadsheet applications from evaluating text as a formula
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = Object.entries(table.metadata)
+            .filter(([, value]) => value !== null)
+            .map(([key, value]) => `# ${key}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+        lines.push(table.columns.map(c => escape(c.label)).join(','));
+        for (const row of table.rows) {
+            lines.push(table.columns.map(c => escape(row[c.key])).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * XLSX workbook with metadata rows above the table.
+     *
+     * @param {Object} table - Table
+     * @returns {Promise<Buffer>} Workbook bytes
+     * @private
+     * @memberof ExportService
+     */
+    async _toXlsx(table) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'StablecoinWatch';
+        workbook.title = table.title;
+        workbook.created = table.metadata.snapshot ? new Date(table.metadata.snapshot) : new Date();
+
+        // Sheet names are limited to 31 characters and exclude []:*?/\
+        const sheet = workbook.addWorksheet(table.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+        for (const [key, value] of Object.entries(table.metadata)) {
+            if (value === null) continue;
+            const row = sheet.addRow([key, value]);
+            row.getCell(1).font = { bold: true };
+        }
+        sheet.addRow([]);
+
+        const header = sheet.addRow(table.columns.map(c => c.label));
+        header.font = { bold: true };
+        for (const row of table.rows) {
+            sheet.addRow(table.columns.map(c => row[c.key]));
+        }
+
+        table.columns.forEach((column, index) => {
+            const sheetColumn = sheet.getColumn(index + 1);
+            sheetColumn.width = Math.max(12, Math.min(40, column.label.length + 4));
+            if (XLSX_NUMBER_FORMATS[column.format]) sheetColumn.numFmt = XLSX_NUMBER_FORMATS[column.format];
+        });
+        sheet.views = [{ state: 'frozen', ySplit: header.number }];
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    /**
+     * Parquet file with every column optional and the metadata as key-value file metadata.
+     *
+     * @param {Object} table - Table
+     * @returns {Promise<Buffer>} Parquet bytes
+     * @private
+     * @memberof ExportService
+     */
+    async _toParquet(table) {
+        const schema = new parquet.ParquetSchema(Object.fromEntries(
+            table.columns.map(c => [c.key, { type: PARQUET_TYPES[c.type], optional: true }])
+        ));
+
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            stream.on('end', resolve);
+            stream.on('error', reject);
+        });
+
+        const writer = await parquet.ParquetWriter.openStream(schema, stream);
+        for (const [key, value] of Object.entries(table.metadata)) {
+            if (value !== null) writer.setMetadata(key, String(value));
+        }
+        for (const row of table.rows) {
+            // Optional columns are written by omitting the key
+            await writer.appendRow(Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null)));
+        }
+        await writer.close();
+        await finished;
+        return Buffer.concat(chunks);
+    }
+}
+
+ExportService.FORMATS = FORMATS;
+
+module.exports = ExportService;
@@ -0,0 +1,247 @@
+const AppConfig = require('../config/AppConfig');
+const FileFxProvider = require('./fx/FileFxProvider');
+const FrankfurterFxProvider = require('./fx/FrankfurterFxProvider');
+const logger = require('../app/logger');
+
+const log = logger.forModule('fx');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Peg names the fetchers use for metals, mapped to their ISO 4217 codes
+const PEG_CODES = { GOLD: 'XAU', SILVER: 'XAG' };
+
+let sharedInstance = null;
+
+/**
+ * Reference FX rates for expressing stablecoin prices in their peg currency.
+ *
+ * Rates are stored as the USD value of one unit of each currency and come from pluggable
+ * providers (`AppConfig.fx.providers`), consulted in order: a currency takes its rate from
+ * the first provider that quotes it, so a local rates file can pin values the API also
+ * serves. Only currencies that appear as pegs are refreshed, and USD never needs a rate.
+ * A failed provider keeps the previous rate until it is older than `maxAgeHours`, after
+ * which the currency has no rate and its coins show USD prices only.
+ *
+ * @class FxRateService
+ * @example
+ * const fx = FxRateService.shared();
+ * await fx.refresh(['EUR', 'GBP']);
+ * fx.toPegPrice(1.0841, 'EUR'); // { currency: 'EUR', price: 1.0003, deviation: 0.0003, ... }
+ */
+class FxRateService {
+    /**
+     * Creates an instance of FxRateService.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.fx settings
+     * @param {boolean} [options.enabled] - When false, only USD pegs are converted
+     * @param {Array<string|Object>} [options.providers] - Provider names or instances, in priority order
+     * @param {number} [options.maxAgeHours] - Rates quoted longer ago than this are not used
+     * @param {Function} [options.now] - Clock, for tests
+     * @memberof FxRateService
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.fx, ...options };
+        this.now = options.now || Date.now;
+        this.providers = (this.config.providers || [])
+            .map(provider => (typeof provider === 'string' ? FxRateService.createProvider(provider, this.config) : provider))
+            .filter(Boolean);
+        this.rates = new Map(); // currency -> { rate, source, asOf }
+        this.lastRefresh = null;
+        this.errors = [];
+    }
+
+    /**
+     * Gets the rate service shared by the data service and the depeg monitor.
+     *
+     * @static
+     * @returns {FxRateService} Shared instance
+     * @memberof FxRateService
+     */
+    static shared() {
+        if (!sharedInstance) sharedInstance = new FxRateService();
+        return sharedInstance;
+    }
+
+    /**
+     * Builds a provider by name.
+     *
+     * @static
+     * @param {string} name - 'file' or 'frankfurter'
+     * @param {Object} config - FX config ({ filePath, apiUrl, cacheTtlMs })
+     * @returns {FileFxProvider|FrankfurterFxProvider|null} Provider, or null for unknown names
+     * @memberof FxRateService
+     */
+    static createProvider(name, config) {
+        if (name === 'file') return new FileFxProvider({ filePath: config.filePath });
+        if (name === 'frankfurter') return new FrankfurterFxProvider({ apiUrl: config.apiUrl, cacheTtlMs: config.cacheTtlMs });
+        log.warn('Unknown rate provider ignored', { provider: name });
+        return null;
+    }
+
+    /**
+     * Maps a peg (as found in `metadata.peggedAsset`) to a currency code.
+     *
+     * @static
+     * @param {string} peg - Peg currency or asset (e.g. 'EUR', 'Gold')
+     * @returns {string|null} Three-letter code, or null for pegs that are not currencies
+     * @memberof FxRateService
+     */
+    static currencyCode(peg) {
+        if (typeof peg !== 'string') return null;
+        const upper = peg.trim().toUpperCase();
+        const code = PEG_CODES[upper] || upper;
+        return /^[A-Z]{3}$/.test(code) ? code : null;
+    }
+
+    /**
+     * Loads rates for the currencies behind the given pegs.
+     * Provider failures are logged and never fail the caller.
+     *
+     * @param {Array<string>} [pegs=[]] - Pegs present in the dataset
+     * @returns {Promise<Object>} Status as returned by getStatus()
+     * @memberof FxRateService
+     */
+    async refresh(pegs = []) {
+        if (this.config.enabled === false) return this.getStatus();
+        const wanted = [...new Set(pegs.map(FxRateService.currencyCode))].filter(code => code && code !== 'USD');
+        if (wanted.length === 0) return this.getStatus();
+
+        const found = new Map();
+        const errors = [];
+        for (const provider of this.providers) {
+            const missing = wanted.filter(code => !found.has(code));
+            if (missing.length === 0) break;
+            try {
+                const quote = await provider.fetchRates(missing);
+                if (!this._isFresh(quote.asOf)) {
+                    if (Object.keys(quote.rates || {}).length) errors.push(`${provider.name}: rates from ${new Date(quote.asOf).toISOString()} are too old`);
+                    continue;
+                }
+                const usdRates = this._toUsdRates(quote);
+                for (const code of missing) {
+                    if (usdRates[code]) found.set(code, { rate: usdRates[code], source: provider.name, asOf: quote.asOf });
+                }
+            } catch (error) {
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        for (const [code, entry] of found) this.rates.set(code, entry);
+        const unresolved = wanted.filter(code => !this.getQuote(code));
+        if (unresolved.length) errors.push(`No rate for ${unresolved.join(', ')}`);
+        if (errors.length) log.warn('Reference rates incomplete', { errors });
+
+        this.errors = errors;
+        this.lastRefresh = this.now();
+        return this.getStatus();
+    }
+
+    /**
+     * Gets the current rate for a peg.
+     *
+     * @param {string} peg - Peg currency or asset
+     * @returns {Object|null} { currency, rate, source, asOf } where rate is the USD value of one unit, or null when unknown or too old
+     * @memberof FxRateService
+     */
+    getQuote(peg) {
+        const currency = FxRateService.currencyCode(peg);
+        if (!currency) return null;
+        if (currency === 'USD') return { currency, rate: 1, source: 'fixed', asOf: null };
+        const entry = this.rates.get(currency);
+        if (!entry || !this._isFresh(entry.asOf)) return null;
+        return { currency, ...entry };
+    }
+
+    /**
+     * Gets the USD value of one unit of a peg currency.
+     *
+     * @param {string} peg - Peg currency or asset
+     * @returns {number|null} Rate, or null when unknown
+     * @memberof FxRateService
+     */
+    getRate(peg) {
+        return this.getQuote(peg)?.rate ?? null;
+    }
+
+    /**
+     * Expresses a USD price in the coin's peg currency.
+     *
+     * @param {number} usdPrice - Price in USD
+     * @param {string} peg - Peg currency or asset
+     * @returns {Object|null} { currency, price, deviation, fxRate, fxSource, fxAsOf }, or null without a price or rate.
+     *   `deviation` is the fractional distance from 1.0 in the peg currency (0.0003 = +0.03%).
+     * @memberof FxRateService
+     */
+    toPegPrice(usdPrice, peg) {
+        if (typeof usdPrice !== 'number' || !isFinite(usdPrice) || usdPrice <= 0) return null;
+        const quote = this.getQuote(peg);
+        if (!quote) return null;
+        const price = usdPrice / quote.rate;
+        return {
+            currency: quote.currency,
+            price,
+            deviation: price - 1,
+            fxRate: quote.rate,
+            fxSource: quote.source,
+            fxAsOf: quote.asOf
+        };
+    }
+
+    /**
+     * Reports providers, loaded rates and the last refresh outcome.
+     *
+     * @returns {Object} { enabled, providers, lastRefresh, errors, rates }
+     * @memberof FxRateService
+     */
+    getStatus() {
+        const rates = {};
+        for (const [code, entry] of this.rates) {
+            rates[code] = { ...entry, stale: !this._isFresh(entry.asOf) };
+        }
+        return {
+            enabled: this.config.enabled !== false,
+            providers: this.providers.map(p => p.name),
+            lastRefresh: this.lastRefresh,
+            errors: [...this.errors],
+            rates
+        };
+    }
+
+    /**
+     * Converts provider quotes (units per base currency) to USD per unit.
+     *
+     * @param {Object} quote - { base, rates } from a provider
+     * @returns {Object} Map of currency -> USD value of one unit
+     * @private
+     * @memberof FxRateService
+     */
+    _toUsdRates(quote) {
+        const base = String(quote.base || 'USD').toUpperCase();
+        const perBase = { [base]: 1 };
+        for (const [code, value] of Object.entries(quote.rates || {})) {
+            const number = Number(value);
+            if (isFinite(number) && number > 0) perBase[code.toUpperCase()] = number;
+        }
+        if (!perBase.USD) return {};
+
+        const usdRates = {};
+        for (const [code, unitsPerBase] of Object.entries(perBase)) {
+            usdRates[code] = perBase.USD / unitsPerBase;
+        }
+        return usdRates;
+    }
+
+    /**
+     * Whether a quote time is within maxAgeHours. Quotes without a time count as fresh.
+     *
+     * @param {number|null} asOf - Quote time (milliseconds)
+     * @returns {boolean} True when usable
+     * @private
+     * @memberof FxRateService
+     */
+    _isFresh(asOf) {
+        if (asOf === null || asOf === undefined) return true;
+        return this.now() - asOf <= this.config.maxAgeHours * HOUR_MS;
+    }
+}
+
+module.exports = FxRateService;
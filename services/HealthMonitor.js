@@ -1,5 +1,9 @@
 const IHealthMonitor = require('../interfaces/IHealthMonitor');
 const AppConfig = require('../config/AppConfig');
+const RateLimiter = require('./RateLimiter');
+const logger = require('../app/logger');
+
+const log = logger.forModule('healthMonitor');
 
 /**
  * Health monitoring implementation for multi-API architecture.
@@ -32,6 +36,8 @@ class HealthMonitor extends IHealthMonitor {
     constructor() {
         super();
         this.config = AppConfig.health;
+        // Outbound request budgets shared with the fetchers, reported with system health
+        this.rateLimiter = RateLimiter.shared();
         
         // In-memory storage for health data (could be moved to Redis/DB later)
         this.healthData = new Map(); // sourceId -> HealthData
@@ -69,6 +75,12 @@ class HealthMonitor extends IHealthMonitor {
         // Circuit breaker states
         this.circuitBreakers = new Map(); // sourceId -> CircuitBreakerState
         
+        // Alert lifecycle listeners (e.g. webhook dispatcher)
+        this._alertListeners = [];
+        
+        // Request outcome listeners (e.g. metrics)
+        this._operationListeners = [];
+        
         // Start health monitoring if enabled
         if (this.config.enabled) {
             this._startHealthMonitoring();
@@ -171,6 +183,7 @@ class HealthMonitor extends IHealthMonitor {
      * @returns {Promise<Object>} returns.metrics - System-wide performance metrics
      * @returns {Promise<Array<Object>>} returns.activeAlerts - Current active alerts
      * @returns {Promise<Object>} returns.degradedMode - Degraded mode status and recommendations
+     * @returns {Promise<Object>} returns.rateLimits - Request budget, usage and remaining quota per source
      * @returns {Promise<number>} returns.timestamp - When this health check was performed
      * @returns {Promise<string>} returns.uptime - System uptime in human-readable format
      * 
@@ -225,6 +238,7 @@ class HealthMonitor extends IHealthMonitor {
             conflicts: conflictMetrics,
             activeAlerts,
             degradedMode,
+            rateLimits: this.rateLimiter ? this.rateLimiter.getStatus([...this.healthData.keys()]) : {},
             timestamp: Date.now(),
             uptime: this._getUptime()
         };
@@ -274,6 +288,8 @@ class HealthMonitor extends IHealthMonitor {
      * @param {number} [metrics.duration] - Operation duration in milliseconds
      * @param {number} [metrics.timestamp] - Operation timestamp (defaults to current time)
      * @param {string} [metrics.operation] - Type of operation performed
+     * @param {number} [metrics.attempt] - Attempt number when the operation was retried
+     * @param {number} [metrics.statusCode] - HTTP status code if applicable
      * @param {number} [metrics.recordCount] - Number of records processed in this operation
      * @returns {Promise<void>}
      * @throws {TypeError} If sourceId is not provided or metrics is not an object
@@ -329,6 +345,7 @@ class HealthMonitor extends IHealthMonitor {
             success: true,
             duration: metrics.duration || 0,
             operation: metrics.operation,
+            attempt: metrics.attempt,
             recordCount: metrics.recordCount || 0
         });
         
@@ -346,6 +363,12 @@ class HealthMonitor extends IHealthMonitor {
         
         // Check for alerts to clear
         this._checkAlertResolution(sourceId);
+        
+        this._emitOperationEvent(sourceId, {
+            success: true,
+            duration: metrics.duration,
+            operation: metrics.operation
+        });
     }
 
     /**
@@ -361,6 +384,8 @@ class HealthMonitor extends IHealthMonitor {
      * @param {boolean} [error.retryable] - Whether this error type is retryable
      * @param {number} [error.timestamp] - Error timestamp (defaults to current time)
      * @param {string} [error.operation] - Operation that failed
+     * @param {number} [error.attempt] - Attempt number when the operation was retried
+     * @param {number} [error.duration] - Time spent on the failed attempt in milliseconds
      * @returns {Promise<void>}
      * @throws {TypeError} If sourceId is not provided or error is not an object
      * 
@@ -412,8 +437,9 @@ class HealthMonitor extends IHealthMonitor {
         window.add({
             timestamp: error.timestamp || Date.now(),
             success: false,
-            duration: 0,
+            duration: error.duration || 0,
             operation: error.operation,
+            attempt: error.attempt,
             errorType: error.errorType,
             retryable: error.retryable
         });
@@ -430,6 +456,36 @@ class HealthMonitor extends IHealthMonitor {
         
         // Check for new alerts
         this._checkForAlerts(sourceId, error);
+        
+        this._emitOperationEvent(sourceId, {
+            success: false,
+            duration: error.duration,
+            operation: error.operation,
+            errorType: error.errorType
+        });
+    }
+
+    /**
+     * Records the size of a fetched dataset without counting a request.
+     * Fetchers call this after parsing, since HttpClient already reported each request attempt.
+     * 
+     * @async
+     * @param {string} sourceId - Unique identifier for the data source
+     * @param {Object} quality - Dataset details
+     * @param {number} quality.recordCount - Number of records the fetch produced
+     * @returns {Promise<void>}
+     * 
+     * @example
+     * await healthMonitor.recordDataQuality('cmc', { recordCount: 150 });
+     */
+    async recordDataQuality(sourceId, quality) {
+        this.initializeSource(sourceId);
+        
+        const data = this.healthData.get(sourceId);
+        data.dataQuality.recordCount = quality.recordCount;
+        data.dataQuality.freshnessScore = 1; // Fresh data
+        
+        this._updateHealthScore(sourceId);
     }
 
     /**
@@ -528,6 +584,80 @@ class HealthMonitor extends IHealthMonitor {
             .sort((a, b) => levelPriority[b.level] - levelPriority[a.level]);
     }
 
+    /**
+     * Raises an alert on behalf of another service (e.g. the depeg monitor).
+     * Uses the same de-duplication as internally generated alerts: an active alert
+     * for the same source and type is upgraded in severity rather than duplicated.
+     * 
+     * @param {Object} alertData - Alert configuration (see _createAlert)
+     * @returns {Object} The active alert for this source and type
+     * 
+     * @example
+     * healthMonitor.raiseAlert({
+     *   type: 'depeg', level: 'warning', source: 'depeg:tether',
+     *   title: 'USDT Depeg', description: 'USDT is trading 0.8% below its USD peg'
+     * });
+     */
+    raiseAlert(alertData) {
+        return this._createAlert(alertData);
+    }
+
+    /**
+     * Resolves all active alerts for a source and type raised via raiseAlert.
+     * 
+     * @param {string} source - Alert source
+     * @param {string} type - Alert type
+     * @returns {Array<Object>} Alerts that were resolved
+     */
+    resolveAlert(source, type) {
+        const resolved = [];
+        for (const alert of this.activeAlerts.values()) {
+            if (alert.active && alert.source === source && alert.type === type) {
+                alert.active = false;
+                alert.resolvedAt = Date.now();
+                resolved.push(alert);
+                this._emitAlertEvent('resolved', alert);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Registers a listener for alert lifecycle events.
+     * Called with ('created', alert) when a new alert is raised and ('resolved', alert)
+     * when an active alert is deactivated.
+     * 
+     * @param {Function} listener - Callback receiving (event, alert)
+     * @returns {Function} Function that removes the listener
+     * 
+     * @example
+     * healthMonitor.onAlert((event, alert) => console.log(event, alert.title));
+     */
+    onAlert(listener) {
+        this._alertListeners.push(listener);
+        return () => {
+            this._alertListeners = this._alertListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Registers a listener for recorded operations.
+     * Called with (sourceId, { success, duration, operation, errorType }) after every
+     * recordSuccess and recordFailure; duration is in milliseconds and may be missing.
+     * 
+     * @param {Function} listener - Callback receiving (sourceId, operation)
+     * @returns {Function} Function that removes the listener
+     * 
+     * @example
+     * healthMonitor.onOperation((sourceId, op) => console.log(sourceId, op.success, op.duration));
+     */
+    onOperation(listener) {
+        this._operationListeners.push(listener);
+        return () => {
+            this._operationListeners = this._operationListeners.filter(l => l !== listener);
+        };
+    }
+
     /**
      * Records conflict metrics from the data service for health monitoring.
      * Integrates conflict tracking into the health monitoring system.
@@ -710,6 +840,7 @@ class HealthMonitor extends IHealthMonitor {
         if (!cbConfig.enabled) return;
         
         const cb = this.circuitBreakers.get(sourceId);
+        const previousState = cb.state;
         
         if (success) {
             if (cb.state === 'half-open') {
@@ -740,6 +871,15 @@ class HealthMonitor extends IHealthMonitor {
             cb.state = 'half-open';
             cb.nextRetryTime = null;
         }
+
+        if (cb.state !== previousState) {
+            log.log(cb.state === 'open' ? 'warn' : 'info', 'Circuit breaker state changed', {
+                sourceId,
+                from: previousState,
+                to: cb.state,
+                failureCount: cb.failureCount
+            });
+        }
     }
 
     /**
@@ -859,7 +999,7 @@ class HealthMonitor extends IHealthMonitor {
      * @param {string} alertData.title - Short alert title
      * @param {string} alertData.description - Detailed alert description
      * @param {Object} [alertData.metadata] - Additional context data
-     * @returns {void}
+     * @returns {Object} The new alert, or the existing active alert for the same source and type
      */
     _createAlert(alertData) {
         // De-duplicate: if there is an active alert for same source+type, keep the highest severity
@@ -884,7 +1024,7 @@ class HealthMonitor extends IHealthMonitor {
                 existing.timestamp = Date.now();
                 this.activeAlerts.set(existingId, existing);
             }
-            return;
+            return existing;
         }
 
         const alertId = `${alertData.source}_${alertData.type}_${Date.now()}`;
@@ -903,6 +1043,53 @@ class HealthMonitor extends IHealthMonitor {
         };
 
         this.activeAlerts.set(alertId, alert);
+        this._emitAlertEvent('created', alert);
+        return alert;
+    }
+
+    /**
+     * Notifies alert listeners of an alert lifecycle event.
+     * Listener errors (sync or async) are swallowed so alerting never breaks monitoring.
+     * 
+     * @private
+     * @param {string} event - 'created' or 'resolved'
+     * @param {Object} alert - The alert the event refers to
+     * @returns {void}
+     */
+    _emitAlertEvent(event, alert) {
+        log.log(event === 'created' ? 'warn' : 'info', `Alert ${event}`, {
+            alertId: alert.id,
+            alertType: alert.type,
+            alertLevel: alert.level,
+            source: alert.source
+        });
+        for (const listener of this._alertListeners) {
+            try {
+                const pending = listener(event, { ...alert });
+                if (pending && typeof pending.catch === 'function') pending.catch(() => {});
+            } catch (_) {
+                // Listener failures must not affect alert bookkeeping
+            }
+        }
+    }
+
+    /**
+     * Notifies operation listeners of a recorded success or failure.
+     * Listener errors are swallowed so metrics never break monitoring.
+     * 
+     * @private
+     * @param {string} sourceId - Unique identifier for the data source
+     * @param {Object} operation - { success, duration, operation, errorType }
+     * @returns {void}
+     */
+    _emitOperationEvent(sourceId, operation) {
+        for (const listener of this._operationListeners) {
+            try {
+                listener(sourceId, operation);
+            } catch (_) {
+                // Listener failures must not affect health bookkeeping
+            }
+        }
     }
 
     /**
@@ -919,6 +1106,7 @@ class HealthMonitor extends IHealthMonitor {
      * - circuit_breaker: Actions for circuit breaker trips
      * - conflict_rate: Actions for high conflict rates
      * - conflict_threshold: Actions when conflict thresholds are exceeded
+     * - depeg: Actions when a stablecoin trades away from its peg
      */
     _getRecommendedActions(alertType) {
         const actions = {
@@ -948,6 +1136,11 @@ class HealthMonitor extends IHealthMonitor {
                 'Review field-level conflict patterns',
                 'Check for systematic data quality issues',
                 'Consider adjusting conflict resolution rules'
+            ],
+            depeg: [
+                'Compare per-source prices for the asset',
+                'Check issuer announcements and redemption status',
+                'Review liquidity on major trading venues'
             ]
         };
         
@@ -1272,6 +1465,8 @@ class HealthMonitor extends IHealthMonitor {
                 const data = this.healthData.get(sourceId);
                 if (data.healthScore > 80 && data.consecutiveFailures === 0) {
                     alert.active = false;
+                    alert.resolvedAt = Date.now();
+                    this._emitAlertEvent('resolved', alert);
                 }
             }
         }
@@ -0,0 +1,315 @@
+const axios = require('axios');
+const AppConfig = require('../config/AppConfig');
+const RateLimiter = require('./RateLimiter');
+const CacheService = require('./CacheService');
+
+const RETRYABLE_TYPES = ['timeout', 'network', 'server', 'rate_limit'];
+const NETWORK_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * HTTP client shared by the data fetchers, one instance per data source.
+ *
+ * Every attempt goes through `RateLimiter.schedule`, is cancelled with an AbortController
+ * once the source's `request.timeout` passes, and is reported to the health monitor with
+ * its own timing. Timeouts, network errors, 429s and 5xx responses are retried up to
+ * `request.retries` times (capped by `AppConfig.api.maxRetries`) with exponential backoff
+ * from `request.retryDelay` plus jitter. A `Retry-After` header on a 429 or 503 replaces
+ * the backoff; when it asks for longer than `AppConfig.api.maxRetryDelayMs` the request
+ * fails straight away.
+ *
+ * Errors thrown by the client carry an `attempts` array (attempt, duration, statusCode,
+ * errorType), which also tells callers the failure has already been recorded.
+ *
+ * GET responses are cached by source, URL and params in the shared CacheService for
+ * `request.cacheTtlMs` (default `AppConfig.cache.defaultTtlMs`), so restarts and repeated
+ * refreshes within that time do not spend API quota.
+ *
+ * @class HttpClient
+ * @example
+ * const http = new HttpClient('cmc', { healthMonitor, request: config.request });
+ * const response = await http.get(url, { headers, params, operation: 'fetchStablecoins' });
+ */
+class HttpClient {
+    /**
+     * Creates an instance of HttpClient.
+     *
+     * @param {string} sourceId - Data source the requests count against
+     * @param {Object} [options={}] - Client options
+     * @param {Object} [options.healthMonitor] - Receives one success or failure per attempt
+     * @param {Object} [options.request] - Source `request` config (timeout, retries, retryDelay, cacheTtlMs)
+     * @param {RateLimiter} [options.rateLimiter] - Defaults to the shared limiter
+     * @param {CacheService} [options.cache] - Defaults to the shared cache
+     * @param {number} [options.maxRetryDelayMs] - Longest single wait between attempts
+     * @param {Object} [options.transport] - axios-compatible `request(config)` implementation, for tests
+     * @param {Function} [options.random] - Jitter source returning [0, 1), for tests
+     * @memberof HttpClient
+     */
+    constructor(sourceId, options = {}) {
+        const request = options.request || {};
+        this.sourceId = sourceId;
+        this.healthMonitor = options.healthMonitor || null;
+        this.rateLimiter = options.rateLimiter || RateLimiter.shared();
+        this.cache = options.cache || CacheService.shared();
+        this.cacheTtlMs = request.cacheTtlMs;
+        this.transport = options.transport || axios;
+        this.random = options.random || Math.random;
+        this.timeout = request.timeout || AppConfig.api.defaultTimeout;
+        this.retries = Math.max(0, Math.min(request.retries ?? AppConfig.api.maxRetries, AppConfig.api.maxRetries));
+        this.retryDelay = request.retryDelay ?? AppConfig.api.retryDelay;
+        this.maxRetryDelayMs = options.maxRetryDelayMs ?? AppConfig.api.maxRetryDelayMs;
+    }
+
+    /**
+     * Maps an error to a standard category for health reporting and retry decisions.
+     *
+     * @static
+     * @param {Error} error - Request error
+     * @returns {string} 'auth', 'not_found', 'rate_limit', 'server', 'timeout', 'network' or 'unknown'
+     * @memberof HttpClient
+     */
+    static categorizeError(error) {
+        if (!error) return 'unknown';
+        const status = error?.response?.status ?? error?.status;
+        if (status === 401 || status === 403) return 'auth';
+        if (status === 404) return 'not_found';
+        if (status === 429) return 'rate_limit';
+        if (status >= 500) return 'server';
+        if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED' || error.message?.includes('timeout')) return 'timeout';
+        if (NETWORK_CODES.includes(error.code)) return 'network';
+        return 'unknown';
+    }
+
+    /**
+     * Whether a failed request may succeed when sent again.
+     *
+     * @static
+     * @param {Error} error - Request error
+     * @returns {boolean} True for timeouts, network errors, 429s and 5xx responses
+     * @memberof HttpClient
+     */
+    static isRetryable(error) {
+        return RETRYABLE_TYPES.includes(HttpClient.categorizeError(error));
+    }
+
+    /**
+     * Parses a Retry-After header given in seconds or as an HTTP date.
+     *
+     * @static
+     * @param {string|number|undefined} value - Header value
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {number|null} Milliseconds to wait, or null when absent or invalid
+     * @memberof HttpClient
+     */
+    static parseRetryAfter(value, now = Date.now()) {
+        if (value === undefined || value === null || value === '') return null;
+        const text = String(value).trim();
+        if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+        const date = Date.parse(text);
+        return Number.isNaN(date) ? null : Math.max(0, date - now);
+    }
+
+    /**
+     * Sends a GET request.
+     *
+     * @param {string} url - Request URL
+     * @param {Object} [options={}] - axios request config plus `operation` (label for health reports) and `cache` (false to bypass)
+     * @returns {Promise<Object>} Response ({ status, data })
+     * @memberof HttpClient
+     */
+    get(url, options = {}) {
+        return this.request({ ...options, method: 'GET', url });
+    }
+
+    /**
+     * Sends a request through the client. Only GET responses are cached.
+     *
+     * @param {Object} config - axios request config plus `operation` and `cache`; `timeout` overrides the source timeout
+     * @param {number} [config.cacheTtlMs] - Cache freshness for this request (default: source `request.cacheTtlMs`)
+     * @param {Function} [config.select] - Reduces the response data before it is cached and returned
+     * @param {number} [config.maxWaitMs] - Longest the request may wait for the rate limiter before it is deferred
+     * @returns {Promise<Object>} Response ({ status, data })
+     * @memberof HttpClient
+     */
+    request(config) {
+        const { operation, timeout, cache = true, cacheTtlMs, select, maxWaitMs, ...requestConfig } = config;
+        const method = (requestConfig.method || 'GET').toUpperCase();
+        const cacheKey = (cache && method === 'GET') ? CacheService.key(requestConfig.url, requestConfig.params) : null;
+        return this.execute(operation || `${method} ${requestConfig.url}`,
+            // Keep only what is needed (and serializable) from the axios response
+            ({ signal }) => this.transport.request({ ...requestConfig, signal })
+                .then(response => ({ status: response.status, data: select ? select(response.data) : response.data })),
+            { timeout, cacheKey, cacheTtlMs, maxWaitMs });
+    }
+
+    /**
+     * Runs a request function with rate limiting, timeout, retries and health reporting.
+     * Use directly for SDK calls that do not go through axios; `send` receives an
+     * AbortSignal it should pass on when it can.
+     *
+     * @param {string} operation - Label for health reports
+     * @param {Function} send - ({ signal }) => Promise of the response
+     * @param {Object} [options={}] - Execution options
+     * @param {number} [options.timeout] - Per-attempt timeout in ms (default: source timeout)
+     * @param {string} [options.cacheKey] - Caches the (JSON-serializable) result under this key within the source
+     * @param {number} [options.cacheTtlMs] - Cache freshness (default: source `request.cacheTtlMs`)
+     * @param {number} [options.maxWaitMs] - Rate limiter wait before the request is deferred (default: `AppConfig.api.rateLimitMaxWaitMs`)
+     * @returns {Promise<*>} Result of `send`
+     * @throws {Error} Last attempt's error, with `attempts`; `code` 'ETIMEDOUT' on timeout
+     * @memberof HttpClient
+     */
+    execute(operation, send, options = {}) {
+        if (options.cacheKey) {
+            return this.cache.wrap(CacheService.key('http', this.sourceId, options.cacheKey),
+                () => this._execute(operation, send, options),
+                { ttlMs: options.cacheTtlMs ?? this.cacheTtlMs });
+        }
+        return this._execute(operation, send, options);
+    }
+
+    /**
+     * Sends a request with rate limiting, timeout, retries and health reporting.
+     *
+     * @param {string} operation - Label for health reports
+     * @param {Function} send - ({ signal }) => Promise of the response
+     * @param {Object} [options={}] - Execution options
+     * @param {number} [options.timeout] - Per-attempt timeout in ms (default: source timeout)
+     * @param {number} [options.maxWaitMs] - Rate limiter wait before the request is deferred
+     * @returns {Promise<*>} Result of `send`
+     * @private
+     * @memberof HttpClient
+     */
+    async _execute(operation, send, { timeout, maxWaitMs } = {}) {
+        const attemptTimeout = timeout || this.timeout;
+        const attempts = [];
+
+        for (let attempt = 1; ; attempt++) {
+            let startedAt = null;
+            try {
+                const response = await this.rateLimiter.schedule(this.sourceId, () => {
+                    startedAt = Date.now();
+                    return this._sendWithTimeout(send, attemptTimeout);
+                }, { maxWaitMs });
+                const duration = Date.now() - startedAt;
+                attempts.push({ attempt, duration, statusCode: response?.status });
+                await this._record(true, {
+                    operation,
+                    attempt,
+                    duration,
+                    statusCode: response?.status,
+                    timestamp: Date.now()
+                });
+                return response;
+            } catch (error) {
+                // Deferred by the rate limiter: the request never went out
+                if (startedAt === null) {
+                    error.attempts = attempts;
+                    throw error;
+                }
+
+                const duration = Date.now() - startedAt;
+                const statusCode = error?.response?.status ?? error?.status;
+                const errorType = HttpClient.categorizeError(error);
+                const retryable = HttpClient.isRetryable(error);
+                attempts.push({ attempt, duration, statusCode, errorType });
+                await this._record(false, {
+                    operation,
+                    attempt,
+                    duration,
+                    errorType,
+                    message: error?.message || `${this.sourceId} request failed`,
+                    statusCode,
+                    retryable,
+                    timestamp: Date.now()
+                });
+
+                const delay = (retryable && attempt <= this.retries) ? this._retryDelay(error, attempt) : null;
+                if (delay === null) {
+                    error.attempts = attempts;
+                    throw error;
+                }
+                await this._sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Calls `send`, aborting it and rejecting with a timeout error once `timeout` passes.
+     *
+     * @param {Function} send - ({ signal }) => Promise of the response
+     * @param {number} timeout - Timeout in ms
+     * @returns {Promise<*>} Result of `send`
+     * @private
+     * @memberof HttpClient
+     */
+    _sendWithTimeout(send, timeout) {
+        const controller = new AbortController();
+        let timer = null;
+        const timedOut = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                const error = new Error(`${this.sourceId} request timeout after ${timeout}ms`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, timeout);
+        });
+
+        // Racing the timer also stops the wait for senders that ignore the signal
+        return Promise.race([Promise.resolve().then(() => send({ signal: controller.signal })), timedOut])
+            .finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Milliseconds to wait before the next attempt, or null when retrying is pointless.
+     *
+     * @param {Error} error - Failed attempt's error
+     * @param {number} attempt - Failed attempt number, from 1
+     * @returns {number|null} Delay in ms
+     * @private
+     * @memberof HttpClient
+     */
+    _retryDelay(error, attempt) {
+        const status = error?.response?.status ?? error?.status;
+        if (status === 429 || status === 503) {
+            const retryAfter = HttpClient.parseRetryAfter(error?.response?.headers?.['retry-after']);
+            if (retryAfter !== null) {
+                error.retryAfterMs = retryAfter;
+                return retryAfter <= this.maxRetryDelayMs ? retryAfter : null;
+            }
+        }
+
+        // Equal jitter: half the backoff is fixed, half is random
+        const backoff = Math.min(this.maxRetryDelayMs, this.retryDelay * Math.pow(2, attempt - 1));
+        return Math.round(backoff / 2 + this.random() * backoff / 2);
+    }
+
+    /**
+     * Reports one attempt to the health monitor.
+     *
+     * @param {boolean} success - Whether the attempt succeeded
+     * @param {Object} details - recordSuccess metrics or recordFailure error details
+     * @returns {Promise<void>}
+     * @private
+     * @memberof HttpClient
+     */
+    async _record(success, details) {
+        if (!this.healthMonitor) return;
+        try {
+            if (success) await this.healthMonitor.recordSuccess(this.sourceId, details);
+            else await this.healthMonitor.recordFailure(this.sourceId, details);
+        } catch (_) { /* health reporting must not break requests */ }
+    }
+
+    /**
+     * Waits between attempts.
+     *
+     * @param {number} ms - Delay in ms
+     * @returns {Promise<void>}
+     * @private
+     * @memberof HttpClient
+     */
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = HttpClient;
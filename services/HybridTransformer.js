@@ -3,6 +3,13 @@ const IViewModelTransformer = require('../interfaces/IViewModelTransformer');
 const DataFormatter = require('./formatters/DataFormatter');
 const PlatformNormalizer = require('./formatters/PlatformNormalizer');
 const SourceDataPopulator = require('./formatters/SourceDataPopulator');
+const ChainConcentration = require('./domain/ChainConcentration');
+const logger = require('../app/logger');
+
+const log = logger.forModule('transformer');
+
+// Supply change periods shown on platform pages, keyed to Platform.historical_data fields
+const SUPPLY_CHANGE_PERIODS = { '1d': 'prevDay', '7d': 'prevWeek', '30d': 'prevMonth' };
 
 /**
  * Transforms and standardizes hybrid stablecoin data for view layer consumption.
@@ -31,6 +38,7 @@ class HybridTransformer extends IViewModelTransformer {
         this.dataFormatter = new DataFormatter();
         this.platformNormalizer = new PlatformNormalizer();
         this.sourceDataPopulator = new SourceDataPopulator();
+        this.chainConcentration = new ChainConcentration(config.chainAnalytics || {});
     }
 
     /**
@@ -57,6 +65,14 @@ class HybridTransformer extends IViewModelTransformer {
         }
 
         this._sortStablecoinsByMarketCap();
+
+        const platforms = new Set(this.stablecoins.flatMap(sc => (sc.platforms || []).map(p => p.name)));
+        log.debug('Transformed stablecoins', {
+            inputCount: (hybridStablecoins || []).length,
+            recordCount: this.stablecoins.length,
+            platformCount: platforms.size,
+            topByMarketCap: this.stablecoins.slice(0, 5).map(sc => sc.symbol)
+        });
     }
 
     /**
@@ -82,6 +98,8 @@ class HybridTransformer extends IViewModelTransformer {
         sc.img_url = this.sourceDataPopulator.getCoinImageUrl(hybrid);
         // Pegged asset (e.g., USD, EUR, Gold)
         sc.pegged_asset = hybrid.pegged_asset || null;
+        // Price in the peg currency (e.g., EUR for EURC), when a reference rate is known
+        sc.peg_price = hybrid.peg_price || null;
     // Asset classification (Stablecoin, Tokenized Asset, etc.)
     sc.assetCategory = hybrid.assetCategory || hybrid.asset_category || null;
 
@@ -146,11 +164,7 @@ class HybridTransformer extends IViewModelTransformer {
             breakdown[normalizedChainName] = {
                 supply: chainSupply,
                 percentage: 0, // Will be calculated after totalSupply is known
-                historical: {
-                    prevDay: chainData.circulatingPrevDay || null,
-                    prevWeek: chainData.circulatingPrevWeek || null,
-                    prevMonth: chainData.circulatingPrevMonth || null
-                }
+                historical: defillamaData.chainHistory?.[chainName] || null
             };
 
             totalSupply += chainSupply;
@@ -203,13 +217,14 @@ class HybridTransformer extends IViewModelTransformer {
      * Calculates aggregated platform data from all processed stablecoins.
      * Uses DataFormatter for consistent number formatting and slug generation.
      * 
-     * @returns {Array} Array of platform data objects with totals, counts, and formatted values
+     * @param {Array<Stablecoin>} [stablecoins=this.stablecoins] - Stablecoins to aggregate (e.g. a filtered subset)
+     * @returns {Array} Array of platform data objects with totals, counts, supply changes, concentration, and formatted values
      * @memberof HybridTransformer
      */
-    calculatePlatformData() {
+    calculatePlatformData(stablecoins = this.stablecoins) {
         const platformMap = new Map();
         
-        for (const sc of this.stablecoins) {
+        for (const sc of stablecoins) {
             if (!sc?.platforms || !sc?.main?.circulating_mcap) continue;
             // Compute total cross-chain supply for this coin across all known platforms
             const coinSupplyTotal = sc.platforms.reduce((sum, p) => {
@@ -226,6 +241,11 @@ class HybridTransformer extends IViewModelTransformer {
                         total_supply: 0,
                         stablecoins: [],
                         supply_breakdown: new Map(),
+                        // USD value, peg and earlier value per coin for concentration indices
+                        holdings: new Map(),
+                        // Current and earlier supply of the coins that have history, per period
+                        supply_history: Object.fromEntries(Object.keys(SUPPLY_CHANGE_PERIODS)
+                            .map(period => [period, { current: 0, previous: 0 }])),
                         dominant_stablecoin: { name: '', supply: 0 }
                     });
                 }
@@ -250,6 +270,27 @@ class HybridTransformer extends IViewModelTransformer {
                 // Reuse computed platformSupply
                 if (platformSupply > 0) {
                     entry.total_supply += platformSupply;
+
+                    if (!entry.holdings.has(sc.symbol)) {
+                        entry.holdings.set(sc.symbol, {
+                            symbol: sc.symbol,
+                            peg: sc.pegged_asset || null,
+                            value: 0,
+                            previous: Object.fromEntries(Object.keys(SUPPLY_CHANGE_PERIODS).map(period => [period, null]))
+                        });
+                    }
+                    const holding = entry.holdings.get(sc.symbol);
+                    holding.value += allocatedMcap;
+
+                    for (const [period, field] of Object.entries(SUPPLY_CHANGE_PERIODS)) {
+                        const previous = platform.historical_data?.[field];
+                        if (typeof previous === 'number' && previous > 0) {
+                            entry.supply_history[period].current += platformSupply;
+                            entry.supply_history[period].previous += previous;
+                            // Earlier value at today's price, so the index follows supply moves only
+                            holding.previous[period] = (holding.previous[period] || 0) + allocatedMcap * (previous / platformSupply);
+                        }
+                    }
                     
                     // Track individual stablecoin supplies on this platform
                     if (!entry.supply_breakdown.has(sc.symbol)) {
@@ -285,7 +326,8 @@ class HybridTransformer extends IViewModelTransformer {
                         price: sc.main?.price || null,
                         market_cap: sc.main?.circulating_mcap || null,
                         platform_supply: platformSupply,
-                        platform_percentage: platform.supply_percentage || null
+                        platform_percentage: platform.supply_percentage || null,
+                        supply_change: platform.historical_data?.change || null
                     });
                 }
             }
@@ -322,7 +364,11 @@ class HybridTransformer extends IViewModelTransformer {
                         `${Math.round((platform.total_supply / totalSupplyAllPlatforms) * 10000) / 100}%` : '0%',
                     stablecoins: platform.stablecoins.sort((a, b) => (b.platform_supply || 0) - (a.platform_supply || 0)),
                     supply_breakdown: supplyBreakdownArray,
-                    dominant_stablecoin: platform.dominant_stablecoin.name ? platform.dominant_stablecoin : null
+                    supply_change: Object.fromEntries(Object.entries(platform.supply_history)
+                        .map(([period, { current, previous }]) => [period, previous > 0 ?
+                            Math.round(((current - previous) / previous) * 10000) / 100 : null])),
+                    dominant_stablecoin: platform.dominant_stablecoin.name ? platform.dominant_stablecoin : null,
+                    concentration: this.chainConcentration.analyzeChain(Array.from(platform.holdings.values()))
                 };
             })
             .sort((a, b) => (b.total_supply || 0) - (a.total_supply || 0));
@@ -73,6 +73,7 @@ class HybridTransformerAdapter extends IViewModelTransformer {
                 supply: n.supply ?? null,
                 share: n.percentage ?? null,
                 contract: n.contractAddress || null,
+                historical: n.historical || null,
             }))
             : [];
 
@@ -115,6 +116,7 @@ class HybridTransformerAdapter extends IViewModelTransformer {
             assetCategory: agg.assetCategory || agg.asset_category || (meta.assetCategory || null),
             conflicts: agg.metadata?.conflicts || null,
             price: md.price ?? null,
+            peg_price: md.peg || null,
             market_cap: md.marketCap ?? (sd.circulating && md.price ? sd.circulating * md.price : null),
             volume_24h: md.volume24h ?? null,
             percent_change_24h: md.percentChange24h ?? null,
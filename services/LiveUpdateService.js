@@ -0,0 +1,347 @@
+const AppConfig = require('../config/AppConfig');
+const DataFormatter = require('./formatters/DataFormatter');
+const util = require('../app/util');
+const templateHelpers = require('../app/util/templateHelpers');
+
+/**
+ * Event names sent on the stream.
+ */
+const EVENTS = {
+    REFRESH: 'refresh',
+    ALERT: 'alert',
+    DEGRADED: 'degraded'
+};
+
+// Record fields compared between refreshes, with the accessor for each
+const TRACKED_FIELDS = {
+    price: coin => coin.marketData?.price,
+    marketCap: coin => coin.marketData?.marketCap,
+    volume24h: coin => coin.marketData?.volume24h,
+    circulating: coin => coin.supplyData?.circulating
+};
+
+/**
+ * Pushes refresh results, health alerts and degraded-mode transitions to browsers
+ * over Server-Sent Events, so pages update in place.
+ *
+ * Subscribes to StablecoinDataService refreshes and HealthMonitor alert events, like the
+ * WebhookDispatcher. A `refresh` event lists the records whose price, market cap, volume or
+ * circulating supply changed since the previous refresh (the first refresh lists them all),
+ * with display strings formatted the way the pages render them. Events carry increasing ids
+ * and the last `replayBufferSize` are kept, so a browser that reconnects with
+ * `Last-Event-ID` receives what it missed. A comment line is written every `heartbeatMs`
+ * to keep idle connections open through proxies.
+ *
+ * @class LiveUpdateService
+ */
+class LiveUpdateService {
+    /**
+     * Creates an instance of LiveUpdateService.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.liveUpdates settings
+     * @param {boolean} [options.enabled] - When false, clients are refused and nothing is sent
+     * @param {number} [options.heartbeatMs] - Interval between keep-alive comments
+     * @param {number} [options.maxClients] - Open streams allowed at once
+     * @param {number} [options.replayBufferSize] - Events kept for reconnecting clients
+     * @param {number} [options.retryMs] - Reconnect delay suggested to browsers
+     * @memberof LiveUpdateService
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.liveUpdates, ...options };
+        this._clients = new Set();
+        this._buffer = [];
+        this._lastId = 0;
+        this._heartbeat = null;
+        this._previousValues = null; // slug -> tracked field values
+        this._previousDegraded = false; // the app starts out healthy, so a degraded first refresh is a transition
+        this._unsubscribe = [];
+    }
+
+    /**
+     * Checks whether streams are accepted.
+     *
+     * @returns {boolean} True when enabled
+     * @memberof LiveUpdateService
+     */
+    isEnabled() {
+        return this.config.enabled !== false;
+    }
+
+    /**
+     * Subscribes to alert events and refresh results.
+     *
+     * @param {Object} services - Services to observe
+     * @param {HealthMonitor} [services.healthMonitor] - Source of alert lifecycle events
+     * @param {StablecoinDataService} [services.dataService] - Source of refresh results
+     * @returns {void}
+     * @memberof LiveUpdateService
+     */
+    attach({ healthMonitor, dataService } = {}) {
+        if (healthMonitor && typeof healthMonitor.onAlert === 'function') {
+            this._unsubscribe.push(healthMonitor.onAlert((action, alert) => {
+                this.broadcast(EVENTS.ALERT, { action, alert });
+            }));
+        }
+        if (dataService && typeof dataService.onRefresh === 'function') {
+            this._unsubscribe.push(dataService.onRefresh(event => this.handleRefresh(event)));
+        }
+    }
+
+    /**
+     * Opens an event stream on an HTTP response and replays events after `Last-Event-ID`.
+     *
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {boolean} True when the stream was opened; otherwise a 503 has been sent
+     * @memberof LiveUpdateService
+     */
+    addClient(req, res) {
+        if (!this.isEnabled() || this._clients.size >= this.config.maxClients) {
+            res.status(503).json({ error: this.isEnabled() ? 'Too many live update connections' : 'Live updates are disabled' });
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.config.retryMs}\n\n`);
+
+        const lastId = parseInt(req.get?.('Last-Event-ID') ?? req.query?.lastEventId, 10);
+        if (Number.isFinite(lastId)) {
+            for (const entry of this._buffer) {
+                if (entry.id > lastId) res.write(entry.frame);
+            }
+        }
+
+        this._clients.add(res);
+        req.on('close', () => this._removeClient(res));
+        this._startHeartbeat();
+        return true;
+    }
+
+    /**
+     * Derives refresh and degraded-mode events from a refresh listener event.
+     *
+     * @param {Object} event - Refresh event from StablecoinDataService.onRefresh
+     * @returns {void}
+     * @memberof LiveUpdateService
+     */
+    handleRefresh({ result, stablecoins, metrics, degraded } = {}) {
+        const degradedActive = !!degraded?.active;
+        if (degradedActive !== this._previousDegraded) {
+            this.broadcast(EVENTS.DEGRADED, { active: degradedActive, reasons: degraded?.reasons || [] });
+        }
+        this._previousDegraded = degradedActive;
+
+        const payload = {
+            success: !!result?.success,
+            stablecoinsUpdated: result?.stablecoinsUpdated || 0,
+            errors: result?.errors || [],
+            timestamp: result?.timestamp || Date.now(),
+            changes: [],
+            added: [],
+            removed: []
+        };
+
+        // Only compare records when this refresh actually produced new data
+        if (payload.stablecoinsUpdated > 0) {
+            Object.assign(payload, this._diffRecords(stablecoins || []));
+            payload.metrics = {
+                totalMarketCap: metrics?.totalMarketCap ?? null,
+                totalMarketCapFormatted: DataFormatter.formatNumber(metrics?.totalMarketCap),
+                totalVolume: metrics?.totalVolume ?? null,
+                totalVolumeFormatted: DataFormatter.formatNumber(metrics?.totalVolume),
+                lastUpdated: metrics?.lastUpdated || null
+            };
+        }
+
+        this.broadcast(EVENTS.REFRESH, payload);
+    }
+
+    /**
+     * Sends an event to every open stream and keeps it for replay.
+     *
+     * @param {string} event - Event name (see EVENTS)
+     * @param {Object} data - Event data
+     * @returns {number|null} Event id, or null when disabled
+     * @memberof LiveUpdateService
+     */
+    broadcast(event, data) {
+        if (!this.isEnabled()) return null;
+        const id = ++this._lastId;
+        const frame = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+        this._buffer.push({ id, frame });
+        if (this._buffer.length > this.config.replayBufferSize) this._buffer.shift();
+
+        for (const res of this._clients) {
+            this._write(res, frame);
+        }
+        return id;
+    }
+
+    /**
+     * Reports open streams and the last event id.
+     *
+     * @returns {Object} { enabled, clients, lastEventId, buffered }
+     * @memberof LiveUpdateService
+     */
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            clients: this._clients.size,
+            lastEventId: this._lastId,
+            buffered: this._buffer.length
+        };
+    }
+
+    /**
+     * Ends every open stream and stops listening to services.
+     *
+     * @returns {void}
+     * @memberof LiveUpdateService
+     */
+    close() {
+        for (const res of this._clients) {
+            try { res.end(); } catch (_) { /* already closed */ }
+        }
+        this._clients.clear();
+        this._stopHeartbeat();
+        this._unsubscribe.forEach(unsubscribe => unsubscribe());
+        this._unsubscribe = [];
+    }
+
+    /**
+     * Compares tracked fields with the previous refresh.
+     *
+     * @param {Array<Object>} stablecoins - Aggregated stablecoin records
+     * @returns {Object} { changes, added, removed } where added and removed list slugs
+     * @private
+     * @memberof LiveUpdateService
+     */
+    _diffRecords(stablecoins) {
+        const current = new Map();
+        const changes = [];
+        const added = [];
+
+        for (const coin of stablecoins) {
+            const slug = (coin.slug || coin.symbol || '').toLowerCase();
+            if (!slug) continue;
+            const values = Object.fromEntries(Object.entries(TRACKED_FIELDS).map(([field, get]) => [field, get(coin) ?? null]));
+            current.set(slug, values);
+
+            const previous = this._previousValues?.get(slug) || null;
+            if (this._previousValues && !previous) added.push(slug);
+            const changed = Object.keys(values).filter(field => values[field] !== (previous ? previous[field] : undefined));
+            if (changed.length === 0) continue;
+
+            const change = {
+                slug,
+                symbol: coin.symbol,
+                name: coin.name,
+                changed,
+                pegPrice: coin.marketData?.peg || null,
+                formatted: this._formatRecord(coin)
+            };
+            for (const field of Object.keys(values)) {
+                const before = previous ? previous[field] : null;
+                change[field] = {
+                    previous: before,
+                    current: values[field],
+                    change: (typeof before === 'number' && before !== 0 && typeof values[field] === 'number')
+                        ? (values[field] - before) / before
+                        : null
+                };
+            }
+            changes.push(change);
+        }
+
+        const removed = this._previousValues
+            ? Array.from(this._previousValues.keys()).filter(slug => !current.has(slug))
+            : [];
+        this._previousValues = current;
+        return { changes, added, removed };
+    }
+
+    /**
+     * Formats a record's tracked fields as the home table and coin page display them.
+     *
+     * @param {Object} coin - Aggregated stablecoin record
+     * @returns {Object} { price, marketCap, volume24h, circulating } display strings
+     * @private
+     * @memberof LiveUpdateService
+     */
+    _formatRecord(coin) {
+        const marketData = coin.marketData || {};
+        return {
+            price: templateHelpers.getPegPriceDisplay({ peg_price: marketData.peg }) || util.formatPrice(marketData.price),
+            marketCap: DataFormatter.formatNumber(marketData.marketCap),
+            volume24h: DataFormatter.formatNumber(marketData.volume24h),
+            circulating: DataFormatter.formatNumber(coin.supplyData?.circulating, false)
+        };
+    }
+
+    /**
+     * Writes a frame, dropping clients whose connection has failed.
+     *
+     * @param {Object} res - Express response object
+     * @param {string} frame - Serialized event or comment
+     * @returns {void}
+     * @private
+     * @memberof LiveUpdateService
+     */
+    _write(res, frame) {
+        try {
+            res.write(frame);
+        } catch (_) {
+            this._removeClient(res);
+        }
+    }
+
+    /**
+     * Forgets a closed stream.
+     *
+     * @param {Object} res - Express response object
+     * @returns {void}
+     * @private
+     * @memberof LiveUpdateService
+     */
+    _removeClient(res) {
+        this._clients.delete(res);
+        if (this._clients.size === 0) this._stopHeartbeat();
+    }
+
+    /**
+     * Starts the keep-alive timer while streams are open.
+     *
+     * @returns {void}
+     * @private
+     * @memberof LiveUpdateService
+     */
+    _startHeartbeat() {
+        if (this._heartbeat || !(this.config.heartbeatMs > 0)) return;
+        this._heartbeat = setInterval(() => {
+            for (const res of this._clients) this._write(res, ': ping\n\n');
+        }, this.config.heartbeatMs);
+        if (typeof this._heartbeat.unref === 'function') this._heartbeat.unref();
+    }
+
+    /**
+     * Stops the keep-alive timer.
+     *
+     * @returns {void}
+     * @private
+     * @memberof LiveUpdateService
+     */
+    _stopHeartbeat() {
+        if (this._heartbeat) clearInterval(this._heartbeat);
+        this._heartbeat = null;
+    }
+}
+
+LiveUpdateService.EVENTS = EVENTS;
+
+module.exports = LiveUpdateService;
@@ -0,0 +1,420 @@
+const AppConfig = require('../config/AppConfig');
+
+/**
+ * Content type of the OpenMetrics text exposition format.
+ */
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const PREFIX = 'stablecoinwatch';
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+// HealthMonitor also records the app's own HTTP requests under this id; they are not fetches
+const APP_SOURCE_ID = 'app';
+
+/**
+ * Collects operational metrics and renders them in the OpenMetrics text format for `/metrics`.
+ *
+ * Subscribes to HealthMonitor operations and StablecoinDataService refreshes, like the
+ * LiveUpdateService, to count fetch attempts and errors and to build latency histograms per
+ * source. Everything else (circuit breaker states, health scores, classifier counters, market
+ * cap per category and peg) is read from the attached services when the endpoint is scraped.
+ *
+ * @class MetricsService
+ */
+class MetricsService {
+    /**
+     * Creates an instance of MetricsService.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.metrics settings
+     * @param {boolean} [options.enabled] - When false, the endpoint responds with 404
+     * @param {Array<number>} [options.latencyBuckets] - Fetch latency histogram bounds (seconds)
+     * @param {Array<number>} [options.refreshBuckets] - Refresh duration histogram bounds (seconds)
+     * @memberof MetricsService
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.metrics, ...options };
+        this._latency = new Map(); // sourceId -> histogram
+        this._requests = new Map(); // sourceId -> { success, failure }
+        this._errors = new Map(); // sourceId -> { errorType: count }
+        this._refreshDuration = MetricsService._histogram(this.config.refreshBuckets);
+        this._refreshes = { success: 0, failure: 0 };
+        this._lastRefresh = null; // { timestamp, sourceResults }
+        this._healthMonitor = null;
+        this._dataService = null;
+        this._unsubscribe = [];
+    }
+
+    /**
+     * Checks whether the endpoint is served.
+     *
+     * @returns {boolean} True when enabled
+     * @memberof MetricsService
+     */
+    isEnabled() {
+        return this.config.enabled !== false;
+    }
+
+    /**
+     * Subscribes to operations and refresh results and keeps the services to read on scrape.
+     *
+     * @param {Object} services - Services to observe
+     * @param {HealthMonitor} [services.healthMonitor] - Source of request outcomes, circuit breakers and health scores
+     * @param {StablecoinDataService} [services.dataService] - Source of refresh results, records and classifiers
+     * @returns {void}
+     * @memberof MetricsService
+     */
+    attach({ healthMonitor, dataService } = {}) {
+        if (healthMonitor) {
+            this._healthMonitor = healthMonitor;
+            if (typeof healthMonitor.onOperation === 'function') {
+                this._unsubscribe.push(healthMonitor.onOperation((sourceId, op) => this.recordOperation(sourceId, op)));
+            }
+        }
+        if (dataService) {
+            this._dataService = dataService;
+            if (typeof dataService.onRefresh === 'function') {
+                this._unsubscribe.push(dataService.onRefresh(event => this.handleRefresh(event)));
+            }
+        }
+    }
+
+    /**
+     * Stops observing the attached services.
+     *
+     * @returns {void}
+     * @memberof MetricsService
+     */
+    detach() {
+        for (const unsubscribe of this._unsubscribe) unsubscribe();
+        this._unsubscribe = [];
+    }
+
+    /**
+     * Counts a fetch attempt and adds its duration to the source's latency histogram.
+     *
+     * @param {string} sourceId - Data source id
+     * @param {Object} op - Operation from HealthMonitor.onOperation ({ success, duration, errorType })
+     * @returns {void}
+     * @memberof MetricsService
+     */
+    recordOperation(sourceId, op = {}) {
+        if (!sourceId || sourceId === APP_SOURCE_ID) return;
+
+        const requests = this._requests.get(sourceId) || { success: 0, failure: 0 };
+        requests[op.success ? 'success' : 'failure']++;
+        this._requests.set(sourceId, requests);
+
+        if (!op.success) {
+            const errors = this._errors.get(sourceId) || {};
+            const type = op.errorType || 'unknown';
+            errors[type] = (errors[type] || 0) + 1;
+            this._errors.set(sourceId, errors);
+        }
+
+        if (Number.isFinite(op.duration)) {
+            if (!this._latency.has(sourceId)) this._latency.set(sourceId, MetricsService._histogram(this.config.latencyBuckets));
+            MetricsService._observe(this._latency.get(sourceId), op.duration / 1000);
+        }
+    }
+
+    /**
+     * Records the duration, outcome and per-source record counts of a refresh.
+     *
+     * @param {Object} event - Refresh event from StablecoinDataService.onRefresh
+     * @returns {void}
+     * @memberof MetricsService
+     */
+    handleRefresh({ result } = {}) {
+        if (!result) return;
+        this._refreshes[result.success ? 'success' : 'failure']++;
+        if (Number.isFinite(result.duration)) MetricsService._observe(this._refreshDuration, result.duration / 1000);
+        this._lastRefresh = { timestamp: result.timestamp || Date.now(), sourceResults: result.sourceResults || [] };
+    }
+
+    /**
+     * Renders all metrics in the OpenMetrics text format.
+     *
+     * @returns {Promise<string>} Exposition ending with '# EOF'
+     * @memberof MetricsService
+     */
+    async render() {
+        const families = [
+            ...this._sourceFamilies(),
+            ...this._refreshFamilies(),
+            ...this._classifierFamilies(),
+            ...(await this._marketFamilies())
+        ];
+        const lines = [];
+        for (const family of families) {
+            const name = `${PREFIX}_${family.name}`;
+            lines.push(`# TYPE ${name} ${family.type}`);
+            if (family.unit) lines.push(`# UNIT ${name} ${family.unit}`);
+            lines.push(`# HELP ${name} ${family.help}`);
+            for (const [suffix, labels, value] of family.samples) {
+                lines.push(`${name}${suffix}${MetricsService._labels(labels)} ${MetricsService._value(value)}`);
+            }
+        }
+        lines.push('# EOF');
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Fetch attempts, errors, latency, circuit breaker states, health scores and record counts per source.
+     *
+     * @returns {Array<Object>} Metric families
+     * @private
+     * @memberof MetricsService
+     */
+    _sourceFamilies() {
+        const hm = this._healthMonitor;
+        const circuitBreakers = Array.from(hm?.circuitBreakers || []).filter(([sourceId]) => sourceId !== APP_SOURCE_ID);
+        const healthData = Array.from(hm?.healthData || []).filter(([sourceId]) => sourceId !== APP_SOURCE_ID);
+
+        return [
+            {
+                name: 'source_request_duration_seconds', type: 'histogram', unit: 'seconds',
+                help: 'Duration of data source request attempts.',
+                samples: Array.from(this._latency).flatMap(([source, histogram]) => MetricsService._histogramSamples(histogram, { source }))
+            },
+            {
+                name: 'source_requests', type: 'counter',
+                help: 'Data source request attempts by outcome.',
+                samples: Array.from(this._requests).flatMap(([source, counts]) => Object.entries(counts)
+                    .map(([outcome, count]) => ['_total', { source, outcome }, count]))
+            },
+            {
+                name: 'source_errors', type: 'counter',
+                help: 'Failed data source request attempts by error type.',
+                samples: Array.from(this._errors).flatMap(([source, counts]) => Object.entries(counts)
+                    .map(([type, count]) => ['_total', { source, type }, count]))
+            },
+            {
+                name: 'circuit_breaker_state', type: 'stateset',
+                help: 'Circuit breaker state of each data source.',
+                samples: circuitBreakers.flatMap(([source, cb]) => CIRCUIT_STATES
+                    .map(state => ['', { source, [`${PREFIX}_circuit_breaker_state`]: state }, cb.state === state ? 1 : 0]))
+            },
+            {
+                name: 'source_health_score', type: 'gauge',
+                help: 'Health score of each data source (0-100).',
+                samples: healthData.map(([source, data]) => ['', { source }, data.healthScore])
+            },
+            {
+                name: 'source_records', type: 'gauge',
+                help: 'Records fetched from each data source in the last refresh.',
+                samples: (this._lastRefresh?.sourceResults || []).map(r => ['', { source: r.sourceId }, r.recordCount || 0])
+            },
+            {
+                name: 'data_conflicts', type: 'gauge',
+                help: 'Field conflicts between sources found in the last refresh.',
+                samples: hm?.conflictMetrics ? [['', {}, hm.conflictMetrics.totalConflicts || 0]] : []
+            }
+        ];
+    }
+
+    /**
+     * Refresh outcomes, duration and time of the last refresh.
+     *
+     * @returns {Array<Object>} Metric families
+     * @private
+     * @memberof MetricsService
+     */
+    _refreshFamilies() {
+        return [
+            {
+                name: 'refresh_duration_seconds', type: 'histogram', unit: 'seconds',
+                help: 'Duration of data refreshes.',
+                samples: MetricsService._histogramSamples(this._refreshDuration, {})
+            },
+            {
+                name: 'refreshes', type: 'counter',
+                help: 'Data refreshes by outcome; a refresh fails when any source failed.',
+                samples: Object.entries(this._refreshes).map(([outcome, count]) => ['_total', { outcome }, count])
+            },
+            {
+                name: 'last_refresh_timestamp_seconds', type: 'gauge', unit: 'seconds',
+                help: 'Unix time the last refresh finished.',
+                samples: this._lastRefresh ? [['', {}, this._lastRefresh.timestamp / 1000]] : []
+            }
+        ];
+    }
+
+    /**
+     * Classification counters of each fetcher's AssetClassifier.
+     *
+     * @returns {Array<Object>} Metric families
+     * @private
+     * @memberof MetricsService
+     */
+    _classifierFamilies() {
+        const count = value => (value && typeof value.get === 'function' ? value.get() : value) || 0;
+        const classifiers = (this._dataService?.fetcherRegistry?.getAll() || [])
+            .filter(f => f.classifier && typeof f.classifier.getMetrics === 'function')
+            .map(f => {
+                try {
+                    return { source: f.getSourceId ? f.getSourceId() : f.sourceId, metrics: f.classifier.getMetrics() };
+                } catch (_) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+
+        return [
+            {
+                name: 'classifications', type: 'counter',
+                help: 'Asset classifications by outcome.',
+                samples: classifiers.flatMap(({ source, metrics }) => [
+                    ['_total', { source, outcome: 'success' }, count(metrics.classifications.successful)],
+                    ['_total', { source, outcome: 'failure' }, count(metrics.classifications.failed)]
+                ])
+            },
+            {
+                name: 'classification_errors', type: 'counter',
+                help: 'Asset classification errors by type.',
+                samples: classifiers.flatMap(({ source, metrics }) => Object.entries(metrics.errors || {})
+                    .map(([key, value]) => ['_total', { source, type: key.replace(/Errors$/, '') }, count(value)]))
+            },
+            {
+                name: 'classification_duration_seconds', type: 'summary', unit: 'seconds',
+                help: 'Time spent classifying assets.',
+                samples: classifiers.flatMap(({ source, metrics }) => {
+                    const runs = count(metrics.classifications.total);
+                    return [
+                        ['_sum', { source }, (metrics.classifications.averageDurationMs || 0) * runs / 1000],
+                        ['_count', { source }, runs]
+                    ];
+                })
+            },
+            {
+                name: 'classified_assets', type: 'counter',
+                help: 'Successful asset classifications by category.',
+                samples: classifiers.flatMap(({ source, metrics }) => Object.entries(metrics.classifications.byCategory || {})
+                    .map(([category, stats]) => ['_total', { source, category }, stats?.count || 0]))
+            }
+        ];
+    }
+
+    /**
+     * Market cap and asset counts per category and peg of the current dataset.
+     *
+     * @returns {Promise<Array<Object>>} Metric families
+     * @private
+     * @memberof MetricsService
+     */
+    async _marketFamilies() {
+        const groups = new Map();
+        const records = (typeof this._dataService?.getStablecoins === 'function' && await this._dataService.getStablecoins()) || [];
+        for (const record of records) {
+            const category = record.assetCategory || 'unknown';
+            const peg = record.metadata?.peggedAsset || 'unknown';
+            const key = `${category}\u0000${peg}`;
+            const group = groups.get(key) || { category, peg, marketCap: 0, assets: 0 };
+            const marketCap = record.marketData?.marketCap;
+            group.marketCap += Number.isFinite(marketCap) ? marketCap : 0;
+            group.assets++;
+            groups.set(key, group);
+        }
+        const sorted = Array.from(groups.values()).sort((a, b) => a.category.localeCompare(b.category) || a.peg.localeCompare(b.peg));
+
+        return [
+            {
+                name: 'market_cap_usd', type: 'gauge',
+                help: 'Total market cap in USD per asset category and peg.',
+                samples: sorted.map(g => ['', { category: g.category, peg: g.peg }, g.marketCap])
+            },
+            {
+                name: 'assets', type: 'gauge',
+                help: 'Tracked assets per asset category and peg.',
+                samples: sorted.map(g => ['', { category: g.category, peg: g.peg }, g.assets])
+            }
+        ];
+    }
+
+    /**
+     * Creates an empty histogram.
+     *
+     * @param {Array<number>} bounds - Bucket upper bounds in ascending order
+     * @returns {Object} { bounds, counts, sum, count }
+     * @private
+     * @static
+     * @memberof MetricsService
+     */
+    static _histogram(bounds) {
+        return { bounds: bounds.slice(), counts: bounds.map(() => 0), sum: 0, count: 0 };
+    }
+
+    /**
+     * Adds an observation to a histogram.
+     *
+     * @param {Object} histogram - Histogram from _histogram
+     * @param {number} value - Observed value
+     * @returns {void}
+     * @private
+     * @static
+     * @memberof MetricsService
+     */
+    static _observe(histogram, value) {
+        const index = histogram.bounds.findIndex(bound => value <= bound);
+        if (index >= 0) histogram.counts[index]++;
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    /**
+     * Cumulative bucket, sum and count samples of a histogram.
+     *
+     * @param {Object} histogram - Histogram from _histogram
+     * @param {Object} labels - Labels of every sample
+     * @returns {Array<Array>} [suffix, labels, value] samples
+     * @private
+     * @static
+     * @memberof MetricsService
+     */
+    static _histogramSamples(histogram, labels) {
+        let cumulative = 0;
+        return [
+            ...histogram.bounds.map((bound, i) => {
+                cumulative += histogram.counts[i];
+                return ['_bucket', { ...labels, le: String(bound) }, cumulative];
+            }),
+            ['_bucket', { ...labels, le: '+Inf' }, histogram.count],
+            ['_sum', labels, histogram.sum],
+            ['_count', labels, histogram.count]
+        ];
+    }
+
+    /**
+     * Formats a label set.
+     *
+     * @param {Object} labels - Label values by name
+     * @returns {string} '{name="value",...}', or '' without labels
+     * @private
+     * @static
+     * @memberof MetricsService
+     */
+    static _labels(labels) {
+        const pairs = Object.entries(labels || {})
+            .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+        return pairs.length ? `{${pairs.join(',')}}` : '';
+    }
+
+    /**
+     * Formats a sample value.
+     *
+     * @param {number} value - Value
+     * @returns {string} Number, '+Inf', '-Inf' or 'NaN'
+     * @private
+     * @static
+     * @memberof MetricsService
+     */
+    static _value(value) {
+        if (Number.isNaN(value) || typeof value !== 'number') return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    }
+}
+
+MetricsService.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = MetricsService;
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('../config/AppConfig');
+const ApiConfig = require('../config/ApiConfig');
+const ApiConfigBase = require('../config/apis/base/ApiConfigBase');
+const IDataFetcher = require('../interfaces/IDataFetcher');
+const AssetClassifier = require('./domain/AssetClassifier');
+const SafeUtils = require('../utils/SafeUtils');
+const logger = require('../app/logger');
+const BUILTIN_PLUGINS = require('./fetchers');
+
+const log = logger.forModule('plugins');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const SOURCE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Methods every fetcher must implement, taken from the IDataFetcher interface.
+ */
+const REQUIRED_FETCHER_METHODS = Object.getOwnPropertyNames(IDataFetcher.prototype)
+    .filter(name => name !== 'constructor');
+
+/**
+ * Modules handed to plugins that export a factory function, so packages installed
+ * outside this repository can extend the base classes without relative requires.
+ */
+const SDK = Object.freeze({
+    IDataFetcher,
+    ApiConfigBase,
+    ApiConfig,
+    AppConfig,
+    AssetClassifier,
+    SafeUtils
+});
+
+/**
+ * Discovers and validates data source plugins.
+ *
+ * A plugin module exports a descriptor, or a function `(sdk) => descriptor`:
+ *
+ *   {
+ *     sourceId: 'example',          // lowercase id, also the env prefix (EXAMPLE_ENABLED, EXAMPLE_API_KEY)
+ *     name: 'Example API',          // optional display name
+ *     Fetcher: ExampleDataFetcher,  // class implementing IDataFetcher, constructed with (healthMonitor)
+ *     Config: ExampleApiConfig      // class extending ApiConfigBase, constructed with no arguments
+ *   }
+ *
+ * Plugins are collected from the built-in fetchers, then every `.js` file or directory in the
+ * configured plugin directory, then the npm packages listed in configuration. Valid plugins
+ * have their configuration registered with ApiConfig so enablement, priority and readiness
+ * behave exactly like the built-in sources.
+ *
+ * @class PluginLoader
+ */
+class PluginLoader {
+    /**
+     * Creates an instance of PluginLoader.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.dataSources plugin settings
+     * @param {string} [options.pluginDirectory] - Directory scanned for plugins (relative paths resolve from project root)
+     * @param {Array<string>} [options.plugins] - npm package names (or paths) to load
+     * @param {Array<Object>} [options.builtins] - Built-in plugin descriptors
+     * @memberof PluginLoader
+     */
+    constructor(options = {}) {
+        const { pluginDirectory, plugins } = AppConfig.dataSources;
+        this.config = { pluginDirectory, plugins, builtins: BUILTIN_PLUGINS, ...options };
+        this.directory = this.config.pluginDirectory
+            ? path.resolve(PROJECT_ROOT, this.config.pluginDirectory)
+            : null;
+    }
+
+    /**
+     * Loads, validates and registers configuration for all plugins.
+     * Invalid plugins are returned with `valid: false` and their errors rather than thrown.
+     *
+     * @returns {Array<Object>} Plugin entries { sourceId, name, origin, builtin, valid, errors, Fetcher, configInstance }
+     * @memberof PluginLoader
+     */
+    load() {
+        const candidates = [
+            ...(this.config.builtins || []).map(descriptor => ({ origin: 'builtin', builtin: true, descriptor })),
+            ...this._discoverDirectory(),
+            ...(this.config.plugins || []).map(name => this._requireModule(name, `package:${name}`))
+        ];
+
+        const seen = new Set();
+        const plugins = [];
+        for (const candidate of candidates) {
+            const plugin = this._resolve(candidate);
+            if (plugin.valid && seen.has(plugin.sourceId)) {
+                plugin.valid = false;
+                plugin.errors.push(`Duplicate source id: ${plugin.sourceId}`);
+            }
+            if (plugin.valid) {
+                seen.add(plugin.sourceId);
+                this._registerConfig(plugin);
+            } else {
+                log.warn('Skipping plugin', { origin: plugin.origin, errors: plugin.errors });
+            }
+            plugins.push(plugin);
+        }
+        return plugins;
+    }
+
+    /**
+     * Validates a plugin descriptor without loading or registering anything.
+     *
+     * @param {Object} descriptor - Plugin descriptor
+     * @returns {Array<string>} Validation errors (empty when valid)
+     * @memberof PluginLoader
+     */
+    validate(descriptor) {
+        const errors = [];
+        if (!descriptor || typeof descriptor !== 'object') {
+            return ['Plugin must export a descriptor object or a factory returning one'];
+        }
+
+        const { sourceId, Fetcher, Config } = descriptor;
+        if (typeof sourceId !== 'string' || !SOURCE_ID_PATTERN.test(sourceId)) {
+            errors.push('sourceId must be a lowercase identifier (letters, digits, "-" and "_")');
+        }
+
+        if (typeof Fetcher !== 'function') {
+            errors.push('Fetcher must be a class implementing IDataFetcher');
+        } else {
+            const missing = REQUIRED_FETCHER_METHODS.filter(method => {
+                const impl = Fetcher.prototype[method];
+                return typeof impl !== 'function' || impl === IDataFetcher.prototype[method];
+            });
+            if (missing.length) errors.push(`Fetcher does not implement IDataFetcher: ${missing.join(', ')}`);
+        }
+
+        if (typeof Config !== 'function' || !(Config.prototype instanceof ApiConfigBase)) {
+            errors.push('Config must be a class extending ApiConfigBase');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Lists plugin modules in the plugin directory (files and folders, alphabetical).
+     *
+     * @returns {Array<Object>} Candidates with origin and descriptor or load error
+     * @private
+     * @memberof PluginLoader
+     */
+    _discoverDirectory() {
+        if (!this.directory || !fs.existsSync(this.directory)) return [];
+        let entries;
+        try {
+            entries = fs.readdirSync(this.directory, { withFileTypes: true });
+        } catch (error) {
+            log.warn('Cannot read plugin directory', { directory: this.directory, error: error.message });
+            return [];
+        }
+
+        return entries
+            .filter(e => !e.name.startsWith('.') && !e.name.startsWith('_'))
+            .filter(e => e.isDirectory() || (e.isFile() && e.name.endsWith('.js')))
+            .map(e => e.name)
+            .sort()
+            .map(name => this._requireModule(path.join(this.directory, name), `directory:${name}`));
+    }
+
+    /**
+     * Requires a plugin module. Package names resolve from the project root.
+     *
+     * @param {string} request - Module path or package name
+     * @param {string} origin - Description of where the plugin came from
+     * @returns {Object} Candidate with origin and descriptor or load error
+     * @private
+     * @memberof PluginLoader
+     */
+    _requireModule(request, origin) {
+        try {
+            const resolved = require.resolve(request, { paths: [PROJECT_ROOT] });
+            let exported = require(resolved);
+            if (typeof exported === 'function') exported = exported(SDK);
+            return { origin, builtin: false, descriptor: exported };
+        } catch (error) {
+            return { origin, builtin: false, loadError: `Failed to load: ${error.message}` };
+        }
+    }
+
+    /**
+     * Turns a candidate into a plugin entry, validating it and instantiating its configuration.
+     *
+     * @param {Object} candidate - Candidate from discovery
+     * @returns {Object} Plugin entry
+     * @private
+     * @memberof PluginLoader
+     */
+    _resolve({ origin, builtin, descriptor, loadError }) {
+        const plugin = {
+            sourceId: descriptor?.sourceId || null,
+            name: descriptor?.name || descriptor?.sourceId || origin,
+            origin,
+            builtin,
+            valid: false,
+            errors: loadError ? [loadError] : this.validate(descriptor),
+            Fetcher: descriptor?.Fetcher || null,
+            configInstance: null
+        };
+        if (plugin.errors.length) return plugin;
+
+        // Reuse configurations already registered (built-ins are registered by ApiConfigRegistry)
+        const existing = ApiConfig.registry.getApiConfigInstance(plugin.sourceId);
+        if (existing && builtin) {
+            plugin.configInstance = existing;
+        } else if (existing) {
+            plugin.errors.push(`Source id ${plugin.sourceId} is already registered`);
+            return plugin;
+        } else {
+            try {
+                plugin.configInstance = new descriptor.Config();
+            } catch (error) {
+                plugin.errors.push(`Invalid configuration: ${error.message}`);
+                return plugin;
+            }
+        }
+
+        if (plugin.configInstance.sourceId !== plugin.sourceId) {
+            plugin.errors.push(`Config sourceId "${plugin.configInstance.sourceId}" does not match "${plugin.sourceId}"`);
+            return plugin;
+        }
+
+        plugin.name = descriptor.name || plugin.configInstance.getConfig().name || plugin.sourceId;
+        plugin.valid = true;
+        return plugin;
+    }
+
+    /**
+     * Registers a plugin's configuration with ApiConfig if it is not registered yet.
+     *
+     * @param {Object} plugin - Valid plugin entry
+     * @returns {void}
+     * @private
+     * @memberof PluginLoader
+     */
+    _registerConfig(plugin) {
+        if (ApiConfig.registry.getApiConfigInstance(plugin.sourceId) !== plugin.configInstance) {
+            ApiConfig.addApiConfig(plugin.sourceId, plugin.configInstance);
+        }
+    }
+}
+
+PluginLoader.SDK = SDK;
+PluginLoader.REQUIRED_FETCHER_METHODS = REQUIRED_FETCHER_METHODS;
+
+module.exports = PluginLoader;
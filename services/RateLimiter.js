@@ -0,0 +1,291 @@
+const ApiConfig = require('../config/ApiConfig');
+const AppConfig = require('../config/AppConfig');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+let sharedInstance = null;
+
+/**
+ * Shared rate limiter for outbound API requests, one budget per data source.
+ *
+ * Budgets come from each source's `rateLimit` config (requestsPerMinute, requestsPerHour,
+ * requestsPerDay, burstLimit) scaled by `AppConfig.api.rateLimitBuffer`, so the app stays
+ * below the provider's limit. Per-minute traffic uses a token bucket holding up to
+ * `burstLimit` requests; hourly and daily budgets use sliding windows.
+ *
+ * Requests over budget wait in a per-source FIFO queue. When the wait would exceed
+ * `AppConfig.api.rateLimitMaxWaitMs` the request is deferred instead: it is rejected with
+ * an error whose `code` is 'RATE_LIMITED' and `retryAfterMs` says when to try again.
+ *
+ * @class RateLimiter
+ * @example
+ * const limiter = RateLimiter.shared();
+ * const response = await limiter.schedule('cmc', () => axios.get(url));
+ */
+class RateLimiter {
+    /**
+     * Creates an instance of RateLimiter.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.api settings
+     * @param {number} [options.buffer] - Fraction (0-1) of each declared limit the app may use
+     * @param {number} [options.maxWaitMs] - Longest a request may queue before it is deferred
+     * @param {Function} [options.now] - Clock, for tests
+     * @memberof RateLimiter
+     */
+    constructor(options = {}) {
+        this.buffer = options.buffer ?? AppConfig.api.rateLimitBuffer;
+        this.maxWaitMs = options.maxWaitMs ?? AppConfig.api.rateLimitMaxWaitMs;
+        this.now = options.now || Date.now;
+        this.sources = new Map(); // sourceId -> budget state
+    }
+
+    /**
+     * Gets the limiter shared by all fetchers and the health monitor.
+     *
+     * @static
+     * @returns {RateLimiter} Shared instance
+     * @memberof RateLimiter
+     */
+    static shared() {
+        if (!sharedInstance) sharedInstance = new RateLimiter();
+        return sharedInstance;
+    }
+
+    /**
+     * Sets the budget for a source explicitly (default: the source's ApiConfig rateLimit).
+     *
+     * @param {string} sourceId - Source identifier
+     * @param {Object} rateLimit - { requestsPerMinute, requestsPerHour, requestsPerDay, burstLimit }; null values are unlimited
+     * @memberof RateLimiter
+     */
+    configure(sourceId, rateLimit) {
+        const state = this._state(sourceId);
+        state.limits = this._effectiveLimits(rateLimit);
+        state.tokens = state.limits.burst;
+        state.refilledAt = this.now();
+    }
+
+    /**
+     * Runs a request within the source's budget, queueing it while the budget is exhausted.
+     *
+     * @param {string} sourceId - Source identifier
+     * @param {Function} task - Performs the request; may return a promise
+     * @param {Object} [options={}] - Scheduling options
+     * @param {number} [options.maxWaitMs] - Longest this request may queue (default: the limiter's maxWaitMs)
+     * @returns {Promise<*>} Result of the task
+     * @throws {Error} With code 'RATE_LIMITED' when the request would wait longer than maxWaitMs
+     * @memberof RateLimiter
+     */
+    schedule(sourceId, task, options = {}) {
+        const state = this._state(sourceId);
+        const wait = this._waitTime(state, this.now());
+        // Requests already queued go first, one per-minute slot each
+        const slotMs = state.limits.perMinute ? MINUTE_MS / state.limits.perMinute : 0;
+        const queuedWait = wait + state.queue.length * slotMs;
+
+        if (queuedWait > (options.maxWaitMs ?? this.maxWaitMs)) {
+            state.stats.deferred++;
+            const error = new Error(`Rate limit for ${sourceId} reached; next request allowed in ${Math.ceil(queuedWait / 1000)}s`);
+            error.code = 'RATE_LIMITED';
+            error.retryAfterMs = queuedWait;
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            state.queue.push({ task, resolve, reject });
+            if (wait > 0 || state.queue.length > 1) state.stats.delayed++;
+            this._drain(sourceId);
+        });
+    }
+
+    /**
+     * Reports budgets, usage and remaining quota.
+     *
+     * @param {Array<string>} [sourceIds] - Sources to include besides those that already sent requests
+     * @returns {Object} Per-source status keyed by source id
+     * @memberof RateLimiter
+     */
+    getStatus(sourceIds = []) {
+        sourceIds.forEach(id => this._state(id));
+        const result = {};
+        for (const [id, state] of this.sources) result[id] = this._status(id, state);
+        return result;
+    }
+
+    /**
+     * Gets or creates the budget state of a source.
+     *
+     * @param {string} sourceId - Source identifier
+     * @returns {Object} Budget state
+     * @private
+     * @memberof RateLimiter
+     */
+    _state(sourceId) {
+        let state = this.sources.get(sourceId);
+        if (!state) {
+            let rateLimit = null;
+            try { rateLimit = ApiConfig.getApiConfig(sourceId)?.rateLimit || null; } catch (_) { rateLimit = null; }
+            const limits = this._effectiveLimits(rateLimit);
+            state = {
+                limits,
+                tokens: limits.burst,
+                refilledAt: this.now(),
+                log: [], // request timestamps within the last day, oldest first
+                queue: [],
+                timer: null,
+                stats: { total: 0, delayed: 0, deferred: 0 }
+            };
+            this.sources.set(sourceId, state);
+        }
+        return state;
+    }
+
+    /**
+     * Applies the safety buffer to a declared rate limit.
+     *
+     * @param {Object|null} rateLimit - Declared limits
+     * @returns {Object} { perMinute, perHour, perDay, burst } with null for unlimited
+     * @private
+     * @memberof RateLimiter
+     */
+    _effectiveLimits(rateLimit) {
+        const scale = (value) => (typeof value === 'number' && value > 0) ? Math.max(1, Math.floor(value * this.buffer)) : null;
+        const perMinute = scale(rateLimit?.requestsPerMinute);
+        const declaredBurst = (typeof rateLimit?.burstLimit === 'number' && rateLimit.burstLimit > 0) ? rateLimit.burstLimit : null;
+        const burst = perMinute ? Math.min(declaredBurst || perMinute, perMinute) : declaredBurst;
+        return {
+            perMinute,
+            perHour: scale(rateLimit?.requestsPerHour),
+            perDay: scale(rateLimit?.requestsPerDay),
+            burst
+        };
+    }
+
+    /**
+     * Refills the per-minute bucket and drops request timestamps older than a day.
+     *
+     * @param {Object} state - Budget state
+     * @param {number} now - Current time
+     * @private
+     * @memberof RateLimiter
+     */
+    _refill(state, now) {
+        const { perMinute, burst } = state.limits;
+        if (perMinute && burst) {
+            state.tokens = Math.min(burst, state.tokens + (now - state.refilledAt) * (perMinute / MINUTE_MS));
+        }
+        state.refilledAt = now;
+        while (state.log.length && state.log[0] <= now - DAY_MS) state.log.shift();
+    }
+
+    /**
+     * Milliseconds until the source may send another request (0 when it may send now).
+     *
+     * @param {Object} state - Budget state
+     * @param {number} now - Current time
+     * @returns {number} Wait time in ms
+     * @private
+     * @memberof RateLimiter
+     */
+    _waitTime(state, now) {
+        this._refill(state, now);
+        const { perMinute, perHour, perDay, burst } = state.limits;
+        let wait = 0;
+        if (perMinute && burst && state.tokens < 1) {
+            wait = Math.max(wait, Math.ceil((1 - state.tokens) / (perMinute / MINUTE_MS)));
+        }
+        for (const [limit, windowMs] of [[perHour, HOUR_MS], [perDay, DAY_MS]]) {
+            if (!limit) continue;
+            const inWindow = this._countSince(state, now - windowMs);
+            if (inWindow >= limit) {
+                // Wait until enough requests have left the window to send one more
+                wait = Math.max(wait, state.log[state.log.length - limit] + windowMs - now);
+            }
+        }
+        return wait;
+    }
+
+    /**
+     * Counts requests sent after a point in time.
+     *
+     * @param {Object} state - Budget state
+     * @param {number} since - Exclusive lower bound
+     * @returns {number} Request count
+     * @private
+     * @memberof RateLimiter
+     */
+    _countSince(state, since) {
+        let count = 0;
+        for (let i = state.log.length - 1; i >= 0 && state.log[i] > since; i--) count++;
+        return count;
+    }
+
+    /**
+     * Starts queued requests while the budget allows, then waits for the next slot.
+     *
+     * @param {string} sourceId - Source identifier
+     * @private
+     * @memberof RateLimiter
+     */
+    _drain(sourceId) {
+        const state = this._state(sourceId);
+        if (state.timer) return;
+
+        while (state.queue.length) {
+            const now = this.now();
+            const wait = this._waitTime(state, now);
+            if (wait > 0) {
+                state.timer = setTimeout(() => {
+                    state.timer = null;
+                    this._drain(sourceId);
+                }, wait);
+                if (typeof state.timer.unref === 'function') state.timer.unref();
+                return;
+            }
+
+            const { task, resolve, reject } = state.queue.shift();
+            if (state.limits.perMinute && state.limits.burst) state.tokens -= 1;
+            state.log.push(now);
+            state.stats.total++;
+            Promise.resolve().then(task).then(resolve, reject);
+        }
+    }
+
+    /**
+     * Builds the status of one source.
+     *
+     * @param {string} sourceId - Source identifier
+     * @param {Object} state - Budget state
+     * @returns {Object} Limits, usage, remaining quota and counters
+     * @private
+     * @memberof RateLimiter
+     */
+    _status(sourceId, state) {
+        const now = this.now();
+        this._refill(state, now);
+        const { perMinute, perHour, perDay, burst } = state.limits;
+        const used = {
+            minute: this._countSince(state, now - MINUTE_MS),
+            hour: this._countSince(state, now - HOUR_MS),
+            day: this._countSince(state, now - DAY_MS)
+        };
+        const remaining = (limit, count) => limit ? Math.max(0, limit - count) : null;
+        return {
+            sourceId,
+            limits: { perMinute, perHour, perDay, burst },
+            used,
+            remaining: {
+                minute: perMinute ? Math.min(remaining(perMinute, used.minute), Math.floor(state.tokens)) : null,
+                hour: remaining(perHour, used.hour),
+                day: remaining(perDay, used.day)
+            },
+            queued: state.queue.length,
+            nextAvailableAt: now + this._waitTime(state, now),
+            totals: { ...state.stats }
+        };
+    }
+}
+
+module.exports = RateLimiter;
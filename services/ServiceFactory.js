@@ -1,6 +1,8 @@
 const DataFetcherRegistry = require('./DataFetcherRegistry');
 const StablecoinDataService = require('./StablecoinDataService');
 const TransformerFactory = require('./TransformerFactory');
+const SnapshotStore = require('./SnapshotStore');
+const AppConfig = require('../config/AppConfig');
 
 /**
  * Factory class for creating service instances with proper dependencies and dependency injection
@@ -9,16 +11,26 @@ class ServiceFactory {
     /**
      * Create a data service with default configuration and injected transformer dependencies
      * @param {HealthMonitor} [healthMonitor=null] - Health monitoring service instance
+     * @param {SnapshotStore} [snapshotStore=null] - Snapshot store for history persistence
      * @returns {StablecoinDataService} Configured data service instance with injected dependencies
      */
-    static createDataService(healthMonitor = null) {
+    static createDataService(healthMonitor = null, snapshotStore = null) {
         const registry = DataFetcherRegistry.createDefault(healthMonitor);
         
         // Create transformer dependencies using factory
         const viewModelTransformer = TransformerFactory.createViewModelTransformer();
         const dataFormatter = TransformerFactory.createDataFormatter();
         
-        return new StablecoinDataService(healthMonitor, registry, viewModelTransformer, dataFormatter);
+        return new StablecoinDataService(healthMonitor, registry, viewModelTransformer, dataFormatter, snapshotStore);
+    }
+
+    /**
+     * Create the snapshot store used for refresh history, or null when history is disabled
+     * @returns {SnapshotStore|null} Snapshot store configured from AppConfig.history
+     */
+    static createSnapshotStore() {
+        if (!AppConfig.history.enabled) return null;
+        return new SnapshotStore();
     }
 
     /**
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const AppConfig = require('../config/AppConfig');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * File-backed store for per-refresh snapshots of aggregated stablecoin data.
+ * Keeps two files in the configured history directory:
+ *  - `latest.json`: the full aggregated dataset from the most recent refresh, used to
+ *    rehydrate the data service on restart before the first live refresh completes.
+ *  - `history.jsonl`: one compact snapshot per line (market metrics, per-coin market/supply
+ *    figures with chain breakdown, per-platform totals) used for time-series queries.
+ *
+ * History is downsampled by age: every snapshot is kept for `rawRetentionHours`, one per hour
+ * until `hourlyRetentionDays`, one per day until `retentionDays`, after which it is dropped.
+ *
+ * History entries are read from disk once and then kept in memory, updated by save() and
+ * applyRetention(). The file is read again only when its size or modification time no longer
+ * matches what the store last wrote or read (e.g. another process changed it).
+ *
+ * @class SnapshotStore
+ */
+class SnapshotStore {
+    /**
+     * Creates an instance of SnapshotStore.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.history settings
+     * @param {string} [options.directory] - Directory for snapshot files (relative paths resolve from project root)
+     * @param {number} [options.retentionDays] - Maximum age of any retained snapshot
+     * @param {number} [options.rawRetentionHours] - Age below which every snapshot is kept
+     * @param {number} [options.hourlyRetentionDays] - Age below which one snapshot per hour is kept
+     * @param {number} [options.compactionIntervalMs] - Minimum time between retention passes
+     * @memberof SnapshotStore
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.history, ...options };
+        this.directory = path.resolve(__dirname, '..', this.config.directory);
+        this.historyFile = path.join(this.directory, 'history.jsonl');
+        this.latestFile = path.join(this.directory, 'latest.json');
+        this._lastCompaction = 0;
+        // History entries (oldest first) and the file version they reflect; see _loadEntries
+        this._entries = null;
+        this._loading = null;
+        // Serializes writes so appends and compaction rewrites never interleave
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Checks whether snapshot persistence is enabled.
+     *
+     * @returns {boolean} True when history is enabled in configuration
+     * @memberof SnapshotStore
+     */
+    isEnabled() {
+        return this.config.enabled !== false;
+    }
+
+    /**
+     * Persists a refresh result: rewrites the latest snapshot and appends a compact history entry.
+     * Runs a retention pass afterwards when the compaction interval has elapsed.
+     *
+     * @param {Object} snapshot - Refresh snapshot
+     * @param {Array} snapshot.aggregated - Aggregated stablecoin records from StablecoinDataService
+     * @param {Array} [snapshot.platformData=[]] - Platform aggregations from the view model transformer
+     * @param {Object} [snapshot.metrics={}] - Market metrics for the refresh
+     * @param {number} [snapshot.timestamp=Date.now()] - Refresh timestamp in milliseconds
+     * @returns {Promise<Object>} Compact history entry that was written
+     * @memberof SnapshotStore
+     */
+    async save({ aggregated, platformData = [], metrics = {}, timestamp = Date.now() }) {
+        const entry = this._toHistoryEntry({ aggregated, platformData, metrics, timestamp });
+        await this._enqueue(async () => {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            await this._writeAtomic(this.latestFile, JSON.stringify({ timestamp, aggregated, metrics }));
+            const cached = this._entries && this._entries.version === await this._fileVersion() ? this._entries : null;
+            await fs.promises.appendFile(this.historyFile, JSON.stringify(entry) + '\n', 'utf8');
+            if (cached) {
+                const index = cached.items.findIndex(e => e.timestamp > timestamp);
+                cached.items.splice(index === -1 ? cached.items.length : index, 0, entry);
+                cached.version = await this._fileVersion();
+            }
+        });
+
+        if (timestamp - this._lastCompaction >= this.config.compactionIntervalMs) {
+            this._lastCompaction = timestamp;
+            await this.applyRetention(timestamp);
+        }
+        return entry;
+    }
+
+    /**
+     * Loads the most recent full snapshot written by save().
+     *
+     * @returns {Promise<Object|null>} Snapshot with timestamp, aggregated and metrics, or null when none exists
+     * @memberof SnapshotStore
+     */
+    async loadLatest() {
+        try {
+            const raw = await fs.promises.readFile(this.latestFile, 'utf8');
+            const parsed = JSON.parse(raw);
+            if (!parsed || !Array.isArray(parsed.aggregated)) return null;
+            return parsed;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Reads compact history entries within a time range, oldest first.
+     *
+     * @param {Object} [range={}] - Time range filter
+     * @param {number} [range.from=0] - Inclusive lower bound in milliseconds
+     * @param {number} [range.to=Infinity] - Inclusive upper bound in milliseconds
+     * @returns {Promise<Array>} Compact history entries
+     * @memberof SnapshotStore
+     */
+    async getHistory({ from = 0, to = Infinity } = {}) {
+        const entries = await this._loadEntries();
+        return entries.filter(entry => entry.timestamp >= from && entry.timestamp <= to);
+    }
+
+    /**
+     * Gets the time series for a single coin.
+     * Matches on slug first, then on symbol (case-insensitive).
+     *
+     * @param {string} identifier - Coin slug or symbol
+     * @param {Object} [range={}] - Time range filter (see getHistory)
+     * @returns {Promise<Array>} Points with timestamp, price, marketCap, volume24h, circulating and chains
+     * @memberof SnapshotStore
+     */
+    async getCoinHistory(identifier, range = {}) {
+        const id = String(identifier || '').toLowerCase();
+        const history = await this.getHistory(range);
+        const points = [];
+        for (const entry of history) {
+            const coin = (entry.coins || []).find(c => c.id === id)
+                || (entry.coins || []).find(c => (c.symbol || '').toLowerCase() === id);
+            if (!coin) continue;
+            points.push({
+                timestamp: entry.timestamp,
+                price: coin.price,
+                marketCap: coin.marketCap,
+                volume24h: coin.volume24h,
+                circulating: coin.circulating,
+                chains: coin.chains || {}
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Gets the time series for a single platform.
+     * Matches on platform uri or name (case-insensitive).
+     *
+     * @param {string} identifier - Platform uri or name
+     * @param {Object} [range={}] - Time range filter (see getHistory)
+     * @returns {Promise<Array>} Points with timestamp, marketCap, totalSupply, supplyShare and coinCount
+     * @memberof SnapshotStore
+     */
+    async getPlatformHistory(identifier, range = {}) {
+        const id = String(identifier || '').toLowerCase();
+        const history = await this.getHistory(range);
+        const points = [];
+        for (const entry of history) {
+            const platform = (entry.platforms || []).find(p => p.uri === id || (p.name || '').toLowerCase() === id);
+            if (!platform) continue;
+            points.push({
+                timestamp: entry.timestamp,
+                marketCap: platform.marketCap,
+                totalSupply: platform.totalSupply,
+                supplyShare: platform.supplyShare,
+                coinCount: platform.coinCount
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Gets the time series of overall market metrics.
+     *
+     * @param {Object} [range={}] - Time range filter (see getHistory)
+     * @returns {Promise<Array>} Points with timestamp and the stored market metrics
+     * @memberof SnapshotStore
+     */
+    async getMetricsHistory(range = {}) {
+        const history = await this.getHistory(range);
+        return history.map(entry => ({ timestamp: entry.timestamp, ...entry.metrics }));
+    }
+
+    /**
+     * Downsamples and prunes the history file according to the retention tiers.
+     * Rewrites the file atomically; entries are kept in chronological order.
+     *
+     * @param {number} [now=Date.now()] - Reference time for age calculations
+     * @returns {Promise<Object>} Counts of kept and removed entries
+     * @memberof SnapshotStore
+     */
+    async applyRetention(now = Date.now()) {
+        return this._enqueue(async () => {
+            const entries = await this._loadEntries();
+
+            const kept = [];
+            const seenBuckets = new Set();
+            for (const entry of entries) {
+                const bucket = this._retentionBucket(entry.timestamp, now);
+                if (bucket === null) continue;
+                if (bucket !== 'raw') {
+                    if (seenBuckets.has(bucket)) continue;
+                    seenBuckets.add(bucket);
+                }
+                kept.push(entry);
+            }
+
+            if (kept.length !== entries.length) {
+                const body = kept.map(e => JSON.stringify(e)).join('\n');
+                await this._writeAtomic(this.historyFile, body ? body + '\n' : '');
+                this._entries = { items: kept, version: await this._fileVersion() };
+            }
+            return { kept: kept.length, removed: entries.length - kept.length };
+        });
+    }
+
+    /**
+     * Determines the downsampling bucket for an entry based on its age.
+     *
+     * @param {number} timestamp - Entry timestamp
+     * @param {number} now - Reference time
+     * @returns {string|null} 'raw' to always keep, an hour/day bucket key, or null to drop
+     * @private
+     * @memberof SnapshotStore
+     */
+    _retentionBucket(timestamp, now) {
+        const age = now - timestamp;
+        if (age <= this.config.rawRetentionHours * HOUR_MS) return 'raw';
+        if (age <= this.config.hourlyRetentionDays * DAY_MS) return `h:${Math.floor(timestamp / HOUR_MS)}`;
+        if (age <= this.config.retentionDays * DAY_MS) return `d:${Math.floor(timestamp / DAY_MS)}`;
+        return null;
+    }
+
+    /**
+     * Builds the compact history entry for a refresh.
+     *
+     * @param {Object} snapshot - Refresh snapshot (see save)
+     * @returns {Object} Compact entry with metrics, coins and platforms
+     * @private
+     * @memberof SnapshotStore
+     */
+    _toHistoryEntry({ aggregated, platformData, metrics, timestamp }) {
+        const coins = (aggregated || []).map(c => {
+            const chains = {};
+            for (const n of (c.supplyData?.networkBreakdown || [])) {
+                const name = n.platform || n.network;
+                if (!name || typeof n.supply !== 'number') continue;
+                chains[name] = (chains[name] || 0) + n.supply;
+            }
+            return {
+                id: (c.slug || c.symbol || '').toLowerCase(),
+                symbol: c.symbol,
+                assetCategory: c.assetCategory || null,
+                peggedAsset: c.metadata?.peggedAsset || null,
+                rank: c.marketData?.rank ?? null,
+                price: c.marketData?.price ?? null,
+                marketCap: c.marketData?.marketCap ?? null,
+                volume24h: c.marketData?.volume24h ?? null,
+                circulating: c.supplyData?.circulating ?? null,
+                chains
+            };
+        });
+
+        const platforms = (platformData || []).map(p => ({
+            name: p.name,
+            uri: p.uri,
+            marketCap: p.mcap_sum ?? null,
+            totalSupply: p.total_supply ?? null,
+            supplyShare: p.supply_percentage ?? null,
+            coinCount: p.coin_count ?? null
+        }));
+
+        return {
+            timestamp,
+            metrics: {
+                totalMarketCap: metrics.totalMarketCap ?? null,
+                totalVolume: metrics.totalVolume ?? null,
+                stablecoinCount: metrics.stablecoinCount ?? coins.length,
+                platformCount: metrics.platformCount ?? platforms.length
+            },
+            coins,
+            platforms
+        };
+    }
+
+    /**
+     * Gets all history entries, oldest first, reading the file only when it changed since the
+     * last read or write. Concurrent callers share one read.
+     *
+     * @returns {Promise<Array>} Cached entries; callers must not modify them
+     * @private
+     * @memberof SnapshotStore
+     */
+    async _loadEntries() {
+        const version = await this._fileVersion();
+        if (version === null) return [];
+        if (this._entries && this._entries.version === version) return this._entries.items;
+
+        if (!this._loading || this._loading.version !== version) {
+            const loading = {
+                version,
+                promise: (async () => {
+                    const items = [];
+                    await this._readEntries(entry => items.push(entry));
+                    items.sort((a, b) => a.timestamp - b.timestamp);
+                    return items;
+                })()
+            };
+            this._loading = loading;
+            loading.promise.then(items => {
+                if (this._loading === loading) this._loading = null;
+                this._entries = { items, version };
+            }, () => {
+                if (this._loading === loading) this._loading = null;
+            });
+        }
+        return this._loading.promise;
+    }
+
+    /**
+     * Identifies the current content of the history file by size and modification time.
+     *
+     * @returns {Promise<string|null>} Version key, or null when the file does not exist
+     * @private
+     * @memberof SnapshotStore
+     */
+    async _fileVersion() {
+        try {
+            const stat = await fs.promises.stat(this.historyFile);
+            return `${stat.size}:${stat.mtimeMs}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Streams the history file line by line, skipping unreadable lines.
+     *
+     * @param {Function} onEntry - Called with each parsed entry
+     * @returns {Promise<void>}
+     * @private
+     * @memberof SnapshotStore
+     */
+    async _readEntries(onEntry) {
+        if (!fs.existsSync(this.historyFile)) return;
+        const rl = readline.createInterface({
+            input: fs.createReadStream(this.historyFile, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (entry && typeof entry.timestamp === 'number') onEntry(entry);
+            } catch (_) {
+                // A partially written trailing line (e.g. crash mid-append) is ignored
+            }
+        }
+    }
+
+    /**
+     * Writes a file via a temporary sibling and rename so readers never see partial content.
+     *
+     * @param {string} file - Target path
+     * @param {string} content - File content
+     * @returns {Promise<void>}
+     * @private
+     * @memberof SnapshotStore
+     */
+    async _writeAtomic(file, content) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, content, 'utf8');
+        await fs.promises.rename(tmp, file);
+    }
+
+    /**
+     * Runs a task after all previously queued writes complete.
+     *
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     * @private
+     * @memberof SnapshotStore
+     */
+    _enqueue(task) {
+        const run = this._queue.then(task, task);
+        this._queue = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = SnapshotStore;
@@ -2,7 +2,15 @@ const IStablecoinDataService = require('../interfaces/IStablecoinDataService');
 const DataFetcherRegistry = require('./DataFetcherRegistry');
 const AppConfig = require('../config/AppConfig');
 const DataFormatter = require('./formatters/DataFormatter');
-const DEBUG = AppConfig.development.debugMode || AppConfig.development.verbose;
+const FieldLineage = require('./domain/FieldLineage');
+const IdentityResolver = require('./domain/IdentityResolver');
+const PricingEngine = require('./domain/PricingEngine');
+const SnapshotDiff = require('./domain/SnapshotDiff');
+const ChainConcentration = require('./domain/ChainConcentration');
+const FxRateService = require('./FxRateService');
+const logger = require('../app/logger');
+
+const log = logger.forModule('dataService');
 
 /**
  * Main service that coordinates stablecoin data fetching, aggregation, and transformation.
@@ -23,9 +31,10 @@ class StablecoinDataService extends IStablecoinDataService {
      * @param {DataFetcherRegistry} [fetcherRegistry=null] - Registry of data fetchers, creates default if not provided
      * @param {IViewModelTransformer} [viewModelTransformer=null] - Transformer for view layer data conversion
      * @param {IDataFormatter} [dataFormatter=null] - Formatter for numerical and text data
+     * @param {SnapshotStore} [snapshotStore=null] - Store for persisting refresh snapshots and history
      * @memberof StablecoinDataService
      */
-    constructor(healthMonitor = null, fetcherRegistry = null, viewModelTransformer = null, dataFormatter = null) {
+    constructor(healthMonitor = null, fetcherRegistry = null, viewModelTransformer = null, dataFormatter = null, snapshotStore = null) {
         super();
         this.healthMonitor = healthMonitor;
         this.fetcherRegistry = fetcherRegistry || DataFetcherRegistry.createDefault(healthMonitor);
@@ -33,6 +42,7 @@ class StablecoinDataService extends IStablecoinDataService {
         // Injected dependencies for loose coupling
         this.viewModelTransformer = viewModelTransformer;
         this.dataFormatter = dataFormatter;
+        this.snapshotStore = snapshotStore;
 
         this._aggregated = [];
         this._platformData = [];
@@ -40,8 +50,16 @@ class StablecoinDataService extends IStablecoinDataService {
         this.stablecoinMetrics = { totalMarketCap: 0, totalVolume: 0, count: 0, lastUpdated: null };
         this.tokenizedAssetMetrics = { totalMarketCap: 0, totalVolume: 0, count: 0, lastUpdated: null };
         this._lastRefresh = 0;
-        this._viewModel = { stablecoins: [], metrics: {}, platform_data: [] };
+        this._viewModel = { stablecoins: [], metrics: {}, platform_data: [], chain_analytics: null };
         this._degraded = { active: false, reasons: [] };
+        this._refreshListeners = [];
+        this.identityResolver = new IdentityResolver();
+        this.pricingEngine = new PricingEngine();
+        this.fxRateService = FxRateService.shared();
+        this.snapshotDiff = new SnapshotDiff();
+        this.chainConcentration = new ChainConcentration();
+        this._diffs = []; // most recent last
+        this._identityReport = { ambiguous: [], overrideErrors: [], groups: 0, records: 0, lastResolved: null };
     }
 
     // Interface methods
@@ -129,17 +147,41 @@ class StablecoinDataService extends IStablecoinDataService {
         };
     }
 
+    /**
+     * Gets the degraded-mode state recorded by the last refresh.
+     * 
+     * @returns {Object} { active, reasons }
+     * @memberof StablecoinDataService
+     */
+    getDegradedStatus() {
+        return { active: this._degraded.active, reasons: [...this._degraded.reasons] };
+    }
+
     /**
      * Refreshes all stablecoin data from active sources and rebuilds aggregated data.
      * Coordinates parallel data fetching from all active sources, performs priority-based
      * data merging with consensus scoring, builds view models, and updates internal state.
      * Implements degraded mode handling and comprehensive error tracking.
+     * Each refresh gets an id, added to everything logged while it runs (fetchers, merge, transform).
      * 
-     * @returns {Promise<Object>} Refresh operation result with success status, counts, duration, and errors
+     * @returns {Promise<Object>} Refresh operation result with refreshId, success status, counts, duration, and errors
      * @throws {Error} When no data sources are available or all sources fail
      * @memberof StablecoinDataService
      */
     async refreshData() {
+        const refreshId = logger.createId();
+        return logger.withContext({ refreshId }, () => this._runRefresh(refreshId));
+    }
+
+    /**
+     * Runs one refresh cycle (see refreshData).
+     * 
+     * @param {string} refreshId - Id of the refresh cycle
+     * @returns {Promise<Object>} Refresh operation result
+     * @private
+     * @memberof StablecoinDataService
+     */
+    async _runRefresh(refreshId) {
         const start = Date.now();
         const sourceResults = [];
         const errors = [];
@@ -153,22 +195,27 @@ class StablecoinDataService extends IStablecoinDataService {
             const declared = f.getCapabilities()?.priority || 0;
             const hasOverride = Object.prototype.hasOwnProperty.call(priorityOverrides, id);
             const effective = hasOverride ? priorityOverrides[id] : declared;
-            if (DEBUG) {
-                console.log(`[Priority] ${id}: effective=${effective} (override=${hasOverride ? priorityOverrides[id] : 'none'}, declared=${declared})`);
-            }
+            log.debug('Source priority', { sourceId: id, effective, override: hasOverride ? priorityOverrides[id] : null, declared });
             return [id, effective];
         }));
+        log.info('Refresh started', { sources: activeFetchers.map(f => f.getSourceId()) });
 
         const settled = await Promise.allSettled(activeFetchers.map(async (f) => {
+            const sourceId = f.getSourceId();
+            const fetchStart = Date.now();
             try {
                 const raw = await f.fetchStablecoins();
                 const std = f.transformToStandardFormat(raw);
-                sourceResults.push({ sourceId: f.getSourceId(), success: true, recordCount: std.length, duration: 0 });
-                return { id: f.getSourceId(), list: std };
+                const duration = Date.now() - fetchStart;
+                sourceResults.push({ sourceId, success: true, recordCount: std.length, duration });
+                log.info('Source fetched', { sourceId, recordCount: std.length, durationMs: duration });
+                return { id: sourceId, list: std };
             } catch (e) {
-                sourceResults.push({ sourceId: f.getSourceId(), success: false, recordCount: 0, duration: 0, error: e?.message });
-                errors.push(`${f.getSourceId()}: ${e?.message}`);
-                return { id: f.getSourceId(), list: [] };
+                const duration = Date.now() - fetchStart;
+                sourceResults.push({ sourceId, success: false, recordCount: 0, duration, error: e?.message });
+                errors.push(`${sourceId}: ${e?.message}`);
+                log.warn('Source failed', { sourceId, error: e?.message, durationMs: duration });
+                return { id: sourceId, list: [] };
             }
         }));
 
@@ -180,54 +227,60 @@ class StablecoinDataService extends IStablecoinDataService {
             } catch (_) { this._degraded = { active: false, reasons: [] }; }
         }
 
-        // 2) Build map keyed by symbol for merging
-        const bySymbol = new Map();
+        // 2) Resolve which records describe the same asset (overrides, contract addresses, provider ids, ticker + name)
+        const records = [];
         for (const res of settled) {
             const payload = res.value || res.reason || null;
             if (!payload || !Array.isArray(payload.list)) continue;
             const src = payload.id;
             for (const item of payload.list) {
-                const key = (item.symbol || item.slug || item.name || '').toUpperCase();
-                if (!key) continue;
-                if (!bySymbol.has(key)) bySymbol.set(key, []);
-                bySymbol.get(key).push({ sourceId: src, data: item });
+                if (!(item.symbol || item.slug || item.name)) continue;
+                records.push({ sourceId: src, data: item });
             }
         }
+        const identity = this.identityResolver.resolve(records, sourcePriority);
+        this._identityReport = {
+            ambiguous: identity.ambiguous,
+            overrideErrors: identity.overrideErrors,
+            groups: identity.groups.length,
+            records: records.length,
+            lastResolved: Date.now()
+        };
+        log.info('Resolved identities', { records: records.length, assets: identity.groups.length, ambiguous: identity.ambiguous.length });
+
+        // Health weights for the weighted pricing strategy
+        const sourceHealth = await this._sourceHealthWeights([...sourcePriority.keys()]);
+
+        // Reference FX rates for the peg currencies present, so non-USD coins get peg-currency prices
+        await this.fxRateService.refresh(records.map(r => r.data.metadata?.peggedAsset));
 
-        // 3) Merge per symbol using priority and consensusd
+        // 3) Merge per identity using priority and consensus
         const aggregated = [];
-        for (const [key, entries] of bySymbol) {
-            const pickBy = (picker) => {
-                // Return value from highest-priority source that satisfies picker
-                let best = null;
-                let bestPrio = -Infinity;
-                for (const { sourceId, data } of entries) {
-                    const val = picker(data);
-                    const prio = sourcePriority.get(sourceId) || 0;
-                    if ((val !== undefined && val !== null) && prio > bestPrio) {
-                        bestPrio = prio;
-                        best = { value: val, sourceId };
-                    }
-                }
-                return best;
-            };
+        for (const { key, entries, matchedBy, override } of identity.groups) {
+            // Every pick records candidates, winner and rule for the record's lineage
+            const lineage = new FieldLineage(entries, sourcePriority);
 
-            const namePick = pickBy(d => d.name);
-            const symbolPick = pickBy(d => d.symbol);
-            const slugPick = pickBy(d => d.slug);
+            const namePick = lineage.pick('name', d => d.name, key);
+            const symbolPick = lineage.pick('symbol', d => d.symbol, key);
+            const slugPick = lineage.pick('slug', d => d.slug);
 
             // Market data consensus
             const prices = entries.map(e => ({ s: e.sourceId, v: e.data.marketData?.price })).filter(x => typeof x.v === 'number');
             const marketCaps = entries.map(e => ({ s: e.sourceId, v: e.data.marketData?.marketCap })).filter(x => typeof x.v === 'number');
             const volumes = entries.map(e => ({ s: e.sourceId, v: e.data.marketData?.volume24h })).filter(x => typeof x.v === 'number');
 
-            const primaryPrice = pickBy(d => d.marketData?.price);
-            const primaryMCap = pickBy(d => d.marketData?.marketCap);
-            const primaryVol = pickBy(d => d.marketData?.volume24h);
+            // Headline price, market cap and volume from the pricing engine (strategy + outlier rejection)
+            const pricing = {
+                price: this._priceField(lineage, 'price', d => d.marketData?.price, sourceHealth),
+                marketCap: this._priceField(lineage, 'marketCap', d => d.marketData?.marketCap, sourceHealth),
+                volume24h: this._priceField(lineage, 'volume24h', d => d.marketData?.volume24h, sourceHealth)
+            };
+            const percentChangePick = lineage.pick('marketData.percentChange24h', d => d.marketData?.percentChange24h);
+            const rankPick = lineage.pick('marketData.rank', d => d.marketData?.rank);
 
-            const supplyCirc = pickBy(d => d.supplyData?.circulating);
-            const supplyTotal = pickBy(d => d.supplyData?.total);
-            const supplyMax = pickBy(d => d.supplyData?.max);
+            const supplyCirc = lineage.pick('supplyData.circulating', d => d.supplyData?.circulating);
+            const supplyTotal = lineage.pick('supplyData.total', d => d.supplyData?.total);
+            const supplyMax = lineage.pick('supplyData.max', d => d.supplyData?.max);
 
             // PRIORITY OVERRIDE: Always use DeFiLlama for platform/chain data when available
             const defillamaEntry = entries.find(e => e.sourceId === 'defillama');
@@ -238,6 +291,7 @@ class StablecoinDataService extends IStablecoinDataService {
                 // Use DeFiLlama chain data exclusively
                 defillamaData = defillamaEntry.data.metadata.defillamaData;
                 breakdown = this._extractDeFiLlamaChainBreakdown(defillamaData);
+                this._fillContractAddresses(breakdown, entries, sourcePriority);
             } else {
                 // Fallback to standard network breakdown merge (union by network+contract)
                 const seenNet = new Set();
@@ -269,20 +323,33 @@ class StablecoinDataService extends IStablecoinDataService {
                 }
             }
 
-            // track if breakdown has entries (used for internal metrics if needed)
+            lineage.record('supplyData.networkBreakdown', {
+                value: breakdown.map(b => b.platform),
+                source: defillamaData ? 'defillama' : null,
+                rule: defillamaData ? FieldLineage.RULES.OVERRIDE : FieldLineage.RULES.UNION,
+                candidates: lineage.candidates(d => this._summarizeBreakdown(d)),
+                note: defillamaData
+                    ? 'DeFiLlama chain data is used exclusively when available; contract addresses come from other sources listing the same chain'
+                    : 'Union of network entries from all sources (deduplicated by network and contract)'
+            });
 
             // Metadata merge (priority-aware for description, website, logo, dateAdded)
             const allTags = new Set();
             for (const { data } of entries) {
                 (data.metadata?.tags || []).forEach(t => allTags.add(t));
             }
+            lineage.record('metadata.tags', {
+                value: Array.from(allTags),
+                rule: FieldLineage.RULES.UNION,
+                candidates: lineage.candidates(d => (d.metadata?.tags || []).length ? d.metadata.tags : null)
+            });
 
-            const descriptionPick = pickBy(d => d.metadata?.description);
-            const websitePick = pickBy(d => d.metadata?.website);
-            const logoPick = pickBy(d => d.metadata?.logoUrl);
-            const dateAddedPick = pickBy(d => d.metadata?.dateAdded);
-            const peggedAssetPick = pickBy(d => d.metadata?.peggedAsset);
-            const assetCategoryPick = pickBy(d => d.assetCategory);
+            const descriptionPick = lineage.pick('metadata.description', d => d.metadata?.description);
+            const websitePick = lineage.pick('metadata.website', d => d.metadata?.website);
+            const logoPick = lineage.pick('metadata.logoUrl', d => d.metadata?.logoUrl);
+            const dateAddedPick = lineage.pick('metadata.dateAdded', d => d.metadata?.dateAdded);
+            const peggedAssetPick = lineage.pick('metadata.peggedAsset', d => d.metadata?.peggedAsset);
+            const assetCategoryPick = lineage.pick('assetCategory', d => d.assetCategory, 'Stablecoin');
             
             // Enhanced conflict detection with structured output
             const conflicts = this._detectConflicts(entries, key);
@@ -292,12 +359,11 @@ class StablecoinDataService extends IStablecoinDataService {
                 const details = Object.entries(conflicts.peggedAsset.valuesBySource)
                     .map(([source, value]) => `${source}:${value}`)
                     .join(', ');
-                console.error(`\x1b[31m[PeggedAsset Conflict] ${key}: ${details}\x1b[0m`);
+                log.warn('Pegged asset conflict', { asset: key, values: details });
             }
-            if (DEBUG && (key === 'USDT' || key === 'USDC')) {
-                if (logoPick?.value) {
-                    console.log(`[Aggregation Debug] ${key}: logo chosen from ${logoPick.sourceId}: ${logoPick.value}`);
-                }
+            // Per-coin traces are sampled to the two largest coins
+            if ((key === 'USDT' || key === 'USDC') && logoPick?.value) {
+                log.debug('Logo chosen', { asset: key, sourceId: logoPick.sourceId, logoUrl: logoPick.value });
             }
 
             // Consensus + confidence
@@ -311,23 +377,27 @@ class StablecoinDataService extends IStablecoinDataService {
             });
 
             const marketData = {
-                price: primaryPrice?.value ?? (prices[0]?.v ?? null),
-                priceSource: primaryPrice?.sourceId || (prices[0]?.s || null),
-                marketCap: primaryMCap?.value ?? (marketCaps[0]?.v ?? null),
-                marketCapSource: primaryMCap?.sourceId || (marketCaps[0]?.s || null),
-                volume24h: primaryVol?.value ?? (volumes[0]?.v ?? null),
-                volumeSource: primaryVol?.sourceId || (volumes[0]?.s || null),
-                percentChange24h: pickBy(d => d.marketData?.percentChange24h)?.value ?? null,
-                rank: pickBy(d => d.marketData?.rank)?.value ?? null,
-                sourcePrices: Object.fromEntries(prices.map(p => [p.s, p.v]))
+                price: pricing.price?.value ?? null,
+                priceSource: pricing.price?.source || null,
+                marketCap: pricing.marketCap?.value ?? null,
+                marketCapSource: pricing.marketCap?.source || null,
+                volume24h: pricing.volume24h?.value ?? null,
+                volumeSource: pricing.volume24h?.source || null,
+                percentChange24h: percentChangePick?.value ?? null,
+                rank: rankPick?.value ?? null,
+                sourcePrices: Object.fromEntries(prices.map(p => [p.s, p.v])),
+                peg: this.fxRateService.toPegPrice(pricing.price?.value, peggedAssetPick?.value)
             };
             
             // Debug logging for volume data processing
-            if (DEBUG && (key === 'USDT' || key === 'USDC')) {
-                console.log(`[Volume Debug] ${key}: volumes array length=${volumes.length}, primaryVol=${primaryVol?.value}, final volume24h=${marketData.volume24h}`);
-                if (volumes.length > 0) {
-                    console.log(`[Volume Debug] ${key}: volumes[0]=${volumes[0]?.v} from source ${volumes[0]?.s}`);
-                }
+            if (key === 'USDT' || key === 'USDC') {
+                log.debug('Volume merged', {
+                    asset: key,
+                    candidates: volumes.length,
+                    strategy: pricing.volume24h?.strategy,
+                    volume24h: marketData.volume24h,
+                    firstSource: volumes[0]?.s
+                });
             }
 
             const agg = {
@@ -368,18 +438,47 @@ class StablecoinDataService extends IStablecoinDataService {
                     consensus: consensus
                 },
                 dataSources: sourceIds,
+                identity: { key, matchedBy, override },
+                pricing: Object.fromEntries(Object.entries(pricing).filter(([, r]) => r).map(([field, r]) => [field, {
+                    strategy: r.strategy,
+                    sources: r.sources,
+                    excluded: r.excluded
+                }])),
+                lineage: lineage.toJSON(),
                 lastUpdated: Date.now(),
-                quality: this._computeQuality({ marketData, supply: { circ: supplyCirc?.value, total: supplyTotal?.value } })
+                quality: this._computeQuality({
+                    marketData,
+                    supply: { circ: supplyCirc?.value, total: supplyTotal?.value },
+                    peggedAsset: peggedAssetPick?.value,
+                    assetCategory: assetCategoryPick?.value || 'Stablecoin'
+                })
             };
 
+            // Provider id of the record the slug came from, a stable tie-breaker for shared slugs
+            const slugEntry = entries.find(e => e.sourceId === (slugPick || symbolPick)?.sourceId) || entries[0];
+            const providerId = `${slugEntry.sourceId}-${slugEntry.data.id ?? ''}`;
+
             // Store aggregated record; transformer adapter will handle input mapping
-            aggregated.push({ aggregated: agg });
+            aggregated.push({ aggregated: agg, providerId });
         }
-        
+
+        // Assets that share a ticker can also share a slug; the larger one keeps it so coin URLs stay unique.
+        // The others are suffixed with their provider id, so their URLs do not change when ranks move.
+        const usedSlugs = new Set();
+        const bySize = [...aggregated].sort((a, b) => (b.aggregated.marketData.marketCap || 0) - (a.aggregated.marketData.marketCap || 0));
+        for (const { aggregated: agg, providerId } of bySize) {
+            let slug = agg.slug;
+            if (usedSlugs.has(slug)) slug = `${agg.slug}-${providerId.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '')}`;
+            for (let n = 2; usedSlugs.has(slug); n++) slug = `${agg.slug}-${n}`;
+            usedSlugs.add(slug);
+            agg.slug = slug;
+        }
+
 
         // 4) If no data fetched, surface degraded fallback (keep previous data)
         if (aggregated.length === 0) {
-            return {
+            const failed = {
+                refreshId,
                 success: false,
                 stablecoinsUpdated: 0,
                 duration: Date.now() - start,
@@ -387,16 +486,157 @@ class StablecoinDataService extends IStablecoinDataService {
                 errors: errors.length ? errors : ['No data from any source'],
                 timestamp: Date.now()
             };
+            log.warn('Refresh produced no data, keeping previous dataset', { durationMs: failed.duration, errors: failed.errors });
+            await this._notifyRefreshListeners(failed);
+            return failed;
         }
 
-        // 5) Build view models using the injected transformer for compatibility
+        // 5) Build view models, store results and segment metrics by asset category
+        const previousRecords = this._aggregated;
+        const previousTimestamp = this._lastRefresh;
+        this._applyAggregated(aggregated.map(x => x.aggregated), Date.now());
+        log.info('Built view models', { stablecoins: this._aggregated.length, platforms: this._platformData.length });
+        const diff = this._recordDiff(previousRecords, previousTimestamp);
+
+        // Update conflict metrics in health monitor if available
+        if (this.healthMonitor && typeof this.healthMonitor.recordConflictMetrics === 'function') {
+            try {
+                const conflictData = this.getConflictMetrics();
+                await this.healthMonitor.recordConflictMetrics(conflictData, this._aggregated.length);
+            } catch (conflictTrackingError) {
+                // Don't fail refresh if conflict tracking fails - just log in development
+                if (process.env.NODE_ENV === 'development') {
+                    log.warn('Conflict tracking failed', { error: conflictTrackingError.message });
+                }
+            }
+        }
+
+        // Persist snapshot for history and restart rehydration (best-effort)
+        await this._persistSnapshot();
+
+        const result = {
+            refreshId,
+            success: errors.length === 0,
+            stablecoinsUpdated: this._aggregated.length,
+            duration: Date.now() - start,
+            sourceResults,
+            errors,
+            changes: diff ? diff.summary : null,
+            timestamp: Date.now()
+        };
+        log.info('Refresh finished', { success: result.success, stablecoinsUpdated: result.stablecoinsUpdated, durationMs: result.duration, errors: errors.length });
+        await this._notifyRefreshListeners(result, diff);
+        return result;
+    }
+
+    /**
+     * Registers a listener invoked after every refresh attempt, successful or not.
+     * Listeners receive the refresh result together with the current dataset; when
+     * `result.stablecoinsUpdated` is 0 the dataset is the previous (unchanged) one.
+     * 
+     * @param {Function} listener - Called with { result, stablecoins, platformData, metrics, degraded, diff }
+     * @returns {Function} Function that removes the listener
+     * @memberof StablecoinDataService
+     */
+    onRefresh(listener) {
+        this._refreshListeners.push(listener);
+        return () => {
+            this._refreshListeners = this._refreshListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Invokes refresh listeners in registration order.
+     * Listener failures are logged and never fail the refresh.
+     * 
+     * @param {Object} result - Refresh result returned by refreshData
+     * @param {Object|null} [diff=null] - Changes from the previous dataset (null when the refresh produced no data)
+     * @returns {Promise<void>}
+     * @private
+     * @memberof StablecoinDataService
+     */
+    async _notifyRefreshListeners(result, diff = null) {
+        const event = {
+            result,
+            stablecoins: this._aggregated,
+            platformData: this._platformData,
+            metrics: this._metrics,
+            degraded: { ...this._degraded },
+            diff
+        };
+        for (const listener of this._refreshListeners) {
+            try {
+                await listener(event);
+            } catch (error) {
+                log.warn('Refresh listener failed', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Compares the new dataset with the one it replaced and keeps the result.
+     * Nothing is recorded for the first dataset, or when diffs are disabled.
+     * 
+     * @param {Array<Object>} previousRecords - Aggregated records before the refresh
+     * @param {number} previousTimestamp - Time of the previous dataset (milliseconds)
+     * @returns {Object|null} Diff from SnapshotDiff.compare, or null
+     * @private
+     * @memberof StablecoinDataService
+     */
+    _recordDiff(previousRecords, previousTimestamp) {
+        if (AppConfig.diff.enabled === false || !previousRecords || previousRecords.length === 0) return null;
+        try {
+            const diff = this.snapshotDiff.compare(previousRecords, this._aggregated, { from: previousTimestamp, to: this._lastRefresh });
+            this._diffs.push(diff);
+            const historySize = Math.max(1, AppConfig.diff.historySize);
+            if (this._diffs.length > historySize) this._diffs.splice(0, this._diffs.length - historySize);
+            return diff;
+        } catch (error) {
+            log.warn('Refresh diff failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Gets what changed in the last refresh that replaced a dataset.
+     * 
+     * @returns {Object|null} Diff (see SnapshotDiff.compare), or null before the second dataset
+     * @memberof StablecoinDataService
+     */
+    getLatestDiff() {
+        return this._diffs.length ? this._diffs[this._diffs.length - 1] : null;
+    }
+
+    /**
+     * Gets recent refresh diffs, newest first.
+     * 
+     * @param {number} [limit] - Maximum number of diffs returned
+     * @returns {Array<Object>} Diffs (see SnapshotDiff.compare)
+     * @memberof StablecoinDataService
+     */
+    getDiffHistory(limit) {
+        const diffs = [...this._diffs].reverse();
+        return typeof limit === 'number' && limit > 0 ? diffs.slice(0, limit) : diffs;
+    }
+
+    /**
+     * Rebuilds view models and metrics from a list of aggregated records and stores them as
+     * the current dataset. Shared by live refreshes and snapshot rehydration.
+     * 
+     * @param {Array<Object>} records - Aggregated stablecoin records
+     * @param {number} timestamp - Time the records were produced (milliseconds)
+     * @private
+     * @memberof StablecoinDataService
+     */
+    _applyAggregated(records, timestamp) {
+        // Build view models using the injected transformer for compatibility
         // Pass aggregated DTOs; adapter handles any required mapping
-        this.viewModelTransformer.transformData(aggregated.map(x => x.aggregated));
+        this.viewModelTransformer.transformData(records);
         const viewStablecoins = this.viewModelTransformer.getTransformedData();
         const platformData = this.viewModelTransformer.calculateAggregations();
 
-        // 6) Store results and segment metrics by asset category
-        this._aggregated = aggregated.map(x => x.aggregated)
+        // Store results and segment metrics by asset category
+        this._aggregated = [...records]
             .sort((a, b) => {
                 // Sort by asset category first (Stablecoin before Tokenized Asset), then by market cap
                 if (a.assetCategory !== b.assetCategory) {
@@ -418,7 +658,7 @@ class StablecoinDataService extends IStablecoinDataService {
             totalVolume: stablecoins.reduce((s, c) => s + (c.marketData.volume24h || 0), 0),
             totalVolumeFormatted: DataFormatter.formatNumber(stablecoins.reduce((s, c) => s + (c.marketData.volume24h || 0), 0)),
             count: stablecoins.length,
-            lastUpdated: Date.now(),
+            lastUpdated: timestamp,
         };
         
         const tokenizedAssetMetrics = {
@@ -427,7 +667,7 @@ class StablecoinDataService extends IStablecoinDataService {
             totalVolume: tokenizedAssets.reduce((s, c) => s + (c.marketData.volume24h || 0), 0),
             totalVolumeFormatted: DataFormatter.formatNumber(tokenizedAssets.reduce((s, c) => s + (c.marketData.volume24h || 0), 0)),
             count: tokenizedAssets.length,
-            lastUpdated: Date.now(),
+            lastUpdated: timestamp,
         };
         
         // Store segmented metrics
@@ -442,12 +682,12 @@ class StablecoinDataService extends IStablecoinDataService {
             totalVolumeFormatted: DataFormatter.formatNumber(this._aggregated.reduce((s, c) => s + (c.marketData.volume24h || 0), 0)),
             stablecoinCount: this._aggregated.length,
             platformCount: platformData.length,
-            lastUpdated: Date.now(),
+            lastUpdated: timestamp,
             // Add segmented metrics for easy access
             stablecoinMetrics: stablecoinMetrics,
             tokenizedAssetMetrics: tokenizedAssetMetrics
         };
-        this._lastRefresh = Date.now();
+        this._lastRefresh = timestamp;
 
         // Build view model for routes using legacy shape
         this._viewModel = {
@@ -457,32 +697,58 @@ class StablecoinDataService extends IStablecoinDataService {
                 totalMCap_s: DataFormatter.formatNumber(this._metrics.totalMarketCap),
                 totalVolume: this._metrics.totalVolume,
                 totalVolume_s: DataFormatter.formatNumber(this._metrics.totalVolume),
-                lastUpdated: new Date(this._metrics.lastUpdated || Date.now()).toISOString()
+                lastUpdated: new Date(this._metrics.lastUpdated || timestamp).toISOString()
             },
-            platform_data: platformData
+            platform_data: platformData,
+            // Cross-chain concentration and dominated chain counts for the chains page
+            chain_analytics: this.chainConcentration.summarize(platformData)
         };
+    }
 
-        // Update conflict metrics in health monitor if available
-        if (this.healthMonitor && typeof this.healthMonitor.recordConflictMetrics === 'function') {
-            try {
-                const conflictData = this.getConflictMetrics();
-                await this.healthMonitor.recordConflictMetrics(conflictData, this._aggregated.length);
-            } catch (conflictTrackingError) {
-                // Don't fail refresh if conflict tracking fails - just log in development
-                if (process.env.NODE_ENV === 'development') {
-                    console.warn('[Conflict Tracking Warning]:', conflictTrackingError.message);
-                }
-            }
+    /**
+     * Restores the last persisted snapshot so pages have data before the first refresh completes.
+     * Does nothing when no snapshot store is configured, restore is disabled, or data is already loaded.
+     * 
+     * @returns {Promise<boolean>} True when a snapshot was restored
+     * @memberof StablecoinDataService
+     */
+    async restoreFromSnapshot() {
+        if (!this.snapshotStore || !this.snapshotStore.isEnabled()) return false;
+        if (AppConfig.history.restoreOnStart === false || this._aggregated.length > 0) return false;
+        try {
+            const snapshot = await this.snapshotStore.loadLatest();
+            if (!snapshot || snapshot.aggregated.length === 0) return false;
+            // A live refresh may have finished while the file was being read
+            if (this._aggregated.length > 0) return false;
+            this._applyAggregated(snapshot.aggregated, snapshot.timestamp);
+            log.info('Restored records from snapshot', { records: snapshot.aggregated.length, snapshotAt: new Date(snapshot.timestamp).toISOString() });
+            return true;
+        } catch (error) {
+            log.warn('Snapshot restore failed', { error: error.message });
+            return false;
         }
+    }
 
-        return {
-            success: errors.length === 0,
-            stablecoinsUpdated: this._aggregated.length,
-            duration: Date.now() - start,
-            sourceResults,
-            errors,
-            timestamp: Date.now()
-        };
+    /**
+     * Writes the current dataset to the snapshot store.
+     * Failures are logged and never fail the refresh.
+     * 
+     * @returns {Promise<void>}
+     * @private
+     * @memberof StablecoinDataService
+     */
+    async _persistSnapshot() {
+        if (!this.snapshotStore || !this.snapshotStore.isEnabled()) return;
+        try {
+            await this.snapshotStore.save({
+                aggregated: this._aggregated,
+                platformData: this._platformData,
+                metrics: this._metrics,
+                timestamp: this._lastRefresh
+            });
+        } catch (error) {
+            log.warn('Snapshot persist failed', { error: error.message });
+        }
     }
 
     /**
@@ -572,6 +838,60 @@ class StablecoinDataService extends IStablecoinDataService {
         return Math.max(0, Math.min(1, score));
     }
 
+    /**
+     * Computes a headline market data field with the pricing engine and records its lineage.
+     * The priority strategy keeps the 'priority' lineage rule; the others are recorded as 'consensus'.
+     *
+     * @param {FieldLineage} lineage - Lineage of the record being merged
+     * @param {string} field - Market data field ('price', 'marketCap', 'volume24h')
+     * @param {Function} picker - Extracts the field value from a standardized record
+     * @param {Map<string, number>} sourceHealth - Health weight (0-1) per source
+     * @returns {Object|null} Pricing engine result, or null when no source has a value
+     * @private
+     * @memberof StablecoinDataService
+     */
+    _priceField(lineage, field, picker, sourceHealth) {
+        const path = `marketData.${field}`;
+        const candidates = lineage.candidates(picker);
+        const result = this.pricingEngine.compute(field, candidates, { sourceHealth });
+        if (!result) {
+            lineage.record(path, { value: null, source: null, rule: FieldLineage.RULES.DEFAULT, candidates: [] });
+            return null;
+        }
+
+        const isPriority = result.strategy === PricingEngine.STRATEGIES.PRIORITY;
+        lineage.record(path, {
+            value: result.value,
+            source: result.source,
+            rule: isPriority ? FieldLineage.RULES.PRIORITY : FieldLineage.RULES.CONSENSUS,
+            candidates,
+            note: isPriority ? undefined : `${result.strategy} of ${result.sources.join(', ')}`,
+            excluded: result.excluded
+        });
+        return result;
+    }
+
+    /**
+     * Reads health scores for the weighted pricing strategy.
+     * Sources the health monitor does not know are left out (the engine weighs them 1).
+     *
+     * @param {Array<string>} sourceIds - Source identifiers
+     * @returns {Promise<Map<string, number>>} Health weight (0-1) per source
+     * @private
+     * @memberof StablecoinDataService
+     */
+    async _sourceHealthWeights(sourceIds) {
+        const weights = new Map();
+        if (!this.healthMonitor || typeof this.healthMonitor.getSourceHealth !== 'function') return weights;
+        for (const id of sourceIds) {
+            try {
+                const health = await this.healthMonitor.getSourceHealth(id);
+                if (typeof health?.healthScore === 'number') weights.set(id, health.healthScore / 100);
+            } catch (_) { /* unknown source */ }
+        }
+        return weights;
+    }
+
     /**
      * Computes confidence scores for different data categories.
      * Calculates overall confidence based on number of sources and consensus quality.
@@ -597,25 +917,44 @@ class StablecoinDataService extends IStablecoinDataService {
     /**
      * Computes data quality metrics for a stablecoin entry.
      * Evaluates completeness of data and identifies missing critical fields.
+     * Stablecoin prices are checked against `AppConfig.dataProcessing.priceRange` in their
+     * peg currency, so a EUR or JPY coin is judged by its distance from 1.0 EUR or JPY.
      * 
      * @param {Object} params - Data object to evaluate
-     * @param {Object} params.marketData - Market data object with price and market cap
+     * @param {Object} params.marketData - Market data object with price, market cap and peg price
      * @param {Object} params.supply - Supply data object with circulating supply
-     * @returns {Object} Quality metrics object with completeness flags and missing fields
+     * @param {string} [params.peggedAsset] - Peg currency or asset
+     * @param {string} [params.assetCategory] - Asset category
+     * @returns {Object} Quality metrics object with completeness flags, warnings and missing fields
      * @private
      * @memberof StablecoinDataService
      */
-    _computeQuality({ marketData, supply }) {
+    _computeQuality({ marketData, supply, peggedAsset, assetCategory }) {
         const missing = [];
+        const warnings = [];
         if (marketData.price == null) missing.push('price');
         if (marketData.marketCap == null) missing.push('marketCap');
         if (supply.circ == null) missing.push('circulating');
+
+        const peg = marketData.peg;
+        if (!peg) {
+            if (marketData.price != null && FxRateService.currencyCode(peggedAsset)) {
+                warnings.push(`No ${peggedAsset} reference rate; peg deviation unavailable`);
+            }
+        } else if (assetCategory === 'Stablecoin') {
+            const { min, max } = AppConfig.dataProcessing.priceRange;
+            if (peg.price < min || peg.price > max) {
+                warnings.push(`Price ${peg.price.toFixed(4)} ${peg.currency} is outside the expected range ${min}-${max}`);
+            }
+        }
+
         return {
             hasRecentData: true,
             hasMultipleSources: false,
             hasMarketData: marketData.price != null && marketData.marketCap != null,
             hasSupplyData: supply.circ != null,
-            warnings: [],
+            hasPegPrice: !!peg,
+            warnings,
             missingFields: missing
         };
     }
@@ -635,6 +974,23 @@ class StablecoinDataService extends IStablecoinDataService {
         return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
     }
 
+    /**
+     * Lists the networks a standardized record reports, for chain breakdown lineage.
+     * 
+     * @param {Object} data - Standardized record from a fetcher
+     * @returns {Array<string>|null} Network names, or null when the record has none
+     * @private
+     * @memberof StablecoinDataService
+     */
+    _summarizeBreakdown(data) {
+        const names = new Set();
+        for (const n of (data?.supplyData?.networkBreakdown || [])) names.add(n.name || n.platform || n.network);
+        for (const p of (data?.platforms || [])) names.add(p.name || p.network);
+        names.delete(undefined);
+        names.delete(null);
+        return names.size ? Array.from(names) : null;
+    }
+
     /**
      * Extracts network breakdown data from DeFiLlama chainCirculating structure.
      * Processes DeFiLlama's detailed cross-chain supply data and converts it to
@@ -675,12 +1031,8 @@ class StablecoinDataService extends IStablecoinDataService {
                 supply: chainSupply,
                 percentage: percentage,
                 contractAddress: null, // DeFiLlama doesn't provide contract addresses
-                // Include historical data for potential future use
-                historical: {
-                    prevDay: chainData.circulatingPrevDay || null,
-                    prevWeek: chainData.circulatingPrevWeek || null,
-                    prevMonth: chainData.circulatingPrevMonth || null
-                }
+                // Prev day/week/month supply, % changes and daily series built by the fetcher
+                historical: defillamaData.chainHistory?.[chainName] || null
             });
         }
 
@@ -688,6 +1040,36 @@ class StablecoinDataService extends IStablecoinDataService {
         return breakdown.sort((a, b) => (b.supply || 0) - (a.supply || 0));
     }
 
+    /**
+     * Fills contract addresses, which DeFiLlama does not provide, from other sources'
+     * network entries on the same chain. When sources disagree, the highest-priority
+     * source's address wins.
+     * 
+     * @param {Array} breakdown - DeFiLlama network breakdown, updated in place
+     * @param {Array} entries - Source entries ({ sourceId, data }) for the asset
+     * @param {Map<string, number>} sourcePriority - Effective priority per source id
+     * @private
+     * @memberof StablecoinDataService
+     */
+    _fillContractAddresses(breakdown, entries, sourcePriority) {
+        const addresses = new Map();
+        const ranked = [...entries].sort((a, b) => (sourcePriority.get(b.sourceId) || 0) - (sourcePriority.get(a.sourceId) || 0));
+        for (const { data } of ranked) {
+            const networks = [
+                ...(Array.isArray(data?.supplyData?.networkBreakdown) ? data.supplyData.networkBreakdown : []),
+                ...(Array.isArray(data?.platforms) ? data.platforms : [])
+            ];
+            for (const n of networks) {
+                if (!n?.contractAddress) continue;
+                const chain = this._normalizeChainName(n.name || n.network).toLowerCase();
+                if (!addresses.has(chain)) addresses.set(chain, n.contractAddress);
+            }
+        }
+        for (const entry of breakdown) {
+            if (!entry.contractAddress) entry.contractAddress = addresses.get(entry.platform.toLowerCase()) || null;
+        }
+    }
+
     /**
      * Normalizes DeFiLlama chain names to consistent display names.
      * Uses similar logic to PlatformNormalizer for consistency.
@@ -748,7 +1130,7 @@ class StablecoinDataService extends IStablecoinDataService {
         } catch (error) {
             // Best-effort conflict detection - don't fail aggregation on conflict detection errors
             if (process.env.NODE_ENV !== 'production') {
-                console.warn(`[Conflict Detection Warning] ${key}: ${error.message}`);
+                log.warn('Conflict detection failed', { asset: key, error: error.message });
             }
         }
 
@@ -855,6 +1237,17 @@ class StablecoinDataService extends IStablecoinDataService {
         };
     }
 
+    /**
+     * Gets the outcome of the last identity resolution: how many records were grouped into
+     * how many assets, matches that could not be settled automatically and override file problems.
+     * 
+     * @returns {Object} { ambiguous, overrideErrors, groups, records, lastResolved }
+     * @memberof StablecoinDataService
+     */
+    getIdentityReport() {
+        return this._identityReport;
+    }
+
 }
 
 module.exports = StablecoinDataService;
@@ -0,0 +1,310 @@
+const AppConfig = require('../config/AppConfig');
+const { toPublicStablecoin, buildMetrics, buildMeta } = require('../app/util/apiResponses');
+const { API_PREFIX, buildOpenApiDocument } = require('../routes/openapi');
+
+/**
+ * Machine-readable output of the static build: a JSON mirror of the API, a sitemap and Atom feeds.
+ *
+ * The JSON files carry the same `{ data, meta }` bodies as the live API (see routes/openapi.js),
+ * at the live path plus `.json` (`/api/v1/stablecoins/usdt` -> `api/v1/stablecoins/usdt.json`).
+ * Lists are written unpaginated as a single page. Feeds list the depeg breaches and large chain
+ * supply changes seen by the build; a static build has no earlier state, so entry ids combine the
+ * event with the UTC day and feed readers see one entry per event per day.
+ *
+ * Sitemap and feed dates come from the dataset's `lastUpdated` time, not the build time, so
+ * rebuilding unchanged data writes byte-identical files.
+ *
+ * @class StaticPublisher
+ */
+class StaticPublisher {
+    /**
+     * Creates an instance of StaticPublisher.
+     *
+     * @param {StablecoinDataService} dataService - Source of the aggregated records, platforms and metrics
+     * @param {Object} [options={}] - Overrides for AppConfig.staticSite settings
+     * @param {DepegMonitor} [options.depegMonitor] - Monitor used for the depeg feed
+     * @param {SupplyFlowService} [options.supplyFlows] - Flow service used for the supply change feed
+     * @param {string} [options.siteUrl] - Absolute site URL used in the sitemap and feeds
+     * @param {number} [options.feedSize] - Maximum entries per feed
+     * @param {number} [options.supplyMoveThreshold] - Fractional chain supply change reported (default: AppConfig.diff)
+     * @param {number} [options.supplyMoveMinimum] - Minimum USD value of a reported change (default: AppConfig.diff)
+     * @param {Function} [options.now] - Clock, for tests
+     * @memberof StaticPublisher
+     */
+    constructor(dataService, options = {}) {
+        const { depegMonitor = null, supplyFlows = null, now = null, ...overrides } = options;
+        const diff = AppConfig.diff;
+        this.dataService = dataService;
+        this.depegMonitor = depegMonitor;
+        this.supplyFlows = supplyFlows;
+        this.now = now || (() => Date.now());
+        this.config = {
+            ...AppConfig.staticSite,
+            supplyMoveThreshold: diff.supplyMoveThreshold,
+            supplyMoveMinimum: diff.supplyMoveMinimum,
+            ...overrides
+        };
+    }
+
+    /**
+     * Turns a name into a URL path segment, as used for static page directories.
+     *
+     * @param {string} value - Coin uri, platform uri or name
+     * @returns {string} Lowercase segment of letters, digits and dashes
+     * @memberof StaticPublisher
+     */
+    static slug(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Builds the JSON API mirror.
+     *
+     * @returns {Promise<Array<Object>>} Files as { file, url, body }: path under the output directory,
+     *   the live API path serving the same body, and the body
+     * @memberof StaticPublisher
+     */
+    async apiFiles() {
+        const dataService = this.dataService;
+        const files = [];
+        const add = (url, body) => files.push({ file: `${url.replace(/^\//, '').replace(/\.json$/, '')}.json`, url, body });
+        const meta = await buildMeta(dataService);
+        const page = total => ({ total, page: 1, limit: Math.max(total, 1), pages: total ? 1 : 0 });
+
+        const coins = (await dataService.getStablecoins()).map(toPublicStablecoin);
+        add(`${API_PREFIX}/stablecoins`, { data: coins, meta: { ...page(coins.length), ...meta } });
+        for (const coin of coins) {
+            const slug = StaticPublisher.slug(coin.slug || coin.symbol);
+            if (slug) add(`${API_PREFIX}/stablecoins/${slug}`, { data: coin, meta });
+        }
+
+        const platforms = await dataService.getPlatformData();
+        add(`${API_PREFIX}/platforms`, { data: platforms, meta: { ...page(platforms.length), ...meta } });
+        for (const platform of platforms) {
+            const slug = StaticPublisher.slug(platform.uri || platform.name);
+            if (slug) add(`${API_PREFIX}/platforms/${slug}`, { data: platform, meta });
+        }
+
+        add(`${API_PREFIX}/metrics`, { data: await buildMetrics(dataService), meta });
+        add(`${API_PREFIX}/metrics/stablecoins`, { data: await dataService.getStablecoinMetrics(), meta });
+        add(`${API_PREFIX}/metrics/tokenized-assets`, { data: await dataService.getTokenizedAssetMetrics(), meta });
+        add(`${API_PREFIX}/openapi.json`, buildOpenApiDocument({ serverUrl: this.config.siteUrl }));
+        return files;
+    }
+
+    /**
+     * Builds a sitemap of the static pages.
+     *
+     * @param {Array<string>} pages - Page paths (e.g. '/coins/tether/')
+     * @returns {Promise<string>} sitemap.xml contents
+     * @memberof StaticPublisher
+     */
+    async sitemap(pages) {
+        // lastmod is optional; without data there is no modification time to report
+        const dataTime = await this._dataTimestamp();
+        const lastmod = dataTime ? [`    <lastmod>${new Date(dataTime).toISOString()}</lastmod>`] : [];
+        const urls = pages.map(page => [
+            '  <url>',
+            `    <loc>${this._escape(this.config.siteUrl + page)}</loc>`,
+            ...lastmod,
+            '  </url>'
+        ].join('\n'));
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...urls,
+            '</urlset>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Finds current depeg breaches, most severe first.
+     *
+     * @returns {Promise<Array<Object>>} Breaches (see DepegMonitor.getBreaches); empty without a depeg monitor
+     * @memberof StaticPublisher
+     */
+    async depegEvents() {
+        if (!this.depegMonitor) return [];
+        return this.depegMonitor.evaluate(await this.dataService.getStablecoins(), (await this._dataTimestamp()) ?? this.now());
+    }
+
+    /**
+     * Finds chains whose supply changed by more than the diff thresholds over the last 24h, largest first.
+     *
+     * @returns {Promise<Array<Object>>} Events with slug, symbol, name, chain, type ('mint' or 'burn'), previous,
+     *   current, change, changePercent, valueUsd, issued, redeemed, migratedIn, migratedOut, from and to;
+     *   empty without a supply flow service
+     * @memberof StaticPublisher
+     */
+    async supplyChangeEvents() {
+        if (!this.supplyFlows) return [];
+        const events = [];
+        for (const record of await this.dataService.getStablecoins()) {
+            const flows = await this.supplyFlows.getCoinFlows(record.slug || record.symbol);
+            const window = flows?.windows?.['24h'];
+            if (!window) continue;
+
+            const price = record.marketData?.price || 1;
+            const supply = {};
+            for (const entry of record.supplyData?.networkBreakdown || []) {
+                const chain = String(entry.platform || entry.network || '').toLowerCase();
+                if (chain && typeof entry.supply === 'number') supply[chain] = (supply[chain] || 0) + entry.supply;
+            }
+
+            for (const chain of window.chains) {
+                const valueUsd = Math.abs(chain.net) * price;
+                if (chain.net === 0 || valueUsd < this.config.supplyMoveMinimum) continue;
+                const current = supply[chain.chain.toLowerCase()] ?? null;
+                const previous = current === null ? null : current - chain.net;
+                const changePercent = previous > 0 ? chain.net / previous : null;
+                // Chains that appeared have no previous supply and always qualify
+                if (changePercent !== null && Math.abs(changePercent) < this.config.supplyMoveThreshold) continue;
+                events.push({
+                    slug: flows.slug,
+                    symbol: record.symbol,
+                    name: record.name,
+                    chain: chain.chain,
+                    type: chain.net > 0 ? 'mint' : 'burn',
+                    previous,
+                    current,
+                    change: chain.net,
+                    changePercent,
+                    valueUsd,
+                    issued: chain.issued,
+                    redeemed: chain.redeemed,
+                    migratedIn: chain.migratedIn,
+                    migratedOut: chain.migratedOut,
+                    from: window.from,
+                    to: window.to
+                });
+            }
+        }
+        return events.sort((a, b) => b.valueUsd - a.valueUsd);
+    }
+
+    /**
+     * Builds the Atom feed of depeg breaches.
+     *
+     * @param {Array<Object>} breaches - Result of depegEvents()
+     * @returns {Promise<string>} Atom XML
+     * @memberof StaticPublisher
+     */
+    async depegFeed(breaches) {
+        return this._atomFeed('/feeds/depegs.xml', 'Stablecoin Watch - Depeg Events', breaches.map(breach => {
+            const direction = breach.deviation < 0 ? 'below' : 'above';
+            const pct = (Math.abs(breach.deviation) * 100).toFixed(2);
+            return {
+                key: `depeg/${StaticPublisher.slug(breach.slug)}/${breach.severity}`,
+                title: `${breach.symbol} ${pct}% ${direction} its ${breach.peggedAsset} peg (${breach.severity})`,
+                link: `/coins/${StaticPublisher.slug(breach.slug)}/`,
+                updated: breach.updatedAt,
+                summary: `${breach.symbol} (${breach.name}) traded at ${breach.price.toFixed(4)} against a reference price of `
+                    + `${breach.referencePrice.toFixed(4)} for its ${breach.peggedAsset} peg.`
+            };
+        }));
+    }
+
+    /**
+     * Builds the Atom feed of large chain supply changes.
+     *
+     * @param {Array<Object>} events - Result of supplyChangeEvents()
+     * @returns {Promise<string>} Atom XML
+     * @memberof StaticPublisher
+     */
+    async supplyChangeFeed(events) {
+        const usd = value => `$${Math.round(value).toLocaleString('en-US')}`;
+        const amount = value => Math.round(value).toLocaleString('en-US');
+        return this._atomFeed('/feeds/supply-changes.xml', 'Stablecoin Watch - Large Supply Changes', events.map(event => {
+            const pct = event.changePercent === null ? 'new chain' : `${(event.changePercent * 100).toFixed(1)}%`;
+            return {
+                key: `supply/${StaticPublisher.slug(event.slug)}/${StaticPublisher.slug(event.chain)}/${event.type}`,
+                title: `${event.symbol} ${event.type === 'mint' ? '+' : '-'}${usd(event.valueUsd)} on ${event.chain} in 24h (${pct})`,
+                link: `/coins/${StaticPublisher.slug(event.slug)}/`,
+                updated: event.to,
+                summary: `${event.symbol} supply on ${event.chain} moved from ${amount(event.previous ?? 0)} to ${amount(event.current ?? 0)}: `
+                    + `issued ${amount(event.issued)}, redeemed ${amount(event.redeemed)}, `
+                    + `migrated in ${amount(event.migratedIn)}, migrated out ${amount(event.migratedOut)}.`
+            };
+        }));
+    }
+
+    /**
+     * Time of the published dataset.
+     *
+     * @returns {Promise<number|null>} The dataset's `lastUpdated` time, or null before the first successful refresh
+     * @private
+     * @memberof StaticPublisher
+     */
+    async _dataTimestamp() {
+        const metrics = await this.dataService.getMarketMetrics();
+        return metrics?.lastUpdated || null;
+    }
+
+    /**
+     * Renders an Atom feed. The feed is as recent as its newest entry, or the dataset when it has none;
+     * an empty feed built before any data was fetched is dated at the Unix epoch so it stays unchanged.
+     *
+     * @param {string} path - Feed path under the site
+     * @param {string} title - Feed title
+     * @param {Array<Object>} entries - Entries as { key, title, link, updated, summary }, in feed order
+     * @returns {Promise<string>} Atom XML
+     * @private
+     * @memberof StaticPublisher
+     */
+    async _atomFeed(path, title, entries) {
+        const siteUrl = this.config.siteUrl;
+        const dataTime = (await this._dataTimestamp()) ?? 0;
+        const shown = entries.slice(0, this.config.feedSize);
+        const updated = shown.reduce((latest, entry) => Math.max(latest, entry.updated || 0), 0) || dataTime;
+        let host;
+        try { host = new URL(siteUrl).hostname; } catch (_) { host = 'localhost'; }
+
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <title>${this._escape(title)}</title>`,
+            `  <id>${this._escape(siteUrl + path)}</id>`,
+            `  <link rel="self" href="${this._escape(siteUrl + path)}"/>`,
+            `  <link href="${this._escape(siteUrl + '/')}"/>`,
+            `  <updated>${new Date(updated).toISOString()}</updated>`,
+            '  <author><name>Stablecoin Watch</name></author>'
+        ];
+        for (const entry of shown) {
+            const entryTime = entry.updated || dataTime;
+            lines.push(
+                '  <entry>',
+                `    <title>${this._escape(entry.title)}</title>`,
+                `    <id>tag:${host},${new Date(entryTime).toISOString().slice(0, 10)}:${this._escape(entry.key)}</id>`,
+                `    <link href="${this._escape(siteUrl + entry.link)}"/>`,
+                `    <updated>${new Date(entryTime).toISOString()}</updated>`,
+                `    <summary>${this._escape(entry.summary)}</summary>`,
+                '  </entry>'
+            );
+        }
+        lines.push('</feed>', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Escapes text for XML content and attributes.
+     *
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     * @private
+     * @memberof StaticPublisher
+     */
+    _escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = StaticPublisher;
@@ -0,0 +1,47 @@
+const path = require('path');
+const { isMainThread, parentPort } = require('worker_threads');
+const ejs = require('ejs');
+const templateHelpers = require('../app/util/templateHelpers');
+const utilFmt = require('../app/util');
+
+/**
+ * Page renderer for the static build, used in-process and as a worker_threads worker.
+ *
+ * Pages are described by plain data only ({ view, locals, viewsDir }) so they can be posted to
+ * a worker; the template helpers and formatters the views expect are added here.
+ */
+
+const DEFAULT_VIEWS_DIR = path.resolve(__dirname, '..', 'views');
+
+/**
+ * Render one page
+ * @param {string} view - View name (e.g. 'coins')
+ * @param {Object} locals - Template locals (plain data)
+ * @param {string} [viewsDir] - Views directory
+ * @returns {Promise<string>} HTML
+ */
+async function renderPage(view, locals, viewsDir = DEFAULT_VIEWS_DIR) {
+    const file = path.join(viewsDir, `${view}.ejs`);
+    return ejs.renderFile(file, {
+        ...locals,
+        h: templateHelpers,
+        formatter: {
+            formatNumber: utilFmt.formatNumber,
+            formatPrice: utilFmt.formatPrice,
+            formatPercentage: utilFmt.formatPercentage,
+            formatSupply: utilFmt.formatSupply
+        }
+    }, { root: viewsDir });
+}
+
+if (!isMainThread && parentPort) {
+    parentPort.on('message', async ({ id, view, locals, viewsDir }) => {
+        try {
+            parentPort.postMessage({ id, html: await renderPage(view, locals, viewsDir) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.stack || error.message });
+        }
+    });
+}
+
+module.exports = { renderPage };
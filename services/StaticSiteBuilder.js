@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const AppConfig = require('../config/AppConfig');
+const { renderPage } = require('./StaticRenderWorker');
+
+const MANIFEST_FILE = 'build-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Writes the static site output and tracks what changed between builds.
+ *
+ * Every file goes through the builder so it lands in the manifest (`build-manifest.json`): the
+ * content hash of each file, plus `changed` and `removed` lists relative to the previous build
+ * that a deploy step can use to upload only new files. Assets get fingerprinted names
+ * (`common.3f2a9c1e.css`) so they can be cached indefinitely.
+ *
+ * Pages are queued with their view and locals, then rendered together on a worker_threads pool.
+ * In incremental mode the previous output is kept and a page is only rendered again when the hash
+ * of its inputs (locals, asset names, templates and helpers) differs from the last build.
+ *
+ * @class StaticSiteBuilder
+ */
+class StaticSiteBuilder {
+    /**
+     * Creates an instance of StaticSiteBuilder.
+     *
+     * @param {string} outDir - Output directory
+     * @param {Object} [options={}] - Overrides for AppConfig.staticSite settings
+     * @param {boolean} [options.incremental] - Keep the previous output and skip unchanged pages
+     * @param {number} [options.renderWorkers] - Render worker threads; 0 picks one per spare CPU core, 1 renders in-process
+     * @param {string} [options.viewsDir] - Views directory
+     * @param {Array<string>} [options.rendererFiles] - Code files besides the views that affect rendered pages
+     * @memberof StaticSiteBuilder
+     */
+    constructor(outDir, options = {}) {
+        const config = { ...AppConfig.staticSite, ...options };
+        this.outDir = outDir;
+        this.incremental = !!config.incremental;
+        this.workers = config.renderWorkers > 0
+            ? config.renderWorkers
+            : Math.max(1, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1);
+        this.viewsDir = config.viewsDir || path.resolve(__dirname, '..', 'views');
+        this.rendererFiles = config.rendererFiles || [
+            require.resolve('./StaticRenderWorker'),
+            require.resolve('../app/util/templateHelpers'),
+            require.resolve('../app/util')
+        ];
+
+        this.assets = {};
+        this.pages = [];
+        this._files = {};
+        this._previous = null;
+        this._renderer = null;
+    }
+
+    /**
+     * Reads the previous manifest and prepares the output directory (emptied unless incremental).
+     *
+     * @returns {Promise<void>}
+     * @memberof StaticSiteBuilder
+     */
+    async start() {
+        this._previous = await this._readManifest();
+        this._renderer = await this._rendererHash();
+        if (!this.incremental) {
+            await fs.promises.rm(this.outDir, { recursive: true, force: true });
+        }
+        await fs.promises.mkdir(this.outDir, { recursive: true });
+    }
+
+    /**
+     * Copies an asset under a fingerprinted name and registers it for templates (`locals.assets`).
+     *
+     * @param {string} src - Source file
+     * @param {string} url - Path templates reference (e.g. '/common.css')
+     * @returns {Promise<string>} Fingerprinted path (e.g. '/common.3f2a9c1e.css')
+     * @memberof StaticSiteBuilder
+     */
+    async addAsset(src, url) {
+        const contents = await fs.promises.readFile(src);
+        const { dir, name, ext } = path.posix.parse(url);
+        const fingerprinted = path.posix.join(dir, `${name}.${StaticSiteBuilder.hash(contents).slice(0, 8)}${ext}`);
+        await this.writeFile(fingerprinted.replace(/^\//, ''), contents);
+        this.assets[url] = fingerprinted;
+        return fingerprinted;
+    }
+
+    /**
+     * Copies a file without renaming it (e.g. images referenced from data).
+     *
+     * @param {string} src - Source file
+     * @param {string} file - Path under the output directory
+     * @returns {Promise<void>}
+     * @memberof StaticSiteBuilder
+     */
+    async copyFile(src, file) {
+        await this.writeFile(file, await fs.promises.readFile(src));
+    }
+
+    /**
+     * Writes a file and records it in the manifest.
+     *
+     * @param {string} file - Path under the output directory, '/'-separated
+     * @param {string|Buffer} contents - File contents
+     * @param {string} [input] - Hash of the inputs the file was generated from
+     * @returns {Promise<void>}
+     * @memberof StaticSiteBuilder
+     */
+    async writeFile(file, contents, input = undefined) {
+        const dest = path.join(this.outDir, file);
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        await fs.promises.writeFile(dest, contents);
+        this._files[file] = { hash: StaticSiteBuilder.hash(contents), ...(input ? { input } : {}) };
+    }
+
+    /**
+     * Queues a page for renderPages().
+     *
+     * @param {string} url - Page path ending in '/' (e.g. '/coins/usdt/'), written to `<url>index.html`
+     * @param {string} view - View name
+     * @param {Object} locals - Template locals; plain data only, since they are posted to render workers.
+     *   Pass each page the slice of the view model it shows so unrelated changes do not re-render it.
+     * @memberof StaticSiteBuilder
+     */
+    page(url, view, locals) {
+        this.pages.push({ url, view, locals });
+    }
+
+    /**
+     * Renders the queued pages whose inputs changed since the last build.
+     *
+     * @returns {Promise<Object>} { rendered, skipped } page counts
+     * @memberof StaticSiteBuilder
+     */
+    async renderPages() {
+        const jobs = [];
+        let skipped = 0;
+        for (const page of this.pages) {
+            const file = `${page.url.replace(/^\//, '')}index.html`;
+            const locals = { ...page.locals, assets: this.assets };
+            const input = StaticSiteBuilder.hash(JSON.stringify([this._renderer, page.view, locals]));
+            const previous = this._previous?.files?.[file];
+            if (this.incremental && previous?.input === input && fs.existsSync(path.join(this.outDir, file))) {
+                this._files[file] = previous;
+                skipped++;
+                continue;
+            }
+            jobs.push({ file, input, view: page.view, locals });
+        }
+
+        await this._render(jobs, (job, html) => this.writeFile(job.file, html, job.input));
+        return { rendered: jobs.length, skipped };
+    }
+
+    /**
+     * Removes files left over from the previous build and writes the manifest.
+     *
+     * @returns {Promise<Object>} Manifest ({ version, builtAt, incremental, files, changed, removed })
+     * @memberof StaticSiteBuilder
+     */
+    async finish() {
+        const previousFiles = this._previous?.files || {};
+        const changed = Object.keys(this._files).filter(file => previousFiles[file]?.hash !== this._files[file].hash);
+        const removed = Object.keys(previousFiles).filter(file => !this._files[file]);
+        for (const file of removed) {
+            await fs.promises.rm(path.join(this.outDir, file), { force: true });
+        }
+
+        const manifest = {
+            version: MANIFEST_VERSION,
+            builtAt: new Date().toISOString(),
+            incremental: this.incremental,
+            files: Object.fromEntries(Object.keys(this._files).sort().map(file => [file, this._files[file]])),
+            changed: changed.sort(),
+            removed: removed.sort()
+        };
+        await fs.promises.writeFile(path.join(this.outDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+        return manifest;
+    }
+
+    /**
+     * Hashes content.
+     *
+     * @param {string|Buffer} contents - Content
+     * @returns {string} SHA-256 hex digest
+     * @memberof StaticSiteBuilder
+     */
+    static hash(contents) {
+        return crypto.createHash('sha256').update(contents).digest('hex');
+    }
+
+    /**
+     * Renders jobs in-process or on a worker pool, handing each result to onRendered.
+     *
+     * @param {Array<Object>} jobs - Jobs ({ view, locals, ... })
+     * @param {Function} onRendered - Called with (job, html)
+     * @returns {Promise<void>}
+     * @private
+     * @memberof StaticSiteBuilder
+     */
+    async _render(jobs, onRendered) {
+        const size = Math.min(this.workers, jobs.length);
+        if (size <= 1) {
+            for (const job of jobs) await onRendered(job, await renderPage(job.view, job.locals, this.viewsDir));
+            return;
+        }
+
+        const queue = jobs.slice();
+        const workers = Array.from({ length: size }, () => new Worker(require.resolve('./StaticRenderWorker')));
+        try {
+            await Promise.all(workers.map(async worker => {
+                while (queue.length) {
+                    const job = queue.shift();
+                    await onRendered(job, await this._renderInWorker(worker, job));
+                }
+            }));
+        } finally {
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+    }
+
+    /**
+     * Renders one job on a worker.
+     *
+     * @param {Worker} worker - Idle worker
+     * @param {Object} job - Job ({ view, locals })
+     * @returns {Promise<string>} HTML
+     * @private
+     * @memberof StaticSiteBuilder
+     */
+    _renderInWorker(worker, job) {
+        return new Promise((resolve, reject) => {
+            const onMessage = (message) => {
+                cleanup();
+                if (message.error) reject(new Error(`Rendering ${job.view} failed: ${message.error}`));
+                else resolve(message.html);
+            };
+            const onError = (error) => {
+                cleanup();
+                reject(error);
+            };
+            const cleanup = () => {
+                worker.off('message', onMessage);
+                worker.off('error', onError);
+            };
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.postMessage({ id: job.file, view: job.view, locals: job.locals, viewsDir: this.viewsDir });
+        });
+    }
+
+    /**
+     * Hashes the templates and helper code, so a change to either re-renders every page.
+     *
+     * @returns {Promise<string>} SHA-256 hex digest
+     * @private
+     * @memberof StaticSiteBuilder
+     */
+    async _rendererHash() {
+        const files = [];
+        const walk = async (dir) => {
+            for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) await walk(full);
+                else files.push(full);
+            }
+        };
+        await walk(this.viewsDir);
+
+        const hash = crypto.createHash('sha256');
+        for (const file of [...files.sort(), ...this.rendererFiles]) {
+            hash.update(path.relative(this.viewsDir, file));
+            hash.update(await fs.promises.readFile(file));
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Reads the manifest of the previous build.
+     *
+     * @returns {Promise<Object|null>} Manifest, or null when missing, unreadable or from another format version
+     * @private
+     * @memberof StaticSiteBuilder
+     */
+    async _readManifest() {
+        try {
+            const manifest = JSON.parse(await fs.promises.readFile(path.join(this.outDir, MANIFEST_FILE), 'utf8'));
+            return manifest.version === MANIFEST_VERSION ? manifest : null;
+        } catch (_) {
+            return null;
+        }
+    }
+}
+
+module.exports = StaticSiteBuilder;
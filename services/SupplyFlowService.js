@@ -0,0 +1,145 @@
+const AppConfig = require('../config/AppConfig');
+const SupplyFlowAnalyzer = require('./domain/SupplyFlowAnalyzer');
+const logger = require('../app/logger');
+
+const log = logger.forModule('supplyFlow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mint/burn and cross-chain migration analytics per coin and per chain over 24h, 7d and 30d.
+ *
+ * Reads the chain breakdowns of consecutive snapshots from the SnapshotStore and the current
+ * dataset from the StablecoinDataService, and computes flows with SupplyFlowAnalyzer. Results
+ * are computed once per dataset: the cache is keyed by the dataset's `lastUpdated` time, so
+ * page views between refreshes do not re-read the history file. Without a snapshot store
+ * (static builds, history disabled) flows come from DeFiLlama's chain history alone.
+ *
+ * @class SupplyFlowService
+ */
+class SupplyFlowService {
+    /**
+     * Creates an instance of SupplyFlowService.
+     *
+     * @param {StablecoinDataService} dataService - Source of the current aggregated records
+     * @param {SnapshotStore} [snapshotStore=null] - Source of earlier chain breakdowns
+     * @param {Object} [options={}] - Overrides for AppConfig.supplyFlows settings
+     * @param {boolean} [options.enabled] - When false, no flows are computed
+     * @param {SupplyFlowAnalyzer} [options.analyzer] - Analyzer instance, for tests
+     * @memberof SupplyFlowService
+     */
+    constructor(dataService, snapshotStore = null, options = {}) {
+        this.dataService = dataService;
+        this.snapshotStore = snapshotStore;
+        this.config = { ...AppConfig.supplyFlows, ...options };
+        this.analyzer = options.analyzer || new SupplyFlowAnalyzer(this.config);
+        this._cache = null; // { key, promise }
+    }
+
+    /**
+     * Checks whether flows are computed.
+     *
+     * @returns {boolean} True when enabled
+     * @memberof SupplyFlowService
+     */
+    isEnabled() {
+        return this.config.enabled !== false;
+    }
+
+    /**
+     * Gets flows per window for one coin.
+     *
+     * @param {string} identifier - Coin slug or symbol (case-insensitive)
+     * @returns {Promise<Object|null>} Coin flows (see SupplyFlowAnalyzer.analyzeCoin), or null when unknown or disabled
+     * @memberof SupplyFlowService
+     */
+    async getCoinFlows(identifier) {
+        const analysis = await this._analyze();
+        if (!analysis) return null;
+        const id = String(identifier || '').toLowerCase();
+        return analysis.coins.find(c => c.slug === id)
+            || analysis.coins.find(c => (c.symbol || '').toLowerCase() === id)
+            || null;
+    }
+
+    /**
+     * Gets flows per window for one chain, summed over its coins.
+     *
+     * @param {string} chain - Chain name as shown on platform pages (case-insensitive)
+     * @returns {Promise<Object|null>} Chain flows (see SupplyFlowAnalyzer.summarizeChain), or null when disabled
+     * @memberof SupplyFlowService
+     */
+    async getChainFlows(chain) {
+        const analysis = await this._analyze();
+        if (!analysis) return null;
+        return this.analyzer.summarizeChain(analysis.coins, chain);
+    }
+
+    /**
+     * Gets totals and per-chain flows across all coins.
+     *
+     * @returns {Promise<Object|null>} { timestamp, windows } (see SupplyFlowAnalyzer.summarizeAll), or null when disabled
+     * @memberof SupplyFlowService
+     */
+    async getOverview() {
+        const analysis = await this._analyze();
+        if (!analysis) return null;
+        return { timestamp: analysis.timestamp, windows: analysis.overview };
+    }
+
+    /**
+     * Computes flows for every coin of the current dataset, reusing the result until the dataset changes.
+     *
+     * @returns {Promise<Object|null>} { timestamp, coins, overview }, or null when disabled
+     * @private
+     * @memberof SupplyFlowService
+     */
+    async _analyze() {
+        if (!this.isEnabled() || !this.dataService) return null;
+        const metrics = await this.dataService.getMarketMetrics();
+        const key = metrics?.lastUpdated || 0;
+        if (this._cache && this._cache.key === key) return this._cache.promise;
+
+        const promise = this._compute(key).catch(error => {
+            log.warn('Supply flow analysis failed', { error: error.message });
+            this._cache = null;
+            return null;
+        });
+        this._cache = { key, promise };
+        return promise;
+    }
+
+    /**
+     * Loads history and analyzes each coin.
+     *
+     * @param {number} timestamp - Time of the current dataset (milliseconds)
+     * @returns {Promise<Object>} { timestamp, coins, overview }
+     * @private
+     * @memberof SupplyFlowService
+     */
+    async _compute(timestamp) {
+        const now = timestamp || Date.now();
+        const records = await this.dataService.getStablecoins();
+        const longest = Math.max(...Object.values(SupplyFlowAnalyzer.WINDOWS));
+
+        // Group history by coin in one pass; one extra day finds the point just before the 30d window
+        const pointsBySlug = new Map();
+        if (this.snapshotStore && this.snapshotStore.isEnabled()) {
+            const entries = await this.snapshotStore.getHistory({ from: now - longest - DAY_MS, to: now });
+            for (const entry of entries) {
+                for (const coin of entry.coins || []) {
+                    if (!pointsBySlug.has(coin.id)) pointsBySlug.set(coin.id, []);
+                    pointsBySlug.get(coin.id).push({ timestamp: entry.timestamp, chains: coin.chains || {} });
+                }
+            }
+        }
+
+        const coins = records.map(record => {
+            const slug = String(record.slug || record.symbol || '').toLowerCase();
+            return this.analyzer.analyzeCoin(record, pointsBySlug.get(slug) || [], now);
+        });
+        return { timestamp: now, coins, overview: this.analyzer.summarizeAll(coins) };
+    }
+}
+
+module.exports = SupplyFlowService;
@@ -0,0 +1,331 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('../config/AppConfig');
+const logger = require('../app/logger');
+
+const log = logger.forModule('webhooks');
+
+/**
+ * Event names emitted by the dispatcher.
+ * Endpoint filters match these exactly, by prefix wildcard ('alert.*') or with '*'.
+ */
+const EVENTS = {
+    ALERT_CREATED: 'alert.created',
+    ALERT_RESOLVED: 'alert.resolved',
+    REFRESH_FAILED: 'refresh.failed',
+    DEGRADED_ENTERED: 'degraded.entered',
+    DEGRADED_EXITED: 'degraded.exited',
+    MARKET_CAP_MOVE: 'marketcap.move'
+};
+
+/**
+ * Delivers signed JSON webhook notifications for health alerts and data events.
+ * Subscribes to HealthMonitor alert lifecycle events and StablecoinDataService refreshes,
+ * and POSTs `{ id, event, timestamp, data }` payloads to each configured endpoint whose
+ * event filter matches. Failed deliveries are retried with exponential backoff; deliveries
+ * that exhaust their retries are appended to a JSONL dead-letter log.
+ *
+ * Each request carries:
+ *  - `X-StablecoinWatch-Event`: event name
+ *  - `X-StablecoinWatch-Delivery`: unique delivery id
+ *  - `X-StablecoinWatch-Timestamp`: Unix time in milliseconds
+ *  - `X-StablecoinWatch-Signature`: `sha256=` HMAC of `${timestamp}.${body}` using the endpoint secret
+ *
+ * @class WebhookDispatcher
+ */
+class WebhookDispatcher {
+    /**
+     * Creates an instance of WebhookDispatcher.
+     *
+     * @param {Object} [options={}] - Overrides for AppConfig.webhooks settings
+     * @param {Array<Object>} [options.endpoints] - Endpoint definitions { name, url, secret, events }
+     * @param {number} [options.maxRetries] - Retries after the first attempt
+     * @param {number} [options.retryDelayMs] - Base delay for exponential backoff
+     * @param {number} [options.timeoutMs] - Per-attempt request timeout
+     * @param {string} [options.deadLetterPath] - JSONL file for undeliverable payloads
+     * @memberof WebhookDispatcher
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.webhooks, ...options };
+        this.deadLetterPath = path.resolve(__dirname, '..', this.config.deadLetterPath);
+        this._pending = new Set();
+        this._previousDegraded = false; // the app starts out healthy, so a degraded first refresh is a transition
+        this._previousMarketCaps = null;
+    }
+
+    /**
+     * Checks whether any deliveries can happen.
+     *
+     * @returns {boolean} True when enabled and at least one endpoint is configured
+     * @memberof WebhookDispatcher
+     */
+    isEnabled() {
+        return this.config.enabled !== false && (this.config.endpoints || []).length > 0;
+    }
+
+    /**
+     * Subscribes to alert events and refresh results.
+     *
+     * @param {Object} services - Services to observe
+     * @param {HealthMonitor} [services.healthMonitor] - Source of alert lifecycle events
+     * @param {StablecoinDataService} [services.dataService] - Source of refresh results
+     * @returns {void}
+     * @memberof WebhookDispatcher
+     */
+    attach({ healthMonitor, dataService } = {}) {
+        if (healthMonitor && typeof healthMonitor.onAlert === 'function') {
+            healthMonitor.onAlert((event, alert) => {
+                const name = event === 'resolved' ? EVENTS.ALERT_RESOLVED : EVENTS.ALERT_CREATED;
+                this.dispatch(name, { alert });
+            });
+        }
+        if (dataService && typeof dataService.onRefresh === 'function') {
+            dataService.onRefresh(event => this.handleRefresh(event));
+        }
+    }
+
+    /**
+     * Derives refresh failure, degraded-mode transition and market-cap move events
+     * from a refresh listener event.
+     *
+     * @param {Object} event - Refresh event from StablecoinDataService.onRefresh
+     * @returns {Array<Promise>} Deliveries started for this refresh
+     * @memberof WebhookDispatcher
+     */
+    handleRefresh({ result, stablecoins, degraded } = {}) {
+        const deliveries = [];
+
+        if (result && !result.success) {
+            deliveries.push(this.dispatch(EVENTS.REFRESH_FAILED, {
+                partial: (result.stablecoinsUpdated || 0) > 0,
+                errors: result.errors || [],
+                sourceResults: result.sourceResults || [],
+                duration: result.duration
+            }));
+        }
+
+        const degradedActive = !!degraded?.active;
+        if (degradedActive !== this._previousDegraded) {
+            deliveries.push(this.dispatch(degradedActive ? EVENTS.DEGRADED_ENTERED : EVENTS.DEGRADED_EXITED, {
+                reasons: degraded?.reasons || []
+            }));
+        }
+        this._previousDegraded = degradedActive;
+
+        // Only compare market caps when this refresh actually produced new data
+        if (result && result.stablecoinsUpdated > 0) {
+            for (const move of this._detectMarketCapMoves(stablecoins || [])) {
+                deliveries.push(this.dispatch(EVENTS.MARKET_CAP_MOVE, move));
+            }
+        }
+
+        return deliveries;
+    }
+
+    /**
+     * Sends an event to every endpoint whose filter matches.
+     *
+     * @param {string} event - Event name (see EVENTS)
+     * @param {Object} data - Event data
+     * @returns {Promise<Array<Object>>} Delivery results per endpoint
+     * @memberof WebhookDispatcher
+     */
+    dispatch(event, data) {
+        if (!this.isEnabled()) return Promise.resolve([]);
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        const targets = this.config.endpoints.filter(endpoint => this._matchesFilter(endpoint.events, event));
+        const run = Promise.all(targets.map(endpoint => this._deliver(endpoint, payload)));
+        this._pending.add(run);
+        run.finally(() => this._pending.delete(run)).catch(() => {});
+        return run;
+    }
+
+    /**
+     * Waits for all in-flight deliveries (including retries) to finish.
+     *
+     * @returns {Promise<void>}
+     * @memberof WebhookDispatcher
+     */
+    async flush() {
+        while (this._pending.size > 0) {
+            await Promise.allSettled(Array.from(this._pending));
+        }
+    }
+
+    /**
+     * Signs a request body for an endpoint secret.
+     *
+     * @param {string} secret - Endpoint secret
+     * @param {number} timestamp - Unix time in milliseconds sent in the timestamp header
+     * @param {string} body - Raw JSON body
+     * @returns {string} Signature header value (`sha256=<hex>`)
+     * @memberof WebhookDispatcher
+     */
+    static sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * Delivers a payload to one endpoint with retry and dead-lettering.
+     *
+     * @param {Object} endpoint - Endpoint definition
+     * @param {Object} payload - Event payload
+     * @returns {Promise<Object>} Result with endpoint, delivered, attempts and error
+     * @private
+     * @memberof WebhookDispatcher
+     */
+    async _deliver(endpoint, payload) {
+        const body = JSON.stringify(payload);
+        const maxAttempts = Math.max(1, (this.config.maxRetries || 0) + 1);
+        let lastError = null;
+        let attempts = 0;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            attempts = attempt;
+            try {
+                const timestamp = Date.now();
+                const headers = {
+                    'Content-Type': 'application/json',
+                    'User-Agent': AppConfig.api.userAgent,
+                    'X-StablecoinWatch-Event': payload.event,
+                    'X-StablecoinWatch-Delivery': payload.id,
+                    'X-StablecoinWatch-Timestamp': String(timestamp)
+                };
+                if (endpoint.secret) {
+                    headers['X-StablecoinWatch-Signature'] = WebhookDispatcher.sign(endpoint.secret, timestamp, body);
+                }
+
+                const response = await axios.post(endpoint.url, body, {
+                    headers,
+                    timeout: this.config.timeoutMs,
+                    // Keep the body exactly as signed
+                    transformRequest: [(d) => d],
+                    validateStatus: () => true
+                });
+
+                if (response.status >= 200 && response.status < 300) {
+                    return { endpoint: endpoint.name, delivered: true, attempts: attempt, status: response.status };
+                }
+
+                lastError = `HTTP ${response.status}`;
+                // Client errors other than throttling will not succeed on retry
+                if (response.status < 500 && response.status !== 429 && response.status !== 408) break;
+            } catch (error) {
+                lastError = error.code || error.message;
+            }
+
+            if (attempt < maxAttempts) {
+                await this._sleep(this.config.retryDelayMs * Math.pow(2, attempt - 1));
+            }
+        }
+
+        await this._writeDeadLetter(endpoint, payload, lastError);
+        return { endpoint: endpoint.name, delivered: false, attempts, error: lastError };
+    }
+
+    /**
+     * Appends an undeliverable payload to the dead-letter log.
+     *
+     * @param {Object} endpoint - Endpoint definition
+     * @param {Object} payload - Event payload
+     * @param {string} error - Last delivery error
+     * @returns {Promise<void>}
+     * @private
+     * @memberof WebhookDispatcher
+     */
+    async _writeDeadLetter(endpoint, payload, error) {
+        const entry = {
+            endpoint: endpoint.name,
+            url: endpoint.url,
+            error,
+            failedAt: new Date().toISOString(),
+            payload
+        };
+        try {
+            await fs.promises.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+            await fs.promises.appendFile(this.deadLetterPath, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (writeError) {
+            log.warn('Cannot write dead letter', { path: this.deadLetterPath, error: writeError.message });
+        }
+        log.warn('Webhook delivery failed', { endpoint: endpoint.name, event: payload.event, error });
+    }
+
+    /**
+     * Compares market caps with the previous refresh and returns moves above the threshold.
+     *
+     * @param {Array<Object>} stablecoins - Aggregated stablecoin records
+     * @returns {Array<Object>} Market cap moves
+     * @private
+     * @memberof WebhookDispatcher
+     */
+    _detectMarketCapMoves(stablecoins) {
+        const current = new Map();
+        for (const coin of stablecoins) {
+            const marketCap = coin.marketData?.marketCap;
+            if (typeof marketCap === 'number' && isFinite(marketCap)) {
+                current.set((coin.slug || coin.symbol || '').toLowerCase(), { coin, marketCap });
+            }
+        }
+
+        const moves = [];
+        if (this._previousMarketCaps) {
+            for (const [slug, { coin, marketCap }] of current) {
+                const previous = this._previousMarketCaps.get(slug);
+                if (!previous || previous <= 0) continue;
+                if (Math.max(previous, marketCap) < this.config.marketCapMoveMinimum) continue;
+                const change = (marketCap - previous) / previous;
+                if (Math.abs(change) >= this.config.marketCapMoveThreshold) {
+                    moves.push({
+                        slug,
+                        symbol: coin.symbol,
+                        name: coin.name,
+                        previousMarketCap: previous,
+                        marketCap,
+                        change
+                    });
+                }
+            }
+        }
+
+        this._previousMarketCaps = new Map(Array.from(current, ([slug, v]) => [slug, v.marketCap]));
+        return moves;
+    }
+
+    /**
+     * Checks an endpoint event filter against an event name.
+     *
+     * @param {Array<string>} filters - Event names, 'prefix.*' wildcards or '*'
+     * @param {string} event - Event name
+     * @returns {boolean} True when the endpoint wants the event
+     * @private
+     * @memberof WebhookDispatcher
+     */
+    _matchesFilter(filters, event) {
+        return (filters || ['*']).some(f => f === '*' || f === event || (f.endsWith('.*') && event.startsWith(f.slice(0, -1))));
+    }
+
+    /**
+     * Promise-based delay.
+     *
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<void>}
+     * @private
+     * @memberof WebhookDispatcher
+     */
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+WebhookDispatcher.EVENTS = EVENTS;
+
+module.exports = WebhookDispatcher;
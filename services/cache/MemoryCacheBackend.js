@@ -0,0 +1,91 @@
+/**
+ * In-process cache backend with least-recently-used eviction.
+ *
+ * Stores serialized entries in a Map, whose insertion order doubles as recency order:
+ * reads move an entry to the end and the first entry is evicted once `maxSize` is exceeded.
+ * Methods are async so the backend is interchangeable with RedisCacheBackend.
+ *
+ * @class MemoryCacheBackend
+ */
+class MemoryCacheBackend {
+    /**
+     * Creates an instance of MemoryCacheBackend.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {number} [options.maxSize=1000] - Maximum number of entries
+     * @param {Function} [options.now] - Clock, for tests
+     * @memberof MemoryCacheBackend
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 1000;
+        this.now = options.now || Date.now;
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+
+    /**
+     * Number of stored entries, including expired ones not yet read.
+     *
+     * @returns {number} Entry count
+     * @memberof MemoryCacheBackend
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Reads a value and marks it as recently used.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<string|null>} Stored value, or null when missing or expired
+     * @memberof MemoryCacheBackend
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Stores a value, evicting the least recently used entries when full.
+     *
+     * @param {string} key - Cache key
+     * @param {string} value - Serialized value
+     * @param {number} [ttlMs] - Time to live; omitted or 0 keeps the entry until evicted
+     * @returns {Promise<void>}
+     * @memberof MemoryCacheBackend
+     */
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: ttlMs > 0 ? this.now() + ttlMs : null });
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     * @memberof MemoryCacheBackend
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Releases resources (nothing to release in memory).
+     *
+     * @returns {Promise<void>}
+     * @memberof MemoryCacheBackend
+     */
+    async close() {}
+}
+
+module.exports = MemoryCacheBackend;
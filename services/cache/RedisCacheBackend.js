@@ -0,0 +1,273 @@
+const net = require('net');
+
+const CONNECT_RETRY_MS = 30000;
+
+/**
+ * Encodes a command as a RESP array of bulk strings.
+ *
+ * @param {Array<string>} args - Command name and arguments
+ * @returns {string} Wire format
+ * @private
+ */
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const text = String(arg);
+        out += `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+    }
+    return out;
+}
+
+/**
+ * Parses one RESP reply from a buffer.
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} start - Offset of the reply
+ * @returns {{value: *, offset: number}|null} Reply (Error for error replies) and the offset after it, or null if incomplete
+ * @private
+ */
+function parseReply(buffer, start) {
+    const lineEnd = buffer.indexOf('\r\n', start);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[start]);
+    const line = buffer.toString('utf8', start + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+': return { value: line, offset: next };
+        case '-': return { value: new Error(line), offset: next };
+        case ':': return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let offset = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, offset);
+                if (!item) return null;
+                items.push(item.value);
+                offset = item.offset;
+            }
+            return { value: items, offset };
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type: ${type}`);
+    }
+}
+
+/**
+ * Network cache backend speaking the Redis protocol (RESP2) over a plain TCP socket.
+ *
+ * Works with Redis and with compatible servers (Valkey, KeyDB, local stand-ins) as it only
+ * uses AUTH, SELECT, GET, SET with PX and DEL. Keys are namespaced with `keyPrefix`. The
+ * connection opens lazily and does not keep the process alive; after a connection failure
+ * commands fail fast for 30 seconds before the next attempt.
+ *
+ * @class RedisCacheBackend
+ */
+class RedisCacheBackend {
+    /**
+     * Creates an instance of RedisCacheBackend.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.url='redis://127.0.0.1:6379'] - Server URL; credentials and /db are honoured
+     * @param {string} [options.keyPrefix=''] - Prefix added to every key
+     * @param {number} [options.timeoutMs=2000] - Connect and command timeout
+     * @memberof RedisCacheBackend
+     */
+    constructor(options = {}) {
+        const url = new URL(options.url || 'redis://127.0.0.1:6379');
+        this.host = url.hostname;
+        this.port = Number(url.port) || 6379;
+        this.username = url.username ? decodeURIComponent(url.username) : null;
+        this.password = url.password ? decodeURIComponent(url.password) : null;
+        this.db = url.pathname.length > 1 ? Number(url.pathname.slice(1)) : 0;
+        this.keyPrefix = options.keyPrefix || '';
+        this.timeoutMs = options.timeoutMs || 2000;
+
+        this.socket = null;
+        this.connecting = null;
+        this.retryAt = 0;
+        this.pending = []; // replies are returned in command order
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Reads a value.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<string|null>} Stored value, or null when missing or expired
+     * @memberof RedisCacheBackend
+     */
+    async get(key) {
+        return this._command(['GET', this.keyPrefix + key]);
+    }
+
+    /**
+     * Stores a value.
+     *
+     * @param {string} key - Cache key
+     * @param {string} value - Serialized value
+     * @param {number} [ttlMs] - Time to live; omitted or 0 stores without expiry
+     * @returns {Promise<void>}
+     * @memberof RedisCacheBackend
+     */
+    async set(key, value, ttlMs) {
+        const args = ['SET', this.keyPrefix + key, value];
+        if (ttlMs > 0) args.push('PX', String(Math.ceil(ttlMs)));
+        await this._command(args);
+    }
+
+    /**
+     * Removes a value.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     * @memberof RedisCacheBackend
+     */
+    async delete(key) {
+        await this._command(['DEL', this.keyPrefix + key]);
+    }
+
+    /**
+     * Closes the connection.
+     *
+     * @returns {Promise<void>}
+     * @memberof RedisCacheBackend
+     */
+    async close() {
+        this._reset(new Error('Redis connection closed'));
+    }
+
+    /**
+     * Sends a command once connected.
+     *
+     * @param {Array<string>} args - Command name and arguments
+     * @returns {Promise<*>} Reply
+     * @private
+     * @memberof RedisCacheBackend
+     */
+    async _command(args) {
+        await this._connect();
+        return this._send(args);
+    }
+
+    /**
+     * Opens the connection and authenticates, reusing an open or opening connection.
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} When the server cannot be reached or rejects AUTH/SELECT
+     * @private
+     * @memberof RedisCacheBackend
+     */
+    _connect() {
+        if (this.socket && !this.connecting) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+        if (Date.now() < this.retryAt) {
+            return Promise.reject(new Error(`Redis at ${this.host}:${this.port} unavailable; retrying after ${new Date(this.retryAt).toISOString()}`));
+        }
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setNoDelay(true);
+            socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`)));
+            socket.on('data', (chunk) => this._onData(chunk));
+            socket.on('error', (error) => {
+                if (!this.socket) this.retryAt = Date.now() + CONNECT_RETRY_MS;
+                if (this.socket === socket) this._reset(error);
+                reject(error);
+            });
+            socket.on('close', () => {
+                if (this.socket === socket) this._reset(new Error('Redis connection closed'));
+            });
+            socket.once('connect', async () => {
+                socket.setTimeout(0);
+                socket.unref();
+                this.socket = socket;
+                try {
+                    if (this.password) {
+                        await this._send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+                    }
+                    if (this.db) await this._send(['SELECT', String(this.db)]);
+                    resolve();
+                } catch (error) {
+                    this._reset(error);
+                    reject(error);
+                }
+            });
+        }).finally(() => { this.connecting = null; });
+
+        return this.connecting;
+    }
+
+    /**
+     * Writes a command and waits for its reply.
+     *
+     * @param {Array<string>} args - Command name and arguments
+     * @returns {Promise<*>} Reply
+     * @private
+     * @memberof RedisCacheBackend
+     */
+    _send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._reset(new Error(`Redis ${args[0]} timed out after ${this.timeoutMs}ms`));
+            }, this.timeoutMs);
+            if (typeof timer.unref === 'function') timer.unref();
+            this.pending.push({ resolve, reject, timer });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    /**
+     * Matches complete replies in the receive buffer to pending commands.
+     *
+     * @param {Buffer} chunk - Received bytes
+     * @private
+     * @memberof RedisCacheBackend
+     */
+    _onData(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        let reply;
+        try {
+            while (this.buffer.length && (reply = parseReply(this.buffer, 0))) {
+                this.buffer = this.buffer.subarray(reply.offset);
+                const request = this.pending.shift();
+                if (!request) continue;
+                clearTimeout(request.timer);
+                if (reply.value instanceof Error) request.reject(reply.value);
+                else request.resolve(reply.value);
+            }
+        } catch (error) {
+            // Out of sync with the server: later replies cannot be matched to commands
+            this._reset(error);
+        }
+    }
+
+    /**
+     * Drops the connection and fails every pending command.
+     *
+     * @param {Error} error - Reason given to pending commands
+     * @private
+     * @memberof RedisCacheBackend
+     */
+    _reset(error) {
+        if (this.socket) this.socket.destroy();
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        const pending = this.pending;
+        this.pending = [];
+        for (const request of pending) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+    }
+}
+
+module.exports = RedisCacheBackend;
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('../../config/AppConfig');
+const logger = require('../../app/logger');
+
+const log = logger.forModule('chainConcentration');
+
+/**
+ * Herfindahl-Hirschman bands used by competition authorities (0-10000 scale)
+ */
+const HHI_LEVELS = [
+    { max: 1500, level: 'unconcentrated' },
+    { max: 2500, level: 'moderate' },
+    { max: Infinity, level: 'high' }
+];
+
+/**
+ * ChainConcentration - Concentration indices for the stablecoin value held on each chain
+ *
+ * Shares are taken from USD value (the market cap allocated to the chain), so coins pegged to
+ * different currencies or commodities compare on one scale.
+ *
+ * For every chain it reports:
+ *  - the Herfindahl-Hirschman index (sum of squared percentage shares) of the coins on it
+ *  - the share of the largest coin and whether it exceeds `AppConfig.chainAnalytics.dominanceThreshold`
+ *  - the same index over issuers, grouped with the issuer file (`{ "issuers": { "<issuer>": ["<symbol>", ...] } }`);
+ *    coins the file does not list count as their own issuer
+ *  - the value mix by pegged currency
+ *  - the index and leading share at the start of each history period
+ *
+ * Earlier values use the value each coin had on the chain at the start of the period.
+ * Coins without history for a period are assumed unchanged; a period where no coin has history is null.
+ */
+class ChainConcentration {
+    /**
+     * Creates an instance of ChainConcentration
+     * @param {Object} [options={}] - Overrides for AppConfig.chainAnalytics settings
+     * @param {number} [options.dominanceThreshold] - Share (0-1) above which one coin dominates a chain
+     * @param {string} [options.issuersPath] - JSON issuer file (relative paths resolve from project root)
+     * @param {Object} [options.issuers] - Issuer mapping to use instead of reading the file
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.chainAnalytics, ...options };
+        this.issuerBySymbol = this._loadIssuers();
+    }
+
+    /**
+     * Herfindahl-Hirschman index of a set of sizes
+     * @param {Array<number>} values - Sizes (e.g. USD value per coin); non-positive values are ignored
+     * @returns {number|null} Index from 0 to 10000, or null when nothing is held
+     */
+    static hhi(values) {
+        const sizes = values.filter(v => typeof v === 'number' && v > 0);
+        const total = sizes.reduce((sum, v) => sum + v, 0);
+        if (total <= 0) return null;
+        return Math.round(sizes.reduce((sum, v) => sum + ((v / total) * 100) ** 2, 0));
+    }
+
+    /**
+     * Concentration band of an index
+     * @param {number|null} hhi - Herfindahl-Hirschman index
+     * @returns {string|null} 'unconcentrated', 'moderate' or 'high'
+     */
+    static level(hhi) {
+        if (typeof hhi !== 'number') return null;
+        return HHI_LEVELS.find(band => hhi <= band.max).level;
+    }
+
+    /**
+     * Issuer of a coin
+     * @param {string} symbol - Coin ticker
+     * @returns {string} Issuer name from the issuer file, or the ticker itself
+     */
+    issuerOf(symbol) {
+        const key = String(symbol || '').toUpperCase();
+        return this.issuerBySymbol.get(key) || String(symbol || 'Unknown');
+    }
+
+    /**
+     * Concentration of one chain
+     * @param {Array<Object>} holdings - Coins on the chain as { symbol, peg, value, previous: { <period>: value|null } }, in USD
+     * @returns {Object} { hhi, level, dominant_share, single_coin_dominated, issuer_hhi, issuer_level,
+     *   issuers: [{ issuer, value, percentage }], peg_mix: [{ peg, value, percentage }],
+     *   history: { <period>: { hhi, dominant_share, total_value } | null } }
+     */
+    analyzeChain(holdings) {
+        const held = holdings.filter(h => h.value > 0);
+        const total = held.reduce((sum, h) => sum + h.value, 0);
+        const hhi = ChainConcentration.hhi(held.map(h => h.value));
+        const dominantShare = ChainConcentration._share(Math.max(0, ...held.map(h => h.value)), total);
+
+        const issuers = this._breakdown(held, h => this.issuerOf(h.symbol), total)
+            .map(({ key, value, percentage }) => ({ issuer: key, value, percentage }));
+        const pegMix = this._breakdown(held, h => h.peg || 'Unknown', total)
+            .map(({ key, value, percentage }) => ({ peg: key, value, percentage }));
+        const issuerHhi = ChainConcentration.hhi(issuers.map(i => i.value));
+
+        const periods = new Set(held.flatMap(h => Object.keys(h.previous || {})));
+        const history = {};
+        for (const period of periods) {
+            if (!held.some(h => h.previous?.[period] > 0)) {
+                history[period] = null;
+                continue;
+            }
+            const values = held.map(h => (h.previous?.[period] > 0 ? h.previous[period] : h.value));
+            const previousTotal = values.reduce((sum, v) => sum + v, 0);
+            history[period] = {
+                hhi: ChainConcentration.hhi(values),
+                dominant_share: ChainConcentration._share(Math.max(...values), previousTotal),
+                total_value: previousTotal
+            };
+        }
+
+        return {
+            hhi,
+            level: ChainConcentration.level(hhi),
+            dominant_share: dominantShare,
+            single_coin_dominated: total > 0 && dominantShare > this.config.dominanceThreshold * 100,
+            issuer_hhi: issuerHhi,
+            issuer_level: ChainConcentration.level(issuerHhi),
+            issuers,
+            peg_mix: pegMix,
+            history
+        };
+    }
+
+    /**
+     * Cross-chain summary of analyzed platforms
+     * @param {Array<Object>} platforms - Platform data entries with { name, mcap_sum, concentration }
+     * @returns {Object} { chain_count, dominated_chain_count, concentrated_chain_count, dominance_threshold, cross_chain_hhi,
+     *   top_chain: { name, share } | null, history: { <period>: { cross_chain_hhi, top_chain_share, dominated_chain_count } | null } }
+     */
+    summarize(platforms) {
+        const chains = platforms.filter(p => p.mcap_sum > 0 && p.concentration);
+        const total = chains.reduce((sum, p) => sum + p.mcap_sum, 0);
+        const top = chains.reduce((best, p) => (!best || p.mcap_sum > best.mcap_sum ? p : best), null);
+        const threshold = this.config.dominanceThreshold * 100;
+
+        const periods = new Set(chains.flatMap(p => Object.keys(p.concentration.history || {})));
+        const history = {};
+        for (const period of periods) {
+            if (!chains.some(p => p.concentration.history?.[period])) {
+                history[period] = null;
+                continue;
+            }
+            const earlier = chains.map(p => p.concentration.history?.[period] || {
+                total_value: p.mcap_sum,
+                dominant_share: p.concentration.dominant_share
+            });
+            const previousTotal = earlier.reduce((sum, h) => sum + h.total_value, 0);
+            history[period] = {
+                cross_chain_hhi: ChainConcentration.hhi(earlier.map(h => h.total_value)),
+                top_chain_share: ChainConcentration._share(Math.max(...earlier.map(h => h.total_value)), previousTotal),
+                dominated_chain_count: earlier.filter(h => h.dominant_share > threshold).length
+            };
+        }
+
+        return {
+            chain_count: chains.length,
+            dominated_chain_count: chains.filter(p => p.concentration.single_coin_dominated).length,
+            concentrated_chain_count: chains.filter(p => p.concentration.level === 'high').length,
+            dominance_threshold: threshold,
+            cross_chain_hhi: ChainConcentration.hhi(chains.map(p => p.mcap_sum)),
+            top_chain: top ? { name: top.name, share: ChainConcentration._share(top.mcap_sum, total) } : null,
+            history
+        };
+    }
+
+    /**
+     * Groups holdings by a key and computes each group's share
+     * @param {Array<Object>} holdings - Coins with value
+     * @param {Function} keyOf - Maps a holding to its group
+     * @param {number} total - Value on the chain
+     * @returns {Array<Object>} [{ key, value, percentage }], largest first
+     * @private
+     */
+    _breakdown(holdings, keyOf, total) {
+        const groups = new Map();
+        for (const holding of holdings) {
+            const key = keyOf(holding);
+            groups.set(key, (groups.get(key) || 0) + holding.value);
+        }
+        return Array.from(groups, ([key, value]) => ({ key, value, percentage: ChainConcentration._share(value, total) }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Reads the issuer file. A missing or invalid file means every coin is its own issuer.
+     * @returns {Map<string, string>} Issuer name by upper-case ticker
+     * @private
+     */
+    _loadIssuers() {
+        const bySymbol = new Map();
+        let mapping = this.config.issuers ? { issuers: this.config.issuers } : null;
+
+        if (!mapping && this.config.issuersPath) {
+            const file = path.resolve(__dirname, '..', '..', this.config.issuersPath);
+            if (fs.existsSync(file)) {
+                try {
+                    mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (error) {
+                    log.warn('Cannot read issuer file', { path: this.config.issuersPath, error: error.message });
+                }
+            }
+        }
+
+        const issuers = mapping?.issuers;
+        if (!issuers || typeof issuers !== 'object' || Array.isArray(issuers)) {
+            if (mapping) log.warn('Issuer file must contain an "issuers" object', { path: this.config.issuersPath });
+            return bySymbol;
+        }
+        for (const [issuer, symbols] of Object.entries(issuers)) {
+            for (const symbol of Array.isArray(symbols) ? symbols : []) {
+                bySymbol.set(String(symbol).toUpperCase(), issuer);
+            }
+        }
+        return bySymbol;
+    }
+
+    /**
+     * Percentage of a part, rounded to two decimals
+     * @param {number} part - Part size
+     * @param {number} total - Whole size
+     * @returns {number} Percentage from 0 to 100
+     * @private
+     */
+    static _share(part, total) {
+        return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+    }
+}
+
+ChainConcentration.HHI_LEVELS = HHI_LEVELS;
+
+module.exports = ChainConcentration;
@@ -0,0 +1,101 @@
+/**
+ * Lineage rules describing how a merged value was chosen.
+ */
+const RULES = {
+    PRIORITY: 'priority',   // Highest-priority source with a value wins
+    OVERRIDE: 'override',   // A designated source always wins when present
+    CONSENSUS: 'consensus', // Value derived from agreement across sources
+    UNION: 'union',         // Values from all sources are combined
+    DEFAULT: 'default'      // No source provided a value; a fallback was used
+};
+
+/**
+ * FieldLineage - Records the provenance of each merged field on an aggregated record
+ *
+ * Wraps the per-symbol merge: every pick records the candidate value offered by each
+ * source (with its effective priority), the winning source and the rule that chose it.
+ * The result is stored on the aggregated record as `lineage`, keyed by field path
+ * (e.g. 'marketData.price', 'metadata.description').
+ */
+class FieldLineage {
+    /**
+     * Creates an instance of FieldLineage
+     * @param {Array<Object>} entries - Standardized records for one asset as { sourceId, data }
+     * @param {Map<string, number>} sourcePriority - Effective priority per source id
+     */
+    constructor(entries = [], sourcePriority = new Map()) {
+        this.entries = entries;
+        this.sourcePriority = sourcePriority;
+        this.fields = {};
+    }
+
+    /**
+     * Collects the value each source offers for a field, highest priority first
+     * @param {Function} picker - Extracts the field value from a standardized record
+     * @returns {Array<Object>} Candidates as { source, value, priority }
+     */
+    candidates(picker) {
+        const result = [];
+        for (const { sourceId, data } of this.entries) {
+            const value = picker(data);
+            if (value === undefined || value === null) continue;
+            result.push({ source: sourceId, value, priority: this.sourcePriority.get(sourceId) || 0 });
+        }
+        return result.sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Picks the value from the highest-priority source that has one and records its lineage.
+     * Ties keep the first source encountered, matching the original merge behaviour.
+     * @param {string} field - Field path on the aggregated record
+     * @param {Function} picker - Extracts the field value from a standardized record
+     * @param {*} [fallback=null] - Value the caller uses when no source provides one (recorded only)
+     * @returns {Object|null} Winner as { value, sourceId } or null when no source has a value
+     */
+    pick(field, picker, fallback = null) {
+        let best = null;
+        let bestPrio = -Infinity;
+        for (const { sourceId, data } of this.entries) {
+            const value = picker(data);
+            const prio = this.sourcePriority.get(sourceId) || 0;
+            if ((value !== undefined && value !== null) && prio > bestPrio) {
+                bestPrio = prio;
+                best = { value, sourceId };
+            }
+        }
+
+        this.record(field, best
+            ? { value: best.value, source: best.sourceId, rule: RULES.PRIORITY, candidates: this.candidates(picker) }
+            : { value: fallback, source: null, rule: RULES.DEFAULT, candidates: [] });
+        return best;
+    }
+
+    /**
+     * Records lineage for a field chosen outside of pick()
+     * @param {string} field - Field path on the aggregated record
+     * @param {Object} entry - Lineage entry
+     * @param {*} entry.value - Final merged value
+     * @param {string|null} entry.source - Winning source id (null for union/default)
+     * @param {string} entry.rule - One of FieldLineage.RULES
+     * @param {Array<Object>} [entry.candidates=[]] - Candidate values as { source, value, priority }
+     * @param {string} [entry.note] - Human-readable explanation of the rule
+     * @param {Array<Object>} [entry.excluded] - Candidates left out of the value as { source, value, reason }
+     */
+    record(field, { value, source = null, rule, candidates = [], note, excluded }) {
+        this.fields[field] = { value, source, rule, candidates };
+        if (note) this.fields[field].note = note;
+        if (excluded && excluded.length) this.fields[field].excluded = excluded;
+    }
+
+    /**
+     * Gets the recorded lineage
+     * @returns {Object} Lineage entries keyed by field path
+     */
+    toJSON() {
+        return this.fields;
+    }
+}
+
+FieldLineage.RULES = RULES;
+
+module.exports = FieldLineage;
@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('../../config/AppConfig');
+const logger = require('../../app/logger');
+
+const log = logger.forModule('identity');
+
+/**
+ * Evidence used to link records, strongest first.
+ */
+const MATCH_TYPES = {
+    OVERRIDE: 'override',             // Manual mapping file
+    CONTRACT_ADDRESS: 'contractAddress', // Same token contract in networkBreakdown/platforms
+    EXTERNAL_ID: 'externalId',        // Shared provider id (e.g. CoinGecko id reported by DeFiLlama)
+    SYMBOL_NAME: 'symbolName'         // Same ticker and similar name
+};
+
+/**
+ * IdentityResolver - Decides which standardized records from different sources describe the same asset
+ *
+ * Records are linked, in order, by:
+ *  1. the manual override file (`{ "identities": { "<key>": ["<sourceId>:<id or slug>", ...] } }`)
+ *  2. shared contract addresses from `supplyData.networkBreakdown` / `platforms`
+ *  3. shared provider ids from `externalIds` (CoinGecko, CMC, ...)
+ *  4. the same ticker with a name similarity of at least `AppConfig.dataProcessing.matchThreshold`
+ *
+ * A resolved identity never holds two records from the same source unless the override file says so.
+ * Records pinned by an override only join other records through overrides or strong identifiers.
+ * Links that were refused or had several equally valid targets are reported as ambiguous.
+ */
+class IdentityResolver {
+    /**
+     * Creates an instance of IdentityResolver
+     * @param {Object} [options={}] - Overrides for AppConfig.dataProcessing settings
+     * @param {number} [options.matchThreshold] - Minimum name similarity (0-1) for ticker matches
+     * @param {string} [options.identityOverridesPath] - JSON override file (relative paths resolve from project root)
+     * @param {Object} [options.overrides] - Override mapping to use instead of reading the file
+     */
+    constructor(options = {}) {
+        const { matchThreshold, identityOverridesPath } = AppConfig.dataProcessing;
+        this.config = { matchThreshold, identityOverridesPath, ...options };
+        this.overridesPath = this.config.identityOverridesPath
+            ? path.resolve(__dirname, '..', '..', this.config.identityOverridesPath)
+            : null;
+    }
+
+    /**
+     * Groups standardized records into identities
+     * @param {Array<Object>} entries - Records as { sourceId, data }
+     * @param {Map<string, number>} [sourcePriority=new Map()] - Effective priority per source id, used for group keys
+     * @returns {Object} { groups: [{ key, entries, matchedBy, override }], ambiguous: [...], overrideErrors: [...] }
+     */
+    resolve(entries, sourcePriority = new Map()) {
+        const { references, errors: overrideErrors } = this._loadOverrides();
+        const ambiguous = [];
+        const clusters = entries.map(entry => ({
+            entries: [entry],
+            sources: new Set([entry.sourceId]),
+            matchedBy: new Set(),
+            override: null
+        }));
+        const parent = clusters.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        const union = (a, b, matchType, evidence) => {
+            const ra = find(a);
+            const rb = find(b);
+            if (ra === rb) return true;
+            const ca = clusters[ra];
+            const cb = clusters[rb];
+
+            if (matchType !== MATCH_TYPES.OVERRIDE) {
+                if (ca.override && cb.override && ca.override !== cb.override) {
+                    ambiguous.push(this._describe('Linked records are mapped to different override identities', evidence, [ca, cb]));
+                    return false;
+                }
+                const shared = [...ca.sources].filter(s => cb.sources.has(s));
+                if (shared.length) {
+                    ambiguous.push(this._describe(`Link would merge several records from ${shared.join(', ')}`, evidence, [ca, cb]));
+                    return false;
+                }
+            }
+
+            parent[rb] = ra;
+            ca.entries.push(...cb.entries);
+            cb.sources.forEach(s => ca.sources.add(s));
+            cb.matchedBy.forEach(m => ca.matchedBy.add(m));
+            ca.matchedBy.add(matchType);
+            ca.override = ca.override || cb.override;
+            return true;
+        };
+
+        // 1) Manual overrides
+        const pinned = new Map();
+        entries.forEach((entry, i) => {
+            const key = this._overrideKey(entry, references);
+            if (!key) return;
+            clusters[i].override = key;
+            if (pinned.has(key)) union(pinned.get(key), i, MATCH_TYPES.OVERRIDE);
+            else pinned.set(key, i);
+        });
+
+        // 2-3) Contract addresses and provider ids
+        const owners = new Map();
+        entries.forEach((entry, i) => {
+            for (const { identifier, matchType } of this._strongIdentifiers(entry)) {
+                if (!owners.has(identifier)) {
+                    owners.set(identifier, i);
+                    continue;
+                }
+                union(owners.get(identifier), i, matchType, identifier);
+            }
+        });
+
+        // 4) Same ticker and similar name
+        const bySymbol = new Map();
+        entries.forEach((entry, i) => {
+            const symbol = this._symbolOf(entry.data);
+            if (!symbol) return;
+            if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+            bySymbol.get(symbol).push(i);
+        });
+        for (const [symbol, indexes] of bySymbol) {
+            // Each cluster is compared with the clusters of this ticker already visited
+            const visited = [];
+            for (const i of indexes) {
+                const root = find(i);
+                if (visited.some(v => find(v) === root)) continue;
+                if (clusters[root].override) {
+                    visited.push(root);
+                    continue;
+                }
+
+                const candidates = [];
+                for (const other of new Set(visited.map(find))) {
+                    if (other === root || clusters[other].override) continue;
+                    if ([...clusters[root].sources].some(s => clusters[other].sources.has(s))) continue;
+                    candidates.push({ root: other, similarity: this._clusterSimilarity(clusters[root], clusters[other], symbol) });
+                }
+                visited.push(root);
+                if (!candidates.length) continue;
+
+                const matches = candidates
+                    .filter(c => c.similarity >= this.config.matchThreshold)
+                    .sort((a, b) => b.similarity - a.similarity);
+                if (!matches.length) {
+                    ambiguous.push(this._describe(
+                        `Same symbol ${symbol} but names differ (similarity ${Math.max(...candidates.map(c => c.similarity)).toFixed(2)})`,
+                        symbol,
+                        [clusters[root], ...candidates.map(c => clusters[c.root])]
+                    ));
+                    continue;
+                }
+                if (matches.length > 1 && matches[0].similarity === matches[1].similarity) {
+                    ambiguous.push(this._describe(
+                        `Several ${symbol} records match equally well (similarity ${matches[0].similarity.toFixed(2)})`,
+                        symbol,
+                        [clusters[root], ...matches.map(c => clusters[c.root])]
+                    ));
+                }
+                union(matches[0].root, root, MATCH_TYPES.SYMBOL_NAME, symbol);
+            }
+        }
+
+        const groups = clusters
+            .filter((cluster, i) => find(i) === i)
+            .map(cluster => ({
+                entries: cluster.entries,
+                matchedBy: Array.from(cluster.matchedBy),
+                override: cluster.override
+            }));
+        this._assignKeys(groups, sourcePriority);
+
+        return { groups, ambiguous, overrideErrors };
+    }
+
+    /**
+     * Normalized similarity (0-1) between two asset names.
+     * Names are compared lowercase with punctuation and spaces removed; a name fully contained
+     * in the other (e.g. 'Dai' and 'Dai Stablecoin') counts as a match, otherwise the
+     * Dice coefficient of character bigrams is used.
+     * @param {string} a - First name
+     * @param {string} b - Second name
+     * @returns {number} Similarity between 0 and 1
+     */
+    static nameSimilarity(a, b) {
+        const x = IdentityResolver.normalizeName(a);
+        const y = IdentityResolver.normalizeName(b);
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+        if (Math.min(x.length, y.length) >= 3 && (x.includes(y) || y.includes(x))) return 1;
+
+        const bigrams = (s) => {
+            const counts = new Map();
+            for (let i = 0; i < s.length - 1; i++) {
+                const bigram = s.slice(i, i + 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+        const bx = bigrams(x);
+        const by = bigrams(y);
+        let overlap = 0;
+        for (const [bigram, count] of bx) {
+            overlap += Math.min(count, by.get(bigram) || 0);
+        }
+        const total = (x.length - 1) + (y.length - 1);
+        return total > 0 ? (2 * overlap) / total : 0;
+    }
+
+    /**
+     * Normalizes a name for comparison
+     * @param {string} name - Asset name
+     * @returns {string} Lowercase alphanumeric name
+     */
+    static normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Reads the override file. A missing file means no overrides.
+     * @returns {Object} { references: Map<'sourceId:id', key>, errors: Array<string> }
+     * @private
+     */
+    _loadOverrides() {
+        const references = new Map();
+        const errors = [];
+        let mapping = this.config.overrides || null;
+
+        if (!mapping && this.overridesPath && fs.existsSync(this.overridesPath)) {
+            try {
+                mapping = JSON.parse(fs.readFileSync(this.overridesPath, 'utf8'));
+            } catch (error) {
+                errors.push(`Cannot read ${this.config.identityOverridesPath}: ${error.message}`);
+            }
+        }
+
+        const identities = mapping?.identities;
+        if (mapping && (!identities || typeof identities !== 'object' || Array.isArray(identities))) {
+            errors.push('Override file must contain an "identities" object');
+            return { references, errors };
+        }
+
+        for (const [key, refs] of Object.entries(identities || {})) {
+            if (!Array.isArray(refs)) {
+                errors.push(`Identity ${key} must list "<sourceId>:<id>" references`);
+                continue;
+            }
+            for (const ref of refs) {
+                const normalized = String(ref).trim().toLowerCase();
+                if (!/^[^:]+:.+$/.test(normalized)) {
+                    errors.push(`Invalid reference "${ref}" for identity ${key}`);
+                } else if (references.has(normalized) && references.get(normalized) !== key) {
+                    errors.push(`Reference ${normalized} is mapped to both ${references.get(normalized)} and ${key}`);
+                } else {
+                    references.set(normalized, key);
+                }
+            }
+        }
+        if (errors.length) {
+            log.warn('Identity override problems', { errors });
+        }
+        return { references, errors };
+    }
+
+    /**
+     * Finds the override identity for a record by `sourceId:id` or `sourceId:slug`
+     * @param {Object} entry - Record as { sourceId, data }
+     * @param {Map<string, string>} references - Override references
+     * @returns {string|null} Override identity key
+     * @private
+     */
+    _overrideKey({ sourceId, data }, references) {
+        if (!references.size) return null;
+        for (const value of [data?.id, data?.slug]) {
+            if (value === undefined || value === null || value === '') continue;
+            const key = references.get(`${sourceId}:${value}`.toLowerCase());
+            if (key) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Lists identifiers that identify a token regardless of its ticker
+     * @param {Object} entry - Record as { sourceId, data }
+     * @returns {Array<Object>} Identifiers as { identifier, matchType }
+     * @private
+     */
+    _strongIdentifiers({ data }) {
+        const identifiers = new Map();
+        const networks = [
+            ...(Array.isArray(data?.supplyData?.networkBreakdown) ? data.supplyData.networkBreakdown : []),
+            ...(Array.isArray(data?.platforms) ? data.platforms : [])
+        ];
+        for (const n of networks) {
+            const address = String(n?.contractAddress || '').trim().toLowerCase();
+            // Very short values are placeholders rather than addresses
+            if (address.length >= 20) {
+                identifiers.set(`address:${address}`, MATCH_TYPES.CONTRACT_ADDRESS);
+            }
+        }
+        for (const [provider, id] of Object.entries(data?.externalIds || {})) {
+            if (id === undefined || id === null || id === '') continue;
+            identifiers.set(`${provider}:${String(id).toLowerCase()}`, MATCH_TYPES.EXTERNAL_ID);
+        }
+        return Array.from(identifiers, ([identifier, matchType]) => ({ identifier, matchType }));
+    }
+
+    /**
+     * Best name similarity between any two records of two clusters
+     * @param {Object} a - Cluster
+     * @param {Object} b - Cluster
+     * @param {string} symbol - Shared ticker
+     * @returns {number} Similarity between 0 and 1
+     * @private
+     */
+    _clusterSimilarity(a, b, symbol) {
+        let best = 0;
+        for (const x of a.entries) {
+            for (const y of b.entries) {
+                const nameX = x.data?.name;
+                const nameY = y.data?.name;
+                // A record whose name is just the ticker carries no naming evidence either way;
+                // addresses, provider ids or overrides have to link it
+                if (IdentityResolver.normalizeName(nameX) === symbol.toLowerCase() ||
+                    IdentityResolver.normalizeName(nameY) === symbol.toLowerCase()) {
+                    continue;
+                }
+                // Also compare without the ticker so 'Cap cUSD' and 'Cap USD' are judged on 'Cap'
+                const ticker = symbol.toLowerCase();
+                best = Math.max(
+                    best,
+                    IdentityResolver.nameSimilarity(nameX, nameY),
+                    IdentityResolver.nameSimilarity(
+                        IdentityResolver.normalizeName(nameX).replace(ticker, ''),
+                        IdentityResolver.normalizeName(nameY).replace(ticker, '')
+                    )
+                );
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Gives every group a unique merge key. Groups keep the ticker of their highest-priority
+     * record; when several groups share a ticker the others are suffixed with their slug, or
+     * with their provider id when the slug is shared too, so keys do not depend on rank.
+     * @param {Array<Object>} groups - Resolved groups (mutated)
+     * @param {Map<string, number>} sourcePriority - Effective priority per source id
+     * @returns {void}
+     * @private
+     */
+    _assignKeys(groups, sourcePriority) {
+        const ranked = groups.map(group => {
+            const primary = group.entries.reduce((best, e) =>
+                ((sourcePriority.get(e.sourceId) || 0) > (sourcePriority.get(best.sourceId) || 0) ? e : best));
+            const marketCap = Math.max(0, ...group.entries.map(e => e.data?.marketData?.marketCap || 0));
+            return { group, primary, marketCap };
+        });
+
+        // Slug suffixes are only used when no other group with the ticker has the same slug
+        const baseOf = primary => (this._symbolOf(primary.data) || String(primary.data?.slug || primary.data?.name || '').toUpperCase());
+        const slugKeyOf = primary => `${baseOf(primary)}:${String(primary.data?.slug || primary.data?.id || '').toLowerCase()}`;
+        const slugKeyCounts = new Map();
+        for (const { primary } of ranked) slugKeyCounts.set(slugKeyOf(primary), (slugKeyCounts.get(slugKeyOf(primary)) || 0) + 1);
+
+        // Larger assets keep the bare ticker
+        ranked.sort((a, b) => b.marketCap - a.marketCap);
+        const used = new Set();
+        for (const { group, primary } of ranked) {
+            const base = baseOf(primary);
+            let key = base;
+            if (used.has(key)) {
+                key = slugKeyCounts.get(slugKeyOf(primary)) > 1
+                    ? `${base}:${primary.sourceId}:${String(primary.data?.id ?? '').toLowerCase()}`
+                    : slugKeyOf(primary);
+            }
+            for (let n = 2; used.has(key); n++) key = `${base}:${n}`;
+            used.add(key);
+            group.key = key;
+        }
+    }
+
+    /**
+     * Uppercase ticker of a record, falling back to slug or name like the original symbol merge
+     * @param {Object} data - Standardized record
+     * @returns {string} Ticker (empty when the record has no identifying text)
+     * @private
+     */
+    _symbolOf(data) {
+        return String(data?.symbol || data?.slug || data?.name || '').toUpperCase();
+    }
+
+    /**
+     * Builds an ambiguity report entry
+     * @param {string} reason - Why the match is ambiguous
+     * @param {string} [evidence] - Identifier or ticker involved
+     * @param {Array<Object>} clusters - Clusters involved
+     * @returns {Object} { reason, evidence, records: [{ sourceId, id, symbol, name }] }
+     * @private
+     */
+    _describe(reason, evidence, clusters) {
+        return {
+            reason,
+            evidence: evidence || null,
+            records: clusters.flatMap(c => c.entries).map(({ sourceId, data }) => ({
+                sourceId,
+                id: data?.id ?? null,
+                symbol: data?.symbol || null,
+                name: data?.name || null
+            }))
+        };
+    }
+}
+
+IdentityResolver.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = IdentityResolver;
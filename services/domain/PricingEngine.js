@@ -0,0 +1,215 @@
+const AppConfig = require('../../config/AppConfig');
+
+/**
+ * Ways to derive one value from the values offered by several sources.
+ */
+const STRATEGIES = {
+    PRIORITY: 'priority',         // Highest-priority source that survived outlier rejection
+    MEDIAN: 'median',             // Median of the remaining values
+    TRIMMED_MEAN: 'trimmed-mean', // Mean after dropping the lowest and highest trimPercent of values
+    WEIGHTED: 'weighted'          // Mean weighted by source health (0-1)
+};
+
+/**
+ * Outlier tests applied before a strategy runs.
+ */
+const OUTLIER_METHODS = {
+    MAD: 'mad',         // Modified z-score from the median absolute deviation
+    PERCENT: 'percent', // Percent deviation from the median
+    NONE: 'none'
+};
+
+// With fewer values there is no majority to tell which one is wrong
+const MIN_VALUES_FOR_OUTLIERS = 3;
+
+/**
+ * PricingEngine - Computes headline market data (price, market cap, volume) from per-source values
+ *
+ * Each field is computed in two steps:
+ *  1. values far from the median are excluded (MAD or percent-deviation test, at least 3 values)
+ *  2. the configured strategy combines the rest: priority, median, trimmed mean or health-weighted mean
+ *
+ * Results name the sources used and every excluded source with the reason, so the aggregated
+ * record can explain its headline numbers.
+ */
+class PricingEngine {
+    /**
+     * Creates an instance of PricingEngine
+     * @param {Object} [options={}] - Overrides for AppConfig.dataProcessing.pricing settings
+     * @param {string} [options.strategy] - Default strategy for all fields (see PricingEngine.STRATEGIES)
+     * @param {Object} [options.fieldStrategies] - Strategy per field ({ price, marketCap, volume24h }); null uses the default
+     * @param {string} [options.outlierMethod] - 'mad', 'percent' or 'none'
+     * @param {number} [options.madThreshold] - Modified z-score above which a value is an outlier
+     * @param {number} [options.minDeviationPercent] - MAD outliers must also be this far (%) from the median
+     * @param {number} [options.maxDeviationPercent] - Percent method: maximum distance (%) from the median
+     * @param {number} [options.trimPercent] - Fraction of values dropped at each end for the trimmed mean
+     */
+    constructor(options = {}) {
+        const defaults = AppConfig.dataProcessing.pricing;
+        this.config = {
+            ...defaults,
+            ...options,
+            fieldStrategies: { ...defaults.fieldStrategies, ...(options.fieldStrategies || {}) }
+        };
+    }
+
+    /**
+     * Gets the strategy used for a field
+     * @param {string} field - Field name ('price', 'marketCap', 'volume24h')
+     * @returns {string} Strategy name
+     */
+    strategyFor(field) {
+        return this.config.fieldStrategies[field] || this.config.strategy;
+    }
+
+    /**
+     * Computes one field from the values offered by each source
+     * @param {string} field - Field name ('price', 'marketCap', 'volume24h')
+     * @param {Array<Object>} candidates - Values as { source, value, priority }, highest priority first
+     * @param {Object} [context={}] - Extra inputs
+     * @param {Map<string, number>} [context.sourceHealth] - Health weight (0-1) per source for the weighted strategy
+     * @returns {Object|null} { value, source, strategy, sources, excluded: [{ source, value, reason }] } or null without values
+     */
+    compute(field, candidates, context = {}) {
+        const valid = (candidates || []).filter(c => typeof c.value === 'number' && isFinite(c.value));
+        if (!valid.length) return null;
+
+        const strategy = this.strategyFor(field);
+        const { kept, excluded } = this.rejectOutliers(valid);
+        let result;
+        switch (strategy) {
+            case STRATEGIES.MEDIAN:
+                result = this._median(kept);
+                break;
+            case STRATEGIES.TRIMMED_MEAN:
+                result = this._trimmedMean(kept);
+                break;
+            case STRATEGIES.WEIGHTED:
+                result = this._weighted(kept, context.sourceHealth);
+                break;
+            default:
+                result = { value: kept[0].value, source: kept[0].source, sources: [kept[0].source] };
+        }
+
+        return { ...result, strategy, excluded };
+    }
+
+    /**
+     * Splits values into kept and excluded using the configured outlier method
+     * @param {Array<Object>} candidates - Values as { source, value, priority }
+     * @returns {Object} { kept, excluded: [{ source, value, reason }] } (kept preserves input order;
+     *   nothing is excluded when every value would be)
+     */
+    rejectOutliers(candidates) {
+        const method = this.config.outlierMethod;
+        if (method === OUTLIER_METHODS.NONE || candidates.length < MIN_VALUES_FOR_OUTLIERS) {
+            return { kept: candidates, excluded: [] };
+        }
+
+        const median = PricingEngine.median(candidates.map(c => c.value));
+        const deviations = candidates.map(c => Math.abs(c.value - median));
+        const mad = PricingEngine.median(deviations);
+
+        const kept = [];
+        const excluded = [];
+        candidates.forEach((c, i) => {
+            const percent = median !== 0 ? (deviations[i] / Math.abs(median)) * 100 : (deviations[i] ? Infinity : 0);
+            let reason = null;
+            if (method === OUTLIER_METHODS.PERCENT) {
+                if (percent > this.config.maxDeviationPercent) {
+                    reason = `${this._percent(percent)} from median ${median} (limit ${this.config.maxDeviationPercent}%)`;
+                }
+            } else if (percent > this.config.minDeviationPercent) {
+                // 0.6745 scales the MAD to a standard deviation for normally distributed values
+                const score = mad > 0 ? 0.6745 * deviations[i] / mad : Infinity;
+                if (score > this.config.madThreshold) {
+                    reason = mad > 0
+                        ? `Modified z-score ${score.toFixed(1)} above ${this.config.madThreshold} (${this._percent(percent)} from median ${median})`
+                        : `${this._percent(percent)} from median ${median} while the other sources agree`;
+                }
+            }
+            if (reason) excluded.push({ source: c.source, value: c.value, reason });
+            else kept.push(c);
+        });
+        // Values split into groups away from the median leave no majority to side with
+        if (!kept.length) return { kept: candidates, excluded: [] };
+        return { kept, excluded };
+    }
+
+    /**
+     * Calculates the median of a list of numbers
+     * @param {Array<number>} values - Numbers
+     * @returns {number|null} Median, or null for an empty list
+     */
+    static median(values) {
+        if (!values.length) return null;
+        const s = [...values].sort((a, b) => a - b);
+        const m = Math.floor(s.length / 2);
+        return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+    }
+
+    /**
+     * Median strategy; attributed to a source when one reported the median itself
+     * @param {Array<Object>} kept - Remaining candidates
+     * @returns {Object} { value, source, sources }
+     * @private
+     */
+    _median(kept) {
+        const value = PricingEngine.median(kept.map(c => c.value));
+        const match = kept.find(c => c.value === value);
+        return { value, source: match ? match.source : null, sources: kept.map(c => c.source) };
+    }
+
+    /**
+     * Trimmed mean strategy
+     * @param {Array<Object>} kept - Remaining candidates
+     * @returns {Object} { value, source, sources }
+     * @private
+     */
+    _trimmedMean(kept) {
+        const sorted = [...kept].sort((a, b) => a.value - b.value);
+        const trim = Math.floor(sorted.length * this.config.trimPercent);
+        const used = sorted.slice(trim, sorted.length - trim);
+        const value = used.reduce((sum, c) => sum + c.value, 0) / used.length;
+        return { value, source: used.length === 1 ? used[0].source : null, sources: used.map(c => c.source) };
+    }
+
+    /**
+     * Health-weighted mean strategy; sources without a health score weigh 1.
+     * Falls back to the median when every source has zero weight.
+     * @param {Array<Object>} kept - Remaining candidates
+     * @param {Map<string, number>} [sourceHealth] - Health weight (0-1) per source
+     * @returns {Object} { value, source, sources, weights }
+     * @private
+     */
+    _weighted(kept, sourceHealth) {
+        const weights = {};
+        let total = 0;
+        let sum = 0;
+        for (const c of kept) {
+            const weight = sourceHealth && sourceHealth.has(c.source) ? Math.max(0, sourceHealth.get(c.source)) : 1;
+            weights[c.source] = weight;
+            total += weight;
+            sum += c.value * weight;
+        }
+        if (total === 0) return { ...this._median(kept), weights };
+
+        const used = kept.filter(c => weights[c.source] > 0);
+        return { value: sum / total, source: used.length === 1 ? used[0].source : null, sources: used.map(c => c.source), weights };
+    }
+
+    /**
+     * Formats a deviation for exclusion reasons
+     * @param {number} percent - Deviation in percent
+     * @returns {string} e.g. '12.5%'
+     * @private
+     */
+    _percent(percent) {
+        return isFinite(percent) ? `${percent.toFixed(2)}%` : 'infinitely far';
+    }
+}
+
+PricingEngine.STRATEGIES = STRATEGIES;
+PricingEngine.OUTLIER_METHODS = OUTLIER_METHODS;
+
+module.exports = PricingEngine;
@@ -0,0 +1,302 @@
+const AppConfig = require('../../config/AppConfig');
+
+/**
+ * SnapshotDiff - Compares two aggregated datasets and reports what changed between them
+ *
+ * Records are matched by slug. A diff lists:
+ *  - added and removed records
+ *  - reclassifications (asset category or pegged asset)
+ *  - source coverage: records per source, and records that gained or lost a source
+ *  - supply mints and burns per chain, at least `supplyMoveThreshold` of the previous chain
+ *    supply and `supplyMoveMinimum` USD
+ *  - rank changes by market cap within each asset category, for records in the top `rankTopN`
+ *
+ * Chain supply is only compared when both datasets have a chain breakdown for the record, so a
+ * source dropping out shows up as a coverage change rather than as a burn on every chain.
+ */
+class SnapshotDiff {
+    /**
+     * Creates an instance of SnapshotDiff
+     * @param {Object} [options={}] - Overrides for AppConfig.diff settings
+     * @param {number} [options.supplyMoveThreshold] - Fractional chain supply change reported as a mint or burn
+     * @param {number} [options.supplyMoveMinimum] - Minimum USD value of a reported mint or burn
+     * @param {number} [options.rankTopN] - Rank changes are reported when the old or new rank is within this
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.diff, ...options };
+    }
+
+    /**
+     * Compares two aggregated datasets
+     * @param {Array<Object>} previous - Aggregated records of the earlier dataset
+     * @param {Array<Object>} current - Aggregated records of the later dataset
+     * @param {Object} [times={}] - Dataset times ({ from, to } in milliseconds)
+     * @returns {Object} { from, to, summary, added, removed, reclassified, coverage, supplyMoves, rankChanges }
+     */
+    compare(previous, current, times = {}) {
+        const before = this._index(previous);
+        const after = this._index(current);
+
+        const added = [];
+        const reclassified = [];
+        const coverageRecords = [];
+        const supplyMoves = [];
+        for (const [slug, coin] of after) {
+            const old = before.get(slug);
+            if (!old) {
+                added.push(this._describe(coin));
+                continue;
+            }
+            reclassified.push(...this._reclassifications(old, coin));
+            const coverage = this._coverageChange(old, coin);
+            if (coverage) coverageRecords.push(coverage);
+            supplyMoves.push(...this._supplyMoves(old, coin));
+        }
+        const removed = Array.from(before.values())
+            .filter(coin => !after.has(this._slug(coin)))
+            .map(coin => this._describe(coin));
+
+        supplyMoves.sort((a, b) => b.valueUsd - a.valueUsd);
+        const coverage = { sources: this._sourceCounts(previous || [], current || []), records: coverageRecords };
+        const rankChanges = this._rankChanges(previous || [], current || []);
+
+        const summary = {
+            previousCount: before.size,
+            currentCount: after.size,
+            added: added.length,
+            removed: removed.length,
+            reclassified: reclassified.length,
+            sourceCoverage: coverage.sources.length,
+            recordCoverage: coverage.records.length,
+            supplyMoves: supplyMoves.length,
+            rankChanges: rankChanges.length
+        };
+        summary.hasChanges = Object.entries(summary)
+            .some(([key, value]) => key !== 'previousCount' && key !== 'currentCount' && value > 0);
+
+        return {
+            from: times.from ?? null,
+            to: times.to ?? null,
+            summary,
+            added,
+            removed,
+            reclassified,
+            coverage,
+            supplyMoves,
+            rankChanges
+        };
+    }
+
+    /**
+     * Maps records by slug
+     * @param {Array<Object>} records - Aggregated records
+     * @returns {Map<string, Object>} slug -> record
+     * @private
+     */
+    _index(records) {
+        const map = new Map();
+        for (const coin of records || []) {
+            const slug = this._slug(coin);
+            if (slug && !map.has(slug)) map.set(slug, coin);
+        }
+        return map;
+    }
+
+    /**
+     * Gets the key a record is matched by
+     * @param {Object} coin - Aggregated record
+     * @returns {string} Lowercased slug (symbol when there is no slug)
+     * @private
+     */
+    _slug(coin) {
+        return String(coin?.slug || coin?.symbol || '').toLowerCase();
+    }
+
+    /**
+     * Summarizes an added or removed record
+     * @param {Object} coin - Aggregated record
+     * @returns {Object} { slug, symbol, name, assetCategory, peggedAsset, marketCap, sources }
+     * @private
+     */
+    _describe(coin) {
+        return {
+            slug: this._slug(coin),
+            symbol: coin.symbol || null,
+            name: coin.name || null,
+            assetCategory: coin.assetCategory || null,
+            peggedAsset: coin.metadata?.peggedAsset || null,
+            marketCap: coin.marketData?.marketCap ?? null,
+            sources: coin.dataSources || []
+        };
+    }
+
+    /**
+     * Lists asset category and pegged asset changes of a record
+     * @param {Object} old - Record in the earlier dataset
+     * @param {Object} coin - Record in the later dataset
+     * @returns {Array<Object>} [{ slug, symbol, field, previous, current }]
+     * @private
+     */
+    _reclassifications(old, coin) {
+        const fields = {
+            assetCategory: c => c.assetCategory || null,
+            peggedAsset: c => c.metadata?.peggedAsset || null
+        };
+        return Object.entries(fields)
+            .filter(([, get]) => get(old) !== get(coin))
+            .map(([field, get]) => ({ slug: this._slug(coin), symbol: coin.symbol, field, previous: get(old), current: get(coin) }));
+    }
+
+    /**
+     * Compares the sources that contributed to a record
+     * @param {Object} old - Record in the earlier dataset
+     * @param {Object} coin - Record in the later dataset
+     * @returns {Object|null} { slug, symbol, added, removed, sources } or null when unchanged
+     * @private
+     */
+    _coverageChange(old, coin) {
+        const before = new Set(old.dataSources || []);
+        const after = new Set(coin.dataSources || []);
+        const added = [...after].filter(s => !before.has(s));
+        const removed = [...before].filter(s => !after.has(s));
+        if (!added.length && !removed.length) return null;
+        return { slug: this._slug(coin), symbol: coin.symbol, added, removed, sources: [...after] };
+    }
+
+    /**
+     * Counts records per source in both datasets
+     * @param {Array<Object>} previous - Earlier records
+     * @param {Array<Object>} current - Later records
+     * @returns {Array<Object>} [{ sourceId, previous, current, change }] for sources whose count changed
+     * @private
+     */
+    _sourceCounts(previous, current) {
+        const count = records => {
+            const counts = new Map();
+            for (const coin of records) {
+                for (const sourceId of coin.dataSources || []) counts.set(sourceId, (counts.get(sourceId) || 0) + 1);
+            }
+            return counts;
+        };
+        const before = count(previous);
+        const after = count(current);
+        return [...new Set([...before.keys(), ...after.keys()])]
+            .map(sourceId => ({
+                sourceId,
+                previous: before.get(sourceId) || 0,
+                current: after.get(sourceId) || 0,
+                change: (after.get(sourceId) || 0) - (before.get(sourceId) || 0)
+            }))
+            .filter(entry => entry.change !== 0)
+            .sort((a, b) => a.change - b.change);
+    }
+
+    /**
+     * Finds chains whose supply grew (mint) or shrank (burn) past the thresholds
+     * @param {Object} old - Record in the earlier dataset
+     * @param {Object} coin - Record in the later dataset
+     * @returns {Array<Object>} [{ slug, symbol, chain, type, previous, current, change, changePercent, valueUsd }]
+     * @private
+     */
+    _supplyMoves(old, coin) {
+        const before = this._chainSupply(old);
+        const after = this._chainSupply(coin);
+        if (before.size === 0 || after.size === 0) return [];
+
+        const price = coin.marketData?.price || old.marketData?.price || 1;
+        const moves = [];
+        for (const chain of new Set([...before.keys(), ...after.keys()])) {
+            const previous = before.get(chain) || 0;
+            const current = after.get(chain) || 0;
+            const change = current - previous;
+            const changePercent = previous > 0 ? change / previous : null;
+            const valueUsd = Math.abs(change) * price;
+            if (change === 0 || valueUsd < this.config.supplyMoveMinimum) continue;
+            if (changePercent !== null && Math.abs(changePercent) < this.config.supplyMoveThreshold) continue;
+            moves.push({
+                slug: this._slug(coin),
+                symbol: coin.symbol,
+                chain,
+                type: change > 0 ? 'mint' : 'burn',
+                previous,
+                current,
+                change,
+                changePercent,
+                valueUsd
+            });
+        }
+        return moves;
+    }
+
+    /**
+     * Gets supply per chain from a record's network breakdown
+     * @param {Object} coin - Aggregated record
+     * @returns {Map<string, number>} Chain name -> supply
+     * @private
+     */
+    _chainSupply(coin) {
+        const supply = new Map();
+        for (const entry of coin.supplyData?.networkBreakdown || []) {
+            const chain = entry.platform || entry.network || entry.name;
+            if (!chain || typeof entry.supply !== 'number' || !isFinite(entry.supply)) continue;
+            supply.set(chain, (supply.get(chain) || 0) + entry.supply);
+        }
+        return supply;
+    }
+
+    /**
+     * Compares market cap ranks within each asset category
+     * @param {Array<Object>} previous - Earlier records
+     * @param {Array<Object>} current - Later records
+     * @returns {Array<Object>} [{ slug, symbol, assetCategory, previous, current, change }] where change > 0 is a move up
+     * @private
+     */
+    _rankChanges(previous, current) {
+        const before = this._ranks(previous);
+        const after = this._ranks(current);
+        const changes = [];
+        for (const [slug, entry] of after) {
+            const old = before.get(slug);
+            if (!old || old.assetCategory !== entry.assetCategory || old.rank === entry.rank) continue;
+            if (old.rank > this.config.rankTopN && entry.rank > this.config.rankTopN) continue;
+            changes.push({
+                slug,
+                symbol: entry.symbol,
+                assetCategory: entry.assetCategory,
+                previous: old.rank,
+                current: entry.rank,
+                change: old.rank - entry.rank
+            });
+        }
+        return changes.sort((a, b) => a.current - b.current);
+    }
+
+    /**
+     * Ranks records by market cap within each asset category (records without a market cap are unranked)
+     * @param {Array<Object>} records - Aggregated records
+     * @returns {Map<string, Object>} slug -> { rank, symbol, assetCategory }
+     * @private
+     */
+    _ranks(records) {
+        const byCategory = new Map();
+        for (const coin of records) {
+            const marketCap = coin.marketData?.marketCap;
+            if (typeof marketCap !== 'number' || !(marketCap > 0)) continue;
+            const category = coin.assetCategory || 'Stablecoin';
+            if (!byCategory.has(category)) byCategory.set(category, []);
+            byCategory.get(category).push(coin);
+        }
+
+        const ranks = new Map();
+        for (const [category, coins] of byCategory) {
+            coins.sort((a, b) => b.marketData.marketCap - a.marketData.marketCap);
+            coins.forEach((coin, i) => {
+                const slug = this._slug(coin);
+                if (!ranks.has(slug)) ranks.set(slug, { rank: i + 1, symbol: coin.symbol, assetCategory: category });
+            });
+        }
+        return ranks;
+    }
+}
+
+module.exports = SnapshotDiff;
@@ -0,0 +1,305 @@
+const AppConfig = require('../../config/AppConfig');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Flow windows, by the names used for history ranges.
+ */
+const WINDOWS = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS
+};
+
+// DeFiLlama's previous-supply fields, matched to how far back they reach
+const DEFILLAMA_ANCHORS = [
+    { field: 'prevMonth', age: 30 * DAY_MS },
+    { field: 'prevWeek', age: 7 * DAY_MS },
+    { field: 'prevDay', age: DAY_MS }
+];
+
+/**
+ * SupplyFlowAnalyzer - Derives mint/burn and cross-chain migration flows from consecutive chain breakdowns
+ *
+ * A coin's supply history is a list of points ({ timestamp, chains: { chainName: supply } }). Each step
+ * between two consecutive points is split into:
+ *  - migration: supply that left some chains while the same amount arrived on others
+ *    (the smaller of the step's total increase and total decrease)
+ *  - issuance: the rest of the increase (net new supply)
+ *  - redemption: the rest of the decrease (supply taken out of circulation)
+ * Each chain's share of the step's migration is proportional to its increase or decrease. Offsetting
+ * moves inside one step cannot be told apart from a mint on one chain and a burn on another, so
+ * migration is an estimate and gets sharper with more frequent points.
+ *
+ * Points come from local snapshot history, or from the DeFiLlama chain history carried on the record
+ * (`networkBreakdown[].historical`) when local history does not reach back far enough.
+ */
+class SupplyFlowAnalyzer {
+    /**
+     * Creates an instance of SupplyFlowAnalyzer
+     * @param {Object} [options={}] - Overrides for AppConfig.supplyFlows settings
+     * @param {number} [options.coverageTolerance] - Fraction of a window that points may start late and still count as covering it
+     */
+    constructor(options = {}) {
+        this.config = { ...AppConfig.supplyFlows, ...options };
+    }
+
+    /**
+     * Computes flows for a coin over every window
+     * @param {Object} record - Aggregated stablecoin record
+     * @param {Array<Object>} historyPoints - Points from local snapshot history, oldest first
+     * @param {number} [now=Date.now()] - End of the windows (milliseconds)
+     * @returns {Object} { slug, symbol, name, price, windows: { '24h': WindowFlows|null, '7d': ..., '30d': ... } }
+     */
+    analyzeCoin(record, historyPoints = [], now = Date.now()) {
+        const defillamaPoints = this.defillamaPoints(record, now);
+        const windows = {};
+        for (const [name, length] of Object.entries(WINDOWS)) {
+            windows[name] = this._bestWindow([
+                { source: 'history', points: historyPoints },
+                { source: 'defillama', points: defillamaPoints }
+            ], now - length, length);
+        }
+        return {
+            slug: String(record.slug || record.symbol || '').toLowerCase(),
+            symbol: record.symbol || null,
+            name: record.name || null,
+            price: record.marketData?.price ?? null,
+            windows
+        };
+    }
+
+    /**
+     * Computes flows across consecutive points
+     * @param {Array<Object>} points - Points ({ timestamp, chains }), oldest first
+     * @returns {Object} { steps, issued, redeemed, net, migrated, chains: [{ chain, issued, redeemed, migratedIn, migratedOut, net }] }
+     *   in token units; chains are ordered by the size of their net change
+     */
+    computeFlows(points) {
+        const totals = { steps: 0, issued: 0, redeemed: 0, net: 0, migrated: 0 };
+        const chains = new Map();
+        const chainEntry = name => {
+            if (!chains.has(name)) chains.set(name, { chain: name, issued: 0, redeemed: 0, migratedIn: 0, migratedOut: 0, net: 0 });
+            return chains.get(name);
+        };
+
+        for (let i = 1; i < points.length; i++) {
+            const before = points[i - 1].chains || {};
+            const after = points[i].chains || {};
+            // A point without any chains is a gap in coverage, not a burn of the whole supply
+            if (!Object.keys(before).length || !Object.keys(after).length) continue;
+
+            const deltas = [];
+            for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+                const delta = (after[name] || 0) - (before[name] || 0);
+                if (delta !== 0) deltas.push([name, delta]);
+            }
+            const increase = deltas.reduce((sum, [, d]) => sum + Math.max(d, 0), 0);
+            const decrease = deltas.reduce((sum, [, d]) => sum + Math.max(-d, 0), 0);
+            const migrated = Math.min(increase, decrease);
+
+            totals.steps++;
+            totals.issued += increase - migrated;
+            totals.redeemed += decrease - migrated;
+            totals.migrated += migrated;
+            for (const [name, delta] of deltas) {
+                const entry = chainEntry(name);
+                entry.net += delta;
+                if (delta > 0) {
+                    const moved = delta * (migrated / increase);
+                    entry.migratedIn += moved;
+                    entry.issued += delta - moved;
+                } else {
+                    const moved = -delta * (migrated / decrease);
+                    entry.migratedOut += moved;
+                    entry.redeemed += -delta - moved;
+                }
+            }
+        }
+
+        totals.net = totals.issued - totals.redeemed;
+        return {
+            ...totals,
+            chains: Array.from(chains.values()).sort((a, b) => Math.abs(b.net) - Math.abs(a.net))
+        };
+    }
+
+    /**
+     * Builds supply points from the DeFiLlama chain history on a record: the daily series when it was
+     * fetched, otherwise the previous day, week and month supply. The current breakdown is the last point.
+     * Chains without history are assumed unchanged.
+     * @param {Object} record - Aggregated stablecoin record
+     * @param {number} [now=Date.now()] - Time of the current breakdown
+     * @returns {Array<Object>} Points ({ timestamp, chains }), oldest first; empty without DeFiLlama history
+     */
+    defillamaPoints(record, now = Date.now()) {
+        const breakdown = (record?.supplyData?.networkBreakdown || [])
+            .filter(entry => (entry.platform || entry.network) && typeof entry.supply === 'number');
+        if (!breakdown.some(entry => entry.historical)) return [];
+
+        const chainOf = entry => entry.platform || entry.network;
+        const current = {};
+        for (const entry of breakdown) current[chainOf(entry)] = (current[chainOf(entry)] || 0) + entry.supply;
+
+        const withSeries = breakdown.filter(entry => (entry.historical?.series || []).length >= 2);
+        const points = [];
+        if (withSeries.length) {
+            const timestamps = [...new Set(withSeries.flatMap(entry => entry.historical.series.map(p => p.timestamp)))]
+                .filter(t => t < now)
+                .sort((a, b) => a - b);
+            for (const timestamp of timestamps) {
+                const chains = { ...current };
+                for (const entry of withSeries) {
+                    const series = entry.historical.series;
+                    // Before its first point the coin was not on the chain yet; between points, carry the last value
+                    const known = series.filter(p => p.timestamp <= timestamp);
+                    chains[chainOf(entry)] = known.length ? known[known.length - 1].supply : 0;
+                }
+                points.push({ timestamp, chains });
+            }
+        } else {
+            for (const { field, age } of DEFILLAMA_ANCHORS) {
+                const chains = {};
+                for (const entry of breakdown) {
+                    const value = entry.historical?.[field];
+                    chains[chainOf(entry)] = typeof value === 'number' ? value : null;
+                }
+                points.push({ timestamp: now - age, chains });
+            }
+            // Unknown earlier supply is taken from the next later value (no change)
+            this._fillForward(points, current);
+        }
+        points.push({ timestamp: now, chains: current });
+        return points;
+    }
+
+    /**
+     * Sums coin flows for one chain, in USD at each coin's current price (1 when unknown)
+     * @param {Array<Object>} coinFlows - Results of analyzeCoin
+     * @param {string} chain - Chain name (case-insensitive)
+     * @returns {Object} { chain, windows: { '24h': { issuedUsd, redeemedUsd, migratedInUsd, migratedOutUsd, netUsd, coins }, ... } }
+     *   where coins lists each coin's flows on the chain, largest net change first
+     */
+    summarizeChain(coinFlows, chain) {
+        const wanted = String(chain || '').toLowerCase();
+        const windows = {};
+        for (const name of Object.keys(WINDOWS)) {
+            const summary = { issuedUsd: 0, redeemedUsd: 0, migratedInUsd: 0, migratedOutUsd: 0, netUsd: 0, coins: [] };
+            for (const coin of coinFlows) {
+                const flows = coin.windows[name];
+                const entry = flows && flows.chains.find(c => c.chain.toLowerCase() === wanted);
+                if (!entry) continue;
+                const price = coin.price || 1;
+                summary.issuedUsd += entry.issued * price;
+                summary.redeemedUsd += entry.redeemed * price;
+                summary.migratedInUsd += entry.migratedIn * price;
+                summary.migratedOutUsd += entry.migratedOut * price;
+                summary.netUsd += entry.net * price;
+                summary.coins.push({ slug: coin.slug, symbol: coin.symbol, name: coin.name, source: flows.source, ...entry, netUsd: entry.net * price });
+            }
+            summary.coins.sort((a, b) => Math.abs(b.netUsd) - Math.abs(a.netUsd));
+            windows[name] = summary;
+        }
+        return { chain, windows };
+    }
+
+    /**
+     * Sums coin flows per chain and overall, in USD at each coin's current price (1 when unknown)
+     * @param {Array<Object>} coinFlows - Results of analyzeCoin
+     * @returns {Object} { '24h': { totals: { issuedUsd, redeemedUsd, migratedUsd, netUsd, coins }, chains: [...] }, ... }
+     *   where chains are ordered by net flow (inflows first)
+     */
+    summarizeAll(coinFlows) {
+        const result = {};
+        for (const name of Object.keys(WINDOWS)) {
+            const totals = { issuedUsd: 0, redeemedUsd: 0, migratedUsd: 0, netUsd: 0, coins: 0 };
+            const chains = new Map();
+            for (const coin of coinFlows) {
+                const flows = coin.windows[name];
+                if (!flows) continue;
+                const price = coin.price || 1;
+                totals.coins++;
+                totals.issuedUsd += flows.issued * price;
+                totals.redeemedUsd += flows.redeemed * price;
+                totals.migratedUsd += flows.migrated * price;
+                totals.netUsd += flows.net * price;
+                for (const entry of flows.chains) {
+                    if (!chains.has(entry.chain)) {
+                        chains.set(entry.chain, { chain: entry.chain, issuedUsd: 0, redeemedUsd: 0, migratedInUsd: 0, migratedOutUsd: 0, netUsd: 0 });
+                    }
+                    const sum = chains.get(entry.chain);
+                    sum.issuedUsd += entry.issued * price;
+                    sum.redeemedUsd += entry.redeemed * price;
+                    sum.migratedInUsd += entry.migratedIn * price;
+                    sum.migratedOutUsd += entry.migratedOut * price;
+                    sum.netUsd += entry.net * price;
+                }
+            }
+            result[name] = { totals, chains: Array.from(chains.values()).sort((a, b) => b.netUsd - a.netUsd) };
+        }
+        return result;
+    }
+
+    /**
+     * Picks the point source that best covers a window and computes its flows
+     * @param {Array<Object>} candidates - [{ source, points }] in order of preference
+     * @param {number} start - Window start (milliseconds)
+     * @param {number} length - Window length (milliseconds)
+     * @returns {Object|null} WindowFlows ({ source, from, to, complete, ...computeFlows }), or null without two points
+     * @private
+     */
+    _bestWindow(candidates, start, length) {
+        let best = null;
+        for (const { source, points } of candidates) {
+            const windowed = this._windowPoints(points, start);
+            if (windowed.length < 2) continue;
+            const from = windowed[0].timestamp;
+            const complete = from <= start + length * this.config.coverageTolerance;
+            if (!best || (complete && !best.complete) || (!best.complete && !complete && from < best.from)) {
+                best = { source, from, to: windowed[windowed.length - 1].timestamp, complete, points: windowed };
+            }
+            if (best.complete) break;
+        }
+        if (!best) return null;
+        const { points, ...window } = best;
+        return { ...window, ...this.computeFlows(points) };
+    }
+
+    /**
+     * Keeps the points inside a window, starting from the last point at or before its start
+     * @param {Array<Object>} points - Points, oldest first
+     * @param {number} start - Window start (milliseconds)
+     * @returns {Array<Object>} Points covering the window
+     * @private
+     */
+    _windowPoints(points, start) {
+        let first = 0;
+        for (let i = 0; i < points.length; i++) {
+            if (points[i].timestamp <= start) first = i;
+            else break;
+        }
+        return points.slice(first);
+    }
+
+    /**
+     * Replaces unknown anchor supplies with the next later known value, ending with the current supply
+     * @param {Array<Object>} points - Anchor points, oldest first (updated in place)
+     * @param {Object} current - Current supply per chain
+     * @returns {void}
+     * @private
+     */
+    _fillForward(points, current) {
+        for (const name of Object.keys(current)) {
+            let next = current[name];
+            for (let i = points.length - 1; i >= 0; i--) {
+                if (typeof points[i].chains[name] !== 'number') points[i].chains[name] = next;
+                next = points[i].chains[name];
+            }
+        }
+    }
+}
+
+SupplyFlowAnalyzer.WINDOWS = WINDOWS;
+
+module.exports = SupplyFlowAnalyzer;
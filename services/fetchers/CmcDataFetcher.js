@@ -1,11 +1,13 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const IDataFetcher = require('../../interfaces/IDataFetcher');
 const ApiConfig = require('../../config/ApiConfig');
 const AppConfig = require('../../config/AppConfig');
 const AssetClassifier = require('../domain/AssetClassifier');
-const DEBUG = AppConfig.development.debugMode || AppConfig.development.verbose;
+const HttpClient = require('../HttpClient');
+const logger = require('../../app/logger');
+
+const log = logger.forModule('fetchers.cmc');
 
 /**
  * CoinMarketCap data fetcher implementation.
@@ -30,13 +32,14 @@ class CmcDataFetcher extends IDataFetcher {
         this.healthMonitor = healthMonitor;
         this.config = ApiConfig.getApiConfig('cmc') || {};
         this.sourceId = 'cmc';
+        this.http = new HttpClient(this.sourceId, { healthMonitor, request: this.config?.request });
         
         // Initialize AssetClassifier for centralized classification with validation
         const classificationConfig = ApiConfig.getAssetClassificationConfig();
         const validation = ApiConfig.validateAssetClassificationConfig();
         
         if (!validation.isValid) {
-            console.error(`Invalid asset classification config for ${this.sourceId}:`, validation.errors);
+            log.error('Invalid asset classification config', { sourceId: this.sourceId, errors: validation.errors });
             // Use default config or throw based on requirements
             this.classifier = new AssetClassifier(classificationConfig, this.logger);
         } else {
@@ -134,20 +137,14 @@ class CmcDataFetcher extends IDataFetcher {
      * @memberof CmcDataFetcher
      */
     async fetchStablecoins() {
-        if (DEBUG) console.log(`[CMC Debug] fetchStablecoins called`);
-        if (DEBUG) {
-            console.log(`[CMC Debug] AppConfig.development.debugMode = ${AppConfig.development.debugMode}`);
-            console.log(`[CMC Debug] AppConfig.development.mockApis = ${AppConfig.development.mockApis}`);
-            console.log(`[CMC Debug] this.config?.mockData?.enabled = ${this.config?.mockData?.enabled}`);
-        }
-        const startTime = Date.now();
         const sourceId = this.sourceId;
+        const mock = !!(this.config?.mockData?.enabled || AppConfig.development.debugMode || AppConfig.development.mockApis);
 
         if (!this.isConfigured()) {
-            if (DEBUG) console.log(`[CMC Debug] CMC not configured, returning empty array`);
+            log.debug('Not configured, skipping fetch');
             return [];
         }
-        if (DEBUG) console.log(`[CMC Debug] CMC is configured, proceeding with API call`);
+        log.debug('Fetching listings', { mock });
 
         if (this.healthMonitor) {
             try {
@@ -163,7 +160,7 @@ class CmcDataFetcher extends IDataFetcher {
             let data;
 
             // Check if mock data mode is enabled or if we're in debug mode
-            if (this.config?.mockData?.enabled || AppConfig.development.debugMode || AppConfig.development.mockApis) {
+            if (mock) {
                 data = await this._loadMockData();
             } else {
                 const baseUrl = this.config?.baseUrl || 'https://pro-api.coinmarketcap.com';
@@ -179,38 +176,27 @@ class CmcDataFetcher extends IDataFetcher {
                     aux: 'tags'
                 };
 
-                const timeout = this.config?.request?.timeout || AppConfig.api.defaultTimeout;
-                const response = await axios.get(url, { headers, params: parameters, timeout });
+                const response = await this.http.get(url, { headers, params: parameters, operation: 'fetchStablecoins' });
                 data = response.data;
             }
 
-            if (DEBUG) console.log(`[CMC Debug] API response received, data.data length: ${data?.data?.length || 'null'}`);
-            
             if (!data?.data) {
-                if (DEBUG) console.log(`[CMC Debug] No data.data in API response - throwing error`);
                 throw new Error('No data received from CoinMarketCap API');
             }
 
-            if (DEBUG) console.log(`[CMC Debug] Proceeding to filter ${data.data.length} coins from API`);
             // Filter the raw data to include only valid stablecoins
             const stablecoins = await this._filterStablecoins(data.data);
-            if (DEBUG) console.log(`[CMC Debug] After filtering: ${stablecoins.length} stablecoins found`);
-
-            // No tracing logs in production
+            log.debug('Filtered listings', { listings: data.data.length, recordCount: stablecoins.length });
 
             if (this.healthMonitor) {
-                await this.healthMonitor.recordSuccess(sourceId, {
-                    operation: 'fetchStablecoins',
-                    duration: Date.now() - startTime,
-                    recordCount: stablecoins.length,
-                    timestamp: Date.now()
-                });
+                await this.healthMonitor.recordDataQuality(sourceId, { recordCount: stablecoins.length });
             }
 
             return stablecoins;
         } catch (error) {
-            if (DEBUG) console.log(`[CMC Debug] Error in fetchStablecoins: ${error.message}`);
-            if (this.healthMonitor) {
+            log.debug('Fetch failed', { error: error.message, errorType: this._categorizeError(error) });
+            // The HTTP client has already recorded (or deliberately skipped) its own failures
+            if (this.healthMonitor && !error?.attempts) {
                 await this.healthMonitor.recordFailure(sourceId, {
                     operation: 'fetchStablecoins',
                     errorType: this._categorizeError(error),
@@ -249,7 +235,7 @@ class CmcDataFetcher extends IDataFetcher {
     _filterStablecoinsSync(rawData) {
         const priceRange = this.config?.processing?.stablecoinFilter?.priceRange || { min: 0.5, max: 2.0 };
         const includeTokenizedAssets = this.config?.processing?.includeTokenizedAssets ?? false;
-        console.log(`[CMC Debug] includeTokenizedAssets: ${includeTokenizedAssets}`);
+        log.debug('Filtering listings', { listings: rawData.length, includeTokenizedAssets });
 
         return rawData.filter((crypto) => {
             // Use AssetClassifier for consistent classification
@@ -262,14 +248,13 @@ class CmcDataFetcher extends IDataFetcher {
                 }
             });
 
-            console.log(`[CMC Debug] Classifying ${crypto.name} (${crypto.symbol}): ${JSON.stringify(classification)}`);
-
             const isStablecoin = classification.assetCategory === 'Stablecoin';
             const isTokenizedAsset = classification.assetCategory === 'Tokenized Asset';
 
             // Feature flag gating: include stablecoins always, tokenized assets only if flag is enabled
             const include = isStablecoin || (includeTokenizedAssets && isTokenizedAsset);
-            console.log(`[CMC Debug] Decision for ${crypto.name}: isStablecoin=${isStablecoin}, isTokenizedAsset=${isTokenizedAsset}, includeTokenizedAssets=${includeTokenizedAssets}, include=${include}`);
+            // Per-coin traces: one entry per listing, so only at the most verbose level
+            log.silly('Classified listing', { symbol: crypto.symbol, name: crypto.name, assetCategory: classification.assetCategory, include });
             
             if (!include) return false;
 
@@ -278,7 +263,7 @@ class CmcDataFetcher extends IDataFetcher {
                 const price = crypto.quote?.USD?.price;
                 if (typeof price === 'number' && isFinite(price)) {
                     if (price < priceRange.min || price > priceRange.max) {
-                        console.log(`[CMC Debug] Filtering out ${crypto.name} due to price ${price}`);
+                        log.debug('Rejected stablecoin outside price range', { symbol: crypto.symbol, name: crypto.name, price });
                         return false;
                     }
                 }
@@ -319,14 +304,15 @@ class CmcDataFetcher extends IDataFetcher {
         const ts = Date.now();
         
         // Debug logging for first few coins to understand data structure
-        if (DEBUG && rawData && rawData.length > 0) {
-            console.log(`[CMC Debug] Processing ${rawData.length} coins from API`);
-            for (let i = 0; i < Math.min(3, rawData.length); i++) {
-                const coin = rawData[i];
-                console.log(`[CMC Debug] Coin ${i + 1}: id=${coin.id}, name=${coin.name}, symbol=${coin.symbol}, slug=${coin.slug}`);
-                console.log(`[CMC Debug] Volume: ${coin.quote?.USD?.volume_24h}, Price: ${coin.quote?.USD?.price}, MCap: ${coin.quote?.USD?.market_cap}`);
-                console.log(`[CMC Debug] Generated image URL: https://s2.coinmarketcap.com/static/img/coins/64x64/${coin.id}.png`);
-            }
+        for (const coin of (rawData || []).slice(0, 3)) {
+            log.debug('Sample listing', {
+                id: coin.id,
+                symbol: coin.symbol,
+                slug: coin.slug,
+                price: coin.quote?.USD?.price,
+                marketCap: coin.quote?.USD?.market_cap,
+                volume24h: coin.quote?.USD?.volume_24h
+            });
         }
         
         const out = (rawData || []).map((coin) => {
@@ -344,6 +330,7 @@ class CmcDataFetcher extends IDataFetcher {
             return {
                 sourceId: this.sourceId,
                 id: coin.id,
+                externalIds: { cmc: coin.id ?? null },
                 name: coin.name,
                 symbol: coin.symbol ? String(coin.symbol).toUpperCase() : coin.symbol,
                 slug: (coin.slug || coin.symbol || '').toLowerCase(),
@@ -402,15 +389,7 @@ class CmcDataFetcher extends IDataFetcher {
      * @memberof CmcDataFetcher
      */
     _categorizeError(error) {
-        if (!error) return 'unknown';
-        const status = error?.response?.status;
-        if (status === 401 || status === 403) return 'auth';
-        if (status === 404) return 'not_found';
-        if (status === 429) return 'rate_limit';
-        if (status >= 500) return 'server';
-        if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) return 'timeout';
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') return 'network';
-        return 'unknown';
+        return HttpClient.categorizeError(error);
     }
 
     /**
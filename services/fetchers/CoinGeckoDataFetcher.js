@@ -1,13 +1,56 @@
 const IDataFetcher = require('../../interfaces/IDataFetcher');
 const ApiConfig = require('../../config/ApiConfig');
 const AssetClassifier = require('../domain/AssetClassifier');
-const axios = require('axios');
+const HttpClient = require('../HttpClient');
+const logger = require('../../app/logger');
+
+const log = logger.forModule('fetchers.coingecko');
+
+// CoinGecko asset platform ids that do not normalize to the chain names used elsewhere
+const PLATFORM_NAMES = {
+    'ethereum': 'Ethereum',
+    'tron': 'Tron',
+    'binance-smart-chain': 'BSC',
+    'polygon-pos': 'Polygon',
+    'solana': 'Solana',
+    'avalanche': 'Avalanche',
+    'arbitrum-one': 'Arbitrum',
+    'optimistic-ethereum': 'Optimism',
+    'base': 'Base',
+    'near-protocol': 'NEAR',
+    'the-open-network': 'TON',
+    'stellar': 'Stellar',
+    'algorand': 'Algorand',
+    'cardano': 'Cardano',
+    'hedera-hashgraph': 'Hedera',
+    'sui': 'Sui',
+    'aptos': 'Aptos',
+    'zksync': 'zkSync Era',
+    'linea': 'Linea',
+    'scroll': 'Scroll',
+    'mantle': 'Mantle',
+    'blast': 'Blast',
+    'manta-pacific': 'Manta',
+    'celo': 'Celo',
+    'fantom': 'Fantom',
+    'cronos': 'Cronos',
+    'harmony-shard-0': 'Harmony',
+    'moonbeam': 'Moonbeam',
+    'kava': 'Kava',
+    'osmosis': 'Osmosis',
+    'injective': 'Injective',
+    'cosmos': 'Cosmos Hub',
+    'flow': 'Flow',
+    'xdai': 'Gnosis'
+};
 
 /**
- * CoinGecko data fetcher implementation (stub).
- * Placeholder implementation for CoinGecko API integration.
- * Currently provides stub methods for future expansion to include CoinGecko
- * as an additional data source for market data and metadata.
+ * CoinGecko data fetcher implementation.
+ * Pages through `/coins/markets` for the configured category (stablecoins by default)
+ * for market data, then enriches the largest coins from `/coins/{id}` with categories,
+ * description, homepage and per-chain contract addresses. Categories become
+ * classification tags and contract addresses become the network breakdown, so CoinGecko
+ * records take part in classification and identity resolution.
  * 
  * @class CoinGeckoDataFetcher
  * @extends {IDataFetcher}
@@ -25,15 +68,18 @@ class CoinGeckoDataFetcher extends IDataFetcher {
         this.healthMonitor = healthMonitor;
         this.config = ApiConfig.getApiConfig('coingecko') || {};
         this.sourceId = 'coingecko';
+        this.http = new HttpClient(this.sourceId, { healthMonitor, request: this.config?.request });
         
         // Initialize AssetClassifier for centralized classification with validation
         const classificationConfig = ApiConfig.getAssetClassificationConfig();
         const validation = ApiConfig.validateAssetClassificationConfig();
         
         if (!validation.isValid) {
-            console.error(`Invalid asset classification config for ${this.sourceId}:`, validation.errors);
+            log.error('Invalid asset classification config', { sourceId: this.sourceId, errors: validation.errors });
         }
         this.classifier = new AssetClassifier(classificationConfig, this.healthMonitor?.logger);
+        // CoinGecko category slugs that stand for classifier tags (e.g. 'stablecoins' -> 'stablecoin')
+        this.categoryMapping = classificationConfig?.sources?.sourceSpecificRules?.coingecko?.categoryMapping || {};
     }
 
     /**
@@ -68,7 +114,7 @@ class CoinGeckoDataFetcher extends IDataFetcher {
 
     /**
      * Gets the data capabilities and priority information for this source.
-     * Returns configuration-based capabilities or empty object for stub implementation.
+     * Returns configuration-based capabilities (market data, metadata and contract breakdown).
      * 
      * @returns {Object} Capabilities object from configuration or empty object
      * @memberof CoinGeckoDataFetcher
@@ -99,14 +145,15 @@ class CoinGeckoDataFetcher extends IDataFetcher {
 
     /**
      * Fetches stablecoin data from CoinGecko API.
-     * Uses the markets endpoint with the stablecoins category to retrieve
-     * price, market cap, volume, supply, and image URL data.
+     * Pages through the markets endpoint for the configured category to retrieve
+     * price, market cap, volume, supply, and image URL data, then adds `/coins/{id}`
+     * detail to the largest coins.
      * 
      * @returns {Promise<Array>} Raw CoinGecko response array
+     * @memberof CoinGeckoDataFetcher
      */
     async fetchStablecoins() {
         if (!this.isConfigured()) return [];
-        const startTime = Date.now();
         const sourceId = this.sourceId;
 
         try {
@@ -124,46 +171,31 @@ class CoinGeckoDataFetcher extends IDataFetcher {
                     data = [];
                 }
             } else {
-                // Basic free endpoint; API key optional. Respect config for base URL.
-                const baseUrl = this.config?.baseUrl || 'https://api.coingecko.com/api/v3';
-                const url = `${baseUrl}/coins/markets`;
-                const params = {
-                    vs_currency: (this.config?.processing?.currency || 'usd'),
-                    category: (this.config?.processing?.category || 'stablecoins'),
-                    per_page: 250,
-                    page: 1,
-                    sparkline: this.config?.processing?.includeSparkline ? true : false,
-                    price_change_percentage: (this.config?.processing?.priceChangePercentage || '24h')
-                };
-                const headers = { ...(this.config?.request?.headers || {}) };
-                if (this.config?.apiKey) headers['x-cg-pro-api-key'] = this.config.apiKey;
-
-                const resp = await axios.get(url, { params, headers, timeout: this.config?.request?.timeout || 10000 });
-                data = Array.isArray(resp?.data) ? resp.data : [];
+                data = await this._fetchMarkets();
             }
 
-            // Optional: record health success
             if (this.healthMonitor) {
-                await this.healthMonitor.recordSuccess(sourceId, {
-                    operation: 'fetchStablecoins',
-                    duration: Date.now() - startTime,
-                    recordCount: Array.isArray(data) ? data.length : 0,
-                    timestamp: Date.now()
-                });
+                await this.healthMonitor.recordDataQuality(sourceId, { recordCount: Array.isArray(data) ? data.length : 0 });
             }
 
             // Filter and transform
             const filtered = this._filterStablecoins(Array.isArray(data) ? data : []);
+
+            // Metadata and contract addresses for the largest coins (mock data has no detail responses)
+            if (!this.config?.mockData?.enabled) {
+                await this._attachDetails(filtered);
+            }
             return filtered;
         } catch (error) {
-            if (this.healthMonitor) {
+            // The HTTP client has already recorded (or deliberately skipped) its own failures
+            if (this.healthMonitor && !error?.attempts) {
                 try {
                     await this.healthMonitor.recordFailure(sourceId, {
                         operation: 'fetchStablecoins',
-                        errorType: error?.response?.status === 429 ? 'rate_limit' : 'network',
+                        errorType: HttpClient.categorizeError(error),
                         message: error?.message || 'CoinGecko fetch error',
                         statusCode: error?.response?.status,
-                        retryable: [429, 500, 502, 503, 504].includes(error?.response?.status),
+                        retryable: HttpClient.isRetryable(error),
                         timestamp: Date.now()
                     });
                 } catch (_) {}
@@ -172,13 +204,142 @@ class CoinGeckoDataFetcher extends IDataFetcher {
         }
     }
 
+    /**
+     * Reads every page of the markets endpoint up to `processing.maxPages`, stopping at
+     * the first short page. A failure after the first page keeps the pages already read,
+     * since later pages only hold the smallest coins.
+     *
+     * @returns {Promise<Array>} Market rows, deduplicated by id
+     * @throws {Error} When the first page cannot be fetched
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    async _fetchMarkets() {
+        const processing = this.config?.processing || {};
+        const url = `${this._baseUrl()}${this.config?.endpoints?.coins || '/coins/markets'}`;
+        const perPage = Math.min(Math.max(1, processing.perPage || 250), 250); // CoinGecko max is 250
+        const maxPages = Math.max(1, processing.maxPages || 1);
+        const coins = new Map();
+
+        for (let page = 1; page <= maxPages; page++) {
+            const params = {
+                vs_currency: (processing.currency || 'usd'),
+                category: (processing.category || 'stablecoins'),
+                order: 'market_cap_desc',
+                per_page: perPage,
+                page,
+                sparkline: processing.includeSparkline ? true : false,
+                price_change_percentage: (processing.priceChangePercentage || '24h')
+            };
+
+            let rows;
+            try {
+                const resp = await this.http.get(url, { params, headers: this._headers(), operation: 'fetchStablecoins' });
+                rows = Array.isArray(resp?.data) ? resp.data : [];
+            } catch (error) {
+                if (page === 1) throw error;
+                log.warn('Markets page unavailable, keeping partial list', { page, recordCount: coins.size, error: error?.message || String(error) });
+                break;
+            }
+
+            // Rankings can shift between page requests; keep the first row per coin
+            for (const row of rows) {
+                if (row?.id && !coins.has(row.id)) coins.set(row.id, row);
+            }
+            if (rows.length < perPage) break;
+        }
+        return Array.from(coins.values());
+    }
+
+    /**
+     * Adds `/coins/{id}` detail (categories, description, homepage, platforms) to the
+     * largest coins by market cap. Requests run one at a time; a failed coin is skipped,
+     * and as soon as the rate limiter would delay a request the remaining coins wait for a
+     * later refresh, so enrichment never holds up market data. Detail is cached for
+     * `processing.detailCacheTtlMs`.
+     *
+     * @param {Array} coins - Filtered market rows, updated in place
+     * @returns {Promise<number>} Number of coins enriched
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    async _attachDetails(coins) {
+        const { detailTopN = 0, detailCacheTtlMs } = this.config?.processing || {};
+        if (detailTopN <= 0 || coins.length === 0) return 0;
+
+        const endpoint = this.config?.endpoints?.coin || '/coins/{id}';
+        const largest = [...coins]
+            .filter(coin => coin.id)
+            .sort((a, b) => (b.market_cap || 0) - (a.market_cap || 0))
+            .slice(0, detailTopN);
+        const params = {
+            localization: false,
+            tickers: false,
+            market_data: false,
+            community_data: false,
+            developer_data: false,
+            sparkline: false
+        };
+
+        let attached = 0;
+        for (const coin of largest) {
+            const url = `${this._baseUrl()}${endpoint.replace('{id}', encodeURIComponent(coin.id))}`;
+            try {
+                const resp = await this.http.get(url, {
+                    params,
+                    headers: this._headers(),
+                    operation: 'fetchCoinDetail',
+                    cacheTtlMs: detailCacheTtlMs,
+                    maxWaitMs: 0,
+                    select: detail => ({
+                        categories: Array.isArray(detail?.categories) ? detail.categories.filter(Boolean) : [],
+                        description: detail?.description?.en || null,
+                        homepage: (detail?.links?.homepage || []).find(Boolean) || null,
+                        platforms: detail?.platforms || {}
+                    })
+                });
+                Object.assign(coin, resp.data);
+                attached++;
+            } catch (error) {
+                if (error?.code === 'RATE_LIMITED') break;
+                log.warn('Coin detail unavailable', { coinId: coin.id, error: error?.message || String(error) });
+            }
+        }
+        return attached;
+    }
+
+    /**
+     * Gets the API base URL from configuration.
+     *
+     * @returns {string} Base URL
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    _baseUrl() {
+        return this.config?.baseUrl || 'https://api.coingecko.com/api/v3';
+    }
+
+    /**
+     * Builds request headers, adding the API key when configured.
+     *
+     * @returns {Object} Headers
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    _headers() {
+        const headers = { ...(this.config?.request?.headers || {}) };
+        if (this.config?.apiKey) headers['x-cg-pro-api-key'] = this.config.apiKey;
+        return headers;
+    }
+
     /**
      * Filters raw CoinGecko data to include only valid stablecoins
-     * Prepares filtering structure for future implementation. Expected to filter by
-     * stablecoin category and price range validation when full implementation is added.
+     * Applies price range and minimum market cap sanity checks to the category results
+     * and keeps only the fields used by the transform (including detail fields when
+     * the rows already carry them, e.g. in mock snapshots).
      * 
      * @param {Array} rawData - Raw cryptocurrency data from CoinGecko API
-     * @returns {Array} Filtered array containing only valid stablecoins (empty for stub)
+     * @returns {Array} Filtered array containing only valid stablecoins
      * @private
      * @memberof CoinGeckoDataFetcher
      */
@@ -203,35 +364,57 @@ class CoinGeckoDataFetcher extends IDataFetcher {
                 price_change_percentage_24h: c.price_change_percentage_24h,
                 market_cap_rank: c.market_cap_rank,
                 circulating_supply: c.circulating_supply,
-                total_supply: c.total_supply
+                total_supply: c.total_supply,
+                categories: c.categories,
+                description: c.description,
+                homepage: c.homepage,
+                platforms: c.platforms
             }));
     }
 
     /**
      * Transforms raw CoinGecko data to standardized internal format.
-     * Stub implementation - returns empty array until full implementation is added.
+     * Maps market rows to market and supply data; detail categories become tags
+     * (slugified, e.g. 'USD Stablecoin' -> 'usd-stablecoin') and contract addresses
+     * per asset platform become the network breakdown, mirrored into platforms.
      * 
-     * @param {Array} rawData - Raw data array from CoinGecko API (unused in stub)
-     * @returns {Array} Empty array (stub implementation)
+     * @param {Array} rawData - Raw data array from CoinGecko API
+     * @returns {Array} Array of standardized stablecoin data objects
      * @memberof CoinGeckoDataFetcher
      */
     transformToStandardFormat(rawData) {
         const ts = Date.now();
         const out = (rawData || []).map((coin) => {
+            const tags = this._categoryTags(coin);
+
             // Use AssetClassifier for consistent classification
             const classification = this.classifier.classify({
                 asset: {
-                    tags: ['coingecko'], // CoinGecko doesn't provide detailed tags in markets endpoint
+                    tags,
                     name: coin.name,
                     symbol: coin.symbol,
                     slug: coin.id
                 },
                 source: this.sourceId
             });
+
+            const networkBreakdown = Object.entries(coin.platforms || {})
+                .filter(([platformId, address]) => platformId && typeof address === 'string' && address.trim())
+                .map(([platformId, address]) => {
+                    const name = this._normalizeChainName(platformId);
+                    return {
+                        name,
+                        network: name.toLowerCase(),
+                        contractAddress: address.trim(),
+                        supply: null, // CoinGecko does not split supply by chain
+                        percentage: null,
+                    };
+                });
             
             return {
                 sourceId: this.sourceId,
                 id: coin.id,
+                externalIds: { coingecko: coin.id ?? null },
                 name: coin.name,
                 symbol: coin.symbol ? String(coin.symbol).toUpperCase() : coin.symbol,
                 slug: (coin.id || coin.symbol || '').toLowerCase(),
@@ -246,13 +429,13 @@ class CoinGeckoDataFetcher extends IDataFetcher {
                     circulating: coin.circulating_supply ?? null,
                     total: coin.total_supply ?? null,
                     max: null,
-                    networkBreakdown: []
+                    networkBreakdown
                 },
-                platforms: [],
+                platforms: networkBreakdown.map(n => ({ ...n })),
                 metadata: {
-                    tags: ['coingecko'],
-                    description: null,
-                    website: null,
+                    tags,
+                    description: this._plainText(coin.description),
+                    website: coin.homepage || null,
                     logoUrl: coin.image || null,
                     dateAdded: null,
                     peggedAsset: classification.peggedAsset,
@@ -264,6 +447,55 @@ class CoinGeckoDataFetcher extends IDataFetcher {
         });
         return out;
     }
+    /**
+     * Builds classification tags from the queried category and the coin's detail categories.
+     * Category names are slugified and mapped through the classification config's CoinGecko
+     * `categoryMapping`.
+     *
+     * @param {Object} coin - Raw coin (market row, optionally with `categories`)
+     * @returns {Array<string>} Tags, starting with 'coingecko'
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    _categoryTags(coin) {
+        const tags = new Set(['coingecko']);
+        const categories = [this.config?.processing?.category, ...(Array.isArray(coin?.categories) ? coin.categories : [])];
+        for (const category of categories) {
+            if (!category || typeof category !== 'string') continue;
+            const slug = category.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            if (slug) tags.add(this.categoryMapping[slug] || slug);
+        }
+        return Array.from(tags);
+    }
+
+    /**
+     * Normalizes a CoinGecko asset platform id to a display chain name.
+     *
+     * @param {string} platformId - Asset platform id (e.g. 'polygon-pos')
+     * @returns {string} Chain name (e.g. 'Polygon')
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    _normalizeChainName(platformId) {
+        if (!platformId || typeof platformId !== 'string') return 'Unknown';
+        const id = platformId.toLowerCase().trim();
+        if (PLATFORM_NAMES[id]) return PLATFORM_NAMES[id];
+        return id.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+    }
+
+    /**
+     * Reduces an HTML description to plain text.
+     *
+     * @param {string|null} html - Description with CoinGecko's inline links
+     * @returns {string|null} Plain text, or null when empty
+     * @private
+     * @memberof CoinGeckoDataFetcher
+     */
+    _plainText(html) {
+        if (!html || typeof html !== 'string') return null;
+        const text = html.replace(/<[^>]*>/g, '').replace(/\r\n/g, '\n').trim();
+        return text || null;
+    }
 }
 
 module.exports = CoinGeckoDataFetcher;
@@ -1,10 +1,16 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const IDataFetcher = require('../../interfaces/IDataFetcher');
 const ApiConfig = require('../../config/ApiConfig');
-const AppConfig = require('../../config/AppConfig');
 const AssetClassifier = require('../domain/AssetClassifier');
+const HttpClient = require('../HttpClient');
+const logger = require('../../app/logger');
+
+const log = logger.forModule('fetchers.defillama');
+
+// Stablecoin endpoints are served from a different host than config.baseUrl
+const STABLECOINS_BASE_URL = 'https://stablecoins.llama.fi';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * DeFiLlama data fetcher implementation.
@@ -29,13 +35,14 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
         this.healthMonitor = healthMonitor;
         this.config = ApiConfig.getApiConfig('defillama') || {};
         this.sourceId = 'defillama';
+        this.http = new HttpClient(this.sourceId, { healthMonitor, request: this.config?.request });
         
         // Initialize AssetClassifier for centralized classification with validation
         const classificationConfig = ApiConfig.getAssetClassificationConfig();
         const validation = ApiConfig.validateAssetClassificationConfig();
         
         if (!validation.isValid) {
-            console.error(`Invalid asset classification config for ${this.sourceId}:`, validation.errors);
+            log.error('Invalid asset classification config', { sourceId: this.sourceId, errors: validation.errors });
         }
         this.classifier = new AssetClassifier(classificationConfig, this.healthMonitor?.logger);
         
@@ -117,7 +124,6 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
      * @memberof DeFiLlamaDataFetcher
      */
     async fetchStablecoins() {
-        const startTime = Date.now();
         const sourceId = this.sourceId;
 
         if (!this.isConfigured()) {
@@ -141,9 +147,7 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
             if (this.config?.mockData?.enabled) {
                 data = await this._loadMockData();
             } else {
-                // DeFiLlama uses a different base URL for stablecoins
-                const baseUrl = 'https://stablecoins.llama.fi';
-                const url = `${baseUrl}${this.config?.endpoints?.stablecoins || '/stablecoins'}`;
+                const url = `${STABLECOINS_BASE_URL}${this.config?.endpoints?.stablecoins || '/stablecoins'}`;
                 const headers = {
                     ...(this.config?.request?.headers || {}),
                     'Accept': 'application/json'
@@ -154,8 +158,7 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
                     includePrices: 'true'
                 };
 
-                const timeout = this.config?.request?.timeout || AppConfig.api.defaultTimeout;
-                const response = await axios.get(url, { headers, params: parameters, timeout });
+                const response = await this.http.get(url, { headers, params: parameters, operation: 'fetchStablecoins' });
                 data = response.data;
             }
 
@@ -169,24 +172,25 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
                     .map(c => c?.pegType)
                     .filter(Boolean)))
                     .sort();
-                console.debug(`DeFiLlama peg types present (${pegTypes.length}): ${pegTypes.join(', ')}`);
+                log.debug('Peg types present', { count: pegTypes.length, pegTypes });
             } catch (_) { /* ignore logging errors */ }
 
             // Filter the raw data to include only valid stablecoins
             const stablecoins = await this._filterStablecoins(data.peggedAssets);
 
+            // Daily per-chain history for the largest coins (mock data has no detail responses)
+            if (!this.config?.mockData?.enabled) {
+                await this._attachChainBalances(stablecoins);
+            }
+
             if (this.healthMonitor) {
-                await this.healthMonitor.recordSuccess(sourceId, {
-                    operation: 'fetchStablecoins',
-                    duration: Date.now() - startTime,
-                    recordCount: stablecoins.length,
-                    timestamp: Date.now()
-                });
+                await this.healthMonitor.recordDataQuality(sourceId, { recordCount: stablecoins.length });
             }
 
             return stablecoins;
         } catch (error) {
-            if (this.healthMonitor) {
+            // The HTTP client has already recorded (or deliberately skipped) its own failures
+            if (this.healthMonitor && !error?.attempts) {
                 await this.healthMonitor.recordFailure(sourceId, {
                     operation: 'fetchStablecoins',
                     errorType: this._categorizeError(error),
@@ -200,6 +204,176 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
         }
     }
 
+    /**
+     * Fetches the detail endpoint for the largest coins and stores its `chainBalances`
+     * on each raw coin, trimmed to the configured history window. Requests run one at a
+     * time; a failed coin is skipped, and once the rate limiter defers a request the
+     * remaining coins keep only the list endpoint's prev day/week/month values.
+     *
+     * @param {Array} stablecoins - Filtered raw peggedAssets, updated in place
+     * @returns {Promise<number>} Number of coins that received chain balances
+     * @private
+     * @memberof DeFiLlamaDataFetcher
+     */
+    async _attachChainBalances(stablecoins) {
+        const settings = this.config?.processing?.chainHistory || {};
+        const topN = settings.detailTopN ?? 0;
+        if (topN <= 0 || stablecoins.length === 0) return 0;
+
+        const pegAmount = coin => this._peggedAmount(coin.circulating, coin.pegType) || 0;
+        const largest = [...stablecoins]
+            .filter(coin => coin.id !== undefined && coin.id !== null)
+            .sort((a, b) => pegAmount(b) - pegAmount(a))
+            .slice(0, topN);
+        const endpoint = this.config?.endpoints?.stablecoin || '/stablecoin/{id}';
+        const headers = {
+            ...(this.config?.request?.headers || {}),
+            'Accept': 'application/json'
+        };
+
+        let attached = 0;
+        for (const coin of largest) {
+            const url = `${STABLECOINS_BASE_URL}${endpoint.replace('{id}', encodeURIComponent(coin.id))}`;
+            try {
+                const response = await this.http.get(url, {
+                    headers,
+                    operation: 'fetchStablecoinDetail',
+                    cacheTtlMs: settings.detailCacheTtlMs,
+                    // Full histories run to megabytes per coin; keep only the window we show
+                    select: detail => ({ chainBalances: this._trimChainBalances(detail?.chainBalances, settings.historyDays) })
+                });
+                if (response.data?.chainBalances) {
+                    coin.chainBalances = response.data.chainBalances;
+                    attached++;
+                }
+            } catch (error) {
+                if (error?.code === 'RATE_LIMITED') break;
+                log.warn('Coin detail unavailable', { symbol: coin.symbol, error: error?.message || String(error) });
+            }
+        }
+        return attached;
+    }
+
+    /**
+     * Keeps the last `historyDays` days (plus the day before, for change calculations)
+     * of each chain's daily balances.
+     *
+     * @param {Object} chainBalances - Detail endpoint chainBalances ({ [chain]: { tokens: [...] } })
+     * @param {number} [historyDays=30] - Days of history to keep
+     * @returns {Object|null} Trimmed chainBalances, or null when missing
+     * @private
+     * @memberof DeFiLlamaDataFetcher
+     */
+    _trimChainBalances(chainBalances, historyDays = 30) {
+        if (!chainBalances || typeof chainBalances !== 'object') return null;
+        const trimmed = {};
+        for (const [chainName, chainData] of Object.entries(chainBalances)) {
+            const tokens = Array.isArray(chainData?.tokens) ? chainData.tokens : [];
+            trimmed[chainName] = {
+                tokens: tokens.slice(-(historyDays + 1)).map(t => ({ date: t?.date, circulating: t?.circulating }))
+            };
+        }
+        return trimmed;
+    }
+
+    /**
+     * Builds per-chain supply history for a raw coin: previous day, week and month
+     * supply, percentage change against each, and the daily series from the detail
+     * endpoint when it was fetched. Previous values come from the list endpoint's
+     * `circulatingPrev*` fields, falling back to the daily series.
+     *
+     * @param {Object} coin - Raw peggedAsset, optionally with `chainBalances`
+     * @returns {Object} { [chainName]: { prevDay, prevWeek, prevMonth, change: { '1d', '7d', '30d' }, series: [{ timestamp, supply }] } }
+     * @private
+     * @memberof DeFiLlamaDataFetcher
+     */
+    _buildChainHistory(coin) {
+        const history = {};
+        if (!coin?.chainCirculating || typeof coin.chainCirculating !== 'object') return history;
+
+        const historyDays = this.config?.processing?.chainHistory?.historyDays ?? 30;
+        for (const [chainName, chainData] of Object.entries(coin.chainCirculating)) {
+            const current = this._peggedAmount(chainData?.current, coin.pegType);
+            if (!current || current <= 0) continue;
+
+            const series = (coin.chainBalances?.[chainName]?.tokens || [])
+                .map(t => ({
+                    timestamp: typeof t?.date === 'number' ? t.date * 1000 : Date.parse(t?.date),
+                    supply: this._peggedAmount(t?.circulating, coin.pegType)
+                }))
+                .filter(point => Number.isFinite(point.timestamp) && point.supply !== null)
+                .sort((a, b) => a.timestamp - b.timestamp);
+            const latest = series.length ? series[series.length - 1].timestamp : null;
+            const windowed = latest === null ? [] : series.filter(point => point.timestamp >= latest - historyDays * DAY_MS);
+
+            const prevDay = this._peggedAmount(chainData.circulatingPrevDay, coin.pegType) ?? this._supplyDaysBefore(series, 1);
+            const prevWeek = this._peggedAmount(chainData.circulatingPrevWeek, coin.pegType) ?? this._supplyDaysBefore(series, 7);
+            const prevMonth = this._peggedAmount(chainData.circulatingPrevMonth, coin.pegType) ?? this._supplyDaysBefore(series, 30);
+
+            history[chainName] = {
+                prevDay,
+                prevWeek,
+                prevMonth,
+                change: {
+                    '1d': this._percentChange(current, prevDay),
+                    '7d': this._percentChange(current, prevWeek),
+                    '30d': this._percentChange(current, prevMonth)
+                },
+                series: windowed
+            };
+        }
+        return history;
+    }
+
+    /**
+     * Reads an amount from a DeFiLlama peg map ({ peggedUSD: n, ... }), preferring the coin's peg type.
+     *
+     * @param {Object} values - Peg map
+     * @param {string} [pegType] - Coin peg type
+     * @returns {number|null} Amount, or null when absent
+     * @private
+     * @memberof DeFiLlamaDataFetcher
+     */
+    _peggedAmount(values, pegType) {
+        if (!values || typeof values !== 'object') return null;
+        const amount = (pegType && values[pegType] !== undefined) ? values[pegType]
+            : values.peggedUSD !== undefined ? values.peggedUSD
+                : Object.values(values).find(v => typeof v === 'number');
+        return typeof amount === 'number' && Number.isFinite(amount) ? amount : null;
+    }
+
+    /**
+     * Supply from a daily series as of `days` before its latest point.
+     *
+     * @param {Array<{timestamp: number, supply: number}>} series - Ascending daily series
+     * @param {number} days - Days back from the latest point
+     * @returns {number|null} Supply, or null when the series does not reach back that far
+     * @private
+     * @memberof DeFiLlamaDataFetcher
+     */
+    _supplyDaysBefore(series, days) {
+        if (series.length < 2) return null;
+        const target = series[series.length - 1].timestamp - days * DAY_MS;
+        for (let i = series.length - 2; i >= 0; i--) {
+            if (series[i].timestamp <= target) return series[i].supply;
+        }
+        return null;
+    }
+
+    /**
+     * Percentage change rounded to two decimals.
+     *
+     * @param {number} current - Current value
+     * @param {number|null} previous - Earlier value
+     * @returns {number|null} Change in percent, or null without a positive earlier value
+     * @private
+     * @memberof DeFiLlamaDataFetcher
+     */
+    _percentChange(current, previous) {
+        if (typeof previous !== 'number' || previous <= 0) return null;
+        return Math.round(((current - previous) / previous) * 10000) / 100;
+    }
+
     /**
      * Filters raw DeFiLlama data to include only valid stablecoins
      * Applies comprehensive filtering including peg type validation, symbol/pattern exclusions,
@@ -367,6 +541,7 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
             const currentPrice = coin.price;
 
             // Build network breakdown from chainCirculating data
+            const chainHistory = this._buildChainHistory(coin);
             const networkBreakdown = [];
             if (coin.chainCirculating && typeof coin.chainCirculating === 'object') {
                 for (const [chainName, chainData] of Object.entries(coin.chainCirculating)) {
@@ -385,6 +560,7 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
                                 contractAddress: null, // DeFiLlama doesn't provide contract addresses in this endpoint
                                 supply: chainSupply,
                                 percentage: percentage,
+                                historical: chainHistory[chainName] || null,
                             });
                         }
                     }
@@ -404,6 +580,10 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
             const standardized = {
                 sourceId: this.sourceId,
                 id: coin.id?.toString() || coin.symbol,
+                externalIds: {
+                    defillama: coin.id?.toString() || null,
+                    coingecko: coin.gecko_id || null
+                },
                 name: coin.name,
                 symbol: coin.symbol?.toUpperCase(),
                 slug: (coin.symbol || coin.name || '').toLowerCase().replace(/[^a-z0-9]/g, '-'),
@@ -435,6 +615,7 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
                         id: coin.id,
                         rawChainCirculating: coin.chainCirculating,
                         rawCirculating: coin.circulating,
+                        chainHistory: chainHistory,
                     }
                 },
                 assetCategory: classification.assetCategory,
@@ -512,15 +693,7 @@ class DeFiLlamaDataFetcher extends IDataFetcher {
      * @memberof DeFiLlamaDataFetcher
      */
     _categorizeError(error) {
-        if (!error) return 'unknown';
-        const status = error?.response?.status;
-        if (status === 401 || status === 403) return 'auth';
-        if (status === 404) return 'not_found';
-        if (status === 429) return 'rate_limit';
-        if (status >= 500) return 'server';
-        if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) return 'timeout';
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') return 'network';
-        return 'unknown';
+        return HttpClient.categorizeError(error);
     }
 
     /**
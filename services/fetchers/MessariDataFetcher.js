@@ -1,10 +1,13 @@
 const { MessariClient } = require('@messari/sdk');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const IDataFetcher = require('../../interfaces/IDataFetcher');
 const ApiConfig = require('../../config/ApiConfig');
 const AssetClassifier = require('../domain/AssetClassifier');
+const HttpClient = require('../HttpClient');
+const logger = require('../../app/logger');
+
+const log = logger.forModule('fetchers.messari');
 
 /**
  * Messari data fetcher implementation.
@@ -29,13 +32,14 @@ class MessariDataFetcher extends IDataFetcher {
         this.healthMonitor = healthMonitor;
         this.config = ApiConfig.getApiConfig('messari') || {};
         this.sourceId = 'messari';
+        this.http = new HttpClient(this.sourceId, { healthMonitor, request: this.config?.request });
         
         // Initialize AssetClassifier for centralized classification with validation
         const classificationConfig = ApiConfig.getAssetClassificationConfig();
         const validation = ApiConfig.validateAssetClassificationConfig();
         
         if (!validation.isValid) {
-            console.error(`Invalid asset classification config for ${this.sourceId}:`, validation.errors);
+            log.error('Invalid asset classification config', { sourceId: this.sourceId, errors: validation.errors });
         }
         this.classifier = new AssetClassifier(classificationConfig, this.logger);
         this.client = null;
@@ -57,7 +61,7 @@ class MessariDataFetcher extends IDataFetcher {
                     defaultHeaders: (this.config?.request?.headers || {}) 
                 });
             } catch (clientError) {
-                console.warn(`Failed to initialize Messari SDK client: ${clientError?.message || 'Unknown error'}`);
+                log.warn('Failed to initialize SDK client', { error: clientError?.message || 'Unknown error' });
                 this.client = null;
             }
         }
@@ -106,12 +110,12 @@ class MessariDataFetcher extends IDataFetcher {
         
         // Messari API keys are typically 40-60 characters long with hyphens
         if (keyLength < 20 || keyLength > 100) {
-            console.warn(`Messari API key format warning: Key length (${keyLength}) seems unusual for Messari API keys`);
+            log.warn('API key length seems unusual for Messari API keys', { keyLength });
         }
         
         // Check for placeholder or example keys that shouldn't be used
         if (apiKey.includes('your-api-key') || apiKey.includes('PLACEHOLDER') || apiKey === 'test' || apiKey === 'demo') {
-            console.error(`Messari API key appears to be a placeholder: "${apiKey.substring(0, 20)}..."`);
+            log.error('API key appears to be a placeholder', { keyLength });
             return false;
         }
         
@@ -173,7 +177,6 @@ class MessariDataFetcher extends IDataFetcher {
      * @memberof MessariDataFetcher
      */
     async fetchStablecoins() {
-        const startTime = Date.now();
         const sourceId = this.sourceId;
 
         if (!this.isConfigured()) {
@@ -207,17 +210,13 @@ class MessariDataFetcher extends IDataFetcher {
             const filteredList = await this._filterStablecoins(list);
 
             if (this.healthMonitor) {
-                await this.healthMonitor.recordSuccess(sourceId, {
-                    operation: 'fetchStablecoins',
-                    duration: Date.now() - startTime,
-                    recordCount: Array.isArray(filteredList) ? filteredList.length : 0,
-                    timestamp: Date.now()
-                });
+                await this.healthMonitor.recordDataQuality(sourceId, { recordCount: Array.isArray(filteredList) ? filteredList.length : 0 });
             }
 
             return filteredList || [];
         } catch (error) {
-            if (this.healthMonitor) {
+            // The HTTP client has already recorded (or deliberately skipped) its own failures
+            if (this.healthMonitor && !error?.attempts) {
                 await this.healthMonitor.recordFailure(sourceId, {
                     operation: 'fetchStablecoins',
                     errorType: this._categorizeError(error),
@@ -246,9 +245,12 @@ class MessariDataFetcher extends IDataFetcher {
     async _fetchStablecoinMetrics(path) {
         if (this.client && typeof this.client.request === "function") {
             try {
-                const sdkData = await this.client.request({ method: "GET", path });
+                // The SDK takes no abort signal; the client still stops waiting at the timeout
+                const sdkData = await this.http.execute('fetchStablecoins', () => this.client.request({ method: "GET", path }), { cacheKey: `sdk:${path}` });
                 return Array.isArray(sdkData?.data) ? sdkData.data : (Array.isArray(sdkData) ? sdkData : []);
             } catch (sdkError) {
+                // Over budget: the direct HTTP fallback would be over budget too
+                if (sdkError?.code === 'RATE_LIMITED') throw sdkError;
                 // Extract more details from SDK error for better diagnostics
                 const errorDetails = {
                     message: sdkError?.message || 'Unknown SDK error',
@@ -259,21 +261,23 @@ class MessariDataFetcher extends IDataFetcher {
                 };
                 
                 if (errorDetails.status === 401 || errorDetails.status === 403) {
-                    console.warn(`Messari SDK authentication failed (${errorDetails.status}), falling back to direct HTTP`);
+                    log.warn('SDK authentication failed, falling back to direct HTTP', { status: errorDetails.status });
                 } else if (errorDetails.status === 429) {
-                    console.warn(`Messari SDK rate limit exceeded (${errorDetails.status}), falling back to direct HTTP`);
+                    log.warn('SDK rate limit exceeded, falling back to direct HTTP', { status: errorDetails.status });
                 } else {
-                    console.warn(`Messari SDK request failed (${errorDetails.status || errorDetails.type}): ${errorDetails.message}, falling back to direct HTTP`);
+                    log.warn('SDK request failed, falling back to direct HTTP', {
+                        status: errorDetails.status || errorDetails.type,
+                        error: errorDetails.message
+                    });
                 }
             }
         }
         const baseUrl = this.config?.baseUrl || 'https://api.messari.io';
         const url = `${baseUrl}${path}`;
         const headers = { ...(this.config?.request?.headers || {}), 'x-messari-api-key': this.config?.apiKey };
-        const timeout = this.config?.request?.timeout;
         
         try {
-            const resp = await axios.get(url, { headers, timeout });
+            const resp = await this.http.get(url, { headers, operation: 'fetchStablecoins' });
             const data = resp?.data;
             const list = Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : []);
             return list || [];
@@ -283,18 +287,21 @@ class MessariDataFetcher extends IDataFetcher {
             const responseData = axiosError?.response?.data;
             
             if (status === 401 || status === 403) {
-                console.error(`Messari API authentication failed (${status}): Invalid API key or insufficient permissions`);
-                console.error(`API key format check: ${this.config?.apiKey ? 'Key present (length: ' + this.config.apiKey.length + ')' : 'No API key'}`);
+                log.error('Authentication failed: invalid API key or insufficient permissions', {
+                    status,
+                    keyLength: this.config?.apiKey ? this.config.apiKey.length : 0
+                });
             } else if (status === 429) {
-                console.error(`Messari API rate limit exceeded (${status}): Too many requests`);
+                log.error('Rate limit exceeded', { status });
             } else if (status >= 500) {
-                console.error(`Messari API server error (${status}): ${statusText || 'Server unavailable'}`);
+                log.error('Server error', { status, statusText: statusText || 'Server unavailable' });
             } else {
-                console.error(`Messari API request failed (${status || 'Network Error'}): ${axiosError?.message || 'Unknown error'}`);
-                console.error(`Request URL: ${url}`);
-                if (responseData) {
-                    console.error(`Response: ${JSON.stringify(responseData).substring(0, 200)}`);
-                }
+                log.error('Request failed', {
+                    status: status || 'Network Error',
+                    error: axiosError?.message || 'Unknown error',
+                    path,
+                    ...(responseData ? { response: JSON.stringify(responseData).substring(0, 200) } : {})
+                });
             }
             
             throw axiosError;
@@ -406,6 +413,7 @@ class MessariDataFetcher extends IDataFetcher {
             const standardized = {
                 sourceId: this.sourceId,
                 id: m.id,
+                externalIds: { messari: m.id ?? null },
                 name: m.name,
                 symbol: m.symbol ? String(m.symbol).toUpperCase() : m.symbol,
                 slug: (m.slug || m.symbol || '').toLowerCase(),
@@ -468,15 +476,7 @@ class MessariDataFetcher extends IDataFetcher {
      * @memberof MessariDataFetcher
      */
     _categorizeError(error) {
-        if (!error) return 'unknown';
-        const status = error?.response?.status;
-        if (status === 401 || status === 403) return 'auth';
-        if (status === 404) return 'not_found';
-        if (status === 429) return 'rate_limit';
-        if (status >= 500) return 'server';
-        if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) return 'timeout';
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') return 'network';
-        return 'unknown';
+        return HttpClient.categorizeError(error);
     }
 
     /**
@@ -0,0 +1,20 @@
+const CmcDataFetcher = require('./CmcDataFetcher');
+const MessariDataFetcher = require('./MessariDataFetcher');
+const CoinGeckoDataFetcher = require('./CoinGeckoDataFetcher');
+const DeFiLlamaDataFetcher = require('./DeFiLlamaDataFetcher');
+const CmcApiConfig = require('../../config/apis/cmc.config');
+const MessariApiConfig = require('../../config/apis/messari.config');
+const CoinGeckoApiConfig = require('../../config/apis/coingecko.config');
+const DeFiLlamaApiConfig = require('../../config/apis/defillama.config');
+
+/**
+ * Built-in data source plugins.
+ * Uses the same descriptor shape as external plugins (see PluginLoader), so built-in
+ * and third-party sources are loaded, validated and registered the same way.
+ */
+module.exports = [
+    { sourceId: 'cmc', name: 'CoinMarketCap', Fetcher: CmcDataFetcher, Config: CmcApiConfig },
+    { sourceId: 'messari', name: 'Messari', Fetcher: MessariDataFetcher, Config: MessariApiConfig },
+    { sourceId: 'coingecko', name: 'CoinGecko', Fetcher: CoinGeckoDataFetcher, Config: CoinGeckoApiConfig },
+    { sourceId: 'defillama', name: 'DeFiLlama', Fetcher: DeFiLlamaDataFetcher, Config: DeFiLlamaApiConfig }
+];
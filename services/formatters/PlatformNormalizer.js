@@ -146,7 +146,7 @@ class PlatformNormalizer {
                                 network.supply || null, 
                                 network.supply || null,
                                 network.percentage || null,
-                                {}
+                                network.historical || {}
                             ));
                         }
                     }
@@ -228,11 +228,7 @@ class PlatformNormalizer {
                 seen.add(normalized);
                 
                 const percentage = totalSupply ? (chainSupply / totalSupply) * 100 : null;
-                const historicalData = {
-                    prevDay: chainData.circulatingPrevDay || null,
-                    prevWeek: chainData.circulatingPrevWeek || null,
-                    prevMonth: chainData.circulatingPrevMonth || null
-                };
+                const historicalData = defillamaData.chainHistory?.[chainName] || {};
 
                 platforms.push(new Platform(
                     normalized,
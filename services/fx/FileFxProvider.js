@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FX rate provider backed by a local JSON file.
+ *
+ * The file uses the layout most rate APIs return: how many units of each currency one unit
+ * of `base` buys, e.g. `{ "base": "USD", "date": "2026-10-16", "rates": { "EUR": 0.9215 } }`.
+ * `base` defaults to USD; `date` (or `timestamp`) is the quote time and falls back to the
+ * file's modification time. The file is read on every refresh, so edits apply without a
+ * restart. A missing file yields no rates, which lets later providers answer.
+ *
+ * @class FileFxProvider
+ */
+class FileFxProvider {
+    /**
+     * Creates an instance of FileFxProvider.
+     *
+     * @param {Object} [options={}] - Provider options
+     * @param {string} [options.filePath] - Rates file (relative paths resolve from project root)
+     * @memberof FileFxProvider
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath ? path.resolve(__dirname, '..', '..', options.filePath) : null;
+    }
+
+    /**
+     * Provider name, reported as the source of its rates.
+     *
+     * @returns {string} 'file'
+     * @memberof FileFxProvider
+     */
+    get name() {
+        return 'file';
+    }
+
+    /**
+     * Reads the rates file.
+     *
+     * @returns {Promise<Object>} { base, rates, asOf } with rates in units per base currency
+     * @throws {Error} When the file exists but is not valid JSON
+     * @memberof FileFxProvider
+     */
+    async fetchRates() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return { base: 'USD', rates: {}, asOf: null };
+
+        const [text, stats] = await Promise.all([
+            fs.promises.readFile(this.filePath, 'utf8'),
+            fs.promises.stat(this.filePath)
+        ]);
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Cannot parse ${path.basename(this.filePath)}: ${error.message}`);
+        }
+
+        const stamp = doc.timestamp ?? doc.date;
+        const parsed = typeof stamp === 'number' ? stamp : Date.parse(stamp);
+        return {
+            base: doc.base || 'USD',
+            rates: doc.rates || {},
+            asOf: Number.isFinite(parsed) ? parsed : stats.mtimeMs
+        };
+    }
+}
+
+module.exports = FileFxProvider;
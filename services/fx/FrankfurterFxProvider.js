@@ -0,0 +1,56 @@
+const HttpClient = require('../HttpClient');
+
+/**
+ * FX rate provider for the Frankfurter API, which publishes the European Central Bank's
+ * daily reference rates without an API key.
+ *
+ * One request returns every currency Frankfurter quotes against USD; asking for a currency
+ * it does not know fails the whole request, so the list is never narrowed. Responses are
+ * cached for `cacheTtlMs` (ECB rates change once per working day).
+ *
+ * @class FrankfurterFxProvider
+ */
+class FrankfurterFxProvider {
+    /**
+     * Creates an instance of FrankfurterFxProvider.
+     *
+     * @param {Object} [options={}] - Provider options
+     * @param {string} [options.apiUrl] - Latest-rates endpoint
+     * @param {number} [options.cacheTtlMs] - How long responses are cached
+     * @param {HttpClient} [options.http] - HTTP client, for tests
+     * @memberof FrankfurterFxProvider
+     */
+    constructor(options = {}) {
+        this.apiUrl = options.apiUrl || 'https://api.frankfurter.app/latest';
+        this.http = options.http || new HttpClient('fx', { request: { cacheTtlMs: options.cacheTtlMs } });
+    }
+
+    /**
+     * Provider name, reported as the source of its rates.
+     *
+     * @returns {string} 'frankfurter'
+     * @memberof FrankfurterFxProvider
+     */
+    get name() {
+        return 'frankfurter';
+    }
+
+    /**
+     * Fetches the latest USD reference rates.
+     *
+     * @returns {Promise<Object>} { base, rates, asOf } with rates in units per base currency
+     * @throws {Error} When the request fails or the response has no rates
+     * @memberof FrankfurterFxProvider
+     */
+    async fetchRates() {
+        const response = await this.http.get(this.apiUrl, { params: { from: 'USD' }, operation: 'fetchFxRates' });
+        const data = response.data || {};
+        if (!data.rates || typeof data.rates !== 'object') {
+            throw new Error('No rates in Frankfurter response');
+        }
+        const asOf = Date.parse(data.date);
+        return { base: data.base || 'USD', rates: data.rates, asOf: Number.isFinite(asOf) ? asOf : null };
+    }
+}
+
+module.exports = FrankfurterFxProvider;
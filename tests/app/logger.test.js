@@ -0,0 +1,87 @@
+const { Transport } = require('winston');
+
+const ENV = {
+    LOG_LEVEL: 'info',
+    LOG_FORMAT: 'json',
+    LOG_LEVEL_FETCHERS: 'debug',
+    LOG_LEVEL_FETCHERS_CMC: 'warn'
+};
+
+class MemoryTransport extends Transport {
+    constructor() {
+        super();
+        this.entries = [];
+    }
+
+    log(info, callback) {
+        this.entries.push(info);
+        callback();
+    }
+}
+
+describe('logger', () => {
+    const saved = {};
+    let logger;
+    let transport;
+
+    beforeEach(() => {
+        for (const [key, value] of Object.entries(ENV)) {
+            saved[key] = process.env[key];
+            process.env[key] = value;
+        }
+        jest.isolateModules(() => {
+            logger = require('../../app/logger');
+        });
+        transport = new MemoryTransport();
+        logger.clear().add(transport);
+    });
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    it('applies the most specific module level override', () => {
+        logger.forModule('fetchers.defillama').debug('defillama debug');
+        logger.forModule('fetchers.cmc').info('cmc info');
+        logger.forModule('fetchers.cmc').warn('cmc warn');
+        logger.forModule('dataService').debug('service debug');
+        logger.forModule('dataService').info('service info');
+
+        expect(transport.entries.map(e => [e.module, e.message])).toEqual([
+            ['fetchers.defillama', 'defillama debug'],
+            ['fetchers.cmc', 'cmc warn'],
+            ['dataService', 'service info']
+        ]);
+    });
+
+    it('adds context fields to entries logged inside withContext, including async work', async () => {
+        const log = logger.forModule('dataService');
+        await logger.withContext({ refreshId: 'r1' }, async () => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            logger.withContext({ reqId: 'q1' }, () => log.info('nested'));
+            log.info('after await', { refreshId: 'explicit' });
+        });
+        log.info('outside');
+
+        expect(transport.entries.map(e => [e.message, e.refreshId, e.reqId])).toEqual([
+            ['nested', 'r1', 'q1'],
+            ['after await', 'explicit', undefined],
+            ['outside', undefined, undefined]
+        ]);
+        expect(logger.getContext()).toEqual({});
+    });
+
+    it('redacts secret-like fields', () => {
+        logger.forModule('fetchers.messari').warn('config', { apiKey: 'abc123', authorization: 'Bearer x', keyLength: 6 });
+
+        expect(transport.entries[0]).toMatchObject({ apiKey: '[redacted]', authorization: '[redacted]', keyLength: 6 });
+    });
+
+    it('creates short hex ids', () => {
+        expect(logger.createId()).toMatch(/^[0-9a-f]{12}$/);
+        expect(logger.createId()).not.toBe(logger.createId());
+    });
+});
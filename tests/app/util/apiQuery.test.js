@@ -0,0 +1,70 @@
+const { parseListQuery, parseFields, parseHistoryRange, applyListQuery, selectFields, MAX_LIMIT } = require('../../../app/util/apiQuery');
+
+const coins = [
+    { symbol: 'USDT', assetCategory: 'Stablecoin', marketData: { marketCap: 100, price: 1.0 }, metadata: { peggedAsset: 'USD' } },
+    { symbol: 'EURC', assetCategory: 'Stablecoin', marketData: { marketCap: 10, price: 1.08 }, metadata: { peggedAsset: 'EUR' } },
+    { symbol: 'PAXG', assetCategory: 'Tokenized Asset', marketData: { marketCap: null, price: 2400 }, metadata: { peggedAsset: 'Gold' } },
+    { symbol: 'USDC', assetCategory: 'Stablecoin', marketData: { marketCap: 50, price: 0.999 }, metadata: { peggedAsset: 'USD' } }
+];
+
+const options = {
+    sortAliases: { marketCap: 'marketData.marketCap' },
+    filters: ['category', 'peg']
+};
+
+const matchers = {
+    category: (c, values) => values.map(v => v.toLowerCase().replace(/[^a-z]/g, '')).includes(c.assetCategory.toLowerCase().replace(/[^a-z]/g, '')),
+    peg: (c, values) => values.map(v => v.toLowerCase()).includes(c.metadata.peggedAsset.toLowerCase())
+};
+
+describe('apiQuery', () => {
+    it('applies defaults when no parameters are given', () => {
+        const { params, errors } = parseListQuery({}, options);
+        expect(errors).toEqual([]);
+        expect(params).toMatchObject({ page: 1, limit: 50, sort: [], fields: [], filters: {} });
+    });
+
+    it('rejects invalid pagination and sort fields', () => {
+        const { errors } = parseListQuery({ page: '0', limit: String(MAX_LIMIT + 1), sort: 'market-cap' }, options);
+        expect(errors).toHaveLength(3);
+    });
+
+    it('sorts descending with missing values last', () => {
+        const { params } = parseListQuery({ sort: '-marketCap' }, options);
+        const { data } = applyListQuery(coins, params, matchers);
+        expect(data.map(c => c.symbol)).toEqual(['USDT', 'USDC', 'EURC', 'PAXG']);
+    });
+
+    it('filters by comma-separated values and paginates', () => {
+        const { params } = parseListQuery({ peg: 'usd,eur', category: 'stablecoin', sort: 'symbol', limit: '2', page: '2' }, options);
+        const { data, meta } = applyListQuery(coins, params, matchers);
+        expect(meta).toEqual({ total: 3, page: 2, limit: 2, pages: 2 });
+        expect(data.map(c => c.symbol)).toEqual(['USDT']);
+    });
+
+    it('selects nested fields', () => {
+        expect(selectFields(coins[0], ['symbol', 'marketData.price'])).toEqual({ symbol: 'USDT', marketData: { price: 1.0 } });
+        expect(selectFields(coins[0], [])).toBe(coins[0]);
+    });
+
+    it('rejects malformed field paths and paths the record does not have', () => {
+        expect(parseFields('symbol, marketData.price')).toEqual({ fields: ['symbol', 'marketData.price'], errors: [] });
+        expect(parseFields('symbol,marketData.', [coins[0]]).errors).toEqual(['Invalid field: marketData.']);
+        expect(parseFields('marketData.volume,metadata.peggedAsset', [coins[0]]).errors).toEqual(['Unknown field: marketData.volume']);
+        expect(parseListQuery({ fields: 'a..b' }, options).errors).toEqual(['Invalid field: a..b']);
+    });
+
+    it('rejects list sort and field paths that no record has', () => {
+        const { errors } = parseListQuery({ sort: '-marketCap,bogus', fields: 'symbol,bogus.path' }, { ...options, records: coins });
+        expect(errors).toEqual(['Unknown sort field: bogus', 'Unknown field: bogus.path']);
+        expect(parseListQuery({ sort: 'bogus', fields: 'bogus' }, { ...options, records: [] }).errors).toEqual([]);
+    });
+
+    it('parses history ranges into time windows', () => {
+        const now = 10 * 24 * 60 * 60 * 1000;
+        expect(parseHistoryRange('24h', now).range).toEqual({ name: '24h', from: now - 24 * 60 * 60 * 1000, to: now });
+        expect(parseHistoryRange('ALL', now).range).toEqual({ name: 'all', from: 0, to: now });
+        expect(parseHistoryRange(undefined, now).range.name).toBe('30d');
+        expect(parseHistoryRange('1y', now).errors).toHaveLength(1);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Shared test fixtures: fetcher doubles and standardized stablecoin records.
+ */
+
+/**
+ * Minimal fetcher double returning standardized records as-is.
+ * @param {string} sourceId - Source identifier the double reports
+ * @param {Array|Function} records - Records to return, or a function returning the current records
+ * @param {Object} [options]
+ * @param {number} [options.priority=0] - Source priority reported by getCapabilities
+ * @returns {Object} Fetcher double accepted by ServiceFactory.createDataServiceWithFetchers
+ */
+function fakeFetcher(sourceId, records, { priority = 0 } = {}) {
+    return {
+        getSourceId: () => sourceId,
+        isConfigured: () => true,
+        getCapabilities: () => ({ priority }),
+        fetchStablecoins: async () => (typeof records === 'function' ? records() : records),
+        transformToStandardFormat: (raw) => raw
+    };
+}
+
+/**
+ * Source entry as handed to the domain services (resolver, lineage)
+ * @param {string} sourceId - Source the record came from
+ * @param {Object} data - Standardized record fields; marketData and supplyData default to empty
+ * @returns {{ sourceId: string, data: Object }}
+ */
+function sourceRecord(sourceId, data) {
+    return { sourceId, data: { marketData: {}, supplyData: {}, ...data } };
+}
+
+/**
+ * Standardized stablecoin record as returned by a fetcher
+ * @param {string} symbol - Ticker; the slug is its lower-case form
+ * @param {Object} [options]
+ * @param {string|number} [options.id] - Source id (defaults to the slug)
+ * @param {string} [options.name] - Display name (defaults to "<symbol> Coin")
+ * @param {number} [options.price=1]
+ * @param {number} [options.marketCap=1e9]
+ * @param {string} [options.peg='USD']
+ * @param {string} [options.category='Stablecoin']
+ * @param {number} [options.rank=1]
+ * @param {Object<string, number>} [options.chains] - Share of supply per platform
+ * @param {Object<string, number>} [options.chainSupply] - Absolute supply per platform; overrides chains
+ * @param {boolean} [options.historical=false] - Add prevDay/prevWeek supply to each platform
+ * @param {string[]} [options.sources] - dataSources list, omitted when not given
+ * @returns {Object} Standardized record
+ */
+function stablecoin(symbol, {
+    id = symbol.toLowerCase(),
+    name = `${symbol} Coin`,
+    price = 1,
+    marketCap = 1e9,
+    peg = 'USD',
+    category = 'Stablecoin',
+    rank = 1,
+    chains = { Ethereum: 0.6, Tron: 0.4 },
+    chainSupply = null,
+    historical = false,
+    sources
+} = {}) {
+    const supply = marketCap / price;
+    const perChain = chainSupply || Object.fromEntries(
+        Object.entries(chains).map(([platform, share]) => [platform, supply * share])
+    );
+    const record = {
+        id,
+        symbol,
+        name,
+        slug: symbol.toLowerCase(),
+        assetCategory: category,
+        marketData: { price, marketCap, volume24h: marketCap / 10, percentChange24h: 0.1, rank },
+        supplyData: {
+            circulating: supply,
+            total: supply,
+            networkBreakdown: Object.entries(perChain).map(([platform, amount]) => ({
+                platform,
+                network: platform.toLowerCase(),
+                supply: amount,
+                ...(historical ? { historical: { prevDay: amount * 0.98, prevWeek: amount * 0.95 } } : {})
+            }))
+        },
+        metadata: { peggedAsset: peg, tags: ['stablecoin'] }
+    };
+    if (sources) record.dataSources = sources;
+    return record;
+}
+
+module.exports = { fakeFetcher, sourceRecord, stablecoin };
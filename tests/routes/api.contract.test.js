@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const createApiRoutes = require('../../routes/api');
+const createRoutes = require('../../routes/routes');
+const { ROUTES, API_PREFIX, buildOpenApiDocument, findOperation, validateResponse } = require('../../routes/openapi');
+const ServiceFactory = require('../../services/ServiceFactory');
+const SnapshotStore = require('../../services/SnapshotStore');
+const DepegMonitor = require('../../services/DepegMonitor');
+const FxRateService = require('../../services/FxRateService');
+const SupplyFlowService = require('../../services/SupplyFlowService');
+const HealthMonitor = require('../../services/HealthMonitor');
+const logger = require('../../app/logger');
+const { fakeFetcher, stablecoin } = require('../helpers/fixtures');
+
+function listen(services) {
+    const app = express();
+    app.use(API_PREFIX, createApiRoutes(services));
+    app.use('/', createRoutes(services));
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * Registered GET routes of a router, as full Express paths
+ */
+function registeredRoutes(router, prefix = '') {
+    return router.stack
+        .filter(layer => layer.route && layer.route.methods.get)
+        .map(layer => `${prefix}${layer.route.path}`);
+}
+
+describe('API contract', () => {
+    const document = buildOpenApiDocument();
+    const checked = new Set();
+    let dir;
+    let server;
+    let emptyServer;
+    let supplyFlowWarn;
+
+    async function request(target, url) {
+        const { port } = target.address();
+        const response = await fetch(`http://127.0.0.1:${port}${url}`);
+        const contentType = response.headers.get('content-type') || '';
+        const body = contentType.includes('application/json') ? await response.json() : await response.arrayBuffer();
+        return { status: response.status, contentType, body };
+    }
+
+    async function expectContract(target, url, status) {
+        const response = await request(target, url);
+        expect({ url, status: response.status }).toEqual({ url, status });
+        expect(response.contentType).toContain('application/json');
+        expect(validateResponse(document, 'get', url, response.status, response.body)).toEqual([]);
+        checked.add(`${findOperation(document, 'get', url).path} ${status}`);
+        return response.body;
+    }
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        supplyFlowWarn = jest.spyOn(logger.forModule('supplyFlow'), 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(HealthMonitor.prototype, '_startHealthMonitoring').mockImplementation(() => {});
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-contract-'));
+        const snapshotStore = new SnapshotStore({ directory: dir, compactionIntervalMs: Infinity });
+        const healthMonitor = new HealthMonitor();
+        const state = {
+            records: [
+                stablecoin('USDT', { id: 1, rank: 1, historical: true }),
+                stablecoin('USDC', { id: 2, rank: 2, historical: true, marketCap: 2e8, chains: { Ethereum: 1 } })
+            ]
+        };
+        const dataService = ServiceFactory.createDataServiceWithFetchers([fakeFetcher('cmc', () => state.records, { priority: 10 })], healthMonitor);
+        dataService.snapshotStore = snapshotStore;
+
+        await dataService.refreshData();
+        state.records = [
+            stablecoin('USDT', { id: 1, rank: 1, historical: true, marketCap: 1.2e9, chains: { Ethereum: 0.55, Tron: 0.35, Solana: 0.1 } }),
+            stablecoin('USDC', { id: 2, rank: 2, historical: true, marketCap: 2e8, chains: { Ethereum: 1 } }),
+            stablecoin('USDX', { id: 3, rank: 3, historical: true, price: 0.9, marketCap: 5e7 })
+        ];
+        await dataService.refreshData();
+
+        healthMonitor.initializeSource('cmc');
+        await healthMonitor.recordSuccess('cmc', { duration: 120, recordCount: 3 });
+        healthMonitor.raiseAlert({ type: 'depeg', level: 'warning', source: 'depeg:usdx', title: 'USDX Depeg', description: 'USDX is trading 10% below its USD peg' });
+
+        const fxRateService = new FxRateService({
+            enabled: true,
+            maxAgeHours: 96,
+            providers: [{ name: 'static', fetchRates: async () => ({ base: 'USD', rates: { EUR: 0.86 }, asOf: Date.now() }) }]
+        });
+        await fxRateService.refresh(['EUR']);
+
+        const depegMonitor = new DepegMonitor({ raiseAlert: () => {}, resolveAlert: () => {} }, {
+            enabled: true,
+            minMarketCap: 1e6,
+            thresholds: { default: { warning: 0.01, critical: 0.03, durationMinutes: 0 } },
+            referencePrices: { USD: 1 }
+        });
+        depegMonitor.evaluate(await dataService.getStablecoins());
+
+        server = await listen({
+            dataService,
+            healthMonitor,
+            snapshotStore,
+            fxRateService,
+            depegMonitor,
+            supplyFlows: new SupplyFlowService(dataService, snapshotStore, { enabled: true })
+        });
+        emptyServer = await listen({});
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => emptyServer.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('documents every JSON route and nothing else', () => {
+        const registered = [
+            ...registeredRoutes(createApiRoutes({}), API_PREFIX),
+            // /api/docs is the HTML page rendering the document
+            ...registeredRoutes(createRoutes({})).filter(p => p.startsWith('/api/') && p !== '/api/docs')
+        ];
+        expect(ROUTES.map(r => r.path).sort()).toEqual(registered.sort());
+        expect(new Set(ROUTES.map(r => r.operationId)).size).toBe(ROUTES.length);
+    });
+
+    it('matches successful responses', async () => {
+        const urls = [
+            '/api/health',
+            `${API_PREFIX}/openapi.json`,
+            `${API_PREFIX}/stablecoins`,
+            `${API_PREFIX}/stablecoins?sort=-marketCap&limit=1&page=2&fields=symbol,marketData.price&peg=USD`,
+            `${API_PREFIX}/stablecoins/usdt`,
+            `${API_PREFIX}/stablecoins/usdt/lineage`,
+            `${API_PREFIX}/stablecoins/usdt/lineage?fields=marketData.price`,
+            `${API_PREFIX}/stablecoins/usdt/supply-flows`,
+            `${API_PREFIX}/platforms`,
+            `${API_PREFIX}/platforms/ethereum`,
+            `${API_PREFIX}/platforms/ethereum/supply-flows`,
+            `${API_PREFIX}/supply-flows`,
+            `${API_PREFIX}/metrics`,
+            `${API_PREFIX}/metrics/stablecoins`,
+            `${API_PREFIX}/metrics/tokenized-assets`,
+            `${API_PREFIX}/history/stablecoins/usdt?range=7d`,
+            `${API_PREFIX}/history/platforms/ethereum`,
+            `${API_PREFIX}/depegs`,
+            `${API_PREFIX}/depegs?active=true`,
+            `${API_PREFIX}/fx-rates`,
+            `${API_PREFIX}/changes`,
+            `${API_PREFIX}/changes/history?limit=5`
+        ];
+        for (const url of urls) await expectContract(server, url, 200);
+
+        // The fixtures exercise the interesting parts of the schemas, not just empty lists
+        expect((await request(server, `${API_PREFIX}/changes`)).body.data.added.map(c => c.slug)).toEqual(['usdx']);
+        expect((await request(server, `${API_PREFIX}/depegs`)).body.data.map(b => b.slug)).toEqual(['usdx']);
+        expect((await request(server, `${API_PREFIX}/history/stablecoins/usdt`)).body.data).toHaveLength(2);
+    });
+
+    it('matches error responses', async () => {
+        const cases = [
+            [`${API_PREFIX}/stablecoins?limit=abc`, 400],
+            [`${API_PREFIX}/platforms?limit=0`, 400],
+            [`${API_PREFIX}/stablecoins?fields=bogus`, 400],
+            [`${API_PREFIX}/stablecoins?sort=bogus`, 400],
+            [`${API_PREFIX}/platforms?fields=name,bogus`, 400],
+            [`${API_PREFIX}/platforms?sort=-bogus`, 400],
+            [`${API_PREFIX}/stablecoins/usdt?fields=marketData.unknown`, 400],
+            [`${API_PREFIX}/platforms/ethereum?fields=name,-uri`, 400],
+            [`${API_PREFIX}/stablecoins/usdt/lineage?fields=unknown.field`, 400],
+            [`${API_PREFIX}/history/stablecoins/usdt?range=1y`, 400],
+            [`${API_PREFIX}/history/platforms/ethereum?range=1y`, 400],
+            [`${API_PREFIX}/changes/history?limit=0`, 400],
+            [`${API_PREFIX}/export/stablecoins.pdf`, 400],
+            [`${API_PREFIX}/export/platforms.pdf`, 400],
+            [`${API_PREFIX}/stablecoins/nope`, 404],
+            [`${API_PREFIX}/stablecoins/nope/lineage`, 404],
+            [`${API_PREFIX}/stablecoins/nope/supply-flows`, 404],
+            [`${API_PREFIX}/platforms/nope`, 404],
+            [`${API_PREFIX}/platforms/nope/supply-flows`, 404],
+            [`${API_PREFIX}/export/stablecoins/nope/chains.csv`, 404],
+            [`${API_PREFIX}/export/platforms/nope/stablecoins.csv`, 404]
+        ];
+        for (const [url, status] of cases) await expectContract(server, url, status);
+
+        // Every service-backed route answers 503 when its service is missing
+        for (const route of ROUTES.filter(r => r.errors.includes(503))) {
+            const url = route.path.replace(':id', 'usdt').replace(':format', 'csv');
+            await expectContract(emptyServer, url, 503);
+        }
+    });
+
+    it('serves downloads with a documented media type', async () => {
+        const urls = [
+            `${API_PREFIX}/export/stablecoins.csv`,
+            `${API_PREFIX}/export/platforms.xlsx`,
+            `${API_PREFIX}/export/stablecoins/usdt/chains.csv`,
+            `${API_PREFIX}/export/platforms/ethereum/stablecoins.csv`
+        ];
+        for (const url of urls) {
+            const response = await request(server, url);
+            const { operation } = findOperation(document, 'get', url);
+            expect(response.status).toBe(200);
+            expect(Object.keys(operation.responses['200'].content)).toContain(response.contentType.split(';')[0]);
+        }
+    });
+
+    it('checked every documented JSON success response', () => {
+        const json = ROUTES.filter(r => !r.success.content);
+        const missing = json.map(r => `${r.path.replace(/:([A-Za-z]+)/g, '{$1}')} 200`).filter(key => !checked.has(key));
+        expect(missing).toEqual([]);
+        expect(supplyFlowWarn).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,190 @@
+const net = require('net');
+const CacheService = require('../../services/CacheService');
+const HttpClient = require('../../services/HttpClient');
+const MemoryCacheBackend = require('../../services/cache/MemoryCacheBackend');
+const RedisCacheBackend = require('../../services/cache/RedisCacheBackend');
+const logger = require('../../app/logger');
+
+/**
+ * Reads one RESP command (array of bulk strings) from ASCII text.
+ */
+function readCommand(text) {
+    if (!text.startsWith('*')) return null;
+    let pos = text.indexOf('\r\n');
+    if (pos === -1) return null;
+    const count = Number(text.slice(1, pos));
+    pos += 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+        const end = text.indexOf('\r\n', pos);
+        if (end === -1) return null;
+        const length = Number(text.slice(pos + 1, end));
+        if (text.length < end + 2 + length + 2) return null;
+        args.push(text.slice(end + 2, end + 2 + length));
+        pos = end + 2 + length + 2;
+    }
+    return { args, length: pos };
+}
+
+/**
+ * Minimal Redis-protocol stand-in supporting AUTH, SELECT, GET, SET PX and DEL.
+ */
+async function startStandIn(password) {
+    const store = new Map();
+    const commands = [];
+    const handle = ([name, ...args]) => {
+        commands.push(name);
+        if (name === 'AUTH') return args[args.length - 1] === password ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+        if (name === 'SELECT') return '+OK\r\n';
+        if (name === 'SET') {
+            const px = args.indexOf('PX');
+            store.set(args[0], { value: args[1], expiresAt: px === -1 ? null : Date.now() + Number(args[px + 1]) });
+            return '+OK\r\n';
+        }
+        if (name === 'GET') {
+            const entry = store.get(args[0]);
+            if (!entry || (entry.expiresAt !== null && entry.expiresAt <= Date.now())) return '$-1\r\n';
+            return `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n`;
+        }
+        if (name === 'DEL') return `:${store.delete(args[0]) ? 1 : 0}\r\n`;
+        return `-ERR unknown command '${name}'\r\n`;
+    };
+    const server = net.createServer(socket => {
+        let buffer = '';
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let command;
+            while ((command = readCommand(buffer))) {
+                buffer = buffer.slice(command.length);
+                socket.write(handle(command.args));
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { store, commands, server, port: server.address().port };
+}
+
+describe('CacheService', () => {
+    let clock;
+    beforeEach(() => { clock = 1000; });
+
+    function cache(options = {}) {
+        return new CacheService({
+            enabled: true, defaultTtlMs: 1000, staleTtlMs: 5000,
+            backend: new MemoryCacheBackend({ maxSize: 10, now: () => clock }),
+            now: () => clock,
+            ...options
+        });
+    }
+
+    it('evicts the least recently used entries and drops expired ones', async () => {
+        const backend = new MemoryCacheBackend({ maxSize: 2, now: () => clock });
+        await backend.set('a', '1');
+        await backend.set('b', '2', 100);
+        await backend.get('a');
+        await backend.set('c', '3');
+        expect(await backend.get('b')).toBeNull();
+        expect(await backend.get('a')).toBe('1');
+
+        await backend.set('d', '4', 100);
+        clock += 100;
+        expect(await backend.get('d')).toBeNull();
+        expect(backend.size).toBe(1);
+    });
+
+    it('serves fresh values, then stale values while revalidating once in the background', async () => {
+        const service = cache();
+        const loader = jest.fn().mockResolvedValueOnce({ v: 1 }).mockResolvedValueOnce({ v: 2 });
+
+        expect(await service.wrap('k', loader)).toEqual({ v: 1 });
+        clock += 500;
+        expect(await service.wrap('k', loader)).toEqual({ v: 1 });
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        clock += 1000; // expired, within the stale window
+        const [first, second] = await Promise.all([service.wrap('k', loader), service.wrap('k', loader)]);
+        expect([first, second]).toEqual([{ v: 1 }, { v: 1 }]);
+        await new Promise(setImmediate);
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect(await service.get('k')).toEqual({ v: 2 });
+
+        clock += 7000; // past the stale window: a plain miss
+        loader.mockRejectedValueOnce(new Error('provider down'));
+        await expect(service.wrap('k', loader)).rejects.toThrow('provider down');
+        expect(service.getStats()).toMatchObject({ hits: 1, staleHits: 2, misses: 2, revalidations: 1 });
+    });
+
+    it('falls back to the loader when the backend fails', async () => {
+        const warn = jest.spyOn(logger.forModule('cache'), 'warn').mockImplementation(() => {});
+        const broken = { get: jest.fn().mockRejectedValue(new Error('down')), set: jest.fn().mockRejectedValue(new Error('down')) };
+        const service = cache({ backend: broken });
+
+        await expect(service.wrap('k', async () => 'live')).resolves.toBe('live');
+        await expect(service.wrap('k', async () => 'live again')).resolves.toBe('live again');
+        expect(service.getStats().errors).toBe(4);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    it('stores entries on a Redis-protocol server so they survive a restart', async () => {
+        const standIn = await startStandIn('secret');
+        const url = `redis://:secret@127.0.0.1:${standIn.port}/2`;
+        try {
+            const first = new CacheService({ enabled: true, defaultTtlMs: 60000, staleTtlMs: 0, backend: new RedisCacheBackend({ url, keyPrefix: 'test:' }) });
+            await first.set('http:cmc:listings', { data: [1, 2, 3] });
+            await first.close();
+            expect([...standIn.store.keys()]).toEqual(['test:http:cmc:listings']);
+
+            // A new process with an empty memory reads the same entry
+            const second = new CacheService({ enabled: true, defaultTtlMs: 60000, staleTtlMs: 0, backend: new RedisCacheBackend({ url, keyPrefix: 'test:' }) });
+            const loader = jest.fn();
+            await expect(second.wrap('http:cmc:listings', loader)).resolves.toEqual({ data: [1, 2, 3] });
+            expect(loader).not.toHaveBeenCalled();
+            await second.delete('http:cmc:listings');
+            expect(standIn.store.size).toBe(0);
+            await second.close();
+            expect(standIn.commands).toEqual(expect.arrayContaining(['AUTH', 'SELECT', 'SET', 'GET', 'DEL']));
+        } finally {
+            await new Promise(resolve => standIn.server.close(resolve));
+        }
+    });
+
+    it('caches provider responses by endpoint and params', async () => {
+        const transport = { request: jest.fn(async (config) => ({ status: 200, data: { page: config.params.page }, request: {} })) };
+        const http = new HttpClient('coingecko', {
+            request: { retries: 0 },
+            rateLimiter: { schedule: (sourceId, task) => Promise.resolve().then(task) },
+            cache: cache(),
+            transport
+        });
+
+        await http.get('https://api.test/markets', { params: { page: 1, per_page: 250 } });
+        const again = await http.get('https://api.test/markets', { params: { per_page: 250, page: 1 } });
+        await http.get('https://api.test/markets', { params: { page: 2, per_page: 250 } });
+        await http.get('https://api.test/markets', { params: { page: 2, per_page: 250 }, cache: false });
+
+        expect(again).toEqual({ status: 200, data: { page: 1 } });
+        expect(transport.request).toHaveBeenCalledTimes(3);
+        expect(CacheService.key('http', 'cmc', 'https://x', { b: 2, a: 'x y' })).toBe('http:cmc:https://x:a=x%20y&b=2');
+    });
+
+    it('expires cached responses before the next scheduled refresh', () => {
+        const AppConfig = require('../../config/AppConfig');
+        const refreshMs = minutes => minutes * 60 * 1000;
+        const load = env => {
+            const saved = { ...process.env };
+            Object.assign(process.env, env);
+            try {
+                return new AppConfig.constructor('test').cache;
+            } finally {
+                process.env = saved;
+            }
+        };
+
+        const defaults = load({ UPDATE_INTERVAL_MINUTES: '15' });
+        expect(defaults.defaultTtlMs + defaults.staleTtlMs).toBeLessThan(refreshMs(15));
+
+        const clamped = load({ UPDATE_INTERVAL_MINUTES: '6', CACHE_DEFAULT_TTL_MS: '300000', CACHE_STALE_TTL_MS: '600000' });
+        expect(clamped).toMatchObject({ defaultTtlMs: refreshMs(2), staleTtlMs: refreshMs(2) });
+    });
+});
@@ -0,0 +1,93 @@
+const DepegMonitor = require('../../services/DepegMonitor');
+
+const MINUTE = 60 * 1000;
+
+function makeCoin(symbol, sourcePrices, peggedAsset = 'USD') {
+    return {
+        symbol,
+        slug: symbol.toLowerCase(),
+        assetCategory: 'Stablecoin',
+        marketData: { price: Object.values(sourcePrices)[0], marketCap: 5e9, sourcePrices },
+        metadata: { peggedAsset }
+    };
+}
+
+describe('DepegMonitor', () => {
+    let healthMonitor;
+    let monitor;
+
+    beforeEach(() => {
+        healthMonitor = { raiseAlert: jest.fn(), resolveAlert: jest.fn() };
+        monitor = new DepegMonitor(healthMonitor, {
+            enabled: true,
+            minMarketCap: 1e6,
+            thresholds: {
+                default: { warning: 0.01, critical: 0.03, durationMinutes: 30 },
+                USD: { warning: 0.005, durationMinutes: 10 }
+            },
+            referencePrices: { USD: 1, EUR: 1.1 }
+        });
+    });
+
+    it('merges per-peg thresholds over the default', () => {
+        expect(monitor.getThreshold('usd')).toEqual({ warning: 0.005, critical: 0.03, durationMinutes: 10 });
+        expect(monitor.getThreshold('EUR')).toEqual({ warning: 0.01, critical: 0.03, durationMinutes: 30 });
+    });
+
+    it('uses the median source price as consensus', () => {
+        const check = monitor.checkRecord(makeCoin('USDX', { cmc: 0.99, messari: 0.994, coingecko: 0.5 }));
+        expect(check.price).toBeCloseTo(0.99);
+        expect(check.severity).toBe('warning');
+    });
+
+    it('only alerts once a breach outlasts the configured duration', () => {
+        const coin = makeCoin('USDX', { cmc: 0.99, messari: 0.99 });
+
+        monitor.evaluate([coin], 0);
+        expect(healthMonitor.raiseAlert).not.toHaveBeenCalled();
+        expect(monitor.getStatus('usdx')).toMatchObject({ active: false, severity: 'warning' });
+
+        monitor.evaluate([coin], 10 * MINUTE);
+        expect(healthMonitor.raiseAlert).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'depeg',
+            level: 'warning',
+            source: 'depeg:usdx'
+        }));
+        expect(monitor.getBreaches({ activeOnly: true })).toHaveLength(1);
+    });
+
+    it('resolves the alert when the price returns to peg', () => {
+        monitor.evaluate([makeCoin('USDX', { cmc: 0.95 })], 0);
+        monitor.evaluate([makeCoin('USDX', { cmc: 0.95 })], 20 * MINUTE);
+        expect(healthMonitor.raiseAlert).toHaveBeenLastCalledWith(expect.objectContaining({ level: 'critical' }));
+
+        monitor.evaluate([makeCoin('USDX', { cmc: 1.0 })], 25 * MINUTE);
+        expect(healthMonitor.resolveAlert).toHaveBeenCalledWith('depeg:usdx', 'depeg');
+        expect(monitor.getStatus('usdx')).toBeNull();
+    });
+
+    it('compares non-USD pegs against their reference price', () => {
+        const check = monitor.checkRecord(makeCoin('EURX', { cmc: 1.1 }, 'EUR'));
+        expect(check.deviation).toBeCloseTo(0);
+        expect(check.severity).toBeNull();
+    });
+
+    it('skips pegs without a reference price and small coins', () => {
+        expect(monitor.checkRecord(makeCoin('XAUT', { cmc: 2400 }, 'Gold'))).toBeNull();
+        const small = makeCoin('TINY', { cmc: 0.5 });
+        small.marketData.marketCap = 1000;
+        expect(monitor.checkRecord(small)).toBeNull();
+    });
+
+    it('measures pegs without a pinned reference price against the FX rate', () => {
+        const fxRates = { getRate: jest.fn(peg => (peg === 'GBP' ? 1.25 : null)) };
+        const fxMonitor = new DepegMonitor(healthMonitor, { ...monitor.config, fxRates });
+
+        const check = fxMonitor.checkRecord(makeCoin('GBPX', { cmc: 1.2 }, 'GBP'));
+        expect(check.referencePrice).toBe(1.25);
+        expect(check.deviation).toBeCloseTo(-0.04);
+        expect(check.severity).toBe('critical');
+        expect(fxMonitor.checkRecord(makeCoin('EURX', { cmc: 1.1 }, 'EUR')).referencePrice).toBe(1.1);
+        expect(fxRates.getRate).not.toHaveBeenCalledWith('EUR');
+    });
+});
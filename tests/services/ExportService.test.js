@@ -0,0 +1,112 @@
+const ExcelJS = require('exceljs');
+const parquet = require('parquetjs-lite');
+const ExportService = require('../../services/ExportService');
+
+/**
+ * Data service double serving a fixed view model and aggregated records
+ */
+function fakeDataService() {
+    const data = {
+        metrics: { totalMCap: 300 },
+        stablecoins: [
+            {
+                name: 'Tether', symbol: 'USDT', uri: 'usdt', pegged_asset: 'USD',
+                main: { price: 1, circulating_mcap: 200, volume_24h: 50 },
+                platforms: [
+                    { name: 'Ethereum', total_supply: 150, supply_percentage: 75 },
+                    { name: 'Tron', total_supply: 50, supply_percentage: 25 }
+                ]
+            },
+            {
+                name: '=Euro Coin', symbol: 'EURC', uri: 'eurc', pegged_asset: 'EUR',
+                main: { price: 1.1, circulating_mcap: 100, volume_24h: 5 },
+                platforms: [{ name: 'Tron', total_supply: 100, supply_percentage: 100 }]
+            }
+        ],
+        platform_data: [
+            {
+                name: 'Tron', uri: 'tron', mcap_sum: 150, coin_count: 2, total_supply: 150, supply_percentage: 50,
+                stablecoins: [
+                    { name: '=Euro Coin', symbol: 'EURC', uri: 'eurc', platform_supply: 100 },
+                    { name: 'Tether', symbol: 'USDT', uri: 'usdt', platform_supply: 50 }
+                ]
+            }
+        ]
+    };
+    return {
+        getData: () => data,
+        getMarketMetrics: async () => ({ lastUpdated: Date.UTC(2025, 0, 1) }),
+        getStablecoins: async () => [
+            { slug: 'usdt', dataSources: ['cmc', 'defillama'] },
+            { slug: 'eurc', dataSources: ['coingecko'] }
+        ]
+    };
+}
+
+const noFilters = ExportService.parseFilterState();
+const ethereumOnly = ExportService.parseFilterState(JSON.stringify({ platforms: { selected: ['Ethereum'] } }));
+
+describe('ExportService', () => {
+    const service = new ExportService(fakeDataService());
+
+    it('parses filter state and rejects malformed filters', () => {
+        expect(noFilters).toMatchObject({ active: false, errors: [] });
+        expect(ethereumOnly.active).toBe(true);
+        expect(ethereumOnly.state.platforms).toEqual({ selected: ['Ethereum'], crossChainOnly: false, minBlockchainCount: 1 });
+        expect(ExportService.parseFilterState('{oops').errors[0]).toMatch(/^Invalid filters JSON/);
+        expect(ExportService.parseFilterState('{"colour":{}}').errors).toEqual(['Unknown filter: colour']);
+    });
+
+    it('writes CSV with a metadata header and neutralized formulas', async () => {
+        const table = await service.stablecoins(noFilters);
+        const file = await service.render(table, 'csv');
+        const lines = file.body.split('\r\n');
+
+        expect(file.filename).toBe('stablecoins-2025-01-01T00-00-00-000Z.csv');
+        expect(lines.slice(0, 2)).toEqual(['# title: Stablecoins', '# snapshot: 2025-01-01T00:00:00.000Z']);
+        expect(lines).toContain('# dataSources: cmc, coingecko, defillama');
+        expect(lines).toContain('# filters: none');
+        expect(lines).toContain('1,Tether,USDT,usdt,1,USD,,200,66.66666666666666,50,2,Ethereum; Tron');
+        expect(lines.find(l => l.startsWith('2,'))).toMatch(/^2,'=Euro Coin,EURC,/);
+    });
+
+    it('applies filters to rankings, platform coin lists and chain breakdowns', async () => {
+        const rankings = await service.platforms(ethereumOnly);
+        expect(rankings.rows.map(r => [r.blockchain, r.stablecoin_count])).toEqual([['Ethereum', 1], ['Tron', 1]]);
+        expect(rankings.metadata.dataSources).toBe('cmc, defillama');
+
+        const onTron = await service.platformStablecoins('tron', ethereumOnly);
+        expect(onTron.rows.map(r => r.symbol)).toEqual(['USDT']);
+
+        const chains = await service.coinChains('USDT', ethereumOnly);
+        expect(chains.rows).toEqual([{ blockchain: 'Ethereum', supply: 150, share: 75, contract_address: null }]);
+
+        expect(await service.coinChains('nope', noFilters)).toBeNull();
+        expect(await service.platformStablecoins('nope', noFilters)).toBeNull();
+    });
+
+    it('writes XLSX and Parquet files carrying the metadata', async () => {
+        const table = await service.coinChains('usdt', noFilters);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load((await service.render(table, 'xlsx')).body);
+        const rows = [];
+        workbook.worksheets[0].eachRow(row => rows.push(row.values.slice(1)));
+        expect(rows[0]).toEqual(['title', 'USDT Supply by Chain']);
+        expect(rows).toContainEqual(['dataSources', 'cmc, defillama']);
+        expect(rows.slice(-3)).toEqual([
+            ['Blockchain', 'Supply', '% of Supply', 'Contract Address'],
+            ['Ethereum', 150, 75],
+            ['Tron', 50, 25]
+        ]);
+
+        const reader = await parquet.ParquetReader.openBuffer((await service.render(table, 'parquet')).body);
+        expect(reader.getMetadata()).toMatchObject({ title: 'USDT Supply by Chain', snapshot: '2025-01-01T00:00:00.000Z' });
+        const cursor = reader.getCursor();
+        const records = [];
+        let record;
+        while ((record = await cursor.next())) records.push(record);
+        await reader.close();
+        expect(records).toEqual([{ blockchain: 'Ethereum', supply: 150, share: 75 }, { blockchain: 'Tron', supply: 50, share: 25 }]);
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FxRateService = require('../../services/FxRateService');
+const FileFxProvider = require('../../services/fx/FileFxProvider');
+const FrankfurterFxProvider = require('../../services/fx/FrankfurterFxProvider');
+const logger = require('../../app/logger');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-16T12:00:00Z');
+
+function staticProvider(name, quote) {
+    return { name, fetchRates: jest.fn(async () => (quote instanceof Error ? Promise.reject(quote) : quote)) };
+}
+
+describe('FxRateService', () => {
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(logger.forModule('fx'), 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    it('converts a USD price into the peg currency', async () => {
+        const fx = new FxRateService({
+            enabled: true,
+            maxAgeHours: 96,
+            now: () => NOW,
+            providers: [staticProvider('api', { base: 'USD', rates: { EUR: 0.92, JPY: 150 }, asOf: NOW - HOUR })]
+        });
+        await fx.refresh(['EUR', 'JPY', 'USD']);
+
+        const eur = fx.toPegPrice(1.0872, 'EUR');
+        expect(eur.currency).toBe('EUR');
+        expect(eur.price).toBeCloseTo(1.0002, 4);
+        expect(eur.deviation).toBeCloseTo(0.0002, 4);
+        expect(eur).toMatchObject({ fxSource: 'api', fxAsOf: NOW - HOUR });
+        expect(fx.toPegPrice(0.00665, 'jpy').price).toBeCloseTo(0.9975, 4);
+        expect(fx.toPegPrice(0.998, 'USD')).toMatchObject({ currency: 'USD', price: 0.998, fxRate: 1, fxSource: 'fixed' });
+        expect(fx.toPegPrice(1.1, 'Real Estate')).toBeNull();
+    });
+
+    it('takes each currency from the first provider that quotes it and converts non-USD bases', async () => {
+        const file = staticProvider('file', { base: 'EUR', rates: { USD: 1.08, GBP: 0.86 }, asOf: NOW });
+        const api = staticProvider('api', { base: 'USD', rates: { EUR: 0.9, GBP: 0.8, CHF: 0.88 }, asOf: NOW });
+        const fx = new FxRateService({ enabled: true, maxAgeHours: 96, now: () => NOW, providers: [file, api] });
+
+        await fx.refresh(['EUR', 'GBP', 'CHF']);
+
+        expect(fx.getQuote('EUR')).toMatchObject({ rate: 1.08, source: 'file' });
+        expect(fx.getRate('GBP')).toBeCloseTo(1.08 / 0.86, 10);
+        expect(fx.getQuote('CHF')).toMatchObject({ source: 'api' });
+        expect(fx.getRate('CHF')).toBeCloseTo(1 / 0.88, 10);
+        expect(api.fetchRates).toHaveBeenCalledWith(['CHF']);
+    });
+
+    it('keeps the previous rates when a provider fails, until they are too old', async () => {
+        let now = NOW;
+        const provider = staticProvider('api', { base: 'USD', rates: { EUR: 0.9 }, asOf: NOW });
+        const fx = new FxRateService({ enabled: true, maxAgeHours: 24, now: () => now, providers: [provider] });
+        await fx.refresh(['EUR']);
+
+        provider.fetchRates.mockRejectedValue(new Error('Request failed with status code 503'));
+        now = NOW + 2 * HOUR;
+        const status = await fx.refresh(['EUR']);
+        expect(fx.getRate('EUR')).toBeCloseTo(1 / 0.9, 10);
+        expect(status.errors).toEqual(['api: Request failed with status code 503']);
+
+        now = NOW + 25 * HOUR;
+        expect(fx.getRate('EUR')).toBeNull();
+        expect(fx.getStatus().rates.EUR.stale).toBe(true);
+    });
+
+    it('ignores rates that are already too old and makes no requests for USD-only datasets', async () => {
+        const provider = staticProvider('file', { base: 'USD', rates: { EUR: 0.9 }, asOf: NOW - 200 * HOUR });
+        const fx = new FxRateService({ enabled: true, maxAgeHours: 96, now: () => NOW, providers: [provider] });
+
+        await fx.refresh(['USD', 'USD', null]);
+        expect(provider.fetchRates).not.toHaveBeenCalled();
+
+        const status = await fx.refresh(['EUR']);
+        expect(fx.getRate('EUR')).toBeNull();
+        expect(status.errors[0]).toMatch(/^file: rates from .* are too old$/);
+    });
+
+    it('reads Gold and Silver pegs as XAU and XAG from a rates file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-'));
+        const file = path.join(dir, 'fx-rates.json');
+        fs.writeFileSync(file, JSON.stringify({ base: 'USD', date: '2026-10-15', rates: { XAU: 0.0004, XAG: 0.032 } }));
+        try {
+            const fx = new FxRateService({
+                enabled: true,
+                maxAgeHours: 96,
+                now: () => NOW,
+                providers: [new FileFxProvider({ filePath: file })]
+            });
+            await fx.refresh(['Gold', 'Silver']);
+
+            expect(fx.getQuote('Gold')).toMatchObject({ currency: 'XAU', rate: 2500, source: 'file', asOf: Date.parse('2026-10-15') });
+            expect(fx.toPegPrice(2510, 'Gold').deviation).toBeCloseTo(0.004, 6);
+            expect(fx.getRate('silver')).toBeCloseTo(31.25, 10);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('reads the Frankfurter latest-rates response', async () => {
+        const http = { get: jest.fn(async () => ({ status: 200, data: { amount: 1, base: 'USD', date: '2026-10-16', rates: { EUR: 0.92 } } })) };
+        const provider = new FrankfurterFxProvider({ http });
+
+        await expect(provider.fetchRates(['EUR'])).resolves.toEqual({ base: 'USD', rates: { EUR: 0.92 }, asOf: Date.parse('2026-10-16') });
+        expect(http.get).toHaveBeenCalledWith('https://api.frankfurter.app/latest', expect.objectContaining({ params: { from: 'USD' } }));
+    });
+});
@@ -0,0 +1,108 @@
+const HttpClient = require('../../services/HttpClient');
+const CacheService = require('../../services/CacheService');
+
+/**
+ * Limiter double that runs every task immediately
+ */
+const passThroughLimiter = { schedule: (sourceId, task) => Promise.resolve().then(task) };
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+function healthDouble() {
+    return { recordSuccess: jest.fn().mockResolvedValue(), recordFailure: jest.fn().mockResolvedValue() };
+}
+
+describe('HttpClient', () => {
+    function client(transport, overrides = {}) {
+        const http = new HttpClient('cmc', {
+            healthMonitor: overrides.healthMonitor,
+            request: { timeout: 1000, retries: 3, retryDelay: 100, ...overrides.request },
+            rateLimiter: overrides.rateLimiter || passThroughLimiter,
+            cache: new CacheService({ enabled: false }),
+            maxRetryDelayMs: 5000,
+            transport: { request: transport },
+            random: () => 0.5
+        });
+        const sleeps = [];
+        jest.spyOn(http, '_sleep').mockImplementation(async (ms) => { sleeps.push(ms); });
+        return { http, sleeps };
+    }
+
+    it('retries server errors with exponential backoff and jitter, recording each attempt', async () => {
+        const health = healthDouble();
+        const transport = jest.fn()
+            .mockRejectedValueOnce(httpError(502))
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+        const { http, sleeps } = client(transport, { healthMonitor: health });
+
+        const response = await http.get('https://api.test/listings', { params: { limit: 5 }, operation: 'fetchStablecoins' });
+
+        expect(response.data).toEqual({ ok: true });
+        expect(transport.mock.calls[0][0]).toMatchObject({ method: 'GET', url: 'https://api.test/listings', params: { limit: 5 } });
+        // 100ms then 200ms base delays, each 50% fixed plus 50% jitter
+        expect(sleeps).toEqual([75, 150]);
+        expect(health.recordFailure).toHaveBeenCalledTimes(2);
+        expect(health.recordFailure.mock.calls[1][1]).toMatchObject({
+            operation: 'fetchStablecoins', attempt: 2, errorType: 'server', statusCode: 503, retryable: true, duration: expect.any(Number)
+        });
+        expect(health.recordSuccess).toHaveBeenCalledWith('cmc', expect.objectContaining({ attempt: 3, statusCode: 200, duration: expect.any(Number) }));
+    });
+
+    it('waits for Retry-After on 429 and gives up when it exceeds the maximum delay', async () => {
+        const transport = jest.fn()
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+            .mockResolvedValueOnce({ status: 200, data: [] });
+        const { http, sleeps } = client(transport);
+        await http.get('https://api.test/a');
+        expect(sleeps).toEqual([2000]);
+
+        const tooLong = client(jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '120' })));
+        const error = await tooLong.http.get('https://api.test/b').catch(e => e);
+        expect(error.retryAfterMs).toBe(120000);
+        expect(error.attempts).toHaveLength(1);
+        expect(tooLong.sleeps).toEqual([]);
+
+        expect(HttpClient.parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(10000);
+        expect(HttpClient.parseRetryAfter('soon')).toBeNull();
+    });
+
+    it('aborts attempts that exceed the timeout and stops after the configured retries', async () => {
+        const signals = [];
+        const transport = jest.fn(({ signal }) => new Promise((resolve, reject) => {
+            signals.push(signal);
+            signal.addEventListener('abort', () => reject(new Error('canceled')));
+        }));
+        const { http } = client(transport, { request: { timeout: 20, retries: 1 } });
+
+        const error = await http.get('https://api.test/slow').catch(e => e);
+
+        expect(error.code).toBe('ETIMEDOUT');
+        expect(transport).toHaveBeenCalledTimes(2);
+        expect(signals.every(signal => signal.aborted)).toBe(true);
+        expect(error.attempts.map(a => a.errorType)).toEqual(['timeout', 'timeout']);
+    });
+
+    it('does not retry client errors or record requests deferred by the rate limiter', async () => {
+        const health = healthDouble();
+        const notFound = client(jest.fn().mockRejectedValue(httpError(404)), { healthMonitor: health });
+        await expect(notFound.http.get('https://api.test/missing')).rejects.toMatchObject({ attempts: [{ errorType: 'not_found' }] });
+        expect(health.recordFailure).toHaveBeenCalledTimes(1);
+
+        const deferred = Object.assign(new Error('Rate limit for cmc reached'), { code: 'RATE_LIMITED' });
+        const limited = client(jest.fn(), { healthMonitor: health, rateLimiter: { schedule: () => Promise.reject(deferred) } });
+        await expect(limited.http.get('https://api.test/a')).rejects.toMatchObject({ code: 'RATE_LIMITED', attempts: [] });
+        expect(health.recordFailure).toHaveBeenCalledTimes(1);
+    });
+
+    it('caps per-source retries at AppConfig.api.maxRetries', () => {
+        const AppConfig = require('../../config/AppConfig');
+        const http = new HttpClient('cmc', { request: { retries: 50 }, rateLimiter: passThroughLimiter });
+        expect(http.retries).toBe(AppConfig.api.maxRetries);
+        expect(new HttpClient('cmc', { request: {}, rateLimiter: passThroughLimiter }).retryDelay).toBe(AppConfig.api.retryDelay);
+    });
+});
@@ -0,0 +1,172 @@
+const { EventEmitter } = require('events');
+const LiveUpdateService = require('../../services/LiveUpdateService');
+
+/**
+ * Minimal request/response pair recording what the service writes to a stream
+ */
+function createClient(lastEventId) {
+    const req = new EventEmitter();
+    req.get = header => (header === 'Last-Event-ID' ? lastEventId : undefined);
+    req.query = {};
+
+    const res = {
+        frames: [],
+        ended: false,
+        statusCode: null,
+        body: null,
+        writeHead(status) { this.statusCode = status; },
+        write(frame) { this.frames.push(frame); },
+        end() { this.ended = true; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    return { req, res };
+}
+
+/**
+ * Parses the event frames written to a fake response
+ */
+function events(res) {
+    return res.frames
+        .filter(frame => frame.startsWith('id:'))
+        .map(frame => {
+            const [, id, event, data] = frame.match(/^id: (\d+)\nevent: (\w+)\ndata: (.*)\n\n$/);
+            return { id: Number(id), event, data: JSON.parse(data) };
+        });
+}
+
+function coin(slug, price, marketCap, circulating = marketCap) {
+    return {
+        slug,
+        symbol: slug.toUpperCase(),
+        name: slug,
+        marketData: { price, marketCap, volume24h: 1000000 },
+        supplyData: { circulating }
+    };
+}
+
+function refresh(stablecoins, overrides = {}) {
+    return {
+        result: { success: true, stablecoinsUpdated: stablecoins.length, errors: [], timestamp: 1000 },
+        stablecoins,
+        metrics: { totalMarketCap: 2500000000, totalVolume: 3000000, lastUpdated: 1000 },
+        degraded: { active: false, reasons: [] },
+        ...overrides
+    };
+}
+
+describe('LiveUpdateService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new LiveUpdateService({ enabled: true, heartbeatMs: 0, maxClients: 2, replayBufferSize: 3, retryMs: 5000 });
+    });
+
+    afterEach(() => service.close());
+
+    it('opens an event stream and sends refresh changes with display strings', () => {
+        const { req, res } = createClient();
+        expect(service.addClient(req, res)).toBe(true);
+        expect(res.statusCode).toBe(200);
+        expect(res.frames[0]).toBe('retry: 5000\n\n');
+
+        service.handleRefresh(refresh([coin('usdt', 1.0, 1500000000), coin('usdc', 0.999, 1000000000)]));
+        service.handleRefresh(refresh([coin('usdt', 1.001, 1700000000), coin('usdc', 0.999, 1000000000)]));
+
+        const [first, second] = events(res);
+        expect(first.event).toBe('refresh');
+        expect(first.data.changes.map(c => c.slug)).toEqual(['usdt', 'usdc']);
+        expect(first.data.metrics.totalMarketCapFormatted).toBe('$2.5B');
+
+        expect(second.data.changes).toHaveLength(1);
+        const change = second.data.changes[0];
+        expect(change.slug).toBe('usdt');
+        expect(change.changed).toEqual(['price', 'marketCap', 'circulating']);
+        expect(change.marketCap).toEqual({ previous: 1500000000, current: 1700000000, change: expect.closeTo(0.1333, 3) });
+        expect(change.formatted).toEqual({ price: '$1.001', marketCap: '$1.7B', volume24h: '$1.0M', circulating: '1.7B' });
+    });
+
+    it('reports added and removed stablecoins and skips the diff when nothing was updated', () => {
+        const { req, res } = createClient();
+        service.addClient(req, res);
+
+        service.handleRefresh(refresh([coin('usdt', 1, 100), coin('dai', 1, 50)]));
+        service.handleRefresh(refresh([coin('usdt', 1, 100), coin('pyusd', 1, 20)]));
+        service.handleRefresh(refresh([], { result: { success: false, stablecoinsUpdated: 0, errors: ['down'] } }));
+
+        const [, second, third] = events(res);
+        expect(second.data.added).toEqual(['pyusd']);
+        expect(second.data.removed).toEqual(['dai']);
+        expect(third.data).toMatchObject({ success: false, errors: ['down'], changes: [] });
+        expect(third.data.metrics).toBeUndefined();
+    });
+
+    it('replays buffered events after Last-Event-ID', () => {
+        service.broadcast('refresh', { n: 1 });
+        service.broadcast('refresh', { n: 2 });
+        service.broadcast('refresh', { n: 3 });
+        service.broadcast('refresh', { n: 4 });
+
+        const { req, res } = createClient('2');
+        service.addClient(req, res);
+
+        expect(events(res).map(e => e.data.n)).toEqual([3, 4]);
+    });
+
+    it('forwards alerts and degraded-mode transitions', () => {
+        let alertListener = null;
+        let refreshListener = null;
+        service.attach({
+            healthMonitor: { onAlert: fn => { alertListener = fn; return () => { alertListener = null; }; } },
+            dataService: { onRefresh: fn => { refreshListener = fn; return () => { refreshListener = null; }; } }
+        });
+        const { req, res } = createClient();
+        service.addClient(req, res);
+
+        alertListener('created', { id: 'a1', level: 'warning', title: 'Slow source' });
+        refreshListener(refresh([coin('usdt', 1, 100)]));
+        refreshListener(refresh([coin('usdt', 1, 100)], { degraded: { active: true, reasons: ['CoinGecko unavailable'] } }));
+
+        const sent = events(res).map(e => [e.event, e.data.action || e.data.active]);
+        expect(sent).toEqual([
+            ['alert', 'created'],
+            ['refresh', undefined],
+            ['degraded', true],
+            ['refresh', undefined]
+        ]);
+
+        service.close();
+        expect(alertListener).toBeNull();
+        expect(refreshListener).toBeNull();
+        expect(res.ended).toBe(true);
+    });
+
+    it('reports degraded mode entered on the first refresh', () => {
+        const { req, res } = createClient();
+        service.addClient(req, res);
+
+        service.handleRefresh(refresh([coin('usdt', 1, 100)], { degraded: { active: true, reasons: ['CoinGecko unavailable'] } }));
+
+        const [degraded] = events(res);
+        expect(degraded).toMatchObject({ event: 'degraded', data: { active: true, reasons: ['CoinGecko unavailable'] } });
+    });
+
+    it('refuses streams when disabled or full and forgets closed clients', () => {
+        const first = createClient();
+        const second = createClient();
+        const third = createClient();
+        service.addClient(first.req, first.res);
+        service.addClient(second.req, second.res);
+
+        expect(service.addClient(third.req, third.res)).toBe(false);
+        expect(third.res.statusCode).toBe(503);
+
+        first.req.emit('close');
+        expect(service.getStats().clients).toBe(1);
+
+        const disabled = new LiveUpdateService({ enabled: false });
+        const client = createClient();
+        expect(disabled.addClient(client.req, client.res)).toBe(false);
+        expect(client.res.body.error).toBe('Live updates are disabled');
+    });
+});
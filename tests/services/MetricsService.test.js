@@ -0,0 +1,132 @@
+const MetricsService = require('../../services/MetricsService');
+const HealthMonitor = require('../../services/HealthMonitor');
+
+function record(symbol, marketCap, { category = 'Stablecoin', peg = 'USD' } = {}) {
+    return { symbol, assetCategory: category, marketData: { marketCap }, metadata: { peggedAsset: peg } };
+}
+
+function fakeDataService(records, classifier) {
+    const listeners = [];
+    return {
+        listeners,
+        onRefresh: listener => listeners.push(listener),
+        getStablecoins: async () => records,
+        fetcherRegistry: { getAll: () => [{ getSourceId: () => 'cmc', classifier }] }
+    };
+}
+
+/**
+ * Sample values of a rendered exposition, keyed by '<name>{<labels>}'
+ */
+function samples(text) {
+    return Object.fromEntries(text.trim().split('\n')
+        .filter(line => !line.startsWith('#'))
+        .map(line => {
+            const index = line.lastIndexOf(' ');
+            return [line.slice(0, index), Number(line.slice(index + 1))];
+        }));
+}
+
+describe('MetricsService', () => {
+    let healthMonitor;
+
+    beforeEach(() => {
+        jest.spyOn(HealthMonitor.prototype, '_startHealthMonitoring').mockImplementation(() => {});
+        healthMonitor = new HealthMonitor();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('builds per-source latency histograms and counters from health monitor operations', async () => {
+        const metrics = new MetricsService({ latencyBuckets: [0.5, 1] });
+        metrics.attach({ healthMonitor });
+
+        await healthMonitor.recordSuccess('cmc', { duration: 200 });
+        await healthMonitor.recordSuccess('cmc', { duration: 800 });
+        await healthMonitor.recordFailure('cmc', { message: 'timeout', errorType: 'timeout', duration: 5000 });
+        await healthMonitor.recordSuccess('app', { duration: 10 });
+        const values = samples(await metrics.render());
+
+        expect(values).toMatchObject({
+            'stablecoinwatch_source_request_duration_seconds_bucket{source="cmc",le="0.5"}': 1,
+            'stablecoinwatch_source_request_duration_seconds_bucket{source="cmc",le="1"}': 2,
+            'stablecoinwatch_source_request_duration_seconds_bucket{source="cmc",le="+Inf"}': 3,
+            'stablecoinwatch_source_request_duration_seconds_sum{source="cmc"}': 6,
+            'stablecoinwatch_source_request_duration_seconds_count{source="cmc"}': 3,
+            'stablecoinwatch_source_requests_total{source="cmc",outcome="success"}': 2,
+            'stablecoinwatch_source_requests_total{source="cmc",outcome="failure"}': 1,
+            'stablecoinwatch_source_errors_total{source="cmc",type="timeout"}': 1,
+            'stablecoinwatch_circuit_breaker_state{source="cmc",stablecoinwatch_circuit_breaker_state="closed"}': 1,
+            'stablecoinwatch_circuit_breaker_state{source="cmc",stablecoinwatch_circuit_breaker_state="open"}': 0
+        });
+        expect(Object.keys(values).some(key => key.includes('source="app"'))).toBe(false);
+    });
+
+    it('records refresh durations, outcomes and record counts per source', async () => {
+        const dataService = fakeDataService([]);
+        const metrics = new MetricsService({ refreshBuckets: [10, 60] });
+        metrics.attach({ dataService });
+
+        const [listener] = dataService.listeners;
+        listener({ result: { success: true, duration: 4000, timestamp: 1700000000000, sourceResults: [{ sourceId: 'cmc', recordCount: 150 }] } });
+        listener({ result: { success: false, duration: 30000, timestamp: 1700000900000, sourceResults: [{ sourceId: 'cmc', recordCount: 0 }] } });
+        const values = samples(await metrics.render());
+
+        expect(values).toMatchObject({
+            'stablecoinwatch_refresh_duration_seconds_bucket{le="10"}': 1,
+            'stablecoinwatch_refresh_duration_seconds_bucket{le="60"}': 2,
+            'stablecoinwatch_refresh_duration_seconds_count': 2,
+            'stablecoinwatch_refreshes_total{outcome="success"}': 1,
+            'stablecoinwatch_refreshes_total{outcome="failure"}': 1,
+            'stablecoinwatch_last_refresh_timestamp_seconds': 1700000900,
+            'stablecoinwatch_source_records{source="cmc"}': 0
+        });
+    });
+
+    it('exposes classifier counters and market cap per category and peg', async () => {
+        const counter = value => ({ get: () => value });
+        const classifier = {
+            getMetrics: () => ({
+                classifications: {
+                    total: counter(4), successful: counter(3), failed: counter(1), averageDurationMs: 2,
+                    byCategory: { Stablecoin: { count: 2 }, 'Tokenized Asset': { count: 1 } }
+                },
+                errors: { validationErrors: counter(1), patternErrors: counter(0) }
+            })
+        };
+        const dataService = fakeDataService([
+            record('USDT', 100),
+            record('USDC', 50),
+            record('EURC', 10, { peg: 'EUR' }),
+            record('PAXG', 5, { category: 'Tokenized Asset', peg: 'Gold' })
+        ], classifier);
+        const metrics = new MetricsService();
+        metrics.attach({ dataService });
+        const values = samples(await metrics.render());
+
+        expect(values).toMatchObject({
+            'stablecoinwatch_classifications_total{source="cmc",outcome="success"}': 3,
+            'stablecoinwatch_classifications_total{source="cmc",outcome="failure"}': 1,
+            'stablecoinwatch_classification_errors_total{source="cmc",type="validation"}': 1,
+            'stablecoinwatch_classification_duration_seconds_sum{source="cmc"}': 0.008,
+            'stablecoinwatch_classified_assets_total{source="cmc",category="Tokenized Asset"}': 1,
+            'stablecoinwatch_market_cap_usd{category="Stablecoin",peg="USD"}': 150,
+            'stablecoinwatch_market_cap_usd{category="Stablecoin",peg="EUR"}': 10,
+            'stablecoinwatch_assets{category="Tokenized Asset",peg="Gold"}': 1
+        });
+    });
+
+    it('renders valid OpenMetrics metadata and escapes label values', async () => {
+        const metrics = new MetricsService();
+        metrics.attach({ dataService: fakeDataService([record('X', 1, { peg: 'say "hi"\\' })]) });
+        const text = await metrics.render();
+
+        expect(text.endsWith('# EOF\n')).toBe(true);
+        expect(text).toContain('# TYPE stablecoinwatch_refresh_duration_seconds histogram\n# UNIT stablecoinwatch_refresh_duration_seconds seconds\n');
+        expect(text).toContain('# TYPE stablecoinwatch_circuit_breaker_state stateset\n');
+        expect(text).toContain('stablecoinwatch_assets{category="Stablecoin",peg="say \\"hi\\"\\\\"} 1\n');
+        expect(MetricsService.CONTENT_TYPE).toMatch(/^application\/openmetrics-text; version=1\.0\.0/);
+    });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiConfig = require('../../config/ApiConfig');
+const PluginLoader = require('../../services/PluginLoader');
+const DataFetcherRegistry = require('../../services/DataFetcherRegistry');
+const logger = require('../../app/logger');
+
+/**
+ * Source for a plugin module using the factory form, so it can extend the SDK base classes
+ */
+function pluginSource(sourceId, { omit = [] } = {}) {
+    const methods = {
+        getSourceId: `return '${sourceId}';`,
+        getSourceName: `return 'Test ${sourceId}';`,
+        isConfigured: 'return true;',
+        fetchStablecoins: 'return [];',
+        getCapabilities: 'return { priority: 3, dataTypes: [] };',
+        getHealthStatus: 'return { healthy: true };',
+        transformToStandardFormat: 'return [];',
+        getRateLimitInfo: 'return {};'
+    };
+    const body = Object.entries(methods)
+        .filter(([name]) => !omit.includes(name))
+        .map(([name, impl]) => `${name}() { ${impl} }`)
+        .join('\n');
+
+    return `module.exports = ({ IDataFetcher, ApiConfigBase }) => {
+        class Fetcher extends IDataFetcher {
+            constructor(healthMonitor) { super(); this.healthMonitor = healthMonitor; }
+            ${body}
+        }
+        class Config extends ApiConfigBase {
+            constructor() { super('${sourceId}'); }
+            _getDefaultConfiguration() {
+                return { name: 'Test ${sourceId}', enabled: true, baseUrl: 'https://example.com', endpoints: {}, capabilities: { priority: 3 } };
+            }
+            _requiresApiKey() { return false; }
+        }
+        return { sourceId: '${sourceId}', Fetcher, Config };
+    };`;
+}
+
+describe('PluginLoader', () => {
+    let dir;
+    const registered = [];
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+        jest.spyOn(logger.forModule('plugins'), 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        for (const id of registered.splice(0)) {
+            ApiConfig.removeApiConfig(id);
+            delete process.env[`${id.toUpperCase()}_ENABLED`];
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    function writePlugin(file, source, sourceId) {
+        fs.writeFileSync(path.join(dir, file), source);
+        if (sourceId) registered.push(sourceId);
+    }
+
+    it('discovers directory plugins and registers their configuration', () => {
+        writePlugin('alpha.js', pluginSource('alpha'), 'alpha');
+        const plugins = new PluginLoader({ pluginDirectory: dir, plugins: [], builtins: [] }).load();
+
+        expect(plugins).toHaveLength(1);
+        expect(plugins[0]).toMatchObject({ sourceId: 'alpha', name: 'Test alpha', origin: 'directory:alpha.js', valid: true, errors: [] });
+        expect(ApiConfig.getApiConfig('alpha')).toMatchObject({ name: 'Test alpha', baseUrl: 'https://example.com' });
+    });
+
+    it('rejects plugins that do not implement IDataFetcher', () => {
+        writePlugin('beta.js', pluginSource('beta', { omit: ['fetchStablecoins', 'getRateLimitInfo'] }));
+        const [plugin] = new PluginLoader({ pluginDirectory: dir, plugins: [], builtins: [] }).load();
+
+        expect(plugin.valid).toBe(false);
+        expect(plugin.errors[0]).toBe('Fetcher does not implement IDataFetcher: fetchStablecoins, getRateLimitInfo');
+        expect(ApiConfig.getApiConfig('beta')).toBeNull();
+    });
+
+    it('reports load failures, invalid descriptors and duplicate source ids', () => {
+        writePlugin('broken.js', 'throw new Error("boom");');
+        writePlugin('empty.js', 'module.exports = { sourceId: "Bad Id" };');
+        writePlugin('cmc.js', pluginSource('cmc'));
+
+        const plugins = new PluginLoader({ pluginDirectory: dir, plugins: ['./does-not-exist'] }).load();
+        const byOrigin = Object.fromEntries(plugins.map(p => [p.origin, p]));
+
+        expect(byOrigin['directory:broken.js'].errors[0]).toMatch(/^Failed to load: boom/);
+        expect(byOrigin['directory:empty.js'].errors).toHaveLength(3);
+        expect(byOrigin['directory:cmc.js'].errors).toEqual(['Source id cmc is already registered']);
+        expect(byOrigin['package:./does-not-exist'].valid).toBe(false);
+        expect(plugins.filter(p => p.builtin).every(p => p.valid)).toBe(true);
+    });
+
+    it('registers fetchers for enabled plugins in the default registry', () => {
+        process.env.GAMMA_ENABLED = 'true';
+        writePlugin('gamma.js', pluginSource('gamma'), 'gamma');
+        const healthMonitor = { initializeSource: jest.fn() };
+
+        const registry = DataFetcherRegistry.createDefault(healthMonitor, new PluginLoader({ pluginDirectory: dir, plugins: [], builtins: [] }));
+
+        expect(registry.get('gamma').getSourceName()).toBe('Test gamma');
+        expect(registry.get('gamma').healthMonitor).toBe(healthMonitor);
+        expect(healthMonitor.initializeSource).toHaveBeenCalledWith('gamma');
+        expect(registry.getPlugins()).toEqual([
+            { sourceId: 'gamma', name: 'Test gamma', origin: 'directory:gamma.js', builtin: false, enabled: true, registered: true, errors: [] }
+        ]);
+    });
+});
@@ -0,0 +1,87 @@
+const RateLimiter = require('../../services/RateLimiter');
+const HealthMonitor = require('../../services/HealthMonitor');
+
+describe('RateLimiter', () => {
+    let clock;
+    let limiter;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        clock = 0;
+        limiter = new RateLimiter({ buffer: 1, maxWaitMs: 30000, now: () => clock });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    async function advance(ms) {
+        clock += ms;
+        jest.advanceTimersByTime(ms);
+        await Promise.resolve();
+        await Promise.resolve();
+    }
+
+    it('allows a burst, then queues requests until the bucket refills', async () => {
+        limiter.configure('cmc', { requestsPerMinute: 6, burstLimit: 2 });
+        const started = [];
+        const results = [1, 2, 3].map(i => limiter.schedule('cmc', () => { started.push(i); return i; }));
+
+        await advance(0);
+        expect(started).toEqual([1, 2]);
+        expect(limiter.getStatus().cmc).toMatchObject({ queued: 1, remaining: { minute: 0 }, nextAvailableAt: 10000 });
+
+        await advance(9999);
+        expect(started).toEqual([1, 2]);
+        await advance(1);
+        expect(started).toEqual([1, 2, 3]);
+        await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+        expect(limiter.getStatus().cmc.totals).toEqual({ total: 3, delayed: 1, deferred: 0 });
+    });
+
+    it('defers requests when the hourly or daily budget would make them wait too long', async () => {
+        limiter.configure('messari', { requestsPerMinute: 100, requestsPerHour: 2, burstLimit: 10 });
+        await limiter.schedule('messari', () => 'a');
+        await limiter.schedule('messari', () => 'b');
+
+        const error = await limiter.schedule('messari', () => 'c').catch(e => e);
+        expect(error.code).toBe('RATE_LIMITED');
+        expect(error.retryAfterMs).toBe(3600000);
+        expect(limiter.getStatus().messari).toMatchObject({
+            used: { hour: 2, day: 2 },
+            remaining: { hour: 0, day: null },
+            totals: { total: 2, deferred: 1 }
+        });
+
+        await advance(3600000);
+        await expect(limiter.schedule('messari', () => 'd')).resolves.toBe('d');
+    });
+
+    it('applies the safety buffer to declared limits', () => {
+        const buffered = new RateLimiter({ buffer: 0.8, now: () => clock });
+        buffered.configure('cmc', { requestsPerMinute: 333, requestsPerDay: 10000, burstLimit: 10 });
+        buffered.configure('tiny', { requestsPerMinute: 1 });
+
+        const status = buffered.getStatus(['unconfigured-source']);
+        expect(status.cmc.limits).toEqual({ perMinute: 266, perHour: null, perDay: 8000, burst: 10 });
+        expect(status.tiny.limits).toEqual({ perMinute: 1, perHour: null, perDay: null, burst: 1 });
+        expect(status['unconfigured-source'].remaining).toEqual({ minute: null, hour: null, day: null });
+    });
+
+    it('passes task failures through without losing the request slot', async () => {
+        limiter.configure('defillama', { requestsPerMinute: 30, burstLimit: 5 });
+        await expect(limiter.schedule('defillama', () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(limiter.getStatus().defillama.used.minute).toBe(1);
+    });
+
+    it('reports remaining quota per source in system health', async () => {
+        const monitor = new HealthMonitor();
+        monitor.rateLimiter = limiter;
+        monitor.initializeSource('cmc');
+        limiter.configure('cmc', { requestsPerMinute: 10, requestsPerDay: 100, burstLimit: 5 });
+        await limiter.schedule('cmc', () => null);
+
+        const health = await monitor.getSystemHealth();
+        expect(health.rateLimits.cmc).toMatchObject({ used: { day: 1 }, remaining: { minute: 4, day: 99 } });
+    });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../../services/SnapshotStore');
+const { stablecoin } = require('../helpers/fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('SnapshotStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+        store = new SnapshotStore({
+            directory: dir,
+            rawRetentionHours: 2,
+            hourlyRetentionDays: 2,
+            retentionDays: 10,
+            compactionIntervalMs: Infinity
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns null when no snapshot has been written', async () => {
+        expect(await store.loadLatest()).toBeNull();
+        expect(await store.getHistory()).toEqual([]);
+    });
+
+    it('persists the latest full snapshot for rehydration', async () => {
+        const aggregated = [stablecoin('USDT', { marketCap: 100, chainSupply: { Ethereum: 60, Tron: 40 } })];
+        await store.save({ aggregated, metrics: { totalMarketCap: 100 }, timestamp: 1000 });
+
+        const latest = await store.loadLatest();
+        expect(latest.timestamp).toBe(1000);
+        expect(latest.aggregated[0].supplyData.networkBreakdown).toHaveLength(2);
+    });
+
+    it('answers coin, platform and metric history queries', async () => {
+        const platformData = [{ name: 'Ethereum', uri: 'ethereum', mcap_sum: 60, total_supply: 60, supply_percentage: 60, coin_count: 1 }];
+        await store.save({ aggregated: [stablecoin('USDT', { marketCap: 100, chainSupply: { Ethereum: 60 } })], platformData, metrics: { totalMarketCap: 100 }, timestamp: 1000 });
+        await store.save({ aggregated: [stablecoin('USDT', { marketCap: 120, chainSupply: { Ethereum: 70 } })], platformData, metrics: { totalMarketCap: 120 }, timestamp: 2000 });
+
+        const coin = await store.getCoinHistory('usdt');
+        expect(coin.map(p => p.marketCap)).toEqual([100, 120]);
+        expect(coin[1].chains).toEqual({ Ethereum: 70 });
+
+        const ranged = await store.getCoinHistory('USDT', { from: 1500 });
+        expect(ranged).toHaveLength(1);
+
+        const platform = await store.getPlatformHistory('ethereum');
+        expect(platform[0]).toMatchObject({ timestamp: 1000, marketCap: 60, coinCount: 1 });
+
+        const metrics = await store.getMetricsHistory();
+        expect(metrics.map(m => m.totalMarketCap)).toEqual([100, 120]);
+    });
+
+    it('downsamples older entries and drops entries past retention', async () => {
+        const now = 20 * DAY;
+        const stamps = [
+            now - 11 * DAY,                 // beyond retention -> dropped
+            now - 5 * DAY, now - 5 * DAY + HOUR, // same day -> one kept
+            now - DAY, now - DAY + 60000,   // same hour -> one kept
+            now - HOUR, now - HOUR + 60000  // raw tier -> both kept
+        ];
+        for (const timestamp of stamps) {
+            await store.save({ aggregated: [stablecoin('USDC', { marketCap: 1 })], timestamp });
+        }
+
+        const result = await store.applyRetention(now);
+        expect(result).toEqual({ kept: 4, removed: 3 });
+
+        const remaining = (await store.getHistory()).map(e => e.timestamp);
+        expect(remaining).toEqual([now - 5 * DAY, now - DAY, now - HOUR, now - HOUR + 60000]);
+    });
+
+    it('reads the history file once and keeps the in-memory index current', async () => {
+        await store.save({ aggregated: [stablecoin('USDC', { marketCap: 1 })], timestamp: 1000 });
+        const reads = jest.spyOn(store, '_readEntries');
+
+        await store.getHistory();
+        await store.getCoinHistory('usdc');
+        await store.save({ aggregated: [stablecoin('USDC', { marketCap: 2 })], timestamp: 2000 });
+        expect((await store.getHistory()).map(e => e.timestamp)).toEqual([1000, 2000]);
+        expect(reads).toHaveBeenCalledTimes(1);
+
+        // A change made outside the store is picked up
+        const other = new SnapshotStore({ ...store.config, directory: dir });
+        await other.save({ aggregated: [stablecoin('USDC', { marketCap: 3 })], timestamp: 3000 });
+        expect((await store.getHistory()).map(e => e.timestamp)).toEqual([1000, 2000, 3000]);
+        expect(reads).toHaveBeenCalledTimes(2);
+    });
+
+    it('ignores a truncated trailing line', async () => {
+        await store.save({ aggregated: [stablecoin('USDC', { marketCap: 1 })], timestamp: 1000 });
+        fs.appendFileSync(store.historyFile, '{"timestamp": 2000, "coins": [');
+
+        const history = await store.getHistory();
+        expect(history).toHaveLength(1);
+    });
+});
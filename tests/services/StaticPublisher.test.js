@@ -0,0 +1,144 @@
+const ServiceFactory = require('../../services/ServiceFactory');
+const DepegMonitor = require('../../services/DepegMonitor');
+const StaticPublisher = require('../../services/StaticPublisher');
+const { API_PREFIX, buildOpenApiDocument, validateResponse } = require('../../routes/openapi');
+const { fakeFetcher, stablecoin } = require('../helpers/fixtures');
+
+const NOW = Date.UTC(2026, 2, 1, 12);
+
+function coinFlows(slug, chains) {
+    return {
+        slug,
+        windows: {
+            '24h': {
+                source: 'defillama',
+                from: NOW - 24 * 60 * 60 * 1000,
+                to: NOW,
+                complete: true,
+                chains: chains.map(([chain, issued, redeemed]) => ({ chain, issued, redeemed, migratedIn: 0, migratedOut: 0, net: issued - redeemed }))
+            }
+        }
+    };
+}
+
+describe('StaticPublisher', () => {
+    let dataService;
+    let publisher;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        dataService = ServiceFactory.createDataServiceWithFetchers([fakeFetcher('cmc', [
+            stablecoin('USDT', { id: 1, rank: 1 }),
+            stablecoin('USDC', { id: 2, rank: 2, marketCap: 2e8, chains: { Ethereum: 1 } }),
+            stablecoin('USDX', { id: 3, rank: 3, price: 0.9, marketCap: 5e7, name: 'Dollars & <Cents>' })
+        ], { priority: 10 })]);
+        // The dataset is from NOW; builds happen later
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        await dataService.refreshData();
+        clock.mockRestore();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        const flows = {
+            usdt: coinFlows('usdt', [['Ethereum', 1e8, 0], ['Tron', 1e6, 0]]),
+            usdc: coinFlows('usdc', [['Ethereum', 0, 4e7]])
+        };
+        publisher = new StaticPublisher(dataService, {
+            siteUrl: 'https://example.org',
+            feedSize: 10,
+            supplyMoveThreshold: 0.05,
+            supplyMoveMinimum: 1e7,
+            now: () => NOW + 60 * 60 * 1000,
+            depegMonitor: new DepegMonitor(null, {
+                enabled: true,
+                minMarketCap: 1e6,
+                thresholds: { default: { warning: 0.01, critical: 0.03, durationMinutes: 30 } },
+                referencePrices: { USD: 1 }
+            }),
+            supplyFlows: { getCoinFlows: async slug => flows[slug] || null }
+        });
+    });
+
+    it('writes the API mirror with the live response contract', async () => {
+        const document = buildOpenApiDocument();
+        const files = await publisher.apiFiles();
+
+        expect(files.map(f => f.file)).toEqual(expect.arrayContaining([
+            'api/v1/stablecoins.json',
+            'api/v1/stablecoins/usdt.json',
+            'api/v1/platforms.json',
+            'api/v1/platforms/ethereum.json',
+            'api/v1/metrics.json',
+            'api/v1/metrics/stablecoins.json',
+            'api/v1/metrics/tokenized-assets.json',
+            'api/v1/openapi.json'
+        ]));
+        for (const { url, body } of files) {
+            expect({ url, errors: validateResponse(document, 'get', url, 200, body) }).toEqual({ url, errors: [] });
+        }
+
+        const list = files.find(f => f.url === `${API_PREFIX}/stablecoins`).body;
+        expect(list.meta).toMatchObject({ total: 3, page: 1, limit: 3, pages: 1 });
+        expect(files.find(f => f.url === `${API_PREFIX}/openapi.json`).body.servers).toEqual([{ url: 'https://example.org' }]);
+    });
+
+    it('lists pages in the sitemap under the site URL', async () => {
+        const xml = await publisher.sitemap(['/', '/coins/usdt/']);
+        expect(xml).toContain('<loc>https://example.org/</loc>');
+        expect(xml).toContain('<loc>https://example.org/coins/usdt/</loc>');
+        expect(xml).toContain(`<lastmod>${new Date(NOW).toISOString()}</lastmod>`);
+    });
+
+    it('publishes depeg breaches as escaped Atom entries', async () => {
+        const breaches = await publisher.depegEvents();
+        expect(breaches.map(b => [b.slug, b.severity])).toEqual([['usdx', 'critical']]);
+
+        const xml = await publisher.depegFeed(breaches);
+        expect(xml).toContain('<title>USDX 10.00% below its USD peg (critical)</title>');
+        expect(xml).toContain('<id>tag:example.org,2026-03-01:depeg/usdx/critical</id>');
+        expect(xml).toContain('<link href="https://example.org/coins/usdx/"/>');
+        expect(xml).toContain('Dollars &amp; &lt;Cents&gt;');
+    });
+
+    it('publishes chain supply changes above the thresholds', async () => {
+        const events = await publisher.supplyChangeEvents();
+        // Tron's +1M USDT is below both thresholds
+        expect(events.map(e => [e.slug, e.chain, e.type])).toEqual([['usdt', 'Ethereum', 'mint'], ['usdc', 'Ethereum', 'burn']]);
+        expect(events[0]).toMatchObject({ current: 6e8, previous: 5e8, change: 1e8, changePercent: 0.2, valueUsd: 1e8 });
+
+        const xml = await publisher.supplyChangeFeed(events);
+        expect(xml).toContain('<title>USDT +$100,000,000 on Ethereum in 24h (20.0%)</title>');
+        expect(xml).toContain('<id>tag:example.org,2026-03-01:supply/usdc/ethereum/burn</id>');
+    });
+
+    it('dates the sitemap and feeds by the data, so rebuilding unchanged data gives identical files', async () => {
+        const render = async () => [
+            await publisher.sitemap(['/']),
+            await publisher.depegFeed(await publisher.depegEvents()),
+            await publisher.supplyChangeFeed(await publisher.supplyChangeEvents()),
+            await publisher.supplyChangeFeed([])
+        ];
+        const first = await render();
+        publisher.now = () => NOW + 25 * 60 * 60 * 1000;
+
+        expect(await render()).toEqual(first);
+        expect(first[1]).toContain(`  <updated>${new Date(NOW).toISOString()}</updated>`);
+        expect(first[3]).toContain(`  <updated>${new Date(NOW).toISOString()}</updated>`);
+
+        // Before the first refresh there is no data time to report
+        const empty = new StaticPublisher({ getMarketMetrics: async () => ({ lastUpdated: null }) }, { siteUrl: 'https://example.org', now: () => NOW });
+        expect(await empty.sitemap(['/'])).not.toContain('<lastmod>');
+        expect(await empty.depegFeed([])).toContain('  <updated>1970-01-01T00:00:00.000Z</updated>');
+    });
+
+    it('caps feeds at the configured size', async () => {
+        publisher.config.feedSize = 1;
+        const xml = await publisher.supplyChangeFeed(await publisher.supplyChangeEvents());
+        expect(xml.match(/<entry>/g)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StaticSiteBuilder = require('../../services/StaticSiteBuilder');
+
+describe('StaticSiteBuilder', () => {
+    let dir;
+    let outDir;
+    let viewsDir;
+    let assetFile;
+
+    function writeView(body) {
+        fs.writeFileSync(path.join(viewsDir, 'coin.ejs'), body);
+    }
+
+    async function build(coins, options = {}) {
+        const builder = new StaticSiteBuilder(outDir, { incremental: true, renderWorkers: 1, viewsDir, rendererFiles: [], ...options });
+        await builder.start();
+        await builder.addAsset(assetFile, '/common.css');
+        for (const coin of coins) builder.page(`/coins/${coin.slug}/`, 'coin', { coin });
+        const result = await builder.renderPages();
+        return { result, manifest: await builder.finish() };
+    }
+
+    function read(file) {
+        return fs.readFileSync(path.join(outDir, file), 'utf8');
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-builder-'));
+        outDir = path.join(dir, 'dist');
+        viewsDir = path.join(dir, 'views');
+        fs.mkdirSync(viewsDir);
+        assetFile = path.join(dir, 'common.css');
+        fs.writeFileSync(assetFile, 'body { color: red; }');
+        writeView('<link href="<%= h.getAssetUrl(locals.assets, \'/common.css\') %>"><%= coin.symbol %> <%= formatter.formatPrice(coin.price) %>');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('fingerprints assets and renders pages with their names', async () => {
+        const { result, manifest } = await build([{ slug: 'usdt', symbol: 'USDT', price: 1 }]);
+        const asset = Object.keys(manifest.files).find(f => f.startsWith('common.'));
+
+        expect(asset).toMatch(/^common\.[0-9a-f]{8}\.css$/);
+        expect(read('coins/usdt/index.html')).toContain(`<link href="/${asset}">USDT`);
+        expect(result).toEqual({ rendered: 1, skipped: 0 });
+        expect(manifest.changed).toEqual(['coins/usdt/index.html', asset]);
+    });
+
+    it('skips pages whose inputs did not change', async () => {
+        await build([{ slug: 'usdt', symbol: 'USDT', price: 1 }, { slug: 'usdc', symbol: 'USDC', price: 1 }]);
+        const { result, manifest } = await build([{ slug: 'usdt', symbol: 'USDT', price: 1 }, { slug: 'usdc', symbol: 'USDC', price: 0.99 }]);
+
+        expect(result).toEqual({ rendered: 1, skipped: 1 });
+        expect(manifest.changed).toEqual(['coins/usdc/index.html']);
+        expect(manifest.files['coins/usdt/index.html'].input).toBeDefined();
+    });
+
+    it('re-renders every page when a template or asset changes', async () => {
+        const coins = [{ slug: 'usdt', symbol: 'USDT', price: 1 }];
+        await build(coins);
+
+        writeView('<%= coin.symbol %>!');
+        expect((await build(coins)).result).toEqual({ rendered: 1, skipped: 0 });
+        expect(read('coins/usdt/index.html')).toBe('USDT!');
+
+        writeView('<%= h.getAssetUrl(locals.assets, \'/common.css\') %>');
+        await build(coins);
+        fs.writeFileSync(assetFile, 'body { color: blue; }');
+        const { result, manifest } = await build(coins);
+        const asset = Object.keys(manifest.files).find(f => f.startsWith('common.'));
+        expect(result).toEqual({ rendered: 1, skipped: 0 });
+        expect(read('coins/usdt/index.html')).toBe(`/${asset}`);
+    });
+
+    it('removes files that are no longer produced', async () => {
+        const { manifest: first } = await build([{ slug: 'usdt', symbol: 'USDT', price: 1 }, { slug: 'usdc', symbol: 'USDC', price: 1 }]);
+        const oldAsset = Object.keys(first.files).find(f => f.startsWith('common.'));
+
+        fs.writeFileSync(assetFile, 'body { color: blue; }');
+        const { manifest } = await build([{ slug: 'usdt', symbol: 'USDT', price: 1 }]);
+
+        expect(manifest.removed).toEqual(['coins/usdc/index.html', oldAsset]);
+        expect(fs.existsSync(path.join(outDir, oldAsset))).toBe(false);
+        expect(fs.existsSync(path.join(outDir, 'coins/usdc/index.html'))).toBe(false);
+    });
+
+    it('empties the output and reports changes against the last build in full mode', async () => {
+        const coins = [{ slug: 'usdt', symbol: 'USDT', price: 1 }];
+        await build(coins);
+        fs.writeFileSync(path.join(outDir, 'stray.txt'), 'left over');
+
+        const { result, manifest } = await build(coins, { incremental: false });
+        expect(result).toEqual({ rendered: 1, skipped: 0 });
+        expect(manifest.changed).toEqual([]);
+        expect(fs.existsSync(path.join(outDir, 'stray.txt'))).toBe(false);
+    });
+
+    it('renders on a worker pool with the same output', async () => {
+        const coins = ['USDT', 'USDC', 'DAI'].map(symbol => ({ slug: symbol.toLowerCase(), symbol, price: 1 }));
+        await build(coins);
+        const inProcess = coins.map(c => read(`coins/${c.slug}/index.html`));
+
+        const { result } = await build(coins, { incremental: false, renderWorkers: 2 });
+        expect(result).toEqual({ rendered: 3, skipped: 0 });
+        expect(coins.map(c => read(`coins/${c.slug}/index.html`))).toEqual(inProcess);
+    });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WebhookDispatcher = require('../../services/WebhookDispatcher');
+
+/**
+ * Local HTTP receiver that records requests and answers with queued status codes
+ */
+function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body });
+            res.statusCode = statuses.length ? statuses.shift() : 200;
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+describe('WebhookDispatcher', () => {
+    let dir;
+    let receiver;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    });
+
+    afterEach(async () => {
+        if (receiver) await new Promise(resolve => receiver.server.close(resolve));
+        receiver = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createDispatcher(endpoints, overrides = {}) {
+        return new WebhookDispatcher({
+            enabled: true,
+            endpoints,
+            maxRetries: 2,
+            retryDelayMs: 5,
+            timeoutMs: 2000,
+            deadLetterPath: path.join(dir, 'dead-letter.jsonl'),
+            marketCapMoveThreshold: 0.1,
+            marketCapMoveMinimum: 0,
+            ...overrides
+        });
+    }
+
+    it('posts signed payloads that the receiver can verify', async () => {
+        receiver = await startReceiver();
+        const dispatcher = createDispatcher([{ name: 'ops', url: `${receiver.url}/hook`, secret: 's3cret', events: ['*'] }]);
+
+        const [result] = await dispatcher.dispatch('alert.created', { alert: { id: 'a1' } });
+        expect(result).toMatchObject({ endpoint: 'ops', delivered: true, attempts: 1 });
+
+        const { headers, body } = receiver.requests[0];
+        const payload = JSON.parse(body);
+        expect(payload).toMatchObject({ event: 'alert.created', data: { alert: { id: 'a1' } } });
+        expect(headers['x-stablecoinwatch-event']).toBe('alert.created');
+        expect(headers['x-stablecoinwatch-signature'])
+            .toBe(WebhookDispatcher.sign('s3cret', headers['x-stablecoinwatch-timestamp'], body));
+    });
+
+    it('applies per-endpoint event filters', async () => {
+        receiver = await startReceiver();
+        const dispatcher = createDispatcher([
+            { name: 'alerts', url: `${receiver.url}/alerts`, events: ['alert.*'] },
+            { name: 'data', url: `${receiver.url}/data`, events: ['marketcap.move', 'refresh.failed'] }
+        ]);
+
+        await dispatcher.dispatch('alert.resolved', {});
+        await dispatcher.dispatch('refresh.failed', {});
+        await dispatcher.dispatch('degraded.entered', {});
+
+        expect(receiver.requests.map(r => r.url)).toEqual(['/alerts', '/data']);
+    });
+
+    it('retries server errors with backoff', async () => {
+        receiver = await startReceiver([500, 503]);
+        const dispatcher = createDispatcher([{ name: 'ops', url: receiver.url }]);
+
+        const [result] = await dispatcher.dispatch('refresh.failed', {});
+        expect(result).toMatchObject({ delivered: true, attempts: 3 });
+        expect(receiver.requests).toHaveLength(3);
+    });
+
+    it('dead-letters payloads that exhaust retries without retrying client errors', async () => {
+        receiver = await startReceiver([400]);
+        const dispatcher = createDispatcher([{ name: 'ops', url: receiver.url }]);
+
+        const [result] = await dispatcher.dispatch('alert.created', { alert: { id: 'a2' } });
+        expect(result).toMatchObject({ delivered: false, attempts: 1, error: 'HTTP 400' });
+        expect(receiver.requests).toHaveLength(1);
+
+        const lines = fs.readFileSync(path.join(dir, 'dead-letter.jsonl'), 'utf8').trim().split('\n');
+        expect(JSON.parse(lines[0])).toMatchObject({ endpoint: 'ops', error: 'HTTP 400', payload: { event: 'alert.created' } });
+    });
+
+    it('derives degraded transitions and market cap moves from refreshes', async () => {
+        receiver = await startReceiver();
+        const dispatcher = createDispatcher([{ name: 'ops', url: receiver.url }]);
+        const coin = (marketCap) => ({ slug: 'usdt', symbol: 'USDT', marketData: { marketCap } });
+        const ok = { success: true, stablecoinsUpdated: 1 };
+
+        dispatcher.handleRefresh({ result: ok, stablecoins: [coin(100)], degraded: { active: false } });
+        dispatcher.handleRefresh({ result: ok, stablecoins: [coin(105)], degraded: { active: true, reasons: ['x'] } });
+        dispatcher.handleRefresh({ result: { success: false, stablecoinsUpdated: 1, errors: ['cmc: timeout'] }, stablecoins: [coin(130)], degraded: { active: true } });
+        await dispatcher.flush();
+
+        const events = receiver.requests.map(r => JSON.parse(r.body));
+        expect(events.map(e => e.event)).toEqual(['degraded.entered', 'refresh.failed', 'marketcap.move']);
+        expect(events[2].data).toMatchObject({ symbol: 'USDT', previousMarketCap: 105, marketCap: 130 });
+    });
+
+    it('reports degraded mode entered on the first refresh', async () => {
+        receiver = await startReceiver();
+        const dispatcher = createDispatcher([{ name: 'ops', url: receiver.url }]);
+
+        dispatcher.handleRefresh({ result: { success: true, stablecoinsUpdated: 0 }, stablecoins: [], degraded: { active: true, reasons: ['All sources failed'] } });
+        await dispatcher.flush();
+
+        const events = receiver.requests.map(r => JSON.parse(r.body));
+        expect(events.map(e => e.event)).toEqual(['degraded.entered']);
+        expect(events[0].data).toEqual({ reasons: ['All sources failed'] });
+    });
+
+    it('forwards health monitor alert lifecycle events', async () => {
+        receiver = await startReceiver();
+        const dispatcher = createDispatcher([{ name: 'ops', url: receiver.url }]);
+        let listener;
+        dispatcher.attach({ healthMonitor: { onAlert: (fn) => { listener = fn; } } });
+
+        listener('created', { id: 'a3' });
+        listener('resolved', { id: 'a3' });
+        await dispatcher.flush();
+
+        expect(receiver.requests.map(r => JSON.parse(r.body).event).sort()).toEqual(['alert.created', 'alert.resolved']);
+    });
+});
@@ -0,0 +1,133 @@
+const ChainConcentration = require('../../../services/domain/ChainConcentration');
+const HybridTransformer = require('../../../services/HybridTransformer');
+
+function holding(symbol, value, peg = 'USD', previous = {}) {
+    return { symbol, peg, value, previous: { '1d': null, '7d': null, '30d': null, ...previous } };
+}
+
+describe('ChainConcentration', () => {
+    const analyzer = new ChainConcentration({
+        dominanceThreshold: 0.5,
+        issuers: { Tether: ['USDT'], Circle: ['usdc', 'EURC'] }
+    });
+
+    it('computes the HHI and its band', () => {
+        expect(ChainConcentration.hhi([60, 30, 10])).toBe(4600);
+        expect(ChainConcentration.hhi([25, 25, 25, 25])).toBe(2500);
+        expect(ChainConcentration.hhi([0, null])).toBeNull();
+        expect(ChainConcentration.level(1200)).toBe('unconcentrated');
+        expect(ChainConcentration.level(2500)).toBe('moderate');
+        expect(ChainConcentration.level(4600)).toBe('high');
+        expect(ChainConcentration.level(null)).toBeNull();
+    });
+
+    it('reports coin, issuer and peg concentration of a chain with earlier values', () => {
+        const result = analyzer.analyzeChain([
+            holding('USDT', 60, 'USD', { '7d': 80 }),
+            holding('USDC', 30, 'USD', { '7d': 10 }),
+            holding('EURC', 10, 'EUR')
+        ]);
+
+        expect(result).toMatchObject({
+            hhi: 4600,
+            level: 'high',
+            dominant_share: 60,
+            single_coin_dominated: true,
+            issuer_hhi: 5200,
+            issuers: [
+                { issuer: 'Tether', value: 60, percentage: 60 },
+                { issuer: 'Circle', value: 40, percentage: 40 }
+            ],
+            peg_mix: [
+                { peg: 'USD', value: 90, percentage: 90 },
+                { peg: 'EUR', value: 10, percentage: 10 }
+            ],
+            history: {
+                '1d': null,
+                '7d': { hhi: 6600, dominant_share: 80, total_value: 100 },
+                '30d': null
+            }
+        });
+        expect(analyzer.issuerOf('XYZ')).toBe('XYZ');
+    });
+
+    it('summarizes dominated chains and cross-chain concentration over time', () => {
+        const platforms = [
+            { name: 'Tron', mcap_sum: 100, concentration: analyzer.analyzeChain([holding('USDT', 60, 'USD', { '7d': 80 }), holding('USDC', 40)]) },
+            { name: 'Ethereum', mcap_sum: 300, concentration: analyzer.analyzeChain([holding('USDT', 100, 'USD', { '7d': 50 }), holding('USDC', 100, 'USD', { '7d': 50 }), holding('DAI', 100)]) },
+            { name: 'Empty', mcap_sum: 0, concentration: analyzer.analyzeChain([]) }
+        ];
+
+        expect(analyzer.summarize(platforms)).toEqual({
+            chain_count: 2,
+            dominated_chain_count: 1,
+            concentrated_chain_count: 2,
+            dominance_threshold: 50,
+            cross_chain_hhi: 6250,
+            top_chain: { name: 'Ethereum', share: 75 },
+            history: {
+                '1d': null,
+                '7d': { cross_chain_hhi: 5313, top_chain_share: 62.5, dominated_chain_count: 1 },
+                '30d': null
+            }
+        });
+    });
+
+    it('weighs coins with different pegs by USD value in HybridTransformer platform data', () => {
+        const transformer = new HybridTransformer();
+        const [ethereum] = transformer.calculatePlatformData([
+            {
+                name: 'Tether', symbol: 'USDT', uri: 'usdt', pegged_asset: 'USD',
+                main: { circulating_mcap: 200 },
+                platforms: [{ name: 'Ethereum', total_supply: 200, historical_data: { prevWeek: 100 } }]
+            },
+            {
+                // 30,000 yen tokens are worth 200 USD
+                name: 'JPY Coin', symbol: 'JPYC', uri: 'jpyc', pegged_asset: 'JPY',
+                main: { circulating_mcap: 200 },
+                platforms: [{ name: 'Ethereum', total_supply: 30000 }]
+            },
+            {
+                // Gold-backed token: 1 unit is worth 2,000 USD
+                name: 'Pax Gold', symbol: 'PAXG', uri: 'paxg', pegged_asset: 'Gold',
+                main: { circulating_mcap: 400 },
+                platforms: [{ name: 'Ethereum', total_supply: 0.1 }, { name: 'Solana', total_supply: 0.1 }]
+            }
+        ]);
+
+        expect(ethereum.concentration).toMatchObject({
+            hhi: 3333,
+            dominant_share: 33.33,
+            single_coin_dominated: false,
+            issuers: [{ issuer: 'Tether', value: 200 }, { issuer: 'JPYC', value: 200 }, { issuer: 'Paxos', value: 200 }],
+            peg_mix: [{ peg: 'USD', percentage: 33.33 }, { peg: 'JPY', percentage: 33.33 }, { peg: 'Gold', percentage: 33.33 }],
+            // A week ago USDT had half its supply: 100 + 200 + 200 USD at today's prices
+            history: { '1d': null, '7d': { hhi: 3600, dominant_share: 40, total_value: 500 }, '30d': null }
+        });
+    });
+
+    it('is attached to platform data by HybridTransformer', () => {
+        const transformer = new HybridTransformer();
+        const tron = transformer.calculatePlatformData([
+            {
+                name: 'Tether', symbol: 'USDT', uri: 'usdt', pegged_asset: 'USD',
+                main: { circulating_mcap: 200 },
+                platforms: [{ name: 'Ethereum', total_supply: 150 }, { name: 'Tron', total_supply: 50 }]
+            },
+            {
+                name: 'Euro Coin', symbol: 'EURC', uri: 'eurc', pegged_asset: 'EUR',
+                main: { circulating_mcap: 100 },
+                platforms: [{ name: 'Tron', total_supply: 100, historical_data: { prevWeek: 50 } }]
+            }
+        ]).find(platform => platform.name === 'Tron');
+
+        expect(tron.concentration).toMatchObject({
+            hhi: 5556,
+            dominant_share: 66.67,
+            single_coin_dominated: true,
+            issuers: [{ issuer: 'Circle', percentage: 66.67 }, { issuer: 'Tether', percentage: 33.33 }],
+            peg_mix: [{ peg: 'EUR', percentage: 66.67 }, { peg: 'USD', percentage: 33.33 }],
+            history: { '1d': null, '7d': { hhi: 5000, dominant_share: 50, total_value: 100 }, '30d': null }
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const FieldLineage = require('../../../services/domain/FieldLineage');
+const ServiceFactory = require('../../../services/ServiceFactory');
+const { fakeFetcher } = require('../../helpers/fixtures');
+
+const entries = [
+    { sourceId: 'coingecko', data: { name: 'Tether USDt', marketData: { price: 1.001 }, metadata: { description: null } } },
+    { sourceId: 'cmc', data: { name: 'Tether', marketData: { price: 0.999 }, metadata: {} } },
+    { sourceId: 'messari', data: { name: 'Tether', marketData: {}, metadata: { description: 'USD stablecoin' } } }
+];
+const priority = new Map([['cmc', 10], ['messari', 8], ['coingecko', 6]]);
+
+describe('FieldLineage', () => {
+    it('records candidates, winner and priority rule for each pick', () => {
+        const lineage = new FieldLineage(entries, priority);
+        const pick = lineage.pick('marketData.price', d => d.marketData?.price);
+
+        expect(pick).toEqual({ value: 0.999, sourceId: 'cmc' });
+        expect(lineage.toJSON()['marketData.price']).toEqual({
+            value: 0.999,
+            source: 'cmc',
+            rule: 'priority',
+            candidates: [
+                { source: 'cmc', value: 0.999, priority: 10 },
+                { source: 'coingecko', value: 1.001, priority: 6 }
+            ]
+        });
+    });
+
+    it('records the fallback as a default when no source has a value', () => {
+        const lineage = new FieldLineage(entries, priority);
+        expect(lineage.pick('metadata.website', d => d.metadata?.website, 'n/a')).toBeNull();
+        expect(lineage.toJSON()['metadata.website']).toEqual({ value: 'n/a', source: null, rule: 'default', candidates: [] });
+    });
+
+    it('records explicit rules with notes', () => {
+        const lineage = new FieldLineage(entries, priority);
+        lineage.record('metadata.tags', { value: ['a'], rule: FieldLineage.RULES.UNION, note: 'merged' });
+        expect(lineage.toJSON()['metadata.tags']).toEqual({ value: ['a'], source: null, rule: 'union', candidates: [], note: 'merged' });
+    });
+
+    it('attaches lineage for merged fields during refresh', async () => {
+        const service = ServiceFactory.createDataServiceWithFetchers([
+            fakeFetcher('coingecko', [{ symbol: 'USDT', name: 'Tether USDt', marketData: { price: 1.001, marketCap: 100 }, metadata: { tags: ['stablecoin'] } }]),
+            fakeFetcher('cmc', [{ symbol: 'USDT', name: 'Tether', slug: 'tether', marketData: { price: 0.999 }, metadata: { tags: ['usd'], peggedAsset: 'USD' } }])
+        ]);
+        jest.spyOn(service, '_persistSnapshot').mockResolvedValue();
+
+        await service.refreshData();
+        const { lineage } = await service.getStablecoin('tether');
+
+        expect(lineage.name).toMatchObject({ value: 'Tether', source: 'cmc', rule: 'priority' });
+        expect(lineage['marketData.marketCap']).toMatchObject({ value: 100, source: 'coingecko' });
+        expect(lineage['metadata.peggedAsset']).toMatchObject({ value: 'USD', source: 'cmc' });
+        expect(lineage['metadata.tags']).toMatchObject({ rule: 'union', value: expect.arrayContaining(['stablecoin', 'usd']) });
+        expect(lineage['supplyData.networkBreakdown'].rule).toBe('union');
+    });
+});
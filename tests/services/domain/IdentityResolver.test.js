@@ -0,0 +1,143 @@
+const IdentityResolver = require('../../../services/domain/IdentityResolver');
+const ServiceFactory = require('../../../services/ServiceFactory');
+const { fakeFetcher, sourceRecord } = require('../../helpers/fixtures');
+
+const priority = new Map([['cmc', 10], ['messari', 8], ['coingecko', 6], ['defillama', 4]]);
+
+function keysOf(result) {
+    return result.groups
+        .map(g => `${g.key}=${g.entries.map(e => `${e.sourceId}:${e.data.id}`).sort().join(',')}`)
+        .sort();
+}
+
+describe('IdentityResolver', () => {
+    const resolver = new IdentityResolver({ matchThreshold: 0.8, identityOverridesPath: null });
+
+    it('merges the same ticker when names match and splits it when they do not', () => {
+        const result = resolver.resolve([
+            sourceRecord('cmc', { id: 825, symbol: 'USDT', name: 'Tether', slug: 'tether', marketData: { marketCap: 100 } }),
+            sourceRecord('coingecko', { id: 'tether', symbol: 'USDT', name: 'Tether USDt', slug: 'tether' }),
+            sourceRecord('messari', { id: 'm-1', symbol: 'USDT', name: 'Unrelated Dollar Token', slug: 'unrelated-dollar' })
+        ], priority);
+
+        expect(keysOf(result)).toEqual([
+            'USDT:unrelated-dollar=messari:m-1',
+            'USDT=cmc:825,coingecko:tether'
+        ]);
+        expect(result.ambiguous).toHaveLength(1);
+        expect(result.ambiguous[0].reason).toMatch(/^Same symbol USDT but names differ/);
+    });
+
+    it('does not merge a record named only by its ticker with either of two same-ticker assets', () => {
+        const result = resolver.resolve([
+            sourceRecord('cmc', { id: 1, symbol: 'USDX', name: 'Dollar Protocol', marketData: { marketCap: 100 } }),
+            sourceRecord('coingecko', { id: 'usdx-kava', symbol: 'USDX', name: 'Kava Stable' }),
+            sourceRecord('messari', { id: 'm-9', symbol: 'USDX', name: 'USDX' })
+        ], priority);
+
+        expect(keysOf(result)).toHaveLength(3);
+        expect(result.ambiguous.length).toBeGreaterThan(0);
+        expect(result.ambiguous[0].reason).toMatch(/^Same symbol USDX but names differ/);
+    });
+
+    it('links different tickers through contract addresses and provider ids', () => {
+        const address = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+        const result = resolver.resolve([
+            sourceRecord('cmc', { id: 825, symbol: 'USDT', name: 'Tether', supplyData: { networkBreakdown: [{ network: 'ethereum', contractAddress: address }] } }),
+            sourceRecord('messari', { id: 'm-1', symbol: 'USDT0', name: 'Tether', platforms: [{ name: 'Ethereum', contractAddress: address.toUpperCase() }] }),
+            sourceRecord('coingecko', { id: 'usd-coin', symbol: 'USDC', name: 'USDC', externalIds: { coingecko: 'usd-coin' } }),
+            sourceRecord('defillama', { id: '2', symbol: 'USDC.E', name: 'USD Coin', externalIds: { defillama: '2', coingecko: 'usd-coin' } })
+        ], priority);
+
+        expect(keysOf(result)).toEqual([
+            'USDC=coingecko:usd-coin,defillama:2',
+            'USDT=cmc:825,messari:m-1'
+        ]);
+        expect(result.groups.find(g => g.key === 'USDT').matchedBy).toEqual(['contractAddress']);
+        expect(result.ambiguous).toEqual([]);
+    });
+
+    it('never merges two records from the same source without an override', () => {
+        const result = resolver.resolve([
+            sourceRecord('coingecko', { id: 'a', symbol: 'USDX', name: 'USDX', externalIds: { coingecko: 'shared' } }),
+            sourceRecord('coingecko', { id: 'b', symbol: 'USDX', name: 'USDX', externalIds: { coingecko: 'shared' } })
+        ], priority);
+
+        expect(result.groups).toHaveLength(2);
+        expect(result.ambiguous[0].reason).toBe('Link would merge several records from coingecko');
+    });
+
+    it('applies manual overrides to join and separate records', () => {
+        const withOverrides = new IdentityResolver({
+            matchThreshold: 0.8,
+            overrides: { identities: { tether: ['cmc:825', 'coingecko:tether-old'], other: ['messari:usdt'] } }
+        });
+        const result = withOverrides.resolve([
+            sourceRecord('cmc', { id: 825, symbol: 'USDT', name: 'Tether', marketData: { marketCap: 100 } }),
+            sourceRecord('coingecko', { id: 'tether-old', symbol: 'USDT.OLD', name: 'Tether (Legacy)' }),
+            sourceRecord('messari', { id: 'm-1', slug: 'usdt', symbol: 'USDT', name: 'Tether' })
+        ], priority);
+
+        expect(keysOf(result)).toEqual([
+            'USDT:usdt=messari:m-1',
+            'USDT=cmc:825,coingecko:tether-old'
+        ]);
+        expect(result.groups.find(g => g.key === 'USDT')).toMatchObject({ override: 'tether', matchedBy: ['override'] });
+        expect(result.overrideErrors).toEqual([]);
+    });
+
+    it('keeps the keys of assets sharing a ticker when their ranks change', () => {
+        const resolve = (capA, capB) => keysOf(resolver.resolve([
+            sourceRecord('coingecko', { id: 'celo-dollar', symbol: 'CUSD', name: 'Celo Dollar', slug: 'cusd', marketData: { marketCap: 50 } }),
+            sourceRecord('coingecko', { id: 'cap-usd', symbol: 'CUSD', name: 'Cap USD', slug: 'cusd', marketData: { marketCap: capA } }),
+            sourceRecord('coingecko', { id: 'coin98-dollar', symbol: 'CUSD', name: 'Coin98 Dollar', slug: 'cusd', marketData: { marketCap: capB } })
+        ], priority));
+
+        expect(resolve(20, 10)).toEqual([
+            'CUSD:coingecko:cap-usd=coingecko:cap-usd',
+            'CUSD:coingecko:coin98-dollar=coingecko:coin98-dollar',
+            'CUSD=coingecko:celo-dollar'
+        ]);
+        expect(resolve(10, 20)).toEqual(resolve(20, 10));
+    });
+
+    it('scores name similarity on normalized names', () => {
+        expect(IdentityResolver.nameSimilarity('Dai', 'Dai Stablecoin')).toBe(1);
+        expect(IdentityResolver.nameSimilarity('True USD', 'TrueUSD')).toBe(1);
+        expect(IdentityResolver.nameSimilarity('Frax', 'Fraxx')).toBe(1);
+        expect(IdentityResolver.nameSimilarity('Binance USD', 'Paxos Standard')).toBeLessThan(0.3);
+    });
+
+    it('keeps assets that share a ticker apart during refresh with unique slugs', async () => {
+        const coingecko = [
+            { id: 'celo-dollar', symbol: 'CUSD', name: 'Celo Dollar', slug: 'cusd', externalIds: { coingecko: 'celo-dollar' }, marketData: { price: 1, marketCap: 50 } },
+            { id: 'cap-usd', symbol: 'CUSD', name: 'Cap USD', slug: 'cusd', externalIds: { coingecko: 'cap-usd' }, marketData: { price: 1, marketCap: 20 } }
+        ];
+        const service = ServiceFactory.createDataServiceWithFetchers([
+            fakeFetcher('coingecko', coingecko),
+            fakeFetcher('defillama', [
+                { id: '9', symbol: 'CUSD', name: 'Cap cUSD', slug: 'cusd', externalIds: { coingecko: 'cap-usd' }, marketData: { price: 1 } }
+            ])
+        ]);
+        jest.spyOn(service, '_persistSnapshot').mockResolvedValue();
+
+        await service.refreshData();
+        const coins = await service.getStablecoins();
+
+        expect(coins.map(c => [c.name, c.slug, c.dataSources]).sort()).toEqual([
+            ['Cap USD', 'cusd-coingecko-cap-usd', ['coingecko', 'defillama']],
+            ['Celo Dollar', 'cusd', ['coingecko']]
+        ]);
+        expect(coins.find(c => c.name === 'Cap USD').identity.matchedBy).toEqual(['externalId']);
+        expect(service.getIdentityReport()).toMatchObject({ records: 3, groups: 2, ambiguous: [] });
+
+        // Cap USD keeps its slug when it drops a rank below a new asset with the same ticker
+        coingecko.push({ id: 'coin98-dollar', symbol: 'CUSD', name: 'Coin98 Dollar', slug: 'cusd', externalIds: { coingecko: 'coin98-dollar' }, marketData: { price: 1, marketCap: 30 } });
+        await service.refreshData();
+        expect((await service.getStablecoins()).map(c => [c.name, c.slug]).sort()).toEqual([
+            ['Cap USD', 'cusd-coingecko-cap-usd'],
+            ['Celo Dollar', 'cusd'],
+            ['Coin98 Dollar', 'cusd-coingecko-coin98-dollar']
+        ]);
+    });
+});
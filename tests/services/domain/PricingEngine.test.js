@@ -0,0 +1,83 @@
+const PricingEngine = require('../../../services/domain/PricingEngine');
+const ServiceFactory = require('../../../services/ServiceFactory');
+const { fakeFetcher } = require('../../helpers/fixtures');
+
+function candidates(values) {
+    return Object.entries(values).map(([source, value], i) => ({ source, value, priority: 10 - i }));
+}
+
+describe('PricingEngine', () => {
+    const base = { outlierMethod: 'mad', madThreshold: 3.5, minDeviationPercent: 1, maxDeviationPercent: 5, trimPercent: 0.2, fieldStrategies: {} };
+
+    it('combines values with each strategy', () => {
+        const values = candidates({ cmc: 1.02, messari: 1.0, coingecko: 0.99, defillama: 1.01 });
+        const none = { ...base, outlierMethod: 'none' };
+
+        expect(new PricingEngine({ ...none, strategy: 'priority' }).compute('price', values))
+            .toMatchObject({ value: 1.02, source: 'cmc', sources: ['cmc'] });
+        expect(new PricingEngine({ ...none, strategy: 'median' }).compute('price', values).value).toBeCloseTo(1.005);
+        expect(new PricingEngine({ ...none, strategy: 'trimmed-mean', trimPercent: 0.25 }).compute('price', values))
+            .toMatchObject({ sources: ['messari', 'defillama'] });
+
+        const weighted = new PricingEngine({ ...none, strategy: 'weighted' })
+            .compute('volume24h', candidates({ cmc: 100, coingecko: 400 }), { sourceHealth: new Map([['cmc', 1], ['coingecko', 0.5]]) });
+        expect(weighted.value).toBe(200);
+        expect(weighted.weights).toEqual({ cmc: 1, coingecko: 0.5 });
+    });
+
+    it('uses per-field strategies over the default', () => {
+        const engine = new PricingEngine({ ...base, strategy: 'priority', fieldStrategies: { volume24h: 'median' } });
+        expect(engine.strategyFor('price')).toBe('priority');
+        expect(engine.strategyFor('volume24h')).toBe('median');
+    });
+
+    it('excludes outliers by MAD and by percent deviation with reasons', () => {
+        const values = candidates({ cmc: 0.92, messari: 1.0001, coingecko: 0.9999, defillama: 1.0 });
+
+        const mad = new PricingEngine({ ...base, strategy: 'priority' }).compute('price', values);
+        expect(mad).toMatchObject({ value: 1.0001, source: 'messari' });
+        expect(mad.excluded).toEqual([{ source: 'cmc', value: 0.92, reason: expect.stringMatching(/^Modified z-score .* above 3.5/) }]);
+
+        const percent = new PricingEngine({ ...base, strategy: 'median', outlierMethod: 'percent', maxDeviationPercent: 5 }).compute('price', values);
+        expect(percent.excluded.map(e => e.source)).toEqual(['cmc']);
+        expect(percent.excluded[0].reason).toMatch(/from median .* \(limit 5%\)$/);
+    });
+
+    it('keeps small or two-source disagreements', () => {
+        const engine = new PricingEngine({ ...base, strategy: 'median' });
+        expect(engine.compute('price', candidates({ cmc: 0.5, coingecko: 1 })).excluded).toEqual([]);
+        // Identical values give a zero MAD; a 0.5% move stays under the 1% floor
+        expect(engine.compute('price', candidates({ a: 1, b: 1, c: 1.005 })).excluded).toEqual([]);
+        expect(engine.compute('price', [{ source: 'a', value: null }])).toBeNull();
+    });
+
+    it('keeps every value when the percent test would exclude them all', () => {
+        const values = candidates({ cmc: 100, messari: 100, coingecko: 120, defillama: 120 });
+        const percent = { ...base, outlierMethod: 'percent' };
+
+        expect(new PricingEngine({ ...percent, strategy: 'priority' }).compute('marketCap', values))
+            .toMatchObject({ value: 100, source: 'cmc', excluded: [] });
+        expect(new PricingEngine({ ...percent, strategy: 'median' }).compute('marketCap', values))
+            .toMatchObject({ value: 110, sources: ['cmc', 'messari', 'coingecko', 'defillama'], excluded: [] });
+    });
+
+    it('records pricing and consensus lineage on refreshed records', async () => {
+        const service = ServiceFactory.createDataServiceWithFetchers([
+            fakeFetcher('cmc', [{ id: 1, symbol: 'USDX', name: 'Example Dollar', slug: 'usdx', marketData: { price: 1.3, marketCap: 100 } }], { priority: 10 }),
+            fakeFetcher('messari', [{ id: 2, symbol: 'USDX', name: 'Example Dollar', slug: 'usdx', marketData: { price: 1.0, marketCap: 102 } }], { priority: 8 }),
+            fakeFetcher('coingecko', [{ id: 3, symbol: 'USDX', name: 'Example Dollar', slug: 'usdx', marketData: { price: 1.002, marketCap: 98 } }], { priority: 6 })
+        ]);
+        service.pricingEngine = new PricingEngine({ ...base, strategy: 'median' });
+        jest.spyOn(service, '_persistSnapshot').mockResolvedValue();
+
+        await service.refreshData();
+        const [coin] = await service.getStablecoins();
+
+        expect(coin.marketData.price).toBeCloseTo(1.001);
+        expect(coin.marketData.marketCap).toBe(100);
+        expect(coin.marketData.marketCapSource).toBe('cmc');
+        expect(coin.pricing.price).toMatchObject({ strategy: 'median', sources: ['messari', 'coingecko'] });
+        expect(coin.pricing.price.excluded[0].source).toBe('cmc');
+        expect(coin.lineage['marketData.price']).toMatchObject({ rule: 'consensus', excluded: [{ source: 'cmc', value: 1.3 }] });
+    });
+});
@@ -0,0 +1,97 @@
+const SnapshotDiff = require('../../../services/domain/SnapshotDiff');
+const ServiceFactory = require('../../../services/ServiceFactory');
+
+const { fakeFetcher, stablecoin } = require('../../helpers/fixtures');
+
+// Records here carry absolute per-chain supply and an explicit source list
+const coin = (symbol, options) =>
+    stablecoin(symbol, { marketCap: 100000000, sources: ['cmc', 'defillama'], chainSupply: {}, ...options });
+
+describe('SnapshotDiff', () => {
+    const diff = new SnapshotDiff({ supplyMoveThreshold: 0.05, supplyMoveMinimum: 1000000, rankTopN: 2 });
+
+    it('reports added, removed and reclassified records', () => {
+        const result = diff.compare(
+            [coin('USDT'), coin('DAI'), coin('PAXG', { category: 'Stablecoin', peg: 'USD' })],
+            [coin('USDT'), coin('PYUSD', { sources: ['coingecko'] }), coin('PAXG', { category: 'Tokenized Asset', peg: 'Gold' })],
+            { from: 1000, to: 2000 }
+        );
+
+        expect(result).toMatchObject({ from: 1000, to: 2000 });
+        expect(result.added).toEqual([expect.objectContaining({ slug: 'pyusd', sources: ['coingecko'] })]);
+        expect(result.removed.map(c => c.slug)).toEqual(['dai']);
+        expect(result.reclassified).toEqual([
+            { slug: 'paxg', symbol: 'PAXG', field: 'assetCategory', previous: 'Stablecoin', current: 'Tokenized Asset' },
+            { slug: 'paxg', symbol: 'PAXG', field: 'peggedAsset', previous: 'USD', current: 'Gold' }
+        ]);
+        expect(result.summary).toMatchObject({ previousCount: 3, currentCount: 3, added: 1, removed: 1, reclassified: 2, hasChanges: true });
+    });
+
+    it('reports source coverage per source and per record', () => {
+        const result = diff.compare(
+            [coin('USDT', { sources: ['cmc', 'coingecko'] }), coin('USDC', { sources: ['cmc', 'coingecko'] })],
+            [coin('USDT', { sources: ['cmc'] }), coin('USDC', { sources: ['cmc', 'messari'] })]
+        );
+
+        expect(result.coverage.sources).toEqual([
+            { sourceId: 'coingecko', previous: 2, current: 0, change: -2 },
+            { sourceId: 'messari', previous: 0, current: 1, change: 1 }
+        ]);
+        expect(result.coverage.records).toEqual([
+            { slug: 'usdt', symbol: 'USDT', added: [], removed: ['coingecko'], sources: ['cmc'] },
+            { slug: 'usdc', symbol: 'USDC', added: ['messari'], removed: ['coingecko'], sources: ['cmc', 'messari'] }
+        ]);
+    });
+
+    it('reports chain mints and burns above both thresholds', () => {
+        const result = diff.compare(
+            [coin('USDT', { chainSupply: { Ethereum: 100000000, Tron: 50000000, Solana: 900000000 } }), coin('EURC', { price: 1.1, chainSupply: { Ethereum: 10000000 } })],
+            [coin('USDT', { chainSupply: { Ethereum: 120000000, Tron: 48000000, Solana: 940000000, Base: 5000000 } }), coin('EURC', { price: 1.1, chainSupply: {} })]
+        );
+
+        // Tron moved 4%, Solana 4.4%: below the threshold. EURC lost its breakdown: not a burn
+        expect(result.supplyMoves.map(m => [m.slug, m.chain, m.type, m.change])).toEqual([
+            ['usdt', 'Ethereum', 'mint', 20000000],
+            ['usdt', 'Base', 'mint', 5000000]
+        ]);
+        expect(result.supplyMoves[0].changePercent).toBeCloseTo(0.2);
+        expect(result.supplyMoves[1].changePercent).toBeNull();
+    });
+
+    it('reports rank changes within each category near the top', () => {
+        const result = diff.compare(
+            [coin('USDT', { marketCap: 300 }), coin('USDC', { marketCap: 200 }), coin('DAI', { marketCap: 100 }), coin('FDUSD', { marketCap: 50 }), coin('PAXG', { marketCap: 10, category: 'Tokenized Asset' })],
+            [coin('USDT', { marketCap: 300 }), coin('USDC', { marketCap: 90 }), coin('DAI', { marketCap: 100 }), coin('FDUSD', { marketCap: 40 }), coin('PAXG', { marketCap: 500, category: 'Tokenized Asset' })]
+        );
+
+        expect(result.rankChanges).toEqual([
+            { slug: 'dai', symbol: 'DAI', assetCategory: 'Stablecoin', previous: 3, current: 2, change: 1 },
+            { slug: 'usdc', symbol: 'USDC', assetCategory: 'Stablecoin', previous: 2, current: 3, change: -1 }
+        ]);
+    });
+
+    it('finds nothing between identical datasets', () => {
+        const records = [coin('USDT', { chainSupply: { Ethereum: 100 } }), coin('USDC')];
+        expect(diff.compare(records, records).summary).toMatchObject({ hasChanges: false, previousCount: 2, currentCount: 2 });
+    });
+
+    it('keeps diffs of consecutive refreshes on the data service', async () => {
+        const state = { records: [{ id: 1, symbol: 'USDX', name: 'USDX', slug: 'usdx', marketData: { price: 1, marketCap: 100 } }] };
+        const service = ServiceFactory.createDataServiceWithFetchers([fakeFetcher('cmc', () => state.records, { priority: 10 })]);
+        jest.spyOn(service, '_persistSnapshot').mockResolvedValue();
+        const events = [];
+        service.onRefresh(event => events.push(event));
+
+        const first = await service.refreshData();
+        expect(first.changes).toBeNull();
+        expect(service.getLatestDiff()).toBeNull();
+
+        state.records = [...state.records, { id: 2, symbol: 'USDY', name: 'USDY', slug: 'usdy', marketData: { price: 1, marketCap: 50 } }];
+        const second = await service.refreshData();
+
+        expect(second.changes).toMatchObject({ added: 1, currentCount: 2 });
+        expect(service.getLatestDiff().added.map(c => c.slug)).toEqual(['usdy']);
+        expect(events[1].diff).toBe(service.getLatestDiff());
+        expect(service.getDiffHistory()).toHaveLength(1);
+    });
+});
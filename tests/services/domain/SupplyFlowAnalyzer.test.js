@@ -0,0 +1,119 @@
+const SupplyFlowAnalyzer = require('../../../services/domain/SupplyFlowAnalyzer');
+const SupplyFlowService = require('../../../services/SupplyFlowService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY_MS;
+
+function record(slug, breakdown, price = 1) {
+    return { slug, symbol: slug.toUpperCase(), name: slug, marketData: { price }, supplyData: { networkBreakdown: breakdown } };
+}
+
+describe('SupplyFlowAnalyzer', () => {
+    const analyzer = new SupplyFlowAnalyzer({ coverageTolerance: 0.1 });
+
+    it('splits chain changes into issuance, redemption and migration', () => {
+        const flows = analyzer.computeFlows([
+            { timestamp: 1000, chains: { Ethereum: 100, Tron: 50 } },
+            { timestamp: 2000, chains: { Ethereum: 80, Tron: 60, Base: 30 } },
+            { timestamp: 3000, chains: { Ethereum: 70, Tron: 60, Base: 30 } }
+        ]);
+
+        expect(flows).toMatchObject({ steps: 2, issued: 20, redeemed: 10, net: 10, migrated: 20 });
+        expect(flows.chains).toEqual([
+            { chain: 'Ethereum', issued: 0, redeemed: 10, migratedIn: 0, migratedOut: 20, net: -30 },
+            { chain: 'Base', issued: 15, redeemed: 0, migratedIn: 15, migratedOut: 0, net: 30 },
+            { chain: 'Tron', issued: 5, redeemed: 0, migratedIn: 5, migratedOut: 0, net: 10 }
+        ]);
+    });
+
+    it('skips steps where a point has no chains', () => {
+        const flows = analyzer.computeFlows([
+            { timestamp: 1000, chains: { Ethereum: 100 } },
+            { timestamp: 2000, chains: {} },
+            { timestamp: 3000, chains: { Ethereum: 100 } }
+        ]);
+        expect(flows).toMatchObject({ steps: 0, issued: 0, redeemed: 0, chains: [] });
+    });
+
+    it('builds points from DeFiLlama previous supplies, filling unknown values forward', () => {
+        const points = analyzer.defillamaPoints(record('usdt', [
+            { platform: 'Ethereum', supply: 120, historical: { prevDay: 110, prevWeek: 100, prevMonth: null } },
+            { platform: 'Tron', supply: 50 }
+        ]), NOW);
+
+        expect(points).toEqual([
+            { timestamp: NOW - 30 * DAY_MS, chains: { Ethereum: 100, Tron: 50 } },
+            { timestamp: NOW - 7 * DAY_MS, chains: { Ethereum: 100, Tron: 50 } },
+            { timestamp: NOW - DAY_MS, chains: { Ethereum: 110, Tron: 50 } },
+            { timestamp: NOW, chains: { Ethereum: 120, Tron: 50 } }
+        ]);
+        expect(analyzer.defillamaPoints(record('usdt', [{ platform: 'Ethereum', supply: 120 }]), NOW)).toEqual([]);
+    });
+
+    it('builds points from the DeFiLlama daily series when present', () => {
+        const points = analyzer.defillamaPoints(record('usdc', [
+            { platform: 'Base', supply: 40, historical: { series: [{ timestamp: NOW - 2 * DAY_MS, supply: 10 }, { timestamp: NOW - DAY_MS, supply: 30 }] } },
+            { platform: 'Ethereum', supply: 200 }
+        ]), NOW);
+
+        expect(points.map(p => [p.timestamp, p.chains.Base, p.chains.Ethereum])).toEqual([
+            [NOW - 2 * DAY_MS, 10, 200],
+            [NOW - DAY_MS, 30, 200],
+            [NOW, 40, 200]
+        ]);
+    });
+
+    it('prefers snapshot history when it covers the window and falls back to DeFiLlama otherwise', () => {
+        const coin = record('usdt', [{ platform: 'Ethereum', supply: 130, historical: { prevDay: 120, prevWeek: 100, prevMonth: 90 } }]);
+        const history = [
+            { timestamp: NOW - 2 * DAY_MS, chains: { Ethereum: 115 } },
+            { timestamp: NOW, chains: { Ethereum: 130 } }
+        ];
+
+        const result = analyzer.analyzeCoin(coin, history, NOW);
+
+        expect(result.windows['24h']).toMatchObject({ source: 'history', complete: true, from: NOW - 2 * DAY_MS, issued: 15 });
+        expect(result.windows['7d']).toMatchObject({ source: 'defillama', complete: true, from: NOW - 7 * DAY_MS, issued: 30 });
+        expect(result.windows['30d']).toMatchObject({ source: 'defillama', net: 40 });
+        expect(analyzer.analyzeCoin(record('dai', []), [], NOW).windows['24h']).toBeNull();
+    });
+
+    it('sums coin flows per chain in USD', () => {
+        const coins = [
+            analyzer.analyzeCoin(record('usdt', [{ platform: 'Ethereum', supply: 120, historical: { prevDay: 100 } }]), [], NOW),
+            analyzer.analyzeCoin(record('eurc', [{ platform: 'Ethereum', supply: 50, historical: { prevDay: 60 } }], 1.1), [], NOW)
+        ];
+
+        const chain = analyzer.summarizeChain(coins, 'ethereum');
+        expect(chain.windows['24h'].coins.map(c => c.slug)).toEqual(['usdt', 'eurc']);
+        expect(chain.windows['24h'].issuedUsd).toBeCloseTo(20);
+        expect(chain.windows['24h'].redeemedUsd).toBeCloseTo(11);
+        expect(chain.windows['24h'].netUsd).toBeCloseTo(9);
+        expect(analyzer.summarizeAll(coins)['24h'].totals).toMatchObject({ coins: 2 });
+    });
+});
+
+describe('SupplyFlowService', () => {
+    it('reads snapshot history once per dataset', async () => {
+        const dataService = {
+            getMarketMetrics: async () => ({ lastUpdated: NOW }),
+            getStablecoins: async () => [record('usdt', [{ platform: 'Ethereum', supply: 130 }])]
+        };
+        const snapshotStore = {
+            isEnabled: () => true,
+            getHistory: jest.fn(async () => [
+                { timestamp: NOW - DAY_MS, coins: [{ id: 'usdt', chains: { Ethereum: 100 } }] },
+                { timestamp: NOW, coins: [{ id: 'usdt', chains: { Ethereum: 130 } }] }
+            ])
+        };
+        const service = new SupplyFlowService(dataService, snapshotStore, { enabled: true });
+
+        expect((await service.getCoinFlows('USDT')).windows['24h']).toMatchObject({ source: 'history', issued: 30 });
+        expect((await service.getChainFlows('Ethereum')).windows['24h'].issuedUsd).toBe(30);
+        expect((await service.getOverview()).windows['24h'].totals.netUsd).toBe(30);
+        expect(snapshotStore.getHistory).toHaveBeenCalledTimes(1);
+
+        const disabled = new SupplyFlowService(dataService, snapshotStore, { enabled: false });
+        expect(await disabled.getOverview()).toBeNull();
+    });
+});
@@ -0,0 +1,145 @@
+const CoinGeckoDataFetcher = require('../../../services/fetchers/CoinGeckoDataFetcher');
+const HttpClient = require('../../../services/HttpClient');
+const CacheService = require('../../../services/CacheService');
+const ServiceFactory = require('../../../services/ServiceFactory');
+const RateLimiter = require('../../../services/RateLimiter');
+const { fakeFetcher } = require('../../helpers/fixtures');
+
+function market(id, symbol, marketCap) {
+    return { id, symbol, name: id, current_price: 1, market_cap: marketCap, circulating_supply: marketCap, total_supply: marketCap, image: `https://img/${id}.png` };
+}
+
+const USDC_DETAIL = {
+    id: 'usd-coin',
+    categories: ['Stablecoins', 'USD Stablecoin', 'Ethereum Ecosystem', null],
+    description: { en: 'USDC is a <a href="https://www.coingecko.com/en?category_id=29">stablecoin</a> by Circle.' },
+    links: { homepage: ['', 'https://www.circle.com/en/usdc'] },
+    platforms: { 'ethereum': '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', 'optimistic-ethereum': '0x0b2c639c533813f4aa9d7837caf62653d097ff85', '': '' },
+    market_data: { current_price: { usd: 1 } }
+};
+
+describe('CoinGeckoDataFetcher', () => {
+    let fetcher;
+    let transport;
+
+    function setup(handler, processing = {}) {
+        fetcher = new CoinGeckoDataFetcher();
+        fetcher.config = {
+            ...fetcher.config,
+            enabled: true,
+            mockData: { enabled: false },
+            processing: { ...fetcher.config.processing, perPage: 2, maxPages: 3, detailTopN: 0, ...processing }
+        };
+        transport = { request: jest.fn(async (config) => ({ status: 200, data: handler(config) })) };
+        fetcher.http = new HttpClient('coingecko', {
+            request: { retries: 0 },
+            rateLimiter: { schedule: (sourceId, task) => Promise.resolve().then(task) },
+            cache: new CacheService({ enabled: true, defaultTtlMs: 1000, staleTtlMs: 0 }),
+            transport
+        });
+    }
+
+    it('reads every markets page until a short page, without duplicates', async () => {
+        const pages = {
+            1: [market('tether', 'usdt', 100e9), market('usd-coin', 'usdc', 60e9)],
+            2: [market('usd-coin', 'usdc', 60e9), market('dai', 'dai', 5e9)],
+            3: [market('frax', 'frax', 1e9)]
+        };
+        setup(({ params }) => pages[params.page]);
+
+        const coins = await fetcher.fetchStablecoins();
+
+        expect(coins.map(c => c.id)).toEqual(['tether', 'usd-coin', 'dai', 'frax']);
+        expect(transport.request.mock.calls.map(([config]) => config.params)).toEqual([1, 2, 3].map(page =>
+            expect.objectContaining({ category: 'stablecoins', per_page: 2, page, order: 'market_cap_desc' })));
+    });
+
+    it('keeps earlier pages when a later page fails', async () => {
+        const warn = jest.spyOn(require('../../../app/logger').forModule('fetchers.coingecko'), 'warn').mockImplementation(() => {});
+        setup(({ params }) => {
+            if (params.page === 2) throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+            return [market('tether', 'usdt', 100e9), market('usd-coin', 'usdc', 60e9)];
+        });
+
+        expect((await fetcher.fetchStablecoins()).map(c => c.id)).toEqual(['tether', 'usd-coin']);
+        expect(transport.request).toHaveBeenCalledTimes(2);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    it('enriches the largest coins with categories, description, homepage and contract addresses', async () => {
+        setup(({ url }) => (url.endsWith('/coins/markets')
+            ? [market('usd-coin', 'usdc', 60e9), market('dai', 'dai', 5e9)]
+            : USDC_DETAIL), { detailTopN: 1 });
+
+        const raw = await fetcher.fetchStablecoins();
+        const detailCalls = transport.request.mock.calls.filter(([config]) => !config.url.endsWith('/coins/markets'));
+        expect(detailCalls.map(([config]) => config.url)).toEqual(['https://api.coingecko.com/api/v3/coins/usd-coin']);
+        expect(detailCalls[0][0].params).toMatchObject({ tickers: false, market_data: false });
+
+        const [usdc, dai] = fetcher.transformToStandardFormat(raw);
+        expect(usdc.metadata).toMatchObject({
+            tags: ['coingecko', 'stablecoin', 'usd-stablecoin', 'ethereum-ecosystem'],
+            description: 'USDC is a stablecoin by Circle.',
+            website: 'https://www.circle.com/en/usdc',
+            peggedAsset: 'USD'
+        });
+        expect(usdc.assetCategory).toBe('Stablecoin');
+        expect(usdc.supplyData.networkBreakdown).toEqual([
+            { name: 'Ethereum', network: 'ethereum', contractAddress: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', supply: null, percentage: null },
+            { name: 'Optimism', network: 'optimism', contractAddress: '0x0b2c639c533813f4aa9d7837caf62653d097ff85', supply: null, percentage: null }
+        ]);
+        expect(usdc.platforms).toEqual(usdc.supplyData.networkBreakdown);
+
+        // Coins outside the top N are still classified from the queried category
+        expect(dai.metadata.tags).toEqual(['coingecko', 'stablecoin']);
+        expect(dai.supplyData.networkBreakdown).toEqual([]);
+    });
+
+    it('leaves remaining coins for a later refresh once the rate limiter would delay a detail request', async () => {
+        setup(({ url }) => (url.endsWith('/coins/markets')
+            ? [market('tether', 'usdt', 100e9), market('usd-coin', 'usdc', 60e9), market('dai', 'dai', 5e9)]
+            : USDC_DETAIL), { perPage: 250, detailTopN: 3 });
+        const limiter = new RateLimiter({ buffer: 1, maxWaitMs: 30000 });
+        limiter.configure('coingecko', { requestsPerMinute: 10, burstLimit: 2 });
+        fetcher.http.rateLimiter = limiter;
+
+        const raw = await fetcher.fetchStablecoins();
+
+        expect(transport.request.mock.calls.map(([config]) => config.url.split('/').pop())).toEqual(['markets', 'tether']);
+        expect(raw.map(coin => Array.isArray(coin.categories))).toEqual([true, false, false]);
+        expect(limiter.getStatus().coingecko.totals).toMatchObject({ total: 2, delayed: 0, deferred: 1 });
+    });
+
+    it('supplies contract addresses to the DeFiLlama chain breakdown during aggregation', async () => {
+        setup(() => USDC_DETAIL);
+        const [usdc] = fetcher.transformToStandardFormat([{ ...market('usd-coin', 'usdc', 60e9), platforms: USDC_DETAIL.platforms }]);
+        const defillama = {
+            id: '2', symbol: 'USDC', name: 'USD Coin', slug: 'usdc', externalIds: { defillama: '2', coingecko: 'usd-coin' },
+            marketData: { price: 1 },
+            supplyData: { circulating: 60e9 },
+            metadata: {
+                defillamaData: {
+                    rawCirculating: { peggedUSD: 60e9 },
+                    rawChainCirculating: {
+                        Ethereum: { current: { peggedUSD: 40e9 } },
+                        Optimism: { current: { peggedUSD: 1e9 } },
+                        Solana: { current: { peggedUSD: 19e9 } }
+                    }
+                }
+            }
+        };
+        const service = ServiceFactory.createDataServiceWithFetchers([fakeFetcher('coingecko', [usdc]), fakeFetcher('defillama', [defillama])]);
+        jest.spyOn(service, '_persistSnapshot').mockResolvedValue();
+
+        await service.refreshData();
+        const [coin] = await service.getStablecoins();
+
+        expect(coin.identity.matchedBy).toEqual(['externalId']);
+        expect(coin.supplyData.networkBreakdown.map(n => [n.platform, n.contractAddress])).toEqual([
+            ['Ethereum', '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'],
+            ['Solana', null],
+            ['Optimism', '0x0b2c639c533813f4aa9d7837caf62653d097ff85']
+        ]);
+    });
+});
@@ -0,0 +1,114 @@
+const DeFiLlamaDataFetcher = require('../../../services/fetchers/DeFiLlamaDataFetcher');
+const HttpClient = require('../../../services/HttpClient');
+const CacheService = require('../../../services/CacheService');
+const PlatformNormalizer = require('../../../services/formatters/PlatformNormalizer');
+
+const DAY = 24 * 60 * 60;
+const LATEST = 1717200000; // seconds, as returned by DeFiLlama
+
+function usd(value) {
+    return { peggedUSD: value };
+}
+
+function listCoin(id, symbol, name, ethereum, tron) {
+    return {
+        id, symbol, name, pegType: 'peggedUSD', price: 1,
+        circulating: usd(ethereum + tron),
+        chainCirculating: {
+            Ethereum: { current: usd(ethereum), circulatingPrevDay: usd(ethereum * 0.99), circulatingPrevWeek: usd(ethereum * 0.95), circulatingPrevMonth: usd(ethereum * 0.8) },
+            Tron: { current: usd(tron) }
+        }
+    };
+}
+
+/**
+ * Daily Tron balances growing by 1M per day, oldest first
+ */
+function detail(days) {
+    const tokens = [];
+    for (let i = days - 1; i >= 0; i--) {
+        tokens.push({ date: LATEST - i * DAY, circulating: usd(100e6 - i * 1e6), minted: usd(0) });
+    }
+    return { chainBalances: { Tron: { tokens } }, tokens: [] };
+}
+
+describe('DeFiLlamaDataFetcher chain history', () => {
+    let fetcher;
+    let transport;
+
+    function setup(responses, chainHistory = { detailTopN: 1, historyDays: 7, detailCacheTtlMs: 60000 }) {
+        fetcher = new DeFiLlamaDataFetcher();
+        fetcher.config = {
+            ...fetcher.config,
+            enabled: true,
+            mockData: { enabled: false },
+            processing: { ...fetcher.config.processing, chainHistory }
+        };
+        transport = { request: jest.fn(async ({ url }) => ({ status: 200, data: responses(url) })) };
+        fetcher.http = new HttpClient('defillama', {
+            request: { retries: 0 },
+            rateLimiter: { schedule: (sourceId, task) => Promise.resolve().then(task) },
+            cache: new CacheService({ enabled: true, defaultTtlMs: 1000, staleTtlMs: 0 }),
+            transport
+        });
+    }
+
+    it('fetches detail for the largest coins and maps per-chain changes and daily series', async () => {
+        setup(url => url.endsWith('/stablecoins')
+            ? { peggedAssets: [listCoin(2, 'USDC', 'USD Coin', 20e6, 10e6), listCoin(1, 'USDT', 'Tether', 50e6, 100e6)] }
+            : detail(40));
+
+        const raw = await fetcher.fetchStablecoins();
+        const urls = transport.request.mock.calls.map(([config]) => config.url);
+        expect(urls).toEqual(['https://stablecoins.llama.fi/stablecoins', 'https://stablecoins.llama.fi/stablecoin/1']);
+
+        const [usdc, usdt] = fetcher.transformToStandardFormat(raw);
+        const tron = usdt.supplyData.networkBreakdown.find(n => n.network === 'tron').historical;
+        // No list prev values for Tron: taken from the detail series (1M per day growth)
+        expect(tron).toMatchObject({ prevDay: 99e6, prevWeek: 93e6, prevMonth: null, change: { '1d': 1.01, '7d': 7.53, '30d': null } });
+        expect(tron.series).toHaveLength(8);
+        expect(tron.series[7]).toEqual({ timestamp: LATEST * 1000, supply: 100e6 });
+        expect(usdt.metadata.defillamaData.chainHistory.Ethereum.change).toEqual({ '1d': 1.01, '7d': 5.26, '30d': 25 });
+
+        // Coins outside the top N keep the list endpoint's values only
+        expect(usdc.metadata.defillamaData.chainHistory.Ethereum).toMatchObject({ prevDay: 19.8e6, series: [] });
+        expect(usdc.metadata.defillamaData.chainHistory.Tron.change).toEqual({ '1d': null, '7d': null, '30d': null });
+
+        // Only the trimmed window is cached
+        const cached = await fetcher.http.cache.get(CacheService.key('http', 'defillama', 'https://stablecoins.llama.fi/stablecoin/1', undefined));
+        expect(Object.keys(cached.data)).toEqual(['chainBalances']);
+        expect(cached.data.chainBalances.Tron.tokens).toHaveLength(8);
+    });
+
+    it('skips failed coins and stops once the rate limiter defers a detail request', async () => {
+        const warn = jest.spyOn(require('../../../app/logger').forModule('fetchers.defillama'), 'warn').mockImplementation(() => {});
+        setup(url => {
+            if (url.endsWith('/stablecoins')) {
+                return { peggedAssets: [listCoin(1, 'USDT', 'Tether', 50e6, 100e6), listCoin(2, 'USDC', 'USD Coin', 20e6, 10e6), listCoin(3, 'DAI', 'Dai', 5e6, 1e6)] };
+            }
+            if (url.endsWith('/1')) throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+            return detail(3);
+        }, { detailTopN: 3, historyDays: 30, detailCacheTtlMs: 0 });
+        const schedule = jest.fn((sourceId, task) => Promise.resolve().then(task));
+        fetcher.http.rateLimiter = { schedule };
+        schedule.mockImplementation((sourceId, task) => schedule.mock.calls.length > 3
+            ? Promise.reject(Object.assign(new Error('Rate limit for defillama reached'), { code: 'RATE_LIMITED' }))
+            : Promise.resolve().then(task));
+
+        const raw = await fetcher.fetchStablecoins();
+
+        expect(raw.map(coin => Boolean(coin.chainBalances))).toEqual([false, true, false]);
+        expect(schedule).toHaveBeenCalledTimes(4);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    it('passes chain history through to Platform.historical_data', () => {
+        const historical = { prevDay: 99, prevWeek: 90, prevMonth: 80, change: { '1d': 1.01, '7d': 11.11, '30d': 25 }, series: [] };
+        const [platform] = new PlatformNormalizer().extractPlatformsFromHybrid({
+            networkBreakdown: [{ network: 'ethereum', supply: 100, historical }]
+        });
+        expect(platform.name).toBe('Ethereum');
+        expect(platform.historical_data).toBe(historical);
+    });
+});